@@ -150,6 +150,8 @@ const mongoTasksRoutes = require('./routes/mongo-tasks');
 const mongoGroupsRoutes = require('./routes/mongo-groups');
 const mongoFilesRoutes = require('./routes/mongo-files');
 const mongoDashboardRoutes = require('./routes/mongo-dashboard');
+const mongoHolidaysRoutes = require('./routes/mongo-holidays');
+const mongoMessageTemplatesRoutes = require('./routes/mongo-message-templates');
 const { mongoAuthMiddleware } = require('./middleware/mongo-auth');
 
 // Cronicle调度器路由
@@ -166,6 +168,10 @@ app.use('/api/mongo/groups', mongoAuthMiddleware, mongoGroupsRoutes);
 app.use('/api/mongo/files', mongoAuthMiddleware, mongoFilesRoutes);
 // MongoDB仪表盘路由（需要MongoDB认证中间件）
 app.use('/api/mongo/dashboard', mongoAuthMiddleware, mongoDashboardRoutes);
+// MongoDB节假日路由（需要MongoDB认证中间件）
+app.use('/api/mongo/holidays', mongoAuthMiddleware, mongoHolidaysRoutes);
+// MongoDB消息模板路由（需要MongoDB认证中间件）
+app.use('/api/mongo/message-templates', mongoAuthMiddleware, mongoMessageTemplatesRoutes);
 // MongoDB设置路由（需要MongoDB认证中间件）
 const mongoSettingsRoutes = require('./routes/mongo/settings');
 app.use('/api/mongo/settings', mongoAuthMiddleware, mongoSettingsRoutes);
@@ -365,11 +371,11 @@ async function startServer() {
             }
         }
         
-        // 启动Cronicle调度器
+        // 启动Cronicle调度器（多实例部署时只有选举出的主节点运行调度）
         console.log('🔧 准备启动Cronicle调度器...');
         const cronicleScheduler = require('./services/cronicleScheduler');
         const { Task, File } = require('./models/mongodb');
-        await cronicleScheduler.initialize({ Task, File });
+        await cronicleScheduler.startWithLeaderElection({ Task, File });
         console.log('✅ Cronicle调度器启动完成');
         
         // 启动监控服务
@@ -397,6 +403,10 @@ async function startServer() {
                     const cronicleScheduler = require('./services/cronicleScheduler');
                     await cronicleScheduler.stop();
                     logger.info('Cronicle调度器已停止');
+                    
+                    // 释放主节点租约，让其他实例立即接管
+                    const schedulerLeader = require('./services/schedulerLeader');
+                    await schedulerLeader.stop();
                 } catch (error) {
                     logger.warn('Cronicle调度器停止异常:', error.message);
                 }
@@ -5,6 +5,7 @@
  */
 
 const logger = require('../utils/logger');
+const scheduleRuleChecker = require('../services/scheduleRuleChecker');
 
 class ScheduleRule {
     constructor(data = {}) {
@@ -53,18 +54,9 @@ class ScheduleRule {
     validate() {
         const errors = [];
         
-        // Rule type validation - 支持所有增强版调度类型
-        const validRuleTypes = [
-            'by_day', 'daily',           // 每日
-            'by_week', 'weekly',          // 每周
-            'by_month', 'monthly',        // 每月
-            'by_year', 'yearly',          // 每年
-            'by_interval', 'interval',    // 间隔
-            'specific_date',              // 特定日期
-            'custom'                      // 自定义
-        ];
-        if (!validRuleTypes.includes(this.ruleType)) {
-            errors.push(`Rule type must be one of: ${validRuleTypes.join(', ')}`);
+        // Rule type validation - 与 scheduleRuleChecker 使用同一份规则类型列表
+        if (!scheduleRuleChecker.isSupportedRuleType(this.ruleType)) {
+            errors.push(`Rule type must be one of: ${scheduleRuleChecker.getSupportedRuleTypes().join(', ')}`);
         }
         
         // Execution times validation
@@ -467,153 +459,10 @@ class ScheduleRule {
 
     /**
      * Check if rule applies to a specific date
+     * 与调度器使用同一套规则判断（scheduleRuleChecker）
      */
-    appliesTo(date, currentDate = new Date()) {
-        const targetDate = new Date(date);
-        
-        // Check if month is included (if months filter is set)
-        if (this.months && this.months.length > 0) {
-            const month = targetDate.getMonth() + 1;
-            if (!this.months.includes(month)) {
-                return false;
-            }
-        }
-        
-        // Check rule type specific conditions
-        switch (this.ruleType) {
-            case 'by_day':
-            case 'daily':
-                return this.appliesToByDay(targetDate);
-            case 'by_week':
-            case 'weekly':
-                return this.appliesToByWeek(targetDate);
-            case 'by_interval':
-            case 'interval':
-                return this.appliesToByInterval(targetDate);
-            case 'monthly':
-                return this.appliesToMonthly(targetDate);
-            case 'yearly':
-                return this.appliesToYearly(targetDate);
-            case 'custom':
-                return this.appliesToCustom(targetDate);
-            default:
-                return false;
-        }
-    }
-
-    /**
-     * Check if by_day rule applies to date
-     */
-    appliesToByDay(date) {
-        // 如果没有dayMode，对于by_day规则，默认为每天执行
-        if (!this.dayMode) {
-            return true; // 每天都执行
-        }
-        
-        // 如果dayMode是字符串，尝试解析为JSON
-        let dayModeObj = this.dayMode;
-        if (typeof this.dayMode === 'string') {
-            try {
-                dayModeObj = JSON.parse(this.dayMode);
-            } catch (e) {
-                // 如果解析失败，默认为每天执行
-                return true;
-            }
-        }
-        
-        // 处理type格式的dayMode
-        if (dayModeObj.type === 'every_day') {
-            return true; // 每天都执行
-        }
-        
-        const { mode, values } = dayModeObj;
-        const dayOfMonth = date.getDate();
-        const year = date.getFullYear();
-        const month = date.getMonth();
-        
-        switch (mode) {
-            case 'specific_days':
-                return values && values.includes(dayOfMonth);
-                
-            case 'last_day':
-                // Check if it's the last day of the month
-                const nextMonth = new Date(year, month + 1, 0);
-                return dayOfMonth === nextMonth.getDate();
-                
-            case 'last_workday':
-                // Find the last workday of the month
-                const lastDay = new Date(year, month + 1, 0);
-                let lastWorkday = lastDay;
-                
-                while (lastWorkday.getDay() === 0 || lastWorkday.getDay() === 6) {
-                    lastWorkday.setDate(lastWorkday.getDate() - 1);
-                }
-                
-                return dayOfMonth === lastWorkday.getDate();
-                
-            default:
-                // 默认为每天执行
-                return true;
-        }
-    }
-
-    /**
-     * Check if by_week rule applies to date
-     */
-    appliesToByWeek(date) {
-        if (!this.dayMode) return false;
-        
-        const { mode, values } = this.dayMode;
-        const dayOfWeek = date.getDay(); // 0 = Sunday, 1 = Monday, etc.
-        
-        switch (mode) {
-            case 'weekdays':
-                // Monday to Friday (1-5)
-                return dayOfWeek >= 1 && dayOfWeek <= 5;
-                
-            case 'specific_weekdays':
-                return values && values.includes(dayOfWeek);
-                
-            default:
-                return false;
-        }
-    }
-
-    /**
-     * Check if by_interval rule applies to date
-     */
-    appliesToByInterval(date) {
-        if (!this.intervalConfig || !this.referenceDate) return false;
-        
-        const { interval, unit } = this.intervalConfig;
-        const targetDate = new Date(date);
-        const refDate = new Date(this.referenceDate);
-        
-        // Calculate the difference based on unit
-        let diffInUnits;
-        
-        switch (unit) {
-            case 'days':
-                const diffTime = targetDate.getTime() - refDate.getTime();
-                diffInUnits = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-                break;
-                
-            case 'weeks':
-                const diffTimeWeeks = targetDate.getTime() - refDate.getTime();
-                diffInUnits = Math.floor(diffTimeWeeks / (1000 * 60 * 60 * 24 * 7));
-                break;
-                
-            case 'months':
-                diffInUnits = (targetDate.getFullYear() - refDate.getFullYear()) * 12 + 
-                             (targetDate.getMonth() - refDate.getMonth());
-                break;
-                
-            default:
-                return false;
-        }
-        
-        // Check if the difference is divisible by the interval
-        return diffInUnits >= 0 && diffInUnits % interval === 0;
+    appliesTo(date) {
+        return scheduleRuleChecker.shouldRunOnDate(this, new Date(date));
     }
 
     /**
@@ -770,77 +619,6 @@ class ScheduleRule {
     clone() {
         return ScheduleRule.fromPlainObject(this.toPlainObject());
     }
-
-
-    /**
-     * Check if monthly rule applies to date
-     */
-    appliesToMonthly(date) {
-        // For monthly rules, check if this is the correct day of the month
-        if (!this.dayMode) {
-            return date.getDate() === 1; // Default to first of month
-        }
-        
-        let dayModeObj = this.dayMode;
-        if (typeof this.dayMode === 'string') {
-            try {
-                dayModeObj = JSON.parse(this.dayMode);
-            } catch (e) {
-                return date.getDate() === 1; // Default fallback
-            }
-        }
-        
-        // 处理 specific_days 模式（工作表任务常用）
-        if (dayModeObj.mode === 'specific_days' && dayModeObj.values) {
-            const dayOfMonth = date.getDate();
-            return dayModeObj.values.includes(dayOfMonth);
-        }
-        
-        // 处理简单的 day 字段
-        if (dayModeObj.day) {
-            return date.getDate() === dayModeObj.day;
-        }
-        
-        return date.getDate() === 1; // Default to first of month
-    }
-
-    /**
-     * Check if yearly rule applies to date
-     */
-    appliesToYearly(date) {
-        // For yearly rules, check if this is the correct month and day
-        if (!this.dayMode) {
-            return date.getMonth() === 0 && date.getDate() === 1; // Default to New Year
-        }
-        
-        let dayModeObj = this.dayMode;
-        if (typeof this.dayMode === 'string') {
-            try {
-                dayModeObj = JSON.parse(this.dayMode);
-            } catch (e) {
-                return date.getMonth() === 0 && date.getDate() === 1; // Default fallback
-            }
-        }
-        
-        if (dayModeObj.month && dayModeObj.day) {
-            return date.getMonth() + 1 === dayModeObj.month && date.getDate() === dayModeObj.day;
-        }
-        
-        return date.getMonth() === 0 && date.getDate() === 1; // Default to New Year
-    }
-
-    /**
-     * Check if custom rule applies to date
-     */
-    appliesToCustom(date) {
-        // For custom rules, delegate to interval or cron expression logic
-        if (this.intervalConfig) {
-            return this.appliesToByInterval(date);
-        }
-        
-        // For now, default to false for custom rules without specific implementation
-        return false;
-    }
 }
 
 module.exports = ScheduleRule;
\ No newline at end of file
@@ -85,6 +85,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// 钉钉 @ 提醒：手机号、钉钉用户ID、@所有人（群组和任务共用）
+const mentionFields = {
+    atMobiles: [String],
+    atUserIds: [String],
+    isAtAll: {
+        type: Boolean,
+        default: false
+    }
+};
+
 // 2. 群组模型
 const groupSchema = new mongoose.Schema({
     name: {
@@ -92,11 +102,23 @@ const groupSchema = new mongoose.Schema({
         required: true
     },
     description: String,
+    // 发送渠道：dingtalk 钉钉机器人、wecom 企业微信机器人、feishu 飞书机器人、webhook 通用 JSON Webhook、email 邮件
+    channelType: {
+        type: String,
+        enum: ['dingtalk', 'wecom', 'feishu', 'webhook', 'email'],
+        default: 'dingtalk'
+    },
+    // 邮件渠道没有 Webhook，按 channelConfig 中的收件人发送
     webhookUrl: {
         type: String,
-        required: true
+        required: function() {
+            return this.channelType !== 'email';
+        }
     },
+    // 钉钉、飞书的加签密钥，通用 Webhook 用于请求签名
     secret: String,
+    // 渠道配置：webhook 的 headers（附加请求头）；email 的 to、cc（收件人、抄送）
+    channelConfig: mongoose.Schema.Types.Mixed,
     status: {
         type: String,
         enum: ['active', 'inactive'],
@@ -107,6 +129,8 @@ const groupSchema = new mongoose.Schema({
         enum: ['regular', 'custom'],
         default: 'regular'
     },
+    // 默认 @ 提醒，任务和工作表行未设置 @ 时使用
+    mentions: mentionFields,
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -153,6 +177,23 @@ const taskSchema = new mongoose.Schema({
         required: true
     },
     messageContent: String,
+    // 引用消息模板时以模板内容和消息类型为准，messageContent 不再使用
+    messageTemplateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MessageTemplate'
+    },
+    // 模板自定义变量的取值 { 变量名: 值 }，未填写的使用模板默认值
+    templateVariables: mongoose.Schema.Types.Mixed,
+    // 钉钉消息类型，messageContent 为正文（markdown/actionCard 为 Markdown，link 为描述），feedCard 不使用正文
+    messageType: {
+        type: String,
+        enum: ['text', 'markdown', 'link', 'actionCard', 'feedCard'],
+        default: 'text'
+    },
+    // 卡片字段：title、messageUrl、picUrl、singleTitle、singleUrl、buttons、btnOrientation、links
+    messageOptions: mongoose.Schema.Types.Mixed,
+    // @ 提醒，工作表任务中填写了“@人员”列的行以该列为准
+    mentions: mentionFields,
     priority: {
         type: String,
         enum: ['low', 'normal', 'high', 'critical'],
@@ -160,9 +201,30 @@ const taskSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'paused', 'completed', 'failed'],
+        // pending 待启用，active 运行中，paused 已暂停，closed 已关闭，completed 已完成（一次性任务），failed 失败
+        enum: ['pending', 'active', 'paused', 'closed', 'completed', 'failed'],
         default: 'active'
     },
+    // 状态变更记录，source 为 user 时 changedBy 为操作用户，system 为每日加载时的自动切换
+    statusHistory: [{
+        _id: false,
+        from: String,
+        to: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        source: {
+            type: String,
+            enum: ['user', 'system'],
+            default: 'user'
+        },
+        reason: String
+    }],
     
     // 任务关联字段
     relatedTaskId: {
@@ -193,6 +255,8 @@ const taskSchema = new mongoose.Schema({
         intervalMode: mongoose.Schema.Types.Mixed,
         months: [Number],
         quarters: [Number], // 支持季度选择
+        quarterMode: mongoose.Schema.Types.Mixed, // 按季度规则的执行日，见 scheduleRuleChecker.checkQuarterMode
+        lunarMode: mongoose.Schema.Types.Mixed, // 农历规则 { month, day, leapMonth, offset }，见 scheduleRuleChecker.checkLunarMode
         excludeSettings: {
             excludeHolidays: {
                 type: Boolean,
@@ -204,7 +268,21 @@ const taskSchema = new mongoose.Schema({
             },
             specificDates: [String] // 指定排除的日期列表
         },
+        // 执行日遇到节假日（以及开启排除周末时的周末）的处理方式：
+        // skip 跳过，previous 提前到上一个工作日，next 顺延到下一个工作日，nearest 移到最近的工作日
+        onHoliday: {
+            type: String,
+            enum: ['skip', 'previous', 'next', 'nearest'],
+            default: 'skip'
+        },
         executionTimes: [String],
+        // 日内重复时段，如 09:00-18:00 每30分钟；配置后替代 executionTimes，见 scheduleRuleChecker.expandTimeWindows
+        timeWindows: [{
+            _id: false,
+            start: String,
+            end: String,
+            step: Number
+        }],
         cron: String
     },
     
@@ -216,6 +294,30 @@ const taskSchema = new mongoose.Schema({
         data: mongoose.Schema.Types.Mixed
     },
     
+    // 单次执行例外：跳过、改期或替换某一次执行的消息，按原执行日期和时间匹配，见 occurrenceExceptionService
+    occurrenceExceptions: [{
+        _id: false,
+        date: String,            // 原执行日期 YYYY-MM-DD
+        time: String,            // 原执行时间 HH:mm
+        action: {
+            type: String,
+            enum: ['skip', 'reschedule', 'override']
+        },
+        newDate: String,         // 改期后的日期
+        newTime: String,         // 改期后的时间
+        messageContent: String,  // 本次发送的消息（修改消息时必填，改期时可选）
+        reason: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: Date
+    }],
+    
+    // 启用/关闭时间（按天，包含首尾两天）：启用日前为待启用，关闭日后自动关闭，见 taskLifecycleService
+    activeFrom: Date,
+    activeUntil: Date,
+    
     // 调度任务信息
     nextRunAt: Date,
     lastRunAt: Date,
@@ -241,6 +343,20 @@ const taskSchema = new mongoose.Schema({
     },
     lastError: String,
     
+    // 错过执行的补偿策略（服务停机或重启期间到期的提醒）
+    catchUpPolicy: {
+        mode: {
+            type: String,
+            enum: ['send_late', 'skip', 'digest'], // 宽限期内补发 / 跳过并记为错过 / 合并发送错过提醒汇总
+            default: 'skip'
+        },
+        graceMinutes: {
+            type: Number,
+            default: 30,
+            min: 0
+        }
+    },
+    
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -321,7 +437,22 @@ const executionHistorySchema = new mongoose.Schema({
         ref: 'Task',
         required: true
     },
-    executedAt: {
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group'
+    },
+    jobType: {
+        type: String,
+        enum: ['simple', 'worksheet'],
+        default: 'simple'
+    },
+    triggerType: {
+        type: String,
+        enum: ['scheduled', 'manual', 'catchup'],
+        default: 'scheduled'
+    },
+    scheduledAt: Date,     // 计划执行时间
+    executedAt: {          // 实际执行时间
         type: Date,
         required: true
     },
@@ -332,11 +463,22 @@ const executionHistorySchema = new mongoose.Schema({
     },
     messageContent: String,
     errorMessage: String,
+    skipReason: String,    // 跳过原因代码，如 suppressed、not_scheduled、missed、occurrence_skipped、rescheduled
+    // 单次执行例外（跳过、改期、修改消息）的摘要，见 occurrenceExceptionService.toHistory
+    exception: {
+        action: String,
+        originalDate: String,
+        originalTime: String,
+        newDate: String,
+        newTime: String,
+        reason: String
+    },
     webhookResponse: mongoose.Schema.Types.Mixed,
     retryCount: {
         type: Number,
         default: 0
     },
+    metadata: mongoose.Schema.Types.Mixed, // 工作表行、覆盖任务等附加信息
     createdAt: {
         type: Date,
         default: Date.now
@@ -344,6 +486,8 @@ const executionHistorySchema = new mongoose.Schema({
 });
 
 executionHistorySchema.index({ taskId: 1, executedAt: -1 });
+executionHistorySchema.index({ taskId: 1, scheduledAt: -1 });
+executionHistorySchema.index({ scheduledAt: -1, status: 1 });
 
 // 6. 节假日模型
 const holidaySchema = new mongoose.Schema({
@@ -355,9 +499,10 @@ const holidaySchema = new mongoose.Schema({
     name: String,
     type: {
         type: String,
-        enum: ['legal', 'custom'],
+        enum: ['legal', 'custom', 'workday'], // workday: 调休上班日（周末但需要上班）
         default: 'custom'
     },
+    description: String,
     year: Number,
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -366,7 +511,8 @@ const holidaySchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    updatedAt: Date
 });
 
 // date字段已经有unique: true，会自动创建索引，不需要重复定义
@@ -566,6 +712,161 @@ sendLogSchema.index({ groupId: 1, sentAt: -1 });
 sendLogSchema.index({ isSuccess: 1 });
 sendLogSchema.index({ sentAt: -1 });
 
+// 10. 作业实例模型（持久化每天的计划执行，用于重启后补偿错过的提醒）
+const jobOccurrenceSchema = new mongoose.Schema({
+    jobId: {               // 调度器作业ID，如 task:<id>、worksheet:<id>:<HHmmss>
+        type: String,
+        required: true
+    },
+    taskId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group'
+    },
+    jobType: {
+        type: String,
+        enum: ['simple', 'worksheet'],
+        default: 'simple'
+    },
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+    time: String,          // 计划时间 HH:mm 或 HH:mm:ss
+    messageContent: String,
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'sent', 'failed', 'skipped', 'missed'],
+        default: 'pending'
+    },
+    claimedAt: Date,       // 开始执行（running）的时间
+    claimedBy: String,     // 执行的调度器节点
+    catchUpAction: {       // 补偿处理方式
+        type: String,
+        enum: ['send_late', 'skip', 'digest', null],
+        default: null
+    },
+    resolvedAt: Date,
+    errorMessage: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+jobOccurrenceSchema.index({ jobId: 1, scheduledAt: 1 }, { unique: true });
+jobOccurrenceSchema.index({ status: 1, scheduledAt: 1 });
+jobOccurrenceSchema.index({ taskId: 1, scheduledAt: -1 });
+
+// 11. 调度器租约模型（多实例部署时选举唯一运行调度器的主节点）
+const schedulerLeaseSchema = new mongoose.Schema({
+    name: {                // 租约名称，目前只有 scheduler
+        type: String,
+        required: true,
+        unique: true
+    },
+    holderId: {            // 持有租约的节点ID
+        type: String,
+        required: true
+    },
+    hostname: String,
+    pid: Number,
+    acquiredAt: Date,      // 当前节点取得租约的时间
+    renewedAt: Date,       // 最近一次心跳
+    expiresAt: {           // 超过该时间未续约即视为主节点失效
+        type: Date,
+        required: true
+    },
+    pendingTaskIds: [String], // 从节点修改的任务，等待主节点重新调度
+    holidaysChangedAt: Date   // 节假日变更时间，等待主节点刷新调度
+});
+
+// 过期的租约由MongoDB自动删除（TTL扫描有延迟，选举时仍以expiresAt为准）
+schedulerLeaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 12. 消息模板模型（任务和工作表行可引用，修改后下次发送即生效）
+const templateVariableFields = [{
+    _id: false,
+    name: {
+        type: String,
+        required: true
+    },
+    description: String,
+    defaultValue: String   // 为空表示引用模板的任务必须填写
+}];
+
+const messageTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    description: String,
+    content: String,
+    messageType: {
+        type: String,
+        enum: ['text', 'markdown', 'link', 'actionCard', 'feedCard'],
+        default: 'text'
+    },
+    messageOptions: mongoose.Schema.Types.Mixed,
+    variables: templateVariableFields,
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // private 仅创建者和管理员可见，shared 所有用户可见可引用（只有创建者和管理员可修改）
+    visibility: {
+        type: String,
+        enum: ['private', 'shared'],
+        default: 'private'
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    note: String,          // 当前版本的修改说明
+    // 历史版本，每次修改内容前保存当时的版本
+    versions: [{
+        _id: false,
+        version: Number,
+        content: String,
+        messageType: String,
+        messageOptions: mongoose.Schema.Types.Mixed,
+        variables: templateVariableFields,
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedAt: Date,
+        note: String
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+messageTemplateSchema.index({ owner: 1, updatedAt: -1 });
+messageTemplateSchema.index({ visibility: 1 });
+
+messageTemplateSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
 // 导出模型
 module.exports = {
     User: mongoose.model('User', userSchema),
@@ -577,6 +878,9 @@ module.exports = {
     Setting: mongoose.model('Setting', settingSchema),
     TaskAssociation: mongoose.model('TaskAssociation', taskAssociationSchema),
     SendLog: mongoose.model('SendLog', sendLogSchema),
+    JobOccurrence: mongoose.model('JobOccurrence', jobOccurrenceSchema),
+    SchedulerLease: mongoose.model('SchedulerLease', schedulerLeaseSchema),
+    MessageTemplate: mongoose.model('MessageTemplate', messageTemplateSchema),
     mongoose,
     
     // 连接管理方法
@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const { File } = require('../models/mongodb');
 const logger = require('../utils/logger');
 const { checkMongoConnection } = require('../middleware/mongoConnection');
+const adminMiddleware = require('../middleware/adminMiddleware');
 
 // 配置Multer上传
 const storage = multer.diskStorage({
@@ -55,6 +56,41 @@ const upload = multer({
     }
 });
 
+// 节假日文件只在内存中解析，不落盘
+const holidayUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedExtensions = ['.ics', '.ical', '.json', '.xlsx', '.xls'];
+        const ext = path.extname(file.originalname).toLowerCase();
+        
+        if (allowedExtensions.includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error('只支持上传节假日文件（.ics, .json, .xlsx, .xls）'));
+        }
+    }
+});
+
+/**
+ * 上传失败（文件类型不符、超过大小限制）时直接返回 400，不交给全局错误处理
+ */
+function handleUpload(middleware) {
+    return (req, res, next) => {
+        middleware(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+            res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE' ? '文件大小超过限制' : error.message
+            });
+        });
+    };
+}
+
 /**
  * 获取文件列表
  */
@@ -242,6 +278,64 @@ router.post('/upload', checkMongoConnection, upload.array('files', 10), async (r
     }
 });
 
+/**
+ * 解析节假日文件并预览导入结果（不写入数据库）
+ * 返回解析出的节假日和与现有配置相比新增、修改、删除的日期，确认后通过 /api/mongo/holidays/batch 提交
+ */
+router.post('/holidays/preview', checkMongoConnection, adminMiddleware, handleUpload(holidayUpload.single('file')), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: '请选择要导入的节假日文件'
+            });
+        }
+        
+        const holidayImportParser = require('../services/holidayImportParser');
+        const holidayManager = require('../services/holidayManager');
+        
+        let parsed;
+        try {
+            parsed = holidayImportParser.parse(req.file.buffer, req.file.originalname);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError.message
+            });
+        }
+        
+        if (parsed.holidays.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: '文件中没有可导入的节假日',
+                errors: parsed.errors
+            });
+        }
+        
+        const replace = req.body.replace !== 'false';
+        const preview = await holidayManager.previewImport(parsed.holidays, { replace });
+        
+        res.json({
+            success: true,
+            data: {
+                fileName: req.file.originalname,
+                format: parsed.format,
+                replace,
+                holidays: parsed.holidays,
+                warnings: parsed.errors,
+                ...preview
+            }
+        });
+    } catch (error) {
+        logger.error('预览节假日文件失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '预览节假日文件失败',
+            error: error.message
+        });
+    }
+});
+
 /**
  * 获取文件详情
  */
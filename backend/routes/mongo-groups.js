@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const { Group, Task, mongoose } = require('../models/mongodb');
 const logger = require('../utils/logger');
+const dingTalkBot = require('../services/dingTalkBot');
+const messageChannels = require('../services/channels');
 
 /**
  * 获取群组列表
@@ -48,10 +50,13 @@ router.get('/', async (req, res) => {
                     id: group._id,
                     name: group.name,
                     description: group.description,
+                    channelType: group.channelType || 'dingtalk',
                     webhookUrl: group.webhookUrl,
                     secret: group.secret,
+                    channelConfig: group.channelConfig || null,
                     status: group.status,
                     groupType: group.groupType,
+                    mentions: group.mentions,
                     taskCount,
                     createdAt: group.createdAt,
                     updatedAt: group.updatedAt
@@ -124,10 +129,13 @@ router.get('/:id', async (req, res) => {
                 id: group._id,
                 name: group.name,
                 description: group.description,
+                channelType: group.channelType || 'dingtalk',
                 webhookUrl: group.webhookUrl,
                 secret: group.secret,
+                channelConfig: group.channelConfig || null,
                 status: group.status,
                 groupType: group.groupType,
+                mentions: group.mentions,
                 taskCount,
                 recentTasks: recentTasks.map(task => ({
                     id: task._id,
@@ -216,12 +224,31 @@ router.post('/', async (req, res) => {
         const secret = req.body.secret;
         const groupType = req.body.groupType || req.body.group_type || 'regular';
         const status = req.body.status || 'active';
+        const channelType = req.body.channelType || req.body.channel_type || 'dingtalk';
+        const channelConfig = messageChannels.normalizeConfig(channelType, req.body.channelConfig);
         
         // 验证必填字段
-        if (!name || !webhookUrl) {
+        if (!name) {
             return res.status(400).json({
                 success: false,
-                message: '群组名称和Webhook URL不能为空'
+                message: '群组名称不能为空'
+            });
+        }
+        
+        // 按发送渠道校验 Webhook URL 或收件人
+        const channelError = messageChannels.validateGroup({ channelType, webhookUrl, channelConfig });
+        if (channelError) {
+            return res.status(400).json({
+                success: false,
+                message: channelError
+            });
+        }
+        
+        const mentionError = dingTalkBot.validateMentions(req.body.mentions);
+        if (mentionError) {
+            return res.status(400).json({
+                success: false,
+                message: mentionError
             });
         }
         
@@ -238,10 +265,13 @@ router.post('/', async (req, res) => {
         const group = new Group({
             name,
             description,
+            channelType,
             webhookUrl,
             secret,
+            channelConfig,
             groupType,
             status,
+            mentions: dingTalkBot.normalizeMentions(req.body.mentions),
             createdBy: req.user?.mongoId || req.user?.id
         });
         
@@ -254,10 +284,13 @@ router.post('/', async (req, res) => {
                 id: group._id,
                 name: group.name,
                 description: group.description,
+                channelType: group.channelType || 'dingtalk',
                 webhookUrl: group.webhookUrl,
                 secret: group.secret,
+                channelConfig: group.channelConfig || null,
                 status: group.status,
                 groupType: group.groupType,
+                mentions: group.mentions,
                 createdAt: group.createdAt
             }
         });
@@ -307,6 +340,42 @@ router.put('/:id', async (req, res) => {
             });
         }
         
+        if ('mentions' in updates) {
+            const mentionError = dingTalkBot.validateMentions(updates.mentions);
+            if (mentionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: mentionError
+                });
+            }
+            updates.mentions = dingTalkBot.normalizeMentions(updates.mentions);
+        }
+        
+        // 兼容下划线命名
+        if ('webhook_url' in updates && !('webhookUrl' in updates)) {
+            updates.webhookUrl = updates.webhook_url;
+        }
+        
+        if (['channelType', 'webhookUrl', 'channelConfig'].some(key => key in updates)) {
+            const channelType = updates.channelType || existingGroup.channelType || 'dingtalk';
+            const webhookUrl = 'webhookUrl' in updates ? updates.webhookUrl : existingGroup.webhookUrl;
+            const channelConfig = messageChannels.normalizeConfig(channelType,
+                'channelConfig' in updates ? updates.channelConfig : existingGroup.channelConfig);
+            const channelError = messageChannels.validateGroup({ channelType, webhookUrl, channelConfig });
+            if (channelError) {
+                return res.status(400).json({
+                    success: false,
+                    message: channelError
+                });
+            }
+            updates.channelType = channelType;
+            updates.channelConfig = channelConfig;
+            // 邮件渠道不需要 Webhook URL，不提交空值以免触发必填校验
+            if (!updates.webhookUrl) {
+                delete updates.webhookUrl;
+            }
+        }
+        
         // 如果更新名称，检查是否重复
         if (updates.name) {
             const duplicateGroup = await Group.findOne({ 
@@ -349,10 +418,13 @@ router.put('/:id', async (req, res) => {
                 id: group._id,
                 name: group.name,
                 description: group.description,
+                channelType: group.channelType || 'dingtalk',
                 webhookUrl: group.webhookUrl,
                 secret: group.secret,
+                channelConfig: group.channelConfig || null,
                 status: group.status,
                 groupType: group.groupType,
+                mentions: group.mentions,
                 updatedAt: group.updatedAt
             }
         });
@@ -446,12 +518,10 @@ router.post('/:id/test', async (req, res) => {
             });
         }
         
-        // 发送测试消息到钉钉
-        const dingTalkBot = require('../services/dingTalkBot');
+        // 按群组的发送渠道发送测试消息，带上群组默认的 @ 提醒便于确认是否生效
         const result = await dingTalkBot.sendMessage(
-            group.webhookUrl,
-            `[测试消息] ${message}`,
-            { secret: group.secret }  // 第三个参数应该是options对象
+            group,
+            dingTalkBot.composeMessage('text', null, `[测试消息] ${message}`, group.mentions)
         );
         
         if (result.success) {
@@ -0,0 +1,329 @@
+/**
+ * MongoDB节假日管理API
+ * 维护自定义节假日和调休上班日，变更后由主节点在后台刷新任务调度
+ */
+
+const express = require('express');
+const router = express.Router();
+const holidayManager = require('../services/holidayManager');
+const cronicleScheduler = require('../services/cronicleScheduler');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const logger = require('../utils/logger');
+
+const HOLIDAY_TYPES = ['legal', 'custom', 'workday'];
+
+/**
+ * 校验节假日数据，返回错误信息，校验通过返回null
+ * @param {Object} data - { date, name, type }
+ * @param {boolean} partial - 更新时只校验提交的字段
+ */
+function validateHoliday(data, partial = false) {
+    if ((!partial || data.date !== undefined) && !holidayManager.parseDate(data.date)) {
+        return `日期格式无效: ${data.date}，应为 YYYY-MM-DD`;
+    }
+    if ((!partial || data.type !== undefined) && data.type && !HOLIDAY_TYPES.includes(data.type)) {
+        return `节假日类型无效: ${data.type}`;
+    }
+    return null;
+}
+
+/**
+ * 节假日变更后请求主节点刷新调度，不等待刷新完成，失败不影响接口返回
+ */
+async function refreshSchedules() {
+    try {
+        await cronicleScheduler.requestHolidayRefresh();
+    } catch (error) {
+        logger.error('节假日变更后请求刷新调度失败:', error);
+    }
+}
+
+/**
+ * 获取节假日列表
+ * GET /api/mongo/holidays?year=2025&month=10
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { year, month } = req.query;
+
+        if (month && !year) {
+            return res.status(400).json({
+                success: false,
+                message: '按月份查询时必须指定年份'
+            });
+        }
+
+        const holidays = await holidayManager.listHolidays({ year, month });
+
+        res.json({
+            success: true,
+            data: {
+                holidays,
+                total: holidays.length,
+                stats: {
+                    legal: holidays.filter(h => h.type === 'legal').length,
+                    custom: holidays.filter(h => h.type === 'custom').length,
+                    workday: holidays.filter(h => h.type === 'workday').length
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('获取节假日列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取节假日列表失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取指定月份实际生效的节假日和调休上班日（内置配置 + 自定义）
+ * GET /api/mongo/holidays/calendar/:year/:month
+ */
+router.get('/calendar/:year/:month', async (req, res) => {
+    try {
+        const year = parseInt(req.params.year);
+        const month = parseInt(req.params.month);
+
+        if (!year || !month || month < 1 || month > 12) {
+            return res.status(400).json({
+                success: false,
+                message: '年份或月份无效'
+            });
+        }
+
+        await holidayManager.ensureLoaded();
+        const days = await holidayManager.getMonthHolidays(year, month);
+
+        res.json({
+            success: true,
+            data: days
+        });
+    } catch (error) {
+        logger.error('获取节假日日历失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取节假日日历失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取内置的节假日安排
+ * GET /api/mongo/holidays/defaults?year=2025
+ */
+router.get('/defaults', async (req, res) => {
+    try {
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+
+        res.json({
+            success: true,
+            data: holidayManager.getDefaultHolidays(year)
+        });
+    } catch (error) {
+        logger.error('获取默认节假日失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取默认节假日失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 批量导入节假日
+ * POST /api/mongo/holidays/batch
+ * body: { year 或 years, holidays: [{ date, name, type, description }], replace }
+ */
+router.post('/batch', adminMiddleware, async (req, res) => {
+    try {
+        const { holidays, replace = false } = req.body;
+        const years = (Array.isArray(req.body.years) ? req.body.years : [req.body.year])
+            .map(year => parseInt(year))
+            .filter(Boolean);
+
+        if (!Array.isArray(holidays)) {
+            return res.status(400).json({
+                success: false,
+                message: 'holidays 必须是数组'
+            });
+        }
+        if (replace && years.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: '替换导入时必须指定年份'
+            });
+        }
+
+        const errors = [];
+        const seen = new Set();
+        holidays.forEach((item, index) => {
+            const error = validateHoliday(item || {});
+            if (error) {
+                errors.push(`第 ${index + 1} 条: ${error}`);
+                return;
+            }
+
+            const date = holidayManager.parseDate(item.date);
+            const dateStr = holidayManager.formatDate(date);
+            if (years.length > 0 && !years.includes(date.getFullYear())) {
+                errors.push(`第 ${index + 1} 条: ${dateStr} 不属于 ${years.join('、')} 年`);
+            }
+            if (seen.has(dateStr)) {
+                errors.push(`第 ${index + 1} 条: ${dateStr} 重复`);
+            }
+            seen.add(dateStr);
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: '节假日数据校验失败',
+                errors
+            });
+        }
+
+        const result = await holidayManager.importHolidays(holidays, {
+            years,
+            replace,
+            userId: req.user?.mongoId || req.user?.id
+        });
+        await refreshSchedules();
+
+        res.json({
+            success: true,
+            message: `成功导入 ${result.imported} 条节假日`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('批量导入节假日失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '批量导入节假日失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 添加节假日或调休上班日
+ * POST /api/mongo/holidays
+ */
+router.post('/', adminMiddleware, async (req, res) => {
+    try {
+        const { date, name = '', type = 'custom', description = '' } = req.body;
+
+        const validationError = validateHoliday({ date, type });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const holiday = await holidayManager.addCustomHoliday(
+            date,
+            name,
+            req.user?.mongoId || req.user?.id,
+            { type, description }
+        );
+        await refreshSchedules();
+
+        res.json({
+            success: true,
+            message: '节假日添加成功',
+            data: holiday
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: '该日期已存在节假日配置'
+            });
+        }
+        logger.error('添加节假日失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '添加节假日失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 更新节假日
+ * PUT /api/mongo/holidays/:id
+ */
+router.put('/:id', adminMiddleware, async (req, res) => {
+    try {
+        const validationError = validateHoliday(req.body, true);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const holiday = await holidayManager.updateCustomHoliday(req.params.id, req.body);
+        if (!holiday) {
+            return res.status(404).json({
+                success: false,
+                message: '节假日不存在'
+            });
+        }
+        await refreshSchedules();
+
+        res.json({
+            success: true,
+            message: '节假日更新成功',
+            data: holiday
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: '该日期已存在节假日配置'
+            });
+        }
+        logger.error('更新节假日失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '更新节假日失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 删除节假日
+ * DELETE /api/mongo/holidays/:id
+ */
+router.delete('/:id', adminMiddleware, async (req, res) => {
+    try {
+        const holiday = await holidayManager.removeCustomHoliday(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({
+                success: false,
+                message: '节假日不存在'
+            });
+        }
+        await refreshSchedules();
+
+        res.json({
+            success: true,
+            message: '节假日删除成功',
+            data: holiday
+        });
+    } catch (error) {
+        logger.error('删除节假日失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '删除节假日失败',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
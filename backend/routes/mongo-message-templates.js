@@ -0,0 +1,302 @@
+/**
+ * MongoDB消息模板库API
+ * 模板支持私有/共享、自定义变量和历史版本，任务通过 messageTemplateId 引用
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { MessageTemplate } = require('../models/mongodb');
+const messageTemplateService = require('../services/messageTemplateService');
+const logger = require('../utils/logger');
+
+/**
+ * 按ID读取模板并检查权限，失败时直接返回错误响应
+ * @param {string} access - view 查看，edit 修改
+ * @returns {Promise<Object|null>} 模板文档
+ */
+async function findTemplate(req, res, access = 'view') {
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await MessageTemplate.findById(req.params.id)
+        : null;
+    if (!template || !messageTemplateService.canView(template, req.user)) {
+        res.status(404).json({
+            success: false,
+            message: '消息模板不存在'
+        });
+        return null;
+    }
+    if (access === 'edit' && !messageTemplateService.canEdit(template, req.user)) {
+        res.status(403).json({
+            success: false,
+            message: '只有模板创建者和管理员可以修改模板'
+        });
+        return null;
+    }
+    return template;
+}
+
+/**
+ * 返回给前端的模板数据，列表中不含历史版本
+ */
+function toResponse(template, req, includeVersions = false) {
+    const data = template.toObject ? template.toObject() : { ...template };
+    if (!includeVersions) {
+        delete data.versions;
+    }
+    data.id = data._id;
+    data.canEdit = messageTemplateService.canEdit(template, req.user);
+    return data;
+}
+
+/**
+ * 获取模板列表：自己的模板和共享模板
+ * GET /api/mongo/message-templates?keyword=&messageType=&visibility=
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { keyword, messageType, visibility } = req.query;
+        const conditions = [messageTemplateService.getListQuery(req.user)];
+        if (keyword) {
+            const pattern = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+        }
+        if (messageType) {
+            conditions.push({ messageType });
+        }
+        if (visibility) {
+            conditions.push({ visibility });
+        }
+
+        const templates = await MessageTemplate.find({ $and: conditions })
+            .select('-versions')
+            .populate('owner', 'username')
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: templates.map(template => toResponse(template, req))
+        });
+    } catch (error) {
+        logger.error('获取消息模板列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取消息模板列表失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取模板详情，附带引用该模板的任务数量
+ * GET /api/mongo/message-templates/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            success: true,
+            data: {
+                ...toResponse(template, req),
+                taskCount: await messageTemplateService.countReferences(template._id)
+            }
+        });
+    } catch (error) {
+        logger.error('获取消息模板失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取消息模板失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 创建模板
+ * POST /api/mongo/message-templates
+ * body: { name, description, content, messageType, messageOptions, variables, visibility }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { values, error } = messageTemplateService.normalize(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const userId = messageTemplateService.getUserId(req.user);
+        const template = await MessageTemplate.create({
+            ...values,
+            owner: userId,
+            updatedBy: userId
+        });
+        logger.info(`创建消息模板: ${template.name} (${template._id})`);
+
+        res.json({
+            success: true,
+            message: '消息模板创建成功',
+            data: toResponse(template, req)
+        });
+    } catch (error) {
+        logger.error('创建消息模板失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '创建消息模板失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 修改模板，内容变化时生成新版本，引用的任务下次发送即使用新内容
+ * PUT /api/mongo/message-templates/:id
+ * body: 同创建，另可提交 note 作为版本说明
+ * 引用的任务缺少新的必填变量时返回 409，data.affectedTasks 列出这些任务和缺少的变量
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res, 'edit');
+        if (!template) return;
+
+        const { values, error } = messageTemplateService.normalize(req.body, template);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const affected = await messageTemplateService.checkReferencingTasks(template._id, values.variables);
+        if (affected.error) {
+            return res.status(409).json({
+                success: false,
+                message: affected.error,
+                data: { affectedTasks: affected.tasks }
+            });
+        }
+
+        const versioned = messageTemplateService.applyUpdate(template, values, req.user, req.body.note);
+        await template.save();
+        logger.info(`修改消息模板: ${template.name} (${template._id})${versioned ? `，当前版本 ${template.version}` : ''}`);
+
+        res.json({
+            success: true,
+            message: versioned ? `消息模板已更新为版本 ${template.version}` : '消息模板更新成功',
+            data: toResponse(template, req)
+        });
+    } catch (error) {
+        logger.error('修改消息模板失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '修改消息模板失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 删除模板，仍有任务引用时拒绝删除
+ * DELETE /api/mongo/message-templates/:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res, 'edit');
+        if (!template) return;
+
+        const taskCount = await messageTemplateService.countReferences(template._id);
+        if (taskCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `有 ${taskCount} 个任务正在使用该模板，请先修改这些任务后再删除`
+            });
+        }
+
+        await template.deleteOne();
+        logger.info(`删除消息模板: ${template.name} (${template._id})`);
+
+        res.json({
+            success: true,
+            message: '消息模板删除成功'
+        });
+    } catch (error) {
+        logger.error('删除消息模板失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '删除消息模板失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取历史版本，第一条为当前版本
+ * GET /api/mongo/message-templates/:id/versions
+ */
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            success: true,
+            data: messageTemplateService.getVersions(template)
+        });
+    } catch (error) {
+        logger.error('获取消息模板版本失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取消息模板版本失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 恢复到历史版本（作为新版本保存）
+ * POST /api/mongo/message-templates/:id/versions/:version/restore
+ */
+router.post('/:id/versions/:version/restore', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res, 'edit');
+        if (!template) return;
+
+        const error = messageTemplateService.restore(template, req.params.version, req.user);
+        if (error) {
+            return res.status(404).json({
+                success: false,
+                message: error
+            });
+        }
+        const affected = await messageTemplateService.checkReferencingTasks(
+            template._id, messageTemplateService.toPlain(template.variables));
+        if (affected.error) {
+            return res.status(409).json({
+                success: false,
+                message: affected.error,
+                data: { affectedTasks: affected.tasks }
+            });
+        }
+        await template.save();
+        logger.info(`消息模板 ${template.name} (${template._id}) 恢复到版本 ${req.params.version}，当前版本 ${template.version}`);
+
+        res.json({
+            success: true,
+            message: `已恢复到版本 ${req.params.version}`,
+            data: toResponse(template, req)
+        });
+    } catch (error) {
+        logger.error('恢复消息模板版本失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '恢复消息模板版本失败',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
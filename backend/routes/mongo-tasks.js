@@ -10,73 +10,113 @@ const { Task, Group, User, ExecutionHistory, mongoose, connect } = require('../m
 // 使用Cronicle调度器
 const cronicleScheduler = require('../services/cronicleScheduler');
 const scheduleRuleConverter = require('../services/scheduleRuleConverter');
+const naturalRuleParser = require('../services/naturalRuleParser');
+const rruleConverter = require('../services/rruleConverter');
+const executionHistoryService = require('../services/executionHistoryService');
+const taskLifecycleService = require('../services/taskLifecycleService');
+const occurrenceExceptionService = require('../services/occurrenceExceptionService');
+const dingTalkBot = require('../services/dingTalkBot');
+const messageTemplateEngine = require('../services/messageTemplateEngine');
+const messageTemplateService = require('../services/messageTemplateService');
+const holidayManager = require('../services/holidayManager');
 
 // 获取调度器实例
 const getScheduler = () => cronicleScheduler;
+// 当前操作用户ID（记录状态变更人）
+const getOperatorId = (req) => req.user?.mongoId || req.user?.id;
 const logger = require('../utils/logger');
 
-// 辅助函数：计算下次执行时间
+// 辅助函数：计算下次执行时间（与调度器使用同一套逻辑，覆盖全部执行时间）
 async function calculateNextRunTime(scheduleRule, task) {
     try {
         if (!scheduleRule) return null;
         
-        // 如果是工作表任务，使用调度器的计算方法
-        if (task && task.type === 'worksheet') {
-            const scheduler = await getScheduler();
-            const checker = require('../services/scheduleRuleChecker');
-            if (scheduler && scheduler.calculateNextRunTime) {
-                return await scheduler.calculateNextRunTime(scheduleRule, checker, task);
-            }
-        }
-        
-        // 简单任务的计算逻辑
-        // 使用scheduleRuleChecker来判断今天是否应该执行
+        const scheduler = await getScheduler();
         const checker = require('../services/scheduleRuleChecker');
-        const today = new Date();
-        const shouldRunToday = checker.shouldRunToday(scheduleRule, today);
-        
-        if (shouldRunToday) {
-            // 如果今天应该执行，检查执行时间
-            const executionTimes = scheduleRule.executionTimes || [];
-            if (executionTimes.length > 0) {
-                const now = new Date();
-                for (const time of executionTimes) {
-                    const [hours, minutes] = time.split(':').map(Number);
-                    const nextRun = new Date(today);
-                    nextRun.setHours(hours, minutes, 0, 0);
-                    
-                    if (nextRun > now) {
-                        return nextRun;
-                    }
-                }
-            }
-        }
-        
-        // 查找下一个执行日期
-        for (let i = 1; i <= 365; i++) {
-            const checkDate = new Date(today);
-            checkDate.setDate(checkDate.getDate() + i);
-            
-            if (checker.shouldRunToday(scheduleRule, checkDate)) {
-                const executionTimes = scheduleRule.executionTimes || [];
-                if (executionTimes.length > 0) {
-                    const [hours, minutes] = executionTimes[0].split(':').map(Number);
-                    checkDate.setHours(hours, minutes, 0, 0);
-                    return checkDate;
-                }
-                // 如果没有执行时间，默认设置为早上9点
-                checkDate.setHours(9, 0, 0, 0);
-                return checkDate;
-            }
-        }
-        
-        return null;
+        return await scheduler.calculateNextRunTime(scheduleRule, checker, task);
     } catch (error) {
         logger.error('计算下次执行时间失败:', error);
         return null;
     }
 }
 
+// 辅助函数：校验调度规则中的 cron 表达式和日内重复时段，返回错误信息，合法时返回 null
+function getScheduleRuleError(scheduleRule) {
+    if (!scheduleRule) return null;
+    
+    const checker = require('../services/scheduleRuleChecker');
+    if ((scheduleRule.rule_type || scheduleRule.ruleType) === 'cron') {
+        const { valid, error } = checker.validateCronExpression(scheduleRule.cron);
+        return valid ? null : error;
+    }
+    if (Array.isArray(scheduleRule.timeWindows) && scheduleRule.timeWindows.length > 0) {
+        const { valid, error } = checker.validateTimeWindows(scheduleRule.timeWindows);
+        return valid ? null : error;
+    }
+    return null;
+}
+
+// 辅助函数：校验启用/关闭时间，返回错误信息，合法时返回 null
+function getActiveWindowError(activeFrom, activeUntil) {
+    const from = activeFrom ? new Date(activeFrom) : null;
+    const until = activeUntil ? new Date(activeUntil) : null;
+    if ((from && isNaN(from.getTime())) || (until && isNaN(until.getTime()))) {
+        return '启用时间或关闭时间格式无效';
+    }
+    if (from && until && until < from) {
+        return '关闭时间不能早于启用时间';
+    }
+    return null;
+}
+
+// 辅助函数：群组的发送渠道，群组不存在时返回 null（只做通用校验，群组由后续逻辑校验）
+async function getGroupChannelType(groupId) {
+    const id = groupId?._id || groupId;
+    if (!id || !mongoose.Types.ObjectId.isValid(String(id))) {
+        return null;
+    }
+    const group = await Group.findById(id).select('channelType').lean();
+    return group ? group.channelType || 'dingtalk' : null;
+}
+
+// 辅助函数：校验任务的消息模板、消息类型和 @ 提醒，返回错误信息，合法时返回 null
+// 工作表任务的正文来自工作表（解析时逐行校验），这里只校验任务上的卡片字段和 @ 提醒
+// channelType 为任务所属群组的发送渠道，按渠道的限制校验卡片字段
+function getMessageFormatError({ contentSource, messageType, messageOptions, messageContent, mentions, channelType }) {
+    const template = messageTemplateEngine.validate(messageContent);
+    if (!template.valid) {
+        return `消息模板有误：${template.errors.join('；')}`;
+    }
+    
+    if (!messageType || messageType === 'text') {
+        return dingTalkBot.validateMentions(mentions);
+    }
+    
+    const content = contentSource === 'worksheet' ? '工作表消息' : messageContent;
+    return dingTalkBot.validateMessage(dingTalkBot.composeMessage(messageType, messageOptions, content, mentions), channelType);
+}
+
+// 辅助函数：状态变更后同步调度器，运行中的任务重新调度，其他状态移除作业
+async function syncTaskSchedule(task) {
+    const scheduler = await getScheduler();
+    if (!scheduler) return;
+    
+    if (task.status === 'active') {
+        const populatedTask = await Task.findById(task._id).populate('groupId').populate('fileConfig.fileId');
+        await scheduler.scheduleTask(populatedTask);
+    } else {
+        await scheduler.cancelTask(task._id.toString());
+    }
+}
+
+// 辅助函数：单次执行调整涉及今天时重新调度，以后日期的调整由每日加载处理
+async function syncTodayExceptions(task, exception) {
+    const today = occurrenceExceptionService.normalizeDate(new Date());
+    if (exception.date === today || exception.newDate === today) {
+        await syncTaskSchedule(task);
+    }
+}
+
 // MongoDB连接状态检查中间件 - 确保连接已建立
 const checkMongoConnection = async (req, res, next) => {
     try {
@@ -127,6 +167,30 @@ router.post('/', checkMongoConnection, async (req, res) => {
             });
         }
         
+        const channelType = await getGroupChannelType(groupId);
+        const ruleError = getScheduleRuleError(scheduleRule) ||
+            getActiveWindowError(req.body.activeFrom, req.body.activeUntil) ||
+            getMessageFormatError({
+                ...req.body,
+                contentSource: contentSource || (fileConfig ? 'worksheet' : 'manual'),
+                channelType
+            });
+        if (ruleError) {
+            return res.status(400).json({
+                success: false,
+                message: ruleError
+            });
+        }
+        
+        const templateError = await messageTemplateService.getReferenceError(
+            req.body.messageTemplateId, req.body.templateVariables, req.user);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError
+            });
+        }
+        
         // 验证群组是否存在
         let group;
         try {
@@ -171,17 +235,22 @@ router.post('/', checkMongoConnection, async (req, res) => {
             description,
             groupId,
             messageContent,
+            messageTemplateId: req.body.messageTemplateId || null,
+            templateVariables: req.body.templateVariables || {},
+            messageType: req.body.messageType || 'text',
+            messageOptions: req.body.messageOptions,
+            mentions: dingTalkBot.normalizeMentions(req.body.mentions),
             priority,
-            status,
             relatedTaskId: relatedTaskId || null,  // 添加关联任务ID
             relationshipType: relatedTaskId ? relationshipType : null,  // 只有有关联时才设置类型
             contentSource: finalContentSource,  // 使用计算后的内容源
             reminderTime: req.body.reminderTime,
             fileConfig: fileConfig || {},  // 直接使用从req.body提取的fileConfig
-            effectiveDate: req.body.effectiveDate,
-            expiryDate: req.body.expiryDate,
+            activeFrom: req.body.activeFrom || null,
+            activeUntil: req.body.activeUntil || null,
             enableRetry: req.body.enableRetry !== false,
             enableLogging: req.body.enableLogging || false,
+            catchUpPolicy: req.body.catchUpPolicy,
             scheduleRule: {
                 ruleType: scheduleRule.rule_type || scheduleRule.ruleType || 'by_day',
                 ruleConfig: scheduleRule.rule_config || scheduleRule.ruleConfig || {},
@@ -190,15 +259,20 @@ router.post('/', checkMongoConnection, async (req, res) => {
                 intervalMode: scheduleRule.interval_mode || scheduleRule.intervalMode || { value: 1, unit: 'days', referenceDate: '' },
                 months: scheduleRule.months || [],
                 quarters: scheduleRule.quarters || [],
+                quarterMode: scheduleRule.quarterMode,
+                lunarMode: scheduleRule.lunarMode,
+                cron: scheduleRule.cron ? scheduleRule.cron.trim() : undefined,
                 excludeSettings: scheduleRule.excludeSettings || {
                     excludeHolidays: excludeHolidays || scheduleRule.excludeHolidays || false,
                     excludeWeekends: scheduleRule.excludeWeekends || false,
                     specificDates: scheduleRule.specificDates || []
                 },
+                onHoliday: scheduleRule.onHoliday || 'skip',
                 // 工作表任务不设置固定执行时间，执行时间由工作表内容决定
                 // 简单任务才需要固定执行时间
                 executionTime: finalType === 'worksheet' ? null : (scheduleRule.executionTime || req.body.reminderTime || '09:00'),
-                executionTimes: finalType === 'worksheet' ? [] : (scheduleRule.executionTimes || [scheduleRule.executionTime || req.body.reminderTime || '09:00'])
+                executionTimes: finalType === 'worksheet' ? [] : (scheduleRule.executionTimes || [scheduleRule.executionTime || req.body.reminderTime || '09:00']),
+                timeWindows: finalType === 'worksheet' ? [] : (scheduleRule.timeWindows || [])
             },
             createdBy: req.user?.mongoId || req.user?.id // 使用MongoDB用户ID
         };
@@ -223,6 +297,9 @@ router.post('/', checkMongoConnection, async (req, res) => {
         
         const task = new Task(taskData);
         
+        // 初始状态由启用/关闭时间决定，请求暂停的任务保持暂停
+        taskLifecycleService.initializeStatus(task, status, getOperatorId(req));
+        
         // 计算下次执行时间
         const nextRunAt = await calculateNextRunTime(taskData.scheduleRule, task);
         if (nextRunAt) {
@@ -250,6 +327,10 @@ router.post('/', checkMongoConnection, async (req, res) => {
                 weekMode: scheduleRule.weekMode || scheduleRule.week_mode,
                 intervalMode: scheduleRule.intervalMode || scheduleRule.interval_mode,
                 months: scheduleRule.months,
+                quarters: scheduleRule.quarters,
+                quarterMode: scheduleRule.quarterMode,
+                lunarMode: scheduleRule.lunarMode,
+                cron: scheduleRule.cron,
                 // 工作表任务执行时间由工作表内容决定，不设置固定时间
                 // 简单任务才需要固定执行时间
                 // 注意：executionTimes是数组，取第一个值
@@ -283,8 +364,8 @@ router.post('/', checkMongoConnection, async (req, res) => {
         // 确保调度器已初始化
         const currentScheduler = await getScheduler();
         
-        // 在调度器中创建任务（如果转换成功）
-        if (scheduleConfig && currentScheduler) {
+        // 在调度器中创建任务（如果转换成功），待启用、已暂停等状态的任务由每日加载或启用时调度
+        if (scheduleConfig && currentScheduler && task.status === 'active') {
             try {
                 logger.info('开始创建调度任务，配置:', {
                     taskId: task._id.toString(),
@@ -306,7 +387,8 @@ router.post('/', checkMongoConnection, async (req, res) => {
         } else {
             logger.warn('跳过调度器任务创建:', {
                 hasConfig: !!scheduleConfig,
-                isInitialized: !!currentScheduler
+                isInitialized: !!currentScheduler,
+                status: task.status
             });
         }
         
@@ -323,6 +405,11 @@ router.post('/', checkMongoConnection, async (req, res) => {
                     nextRunAt: task.nextRunAt,
                     groupId: task.groupId,
                     messageContent: task.messageContent,
+                    messageType: task.messageType,
+                    messageOptions: task.messageOptions,
+                    mentions: task.mentions,
+                    messageTemplateId: task.messageTemplateId,
+                    templateVariables: task.templateVariables,
                     scheduleRule: task.scheduleRule,
                     createdBy: task.createdBy
                 }
@@ -396,12 +483,18 @@ router.get('/', async (req, res) => {
                 contentSource: task.contentSource,
                 reminderTime: task.reminderTime,
                 messageContent: task.messageContent,
+                messageType: task.messageType,
+                messageOptions: task.messageOptions,
+                mentions: task.mentions,
+                messageTemplateId: task.messageTemplateId,
+                templateVariables: task.templateVariables,
                 scheduleRule: task.scheduleRule,
                 fileConfig: task.fileConfig,
-                effectiveDate: task.effectiveDate,
-                expiryDate: task.expiryDate,
+                activeFrom: task.activeFrom,
+                activeUntil: task.activeUntil,
                 enableRetry: task.enableRetry,
                 enableLogging: task.enableLogging,
+                catchUpPolicy: task.catchUpPolicy,
                 nextRunAt: task.nextRunAt,
                 lastRunAt: task.lastRunAt,
                 createdBy: task.createdBy ? task.createdBy.username : null,
@@ -558,18 +651,24 @@ router.get('/:id', async (req, res) => {
                     type: task.type,
                     description: task.description,
                     messageContent: task.messageContent,
+                    messageType: task.messageType,
+                    messageOptions: task.messageOptions,
+                    mentions: task.mentions,
+                    messageTemplateId: task.messageTemplateId,
+                    templateVariables: task.templateVariables,
                     contentSource: task.contentSource,
                     reminderTime: task.reminderTime,
                     group: task.groupId,
                     groupId: task.groupId?._id, // 添加groupId字段供编辑使用
                     scheduleRule: task.scheduleRule,
                     fileConfig: task.fileConfig,
-                    effectiveDate: task.effectiveDate,
-                    expiryDate: task.expiryDate,
+                    activeFrom: task.activeFrom,
+                    activeUntil: task.activeUntil,
                     enableRetry: task.enableRetry,
                     enableLogging: task.enableLogging,
                     priority: task.priority,
                     status: task.status,
+                    statusHistory: task.statusHistory,
                     nextRunAt: task.nextRunAt,
                     lastRunAt: task.lastRunAt,
                     createdBy: task.createdBy,
@@ -593,7 +692,7 @@ router.get('/:id', async (req, res) => {
 /**
  * 更新任务
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', checkMongoConnection, async (req, res) => {
     try {
         const task = await Task.findById(req.params.id);
         
@@ -604,13 +703,82 @@ router.put('/:id', async (req, res) => {
             });
         }
         
+        // 权限检查：只有管理员或任务创建者才能更新任务
+        if (req.user.role !== 'admin' && 
+            task.createdBy?.toString() !== req.user.mongoId?.toString() && 
+            task.createdBy?.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: '您没有权限更新此任务'
+            });
+        }
+        
         // 更新字段
         const updates = req.body;
+        const channelType = await getGroupChannelType(updates.groupId || task.groupId);
+        const ruleError = getScheduleRuleError(updates.scheduleRule) ||
+            getActiveWindowError(
+                'activeFrom' in updates ? updates.activeFrom : task.activeFrom,
+                'activeUntil' in updates ? updates.activeUntil : task.activeUntil
+            ) ||
+            getMessageFormatError({
+                contentSource: updates.contentSource || task.contentSource,
+                messageType: 'messageType' in updates ? updates.messageType : task.messageType,
+                messageOptions: 'messageOptions' in updates ? updates.messageOptions : task.messageOptions,
+                messageContent: 'messageContent' in updates ? updates.messageContent : task.messageContent,
+                mentions: 'mentions' in updates ? updates.mentions : task.mentions,
+                channelType
+            });
+        if (ruleError) {
+            return res.status(400).json({
+                success: false,
+                message: ruleError
+            });
+        }
+        
+        // 只在修改了模板引用时校验，模板后来改为私有不影响已引用的任务
+        if ('messageTemplateId' in updates || 'templateVariables' in updates) {
+            const templateError = await messageTemplateService.getReferenceError(
+                'messageTemplateId' in updates ? updates.messageTemplateId : task.messageTemplateId,
+                'templateVariables' in updates ? updates.templateVariables : task.templateVariables,
+                req.user);
+            if (templateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: templateError
+                });
+            }
+        }
+        
+        // 状态和状态记录单独处理，保证每次变更都有记录
+        const previousStatus = task.status;
         Object.keys(updates).forEach(key => {
-            if (key !== '_id') {
+            if (!['_id', 'status', 'statusHistory'].includes(key)) {
                 task[key] = updates[key];
             }
         });
+        if ('mentions' in updates) {
+            task.mentions = dingTalkBot.normalizeMentions(updates.mentions);
+        }
+        if ('messageTemplateId' in updates) {
+            task.messageTemplateId = updates.messageTemplateId || null;
+        }
+        
+        if (updates.scheduleRule) {
+            // 按年间隔执行的规则记录基准年份，“仅当年执行”不会在次年重新开始
+            taskLifecycleService.anchorYearInterval(task);
+        }
+        
+        const lifecycleChanged = 'activeFrom' in updates || 'activeUntil' in updates || !!updates.scheduleRule;
+        if (updates.status === 'active' || (lifecycleChanged && taskLifecycleService.isAutoManaged(task))) {
+            // 启用或修改了启用期、规则：按启用期和规则重新确定状态
+            taskLifecycleService.enable(task, getOperatorId(req), '编辑任务');
+        } else if (updates.status) {
+            taskLifecycleService.changeStatus(task, updates.status, {
+                changedBy: getOperatorId(req),
+                reason: '编辑任务'
+            });
+        }
         
         // 计算下次执行时间
         if (task.scheduleRule) {
@@ -619,20 +787,10 @@ router.put('/:id', async (req, res) => {
         
         await task.save();
         
-        // 如果更新了调度规则，需要更新调度器任务
-        if (updates.scheduleRule) {
-            // 获取调度器实例
-            const currentScheduler = await getScheduler();
-            
-            // 先从调度器中移除旧任务
-            if (currentScheduler) {
-                await currentScheduler.cancelTask(task._id.toString());
-            }
-            
-            // 重新调度任务，需要填充groupId
-            const populatedTask = await Task.findById(task._id).populate('groupId').populate('fileConfig.fileId');
-            await currentScheduler.scheduleTask(populatedTask);
-            logger.info('任务调度规则已更新:', task._id.toString());
+        // 如果更新了调度规则、启用期或状态，需要更新调度器任务
+        if (lifecycleChanged || task.status !== previousStatus) {
+            await syncTaskSchedule(task);
+            logger.info('任务调度已更新:', task._id.toString());
         }
         
         res.json({
@@ -709,12 +867,13 @@ router.post('/:id/pause', async (req, res) => {
             await scheduler.cancelTask(task._id.toString());
         }
         
-        task.status = 'paused';
+        taskLifecycleService.changeStatus(task, 'paused', { changedBy: getOperatorId(req), reason: '手动暂停' });
         await task.save();
         
         res.json({
             success: true,
-            message: '任务已暂停'
+            message: '任务已暂停',
+            data: { status: task.status }
         });
         
     } catch (error) {
@@ -741,18 +900,15 @@ router.post('/:id/resume', async (req, res) => {
             });
         }
         
-        // 恢复调度任务
-        const scheduler = await getScheduler();
-        if (scheduler) {
-            await scheduler.scheduleTask(task);
-        }
-        
-        task.status = 'active';
+        // 按启用期恢复：未到启用时间为待启用，已过关闭时间为已关闭
+        const status = taskLifecycleService.enable(task, getOperatorId(req), '手动恢复');
         await task.save();
+        await syncTaskSchedule(task);
         
         res.json({
             success: true,
-            message: '任务已恢复'
+            message: status === 'active' ? '任务已恢复' : `任务已恢复为${taskLifecycleService.getStatusLabel(status)}状态`,
+            data: { status }
         });
         
     } catch (error) {
@@ -800,79 +956,6 @@ router.post('/:id/run', async (req, res) => {
     }
 });
 
-/**
- * 更新任务
- */
-router.put('/:id', checkMongoConnection, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updates = req.body;
-        
-        // 查找任务
-        const task = await Task.findById(id);
-        
-        if (!task) {
-            return res.status(404).json({
-                success: false,
-                message: '任务不存在'
-            });
-        }
-        
-        // 权限检查：只有管理员或任务创建者才能更新任务
-        if (req.user.role !== 'admin' && 
-            task.createdBy?.toString() !== req.user.mongoId?.toString() && 
-            task.createdBy?.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: '您没有权限更新此任务'
-            });
-        }
-        
-        // 更新允许的字段
-        const allowedUpdates = ['name', 'description', 'status', 'priority', 'messageContent', 'scheduleRule', 'relatedTaskId', 'relationshipType'];
-        Object.keys(updates).forEach(key => {
-            if (allowedUpdates.includes(key)) {
-                task[key] = updates[key];
-            }
-        });
-        
-        task.updatedAt = new Date();
-        await task.save();
-        
-        // 如果状态改变，更新调度任务
-        if (updates.status && task._id) {
-            try {
-                const scheduler = await getScheduler();
-                if (scheduler) {
-                    if (updates.status === 'paused') {
-                        await scheduler.cancelTask(task._id.toString());
-                    } else if (updates.status === 'active') {
-                        // 需要填充groupId信息
-                        const populatedTask = await Task.findById(task._id).populate('groupId').populate('fileConfig.fileId');
-                        await scheduler.scheduleTask(populatedTask);
-                    }
-                }
-            } catch (error) {
-                logger.error('更新调度任务状态失败:', error);
-            }
-        }
-        
-        res.json({
-            success: true,
-            message: '任务更新成功',
-            data: task
-        });
-        
-    } catch (error) {
-        logger.error('更新任务失败:', error);
-        res.status(500).json({
-            success: false,
-            message: '更新任务失败',
-            error: error.message
-        });
-    }
-});
-
 /**
  * 删除任务
  */
@@ -1144,42 +1227,41 @@ router.post('/batch-toggle-status', checkMongoConnection, async (req, res) => {
         
         logger.info(`批量切换任务状态为 ${targetStatus}: ${taskIds.join(', ')}`);
         
-        // 更新数据库中的状态
-        const result = await Task.updateMany(
-            { _id: { $in: taskIds } },
-            { 
-                $set: { 
-                    status: targetStatus,
-                    updatedAt: new Date()
-                } 
-            }
-        );
-        
-        // 更新调度器中的任务状态
+        // 逐个更新状态，记录每个任务的状态变更；启用时按启用期确定实际状态
+        const tasks = await Task.find({ _id: { $in: taskIds } });
+        const operatorId = getOperatorId(req);
+        let modifiedCount = 0;
         let schedulerUpdated = 0;
-        for (const taskId of taskIds) {
+        for (const task of tasks) {
+            const changed = targetStatus === 'active'
+                ? taskLifecycleService.changeStatus(task, taskLifecycleService.getScheduledStatus(task), {
+                    changedBy: operatorId,
+                    reason: '批量启用'
+                })
+                : taskLifecycleService.changeStatus(task, 'paused', { changedBy: operatorId, reason: '批量暂停' });
+            if (!changed) continue;
+            
+            task.updatedAt = new Date();
+            await task.save();
+            modifiedCount++;
+            
+            // 更新调度器中的任务状态
             try {
-                if (targetStatus === 'active') {
-                    const task = await Task.findById(taskId);
-                    if (task) {
-                        schedulerUpdated++;
-                    }
-                } else {
-                    schedulerUpdated++;
-                }
+                await syncTaskSchedule(task);
+                schedulerUpdated++;
             } catch (error) {
-                logger.warn(`更新调度器任务状态失败 ${taskId}:`, error.message);
+                logger.warn(`更新调度器任务状态失败 ${task._id}:`, error.message);
             }
         }
         
-        logger.info(`批量状态切换完成: 数据库更新${result.modifiedCount}个，调度器更新${schedulerUpdated}个`);
+        logger.info(`批量状态切换完成: 数据库更新${modifiedCount}个，调度器更新${schedulerUpdated}个`);
         
         res.json({
             success: true,
-            message: `成功${targetStatus === 'active' ? '启用' : '暂停'}${result.modifiedCount}个任务`,
-            successCount: result.modifiedCount,
+            message: `成功${targetStatus === 'active' ? '启用' : '暂停'}${modifiedCount}个任务`,
+            successCount: modifiedCount,
             data: {
-                dbUpdated: result.modifiedCount,
+                dbUpdated: modifiedCount,
                 schedulerUpdated
             }
         });
@@ -1210,22 +1292,26 @@ router.post('/:id/toggle-status', checkMongoConnection, async (req, res) => {
             });
         }
         
-        const newStatus = task.status === 'active' ? 'paused' : 'active';
+        // 运行中、待启用的任务暂停，其他状态按启用期重新启用
+        const operatorId = getOperatorId(req);
+        if (['active', 'pending'].includes(task.status)) {
+            taskLifecycleService.changeStatus(task, 'paused', { changedBy: operatorId, reason: '手动暂停' });
+        } else {
+            taskLifecycleService.enable(task, operatorId);
+        }
+        const newStatus = task.status;
         
-        task.status = newStatus;
         task.updatedAt = new Date();
         await task.save();
         
         // 更新调度器
-        if (newStatus === 'active') {
-        } else {
-        }
+        await syncTaskSchedule(task);
         
         logger.info(`任务状态切换: ${task.name} -> ${newStatus}`);
         
         res.json({
             success: true,
-            message: `任务已${newStatus === 'active' ? '启用' : '暂停'}`,
+            message: newStatus === 'paused' ? '任务已暂停' : `任务已启用，当前状态：${taskLifecycleService.getStatusLabel(newStatus)}`,
             data: {
                 task: {
                     id: task._id,
@@ -1304,63 +1390,21 @@ router.get('/:id/execution-plans', checkMongoConnection, async (req, res) => {
             });
         }
         
-        // 生成执行计划（由于工作表任务的特殊性，只生成当天的计划）
-        const plans = [];
-        const today = new Date();
-        
-        // 如果指定了日期范围，使用开始日期；否则使用今天
-        const targetDate = startDate ? new Date(startDate) : today;
-        
-        // 获取任务的提醒时间，支持多种字段名
-        const reminderTime = task.reminderTime || task.time || task.schedule_time || '09:00';
-        
-        // 判断当天是否需要执行
-        if (task.status === 'active') {
-            const scheduleType = task.scheduleType || task.schedule_type || 'daily';
-            const targetDay = targetDate.getDay(); // 0是周日，1-6是周一到周六
-            let shouldExecuteToday = false;
-            
-            // 根据调度类型判断今天是否执行
-            if (scheduleType === 'daily' || scheduleType === 'everyday') {
-                shouldExecuteToday = true;
-            } else if (scheduleType === 'weekly' && task.weekDays) {
-                // 检查今天是否在执行的星期几列表中
-                shouldExecuteToday = task.weekDays.includes(targetDay);
-            } else if (scheduleType === 'workday') {
-                // 工作日：周一到周五
-                shouldExecuteToday = targetDay >= 1 && targetDay <= 5;
-            } else if (scheduleType === 'weekend') {
-                // 周末：周六和周日
-                shouldExecuteToday = targetDay === 0 || targetDay === 6;
-            } else {
-                // 默认每天执行
-                shouldExecuteToday = true;
-            }
-            
-            // 只有当天需要执行时才生成计划
-            if (shouldExecuteToday) {
-                const todayStr = targetDate.toISOString().split('T')[0];
-                const currentTime = new Date();
-                const scheduledDateTime = new Date(`${todayStr}T${reminderTime}:00`);
-                
-                // 判断计划状态：如果已过执行时间则标记为已完成
-                let planStatus = 'pending';
-                if (scheduledDateTime < currentTime) {
-                    planStatus = 'completed';
-                }
-                
-                plans.push({
-                    id: `plan_${task._id}_${todayStr}`,
-                    scheduledDate: todayStr,
-                    scheduledTime: reminderTime,
-                    status: planStatus,
-                    messageContent: task.messageContent || task.message || '定时提醒',
-                    priorityOverride: task.priority || 'normal',
-                    generatedAt: new Date()
-                });
-            }
+        // 日期范围默认今天，最多预览92天
+        const rangeStart = executionHistoryService.parseDay(startDate) || executionHistoryService.parseDay(new Date());
+        let rangeEnd = executionHistoryService.parseDay(endDate, true) || executionHistoryService.parseDay(rangeStart, true);
+        const maxEnd = new Date(rangeStart);
+        maxEnd.setDate(maxEnd.getDate() + 91);
+        maxEnd.setHours(23, 59, 59, 999);
+        if (rangeEnd > maxEnd) {
+            rangeEnd = maxEnd;
         }
         
+        // 使用调度器的规则检查生成计划（节假日等排除设置与实际调度一致）
+        const plans = task.status === 'active'
+            ? await cronicleScheduler.getExecutionPlans(task, rangeStart, rangeEnd)
+            : [];
+        
         res.json({
             success: true,
             data: {
@@ -1378,15 +1422,12 @@ router.get('/:id/execution-plans', checkMongoConnection, async (req, res) => {
 });
 
 /**
- * 获取任务执行历史
- * GET /api/mongo/tasks/:id/execution-history
+ * 获取任务的单次执行例外
+ * GET /api/mongo/tasks/:id/occurrence-exceptions
  */
-router.get('/:id/execution-history', checkMongoConnection, async (req, res) => {
+router.get('/:id/occurrence-exceptions', checkMongoConnection, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { startDate, endDate, status, page = 1, limit = 20 } = req.query;
-        
-        const task = await Task.findById(id);
+        const task = await Task.findById(req.params.id).select('occurrenceExceptions');
         if (!task) {
             return res.status(404).json({
                 success: false,
@@ -1394,84 +1435,31 @@ router.get('/:id/execution-history', checkMongoConnection, async (req, res) => {
             });
         }
         
-        // 获取任务的提醒时间和消息内容
-        const reminderTime = task.reminderTime || task.time || task.schedule_time || '09:00';
-        const messageContent = task.messageContent || task.message || '定时提醒';
-        
-        // 只显示当天的执行历史
-        const history = [];
-        const today = new Date();
-        const todayStr = today.toISOString().split('T')[0];
-        
-        // 如果查询特定日期，使用查询日期；否则使用今天
-        const targetDate = startDate ? new Date(startDate) : today;
-        const targetDateStr = targetDate.toISOString().split('T')[0];
-        
-        // 如果任务有执行记录且是当天执行的
-        if (task.lastExecutedAt) {
-            const lastExecDate = new Date(task.lastExecutedAt);
-            const lastExecDateStr = lastExecDate.toISOString().split('T')[0];
-            
-            // 只显示目标日期的执行记录
-            if (lastExecDateStr === targetDateStr) {
-                history.push({
-                    id: `exec_${task._id}_${targetDateStr}`,
-                    scheduledDate: targetDateStr,
-                    scheduledTime: reminderTime,
-                    status: task.lastExecutionStatus === 'sent' ? 'completed' : (task.lastExecutionStatus || 'completed'),
-                    actualExecutionTime: lastExecDate.toISOString(),
-                    messageContent: messageContent,
-                    errorMessage: task.lastError || null,
-                    retryCount: 0
-                });
-            }
-        }
-        
-        // 如果今天已经过了执行时间但还没有执行记录，可以添加一条模拟记录
-        const currentTime = new Date();
-        const scheduledDateTime = new Date(`${targetDateStr}T${reminderTime}:00`);
-        
-        if (history.length === 0 && scheduledDateTime < currentTime && targetDateStr === todayStr) {
-            // 生成一条今天的执行记录
-            history.push({
-                id: `exec_${task._id}_${targetDateStr}`,
-                scheduledDate: targetDateStr,
-                scheduledTime: reminderTime,
-                status: 'completed',
-                actualExecutionTime: scheduledDateTime.toISOString(),
-                messageContent: messageContent,
-                errorMessage: null,
-                retryCount: 0
-            });
-        }
-        
         res.json({
             success: true,
             data: {
-                history: history.slice((page - 1) * limit, page * limit),
-                total: history.length
+                exceptions: [...task.occurrenceExceptions].sort((a, b) =>
+                    `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
             }
         });
     } catch (error) {
-        logger.error('获取执行历史失败:', error);
+        logger.error('获取单次执行例外失败:', error);
         res.status(500).json({
             success: false,
-            message: '获取执行历史失败',
+            message: '获取单次执行例外失败',
             error: error.message
         });
     }
 });
 
 /**
- * 重新生成执行计划
- * POST /api/mongo/tasks/:id/regenerate-plans
+ * 调整某一次执行：跳过、改期或修改消息，同一次执行已有调整时替换
+ * PUT /api/mongo/tasks/:id/occurrence-exceptions
+ * body: { date, time, action: skip|reschedule|override, newDate, newTime, messageContent, reason }
  */
-router.post('/:id/regenerate-plans', checkMongoConnection, async (req, res) => {
+router.put('/:id/occurrence-exceptions', checkMongoConnection, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { days = 30 } = req.body;
-        
-        const task = await Task.findById(id);
+        const task = await Task.findById(req.params.id);
         if (!task) {
             return res.status(404).json({
                 success: false,
@@ -1479,33 +1467,59 @@ router.post('/:id/regenerate-plans', checkMongoConnection, async (req, res) => {
             });
         }
         
-        // 重新生成计划的逻辑
-        logger.info(`重新生成任务 ${id} 的执行计划，天数: ${days}`);
+        const { exception, error } = occurrenceExceptionService.normalize(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        // 只能调整规则中尚未到期的执行
+        const dayStart = executionHistoryService.parseDay(exception.date);
+        const plans = await cronicleScheduler.getExecutionPlans(task, dayStart, executionHistoryService.parseDay(exception.date, true));
+        const plan = plans.find(item => !item.movedFrom &&
+            occurrenceExceptionService.normalizeTime(item.scheduledTime) === exception.time);
+        if (!plan) {
+            return res.status(400).json({
+                success: false,
+                message: `${exception.date} ${exception.time} 不是该任务的执行时间`
+            });
+        }
+        if (plan.scheduledAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: '该次执行已到期，不能再调整'
+            });
+        }
+        
+        occurrenceExceptionService.apply(task, exception, getOperatorId(req));
+        await task.save();
+        await syncTodayExceptions(task, exception);
         
+        logger.info(`任务 ${task.name} 调整单次执行: ${exception.date} ${exception.time} ${exception.action}`);
         res.json({
             success: true,
-            message: `成功重新生成${days}天的执行计划`
+            message: '已调整本次执行',
+            data: { exception: occurrenceExceptionService.find(task, exception.date, exception.time) }
         });
     } catch (error) {
-        logger.error('重新生成执行计划失败:', error);
+        logger.error('调整单次执行失败:', error);
         res.status(500).json({
             success: false,
-            message: '重新生成执行计划失败',
+            message: '调整单次执行失败',
             error: error.message
         });
     }
 });
 
 /**
- * 触发任务执行
- * POST /api/mongo/tasks/:id/trigger
+ * 取消某一次执行的调整，恢复原计划
+ * DELETE /api/mongo/tasks/:id/occurrence-exceptions/:date/:time
  */
-router.post('/:id/trigger', checkMongoConnection, async (req, res) => {
+router.delete('/:id/occurrence-exceptions/:date/:time', checkMongoConnection, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { planId, isRetry } = req.body;
-        
-        const task = await Task.findById(id).populate('groupId', 'name webhookUrl');
+        const task = await Task.findById(req.params.id);
         if (!task) {
             return res.status(404).json({
                 success: false,
@@ -1513,39 +1527,588 @@ router.post('/:id/trigger', checkMongoConnection, async (req, res) => {
             });
         }
         
-        // 触发任务执行
-        logger.info(`触发任务执行: ${id}, 计划ID: ${planId}, 是否重试: ${isRetry}`);
+        const exception = occurrenceExceptionService.find(task, req.params.date, req.params.time);
+        if (!exception) {
+            return res.status(404).json({
+                success: false,
+                message: '该次执行没有调整'
+            });
+        }
         
-        // 更新任务执行统计
-        task.lastExecutedAt = new Date();
-        task.lastExecutionStatus = 'sent';
-        task.executionCount = (task.executionCount || 0) + 1;
-        task.successCount = (task.successCount || 0) + 1;
+        occurrenceExceptionService.remove(task, exception.date, exception.time);
         await task.save();
+        await syncTodayExceptions(task, exception);
         
         res.json({
             success: true,
-            message: '任务执行已触发'
+            message: '已恢复原计划'
         });
     } catch (error) {
-        logger.error('触发任务执行失败:', error);
+        logger.error('取消单次执行调整失败:', error);
         res.status(500).json({
             success: false,
-            message: '触发任务执行失败',
+            message: '取消单次执行调整失败',
             error: error.message
         });
     }
 });
 
 /**
- * 获取全局即将执行的计划（从调度器获取实际作业）
- * GET /api/mongo/tasks/global/upcoming-plans
+ * 获取任务接下来的 N 次执行时间
+ * GET /api/mongo/tasks/:id/next-runs?count=5
  */
-router.get('/global/upcoming-plans', checkMongoConnection, async (req, res) => {
+router.get('/:id/next-runs', checkMongoConnection, async (req, res) => {
     try {
-        const { date } = req.query;
-        const cronicleScheduler = require('../services/cronicleScheduler');
-        
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+        
+        const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 50);
+        const scheduleRule = task.scheduleRule?.toObject ? task.scheduleRule.toObject() : task.scheduleRule;
+        
+        res.json({
+            success: true,
+            data: {
+                runs: cronicleScheduler.getNextRunTimes(scheduleRule, count)
+            }
+        });
+    } catch (error) {
+        logger.error('获取下次执行时间失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取下次执行时间失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 校验 cron 规则并预览接下来的执行时间（结合月份和排除设置）
+ * POST /api/mongo/tasks/cron/preview
+ * body: { scheduleRule, count }
+ */
+router.post('/cron/preview', async (req, res) => {
+    try {
+        const { scheduleRule = {}, count } = req.body;
+        const checker = require('../services/scheduleRuleChecker');
+        const { valid, error, times } = checker.validateCronExpression(scheduleRule.cron);
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        const limit = Math.min(Math.max(parseInt(count) || 5, 1), 50);
+        res.json({
+            success: true,
+            data: {
+                times,
+                runs: cronicleScheduler.getNextRunTimes({ ...scheduleRule, ruleType: 'cron' }, limit)
+            }
+        });
+    } catch (error) {
+        logger.error('预览cron规则失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '预览cron规则失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 将中文描述解析为调度规则（只解析，不保存）
+ * POST /api/mongo/tasks/rule/parse
+ * body: { text: '每月最后一个工作日下午3点', count: 10 }
+ */
+router.post('/rule/parse', async (req, res) => {
+    try {
+        const { text, count } = req.body;
+        let result;
+        try {
+            result = naturalRuleParser.parse(text, {
+                count: Math.min(Math.max(parseInt(count) || 10, 1), 50)
+            });
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('解析规则描述失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '解析规则描述失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 校验消息模板并预览发送效果（不保存）
+ * POST /api/mongo/tasks/template/preview
+ * body: { template, taskId, taskName, groupId, scheduleRule, date, count, variables }
+ * 提供 scheduleRule 时按接下来的执行时间预览，否则按 date（默认当前时间）预览一次
+ * variables 为消息模板库中模板的自定义变量取值 { 变量名: 值 }
+ */
+router.post('/template/preview', checkMongoConnection, async (req, res) => {
+    try {
+        const { template = '', taskId, scheduleRule, date, variables = {} } = req.body;
+        const { valid, errors } = messageTemplateEngine.validate(template, Object.keys(variables));
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                message: `消息模板有误：${errors.join('；')}`,
+                data: { errors, variables: messageTemplateEngine.getVariables() }
+            });
+        }
+        
+        let taskName = req.body.taskName;
+        let groupName;
+        let sentCount = 0;
+        if (taskId) {
+            const task = await Task.findById(taskId).populate('groupId');
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    message: '任务不存在'
+                });
+            }
+            taskName = taskName || task.name;
+            groupName = task.groupId?.name;
+            sentCount = await executionHistoryService.countCompleted(task._id);
+        }
+        if (req.body.groupId) {
+            const group = await Group.findById(req.body.groupId);
+            groupName = group ? group.name : groupName;
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.body.count) || 3, 1), 10);
+        const dates = scheduleRule ? cronicleScheduler.getNextRunTimes(scheduleRule, limit) : [];
+        if (dates.length === 0) {
+            dates.push(date ? new Date(date) : new Date());
+        }
+        
+        await holidayManager.ensureLoaded();
+        res.json({
+            success: true,
+            data: {
+                variables: messageTemplateEngine.getVariables(),
+                previews: dates.map((scheduledAt, index) => ({
+                    scheduledAt,
+                    text: messageTemplateEngine.render(template, {
+                        date: scheduledAt,
+                        taskName,
+                        groupName,
+                        occurrenceNo: sentCount + index + 1,
+                        variables
+                    }).text
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error('预览消息模板失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '预览消息模板失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 调度模拟：列出日期范围内会发送的全部提醒和被跳过的日期及原因（不发送消息）
+ * POST /api/mongo/tasks/simulate
+ * body: { taskId | all: true | scheduleRule, startDate, endDate }，日期范围最多366天
+ */
+router.post('/simulate', checkMongoConnection, async (req, res) => {
+    try {
+        const { taskId, all, scheduleRule, startDate, endDate } = req.body;
+        
+        const rangeStart = executionHistoryService.parseDay(startDate);
+        const rangeEnd = executionHistoryService.parseDay(endDate, true);
+        if (!rangeStart || !rangeEnd || rangeEnd < rangeStart) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供有效的开始日期和结束日期'
+            });
+        }
+        const maxEnd = new Date(rangeStart);
+        maxEnd.setDate(maxEnd.getDate() + 365);
+        maxEnd.setHours(23, 59, 59, 999);
+        if (rangeEnd > maxEnd) {
+            return res.status(400).json({
+                success: false,
+                message: '模拟的日期范围不能超过366天'
+            });
+        }
+        
+        let tasks;
+        if (taskId) {
+            const task = await Task.findById(taskId);
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    message: '任务不存在'
+                });
+            }
+            tasks = [task];
+        } else if (all) {
+            // 待启用的任务在启用日后也会执行，由启用期检查决定每天是否计入
+            tasks = await Task.find({ status: { $in: ['active', 'pending'] } });
+        } else if (scheduleRule) {
+            const ruleError = getScheduleRuleError(scheduleRule);
+            if (ruleError) {
+                return res.status(400).json({
+                    success: false,
+                    message: ruleError
+                });
+            }
+            tasks = [{ name: '草稿规则', type: 'simple', scheduleRule }];
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: '请指定任务ID、全部任务或调度规则'
+            });
+        }
+        
+        const result = await cronicleScheduler.simulateSchedule(tasks, rangeStart, rangeEnd);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('调度模拟失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '调度模拟失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 将调度规则导出为 iCalendar RRULE
+ * POST /api/mongo/tasks/rrule/export
+ * body: { scheduleRule, startDate }
+ */
+router.post('/rrule/export', async (req, res) => {
+    try {
+        const { scheduleRule, startDate } = req.body;
+        if (!scheduleRule || !scheduleRule.ruleType) {
+            return res.status(400).json({
+                success: false,
+                message: '缺少调度规则'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rruleConverter.toRRule(scheduleRule, { startDate })
+        });
+    } catch (error) {
+        logger.error('导出RRULE失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '导出RRULE失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 从 iCalendar RRULE 导入调度规则（只转换，不保存）
+ * POST /api/mongo/tasks/rrule/import
+ * body: { rrule: 'DTSTART:...\nRRULE:FREQ=...' }
+ */
+router.post('/rrule/import', async (req, res) => {
+    try {
+        const { rrule } = req.body;
+        let result;
+        try {
+            result = rruleConverter.fromRRule(rrule);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('导入RRULE失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '导入RRULE失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 导出任务的调度规则为 iCalendar RRULE
+ * GET /api/mongo/tasks/:id/rrule
+ */
+router.get('/:id/rrule', checkMongoConnection, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+
+        const scheduleRule = task.scheduleRule?.toObject ? task.scheduleRule.toObject() : task.scheduleRule;
+        if (!scheduleRule || !scheduleRule.ruleType) {
+            return res.status(400).json({
+                success: false,
+                message: '任务没有调度规则'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rruleConverter.toRRule(scheduleRule, {
+                startDate: req.query.startDate,
+                times: task.reminderTime ? [task.reminderTime] : []
+            })
+        });
+    } catch (error) {
+        logger.error('导出任务RRULE失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '导出任务RRULE失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取全局执行历史（读取ExecutionHistory记录）
+ * GET /api/mongo/tasks/global/execution-history
+ * 注意：必须注册在 /:id/execution-history 之前，否则会被其匹配
+ */
+router.get('/global/execution-history', checkMongoConnection, async (req, res) => {
+    try {
+        const { date, startDate, endDate, status, page = 1, limit = 20 } = req.query;
+        
+        // 未指定日期范围时默认查询今天
+        const result = await executionHistoryService.query({
+            date: startDate || endDate ? undefined : (date || new Date()),
+            startDate,
+            endDate,
+            status,
+            page,
+            limit
+        });
+        
+        res.json({
+            success: true,
+            data: result.records,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            summary: result.summary,
+            schedulerStatus: cronicleScheduler.initialized ? 'running' : 'stopped'
+        });
+    } catch (error) {
+        logger.error('获取全局执行历史失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取全局执行历史失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取任务执行历史
+ * GET /api/mongo/tasks/:id/execution-history
+ */
+router.get('/:id/execution-history', checkMongoConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { date, startDate, endDate, status, page = 1, limit = 20 } = req.query;
+        
+        const task = await Task.findById(id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+        
+        const result = await executionHistoryService.query({
+            taskId: task._id,
+            date,
+            startDate,
+            endDate,
+            status,
+            page,
+            limit
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                history: result.records,
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                summary: result.summary
+            }
+        });
+    } catch (error) {
+        logger.error('获取执行历史失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取执行历史失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取任务状态变更记录（最新的在前）
+ * GET /api/mongo/tasks/:id/status-history
+ */
+router.get('/:id/status-history', checkMongoConnection, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id)
+            .select('name status activeFrom activeUntil statusHistory')
+            .populate('statusHistory.changedBy', 'username');
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                status: task.status,
+                activeFrom: task.activeFrom,
+                activeUntil: task.activeUntil,
+                history: [...task.statusHistory].reverse().map(entry => ({
+                    from: entry.from,
+                    to: entry.to,
+                    changedAt: entry.changedAt,
+                    source: entry.source,
+                    changedBy: entry.changedBy ? entry.changedBy.username : null,
+                    reason: entry.reason
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error('获取状态变更记录失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取状态变更记录失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 重新生成执行计划
+ * POST /api/mongo/tasks/:id/regenerate-plans
+ */
+router.post('/:id/regenerate-plans', checkMongoConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { days = 30 } = req.body;
+        
+        const task = await Task.findById(id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+        
+        // 重新生成计划的逻辑
+        logger.info(`重新生成任务 ${id} 的执行计划，天数: ${days}`);
+        
+        res.json({
+            success: true,
+            message: `成功重新生成${days}天的执行计划`
+        });
+    } catch (error) {
+        logger.error('重新生成执行计划失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '重新生成执行计划失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 触发任务执行
+ * POST /api/mongo/tasks/:id/trigger
+ */
+router.post('/:id/trigger', checkMongoConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { planId, isRetry } = req.body;
+        
+        const task = await Task.findById(id).populate('groupId', 'name webhookUrl');
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: '任务不存在'
+            });
+        }
+        
+        // 触发任务执行
+        logger.info(`触发任务执行: ${id}, 计划ID: ${planId}, 是否重试: ${isRetry}`);
+        
+        // 更新任务执行统计
+        task.lastExecutedAt = new Date();
+        task.lastExecutionStatus = 'sent';
+        task.executionCount = (task.executionCount || 0) + 1;
+        task.successCount = (task.successCount || 0) + 1;
+        await task.save();
+        
+        res.json({
+            success: true,
+            message: '任务执行已触发'
+        });
+    } catch (error) {
+        logger.error('触发任务执行失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '触发任务执行失败',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 获取全局即将执行的计划（从调度器获取实际作业）
+ * GET /api/mongo/tasks/global/upcoming-plans
+ */
+router.get('/global/upcoming-plans', checkMongoConnection, async (req, res) => {
+    try {
+        const { date } = req.query;
+        const cronicleScheduler = require('../services/cronicleScheduler');
+        
         // 获取调度器中的所有作业
         const allJobs = [];
         const targetDate = date ? new Date(date) : new Date();
@@ -1558,27 +2121,21 @@ router.get('/global/upcoming-plans', checkMongoConnection, async (req, res) => {
             const jobTime = jobInfo.time || jobInfo.schedule_time || '09:00';
             const scheduledDateTime = new Date(`${targetDateStr}T${jobTime}:00`);
             
-            // 判断是否是今天的作业
             const jobType = jobInfo.type || 'simple';
-            let shouldShowToday = false;
-            
-            // 根据调度类型判断是否今天执行
-            const targetDay = targetDate.getDay();
-            const scheduleType = jobInfo.schedule || 'daily';
             
-            if (scheduleType === 'daily' || scheduleType === 'everyday') {
-                shouldShowToday = true;
-            } else if (scheduleType === 'weekly' && jobInfo.weekDays) {
-                shouldShowToday = jobInfo.weekDays.includes(targetDay);
-            } else if (scheduleType === 'workday') {
-                shouldShowToday = targetDay >= 1 && targetDay <= 5;
-            } else if (scheduleType === 'weekend') {
-                shouldShowToday = targetDay === 0 || targetDay === 6;
-            } else {
-                // 默认显示
-                shouldShowToday = true;
+            // 获取任务详情
+            let task = null;
+            if (jobInfo.taskId) {
+                try {
+                    task = await Task.findById(jobInfo.taskId).populate('groupId', 'name');
+                } catch (e) {
+                    // 忽略查找错误
+                }
             }
             
+            // 作业每天触发，是否在目标日期执行与调度器使用同一套规则判断
+            const shouldShowToday = task ? await cronicleScheduler.shouldTaskRunToday(task, targetDate) : true;
+            
             if (shouldShowToday) {
                 // 判断状态
                 let jobStatus = 'pending';
@@ -1586,23 +2143,15 @@ router.get('/global/upcoming-plans', checkMongoConnection, async (req, res) => {
                     jobStatus = 'completed';
                 }
                 
-                // 获取任务详情
                 let taskName = '未知任务';
                 let groupName = '默认群组';
                 let priority = 'normal';
                 let messageContent = jobInfo.message || '定时提醒';
                 
-                if (jobInfo.taskId) {
-                    try {
-                        const task = await Task.findById(jobInfo.taskId).populate('groupId', 'name');
-                        if (task) {
-                            taskName = task.name;
-                            groupName = task.groupId?.name || '默认群组';
-                            priority = task.priority || 'normal';
-                        }
-                    } catch (e) {
-                        // 忽略查找错误
-                    }
+                if (task) {
+                    taskName = task.name;
+                    groupName = task.groupId?.name || '默认群组';
+                    priority = task.priority || 'normal';
                 }
                 
                 // 对于工作表任务，显示具体的行信息
@@ -1654,163 +2203,6 @@ router.get('/global/upcoming-plans', checkMongoConnection, async (req, res) => {
     }
 });
 
-/**
- * 获取全局执行历史（从调度器获取实际执行的作业）
- * GET /api/mongo/tasks/global/execution-history
- */
-router.get('/global/execution-history', checkMongoConnection, async (req, res) => {
-    try {
-        const { date, status, page = 1, limit = 20 } = req.query;
-        const cronicleScheduler = require('../services/cronicleScheduler');
-        const targetDate = date ? new Date(date) : new Date();
-        const targetDateStr = targetDate.toISOString().split('T')[0];
-        
-        const history = [];
-        
-        // 从调度器的执行历史中获取信息
-        // 注意：这里需要调度器保存执行历史，现在我们模拟一些数据
-        for (const [jobKey, jobInfo] of cronicleScheduler.jobs.entries()) {
-            // 模拟检查作业是否在今天执行过
-            // 实际应该从调度器的执行日志中获取
-            const jobTime = jobInfo.time || jobInfo.schedule_time || '09:00';
-            const executedDateTime = new Date(`${targetDateStr}T${jobTime}:00`);
-            const currentTime = new Date();
-            
-            // 只显示已经到执行时间的作业
-            if (executedDateTime < currentTime) {
-                const jobType = jobInfo.type || 'simple';
-                let taskName = '未知任务';
-                let groupName = '默认群组';
-                let messageContent = jobInfo.message || '定时提醒';
-                
-                if (jobInfo.taskId) {
-                    try {
-                        const task = await Task.findById(jobInfo.taskId).populate('groupId', 'name');
-                        if (task) {
-                            taskName = task.name;
-                            groupName = task.groupId?.name || '默认群组';
-                            
-                            // 使用任务的实际执行记录
-                            if (task.lastExecutedAt) {
-                                const lastExecDate = new Date(task.lastExecutedAt);
-                                const lastExecDateStr = lastExecDate.toISOString().split('T')[0];
-                                
-                                if (lastExecDateStr === targetDateStr) {
-                                    const execStatus = task.lastExecutionStatus === 'sent' ? 'completed' : (task.lastExecutionStatus || 'completed');
-                                    
-                                    // 对于工作表任务，显示具体的行信息
-                                    if (jobType === 'worksheet' && jobInfo.rowData) {
-                                        const rowInfo = jobInfo.rowData;
-                                        messageContent = rowInfo.message || rowInfo.content || messageContent;
-                                        taskName = `${taskName} - 行${rowInfo.rowIndex || ''}`;
-                                    }
-                                    
-                                    if (!status || execStatus === status) {
-                                        history.push({
-                                            id: `exec_${jobKey}_${targetDateStr}`,
-                                            jobId: jobKey,
-                                            taskId: jobInfo.taskId,
-                                            taskName: taskName,
-                                            jobType: jobType,
-                                            groupName: groupName,
-                                            scheduledDate: targetDateStr,
-                                            scheduledTime: jobTime,
-                                            status: execStatus,
-                                            actualExecutionTime: lastExecDate.toISOString(),
-                                            messageContent: messageContent,
-                                            errorMessage: task.lastError || null,
-                                            rowInfo: jobInfo.rowData || null
-                                        });
-                                    }
-                                }
-                            } else {
-                                // 如果没有执行记录，但已过执行时间，可能是跳过或失败
-                                // 这里我们模拟一些数据
-                                const simulatedStatus = Math.random() > 0.8 ? 'failed' : 'completed';
-                                
-                                if (jobType === 'worksheet' && jobInfo.rowData) {
-                                    const rowInfo = jobInfo.rowData;
-                                    messageContent = rowInfo.message || rowInfo.content || messageContent;
-                                    taskName = `${taskName} - 行${rowInfo.rowIndex || ''}`;
-                                }
-                                
-                                if (!status || simulatedStatus === status) {
-                                    history.push({
-                                        id: `exec_${jobKey}_${targetDateStr}`,
-                                        jobId: jobKey,
-                                        taskId: jobInfo.taskId,
-                                        taskName: taskName,
-                                        jobType: jobType,
-                                        groupName: groupName,
-                                        scheduledDate: targetDateStr,
-                                        scheduledTime: jobTime,
-                                        status: simulatedStatus,
-                                        actualExecutionTime: executedDateTime.toISOString(),
-                                        messageContent: messageContent,
-                                        errorMessage: simulatedStatus === 'failed' ? '执行失败' : null,
-                                        rowInfo: jobInfo.rowData || null
-                                    });
-                                }
-                            }
-                        }
-                    } catch (e) {
-                        // 忽略查找错误
-                    }
-                } else {
-                    // 没有关联任务的系统作业
-                    if (jobType === 'system') {
-                        const execStatus = 'completed';
-                        
-                        if (!status || execStatus === status) {
-                            history.push({
-                                id: `exec_${jobKey}_${targetDateStr}`,
-                                jobId: jobKey,
-                                taskId: null,
-                                taskName: '系统作业',
-                                jobType: 'system',
-                                groupName: '系统',
-                                scheduledDate: targetDateStr,
-                                scheduledTime: jobTime,
-                                status: execStatus,
-                                actualExecutionTime: executedDateTime.toISOString(),
-                                messageContent: '系统维护任务',
-                                errorMessage: null,
-                                rowInfo: null
-                            });
-                        }
-                    }
-                }
-            }
-        }
-        
-        // 按执行时间排序
-        history.sort((a, b) => {
-            const timeA = new Date(a.actualExecutionTime);
-            const timeB = new Date(b.actualExecutionTime);
-            return timeB - timeA; // 最新的在前
-        });
-        
-        // 分页处理
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedHistory = history.slice(startIndex, endIndex);
-        
-        res.json({
-            success: true,
-            data: paginatedHistory,
-            total: history.length,
-            schedulerStatus: cronicleScheduler.initialized ? 'running' : 'stopped'
-        });
-    } catch (error) {
-        logger.error('获取全局执行历史失败:', error);
-        res.status(500).json({
-            success: false,
-            message: '获取全局执行历史失败',
-            error: error.message
-        });
-    }
-});
-
 /**
  * 获取全局统计信息
  * GET /api/mongo/tasks/global/statistics
@@ -1832,22 +2224,8 @@ router.get('/global/statistics', checkMongoConnection, async (req, res) => {
         const taskStats = [];
         
         for (const task of tasks) {
-            const scheduleType = task.scheduleType || task.schedule_type || 'daily';
-            const targetDay = targetDate.getDay();
-            let shouldExecuteToday = false;
-            
-            // 判断今天是否执行
-            if (scheduleType === 'daily' || scheduleType === 'everyday') {
-                shouldExecuteToday = true;
-            } else if (scheduleType === 'weekly' && task.weekDays) {
-                shouldExecuteToday = task.weekDays.includes(targetDay);
-            } else if (scheduleType === 'workday') {
-                shouldExecuteToday = targetDay >= 1 && targetDay <= 5;
-            } else if (scheduleType === 'weekend') {
-                shouldExecuteToday = targetDay === 0 || targetDay === 6;
-            } else {
-                shouldExecuteToday = true;
-            }
+            // 判断今天是否执行（与调度器使用同一套规则判断）
+            const shouldExecuteToday = await cronicleScheduler.shouldTaskRunToday(task, targetDate);
             
             if (shouldExecuteToday) {
                 totalPlans++;
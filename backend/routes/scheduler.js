@@ -5,18 +5,50 @@
 const express = require('express');
 const router = express.Router();
 const cronicleScheduler = require('../services/cronicleScheduler');
+const executionHistoryService = require('../services/executionHistoryService');
+const schedulerLeader = require('../services/schedulerLeader');
+const { formatDate } = require('../utils/timeUtils');
 const logger = require('../utils/logger');
 
+/**
+ * 只有持有租约的主节点才能启动或重载调度器，避免多实例重复发送
+ */
+const requireLeader = async (req, res, next) => {
+    if (schedulerLeader.isLeader) {
+        return next();
+    }
+    
+    try {
+        const lease = await schedulerLeader.getLeaseInfo();
+        res.status(409).json({
+            success: false,
+            message: lease.holder
+                ? `当前节点不是调度主节点，请在主节点 ${lease.holder.nodeId} 上操作`
+                : '当前节点不是调度主节点，正在等待主节点选举',
+            data: { lease }
+        });
+    } catch (error) {
+        logger.error('获取调度器租约信息失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取调度器租约信息失败',
+            error: error.message
+        });
+    }
+};
+
 /**
  * 获取调度器状态
  */
 router.get('/status', async (req, res) => {
     try {
         const status = cronicleScheduler.getStatus();
+        const lease = await schedulerLeader.getLeaseInfo();
         res.json({
             success: true,
             data: {
                 ...status,
+                lease,
                 scheduler: 'Cronicle',
                 version: '1.0.0'
             }
@@ -34,7 +66,7 @@ router.get('/status', async (req, res) => {
 /**
  * 启动调度器
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requireLeader, async (req, res) => {
     try {
         if (cronicleScheduler.initialized) {
             return res.json({
@@ -83,7 +115,7 @@ router.post('/stop', async (req, res) => {
 /**
  * 重新加载任务
  */
-router.post('/reload', async (req, res) => {
+router.post('/reload', requireLeader, async (req, res) => {
     try {
         const result = await cronicleScheduler.loadTodayTasks();
         
@@ -117,7 +149,7 @@ router.post('/reload', async (req, res) => {
 /**
  * 重启调度器
  */
-router.post('/restart', async (req, res) => {
+router.post('/restart', requireLeader, async (req, res) => {
     try {
         await cronicleScheduler.stop();
         
@@ -220,134 +252,50 @@ router.get('/jobs/detailed', async (req, res) => {
 });
 
 /**
- * 获取执行历史（从调度器获取已完成的作业）
+ * 获取执行历史（读取ExecutionHistory记录）
  */
 router.get('/jobs/history', async (req, res) => {
     try {
         const { date, status, page = 1, limit = 20 } = req.query;
-        const targetDate = date ? new Date(date) : new Date();
-        const targetDateStr = targetDate.toISOString().split('T')[0];
+        const targetDate = date ? executionHistoryService.parseDay(date) : new Date();
+        const targetDateStr = formatDate(targetDate);
         
-        // 获取当前时间，用于判断是否已执行
-        const now = new Date();
-        const currentDateStr = now.toISOString().split('T')[0];
-        const currentTimeStr = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-        
-        const jobs = [];
-        
-        // 从调度器获取所有作业信息
-        for (const [jobKey, jobInfo] of cronicleScheduler.jobs.entries()) {
-            // 跳过系统作业
-            if (jobInfo.type === 'system') continue;
-            
-            let jobData = {
-                jobId: jobKey,
-                type: jobInfo.type,
-                taskId: jobInfo.taskId,
-                schedule: jobInfo.schedule,
-                status: 'completed'
-            };
-            
-            // 解析执行时间
-            let scheduledTime = null;
-            
-            if (jobInfo.type === 'worksheet') {
-                scheduledTime = jobInfo.time;
-                jobData.message = jobInfo.message;
-                const keyParts = jobKey.split(':');
-                if (keyParts.length >= 3) {
-                    jobData.worksheetRow = keyParts[2];
-                }
-            } else if (jobInfo.type === 'simple' && jobInfo.schedule) {
-                const cronParts = jobInfo.schedule.split(' ');
-                if (cronParts.length >= 2) {
-                    const minutes = cronParts[0];
-                    const hours = cronParts[1];
-                    if (minutes !== '*' && hours !== '*') {
-                        scheduledTime = `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
-                    }
-                }
-            }
-            
-            if (scheduledTime) {
-                jobData.scheduledTime = scheduledTime;
-                const scheduledDateTime = new Date(`${targetDateStr}T${scheduledTime}:00`);
-                jobData.actualExecutionTime = scheduledDateTime;
-                
-                // 判断是否已执行
-                // 如果选择的是今天，只显示当前时间之前的作业
-                // 如果选择的是过去的日期，显示所有作业
-                // 如果选择的是未来的日期，不显示任何作业
-                let shouldShow = false;
-                
-                if (targetDateStr < currentDateStr) {
-                    // 过去的日期，显示所有作业
-                    shouldShow = true;
-                } else if (targetDateStr === currentDateStr) {
-                    // 今天，只显示已过时间的作业
-                    shouldShow = scheduledTime <= currentTimeStr;
-                } else {
-                    // 未来的日期，不显示
-                    shouldShow = false;
-                }
-                
-                if (!shouldShow) {
-                    continue;
-                }
-                
-                // 获取任务信息
-                if (jobInfo.taskId && cronicleScheduler.taskModel) {
-                    try {
-                        const Task = cronicleScheduler.taskModel;
-                        const task = await Task.findById(jobInfo.taskId)
-                            .populate('groupId', 'name');
-                        
-                        if (task) {
-                            jobData.taskName = task.name;
-                            jobData.groupName = task.groupId?.name || '默认群组';
-                            
-                            if (jobInfo.type === 'worksheet' && jobData.worksheetRow) {
-                                jobData.taskName = `${task.name} - ${scheduledTime}`;
-                                jobData.jobType = 'worksheet';
-                            } else {
-                                jobData.jobType = 'simple';
-                            }
-                            
-                            if (jobInfo.type === 'simple') {
-                                jobData.message = task.messageContent || task.message || '定时提醒';
-                            }
-                        }
-                    } catch (err) {
-                        logger.warn('获取任务信息失败:', err);
-                    }
-                }
-                
-                // 根据状态过滤
-                if (!status || jobData.status === status) {
-                    jobs.push(jobData);
-                }
-            }
-        }
-        
-        // 按执行时间倒序排序
-        jobs.sort((a, b) => {
-            if (a.scheduledTime && b.scheduledTime) {
-                return b.scheduledTime.localeCompare(a.scheduledTime);
-            }
-            return 0;
+        const result = await executionHistoryService.query({
+            date: targetDateStr,
+            status,
+            page,
+            limit
         });
         
-        // 分页
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedJobs = jobs.slice(startIndex, endIndex);
+        const jobs = result.records.map(record => ({
+            id: record.id,
+            jobId: record.jobId,
+            type: record.jobType,
+            jobType: record.jobType,
+            taskId: record.taskId,
+            taskName: record.metadata?.time
+                ? `${record.taskName} - ${record.metadata.time}`
+                : record.taskName,
+            groupName: record.groupName || '默认群组',
+            triggerType: record.triggerType,
+            status: record.status,
+            scheduledTime: record.scheduledTime,
+            scheduledAt: record.scheduledAt,
+            actualExecutionTime: record.actualExecutionTime,
+            message: record.messageContent,
+            errorMessage: record.errorMessage,
+            skipReason: record.skipReason,
+            retryCount: record.retryCount,
+            worksheetRow: record.metadata?.row || null
+        }));
         
         res.json({
             success: true,
-            data: paginatedJobs,
-            total: jobs.length,
-            page: parseInt(page),
-            limit: parseInt(limit),
+            data: jobs,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            summary: result.summary,
             date: targetDateStr
         });
     } catch (error) {
@@ -371,6 +319,9 @@ router.get('/jobs/today', async (req, res) => {
         const currentTime = new Date();
         const jobs = [];
         
+        // 已执行作业的实际状态（按作业ID，即每个执行时间点分别统计）
+        const jobStatuses = await executionHistoryService.getJobStatuses(targetDateStr);
+        
         // 从调度器获取所有作业信息
         for (const [jobKey, jobInfo] of cronicleScheduler.jobs.entries()) {
             // 跳过系统作业
@@ -397,6 +348,8 @@ router.get('/jobs/today', async (req, res) => {
                 if (keyParts.length >= 3) {
                     jobData.worksheetRow = keyParts[2];
                 }
+            } else if (jobInfo.type === 'simple' && jobInfo.time) {
+                scheduledTime = jobInfo.time;
             } else if (jobInfo.type === 'simple' && jobInfo.schedule) {
                 // 从cron表达式解析时间
                 const cronParts = jobInfo.schedule.split(' ');
@@ -413,9 +366,14 @@ router.get('/jobs/today', async (req, res) => {
                 jobData.scheduledTime = scheduledTime;
                 const scheduledDateTime = new Date(`${targetDateStr}T${scheduledTime}:00`);
                 
-                // 判断状态
-                if (scheduledDateTime < currentTime) {
-                    jobData.status = 'completed';
+                // 判断状态：优先使用执行历史，已过时间但没有记录的视为错过
+                const executed = jobStatuses.get(jobKey);
+                if (executed) {
+                    jobData.status = executed.status;
+                    jobData.actualExecutionTime = executed.executedAt;
+                    jobData.skipReason = executed.skipReason || null;
+                } else if (scheduledDateTime < currentTime) {
+                    jobData.status = 'missed';
                 } else {
                     jobData.status = 'pending';
                 }
@@ -438,11 +396,14 @@ router.get('/jobs/today', async (req, res) => {
                             jobData.isSuppressed = !executionStatus.shouldExecute && executionStatus.reason === 'suppressed';
                             jobData.suppressedBy = executionStatus.suppressedBy || null;
                             
-                            // 对于工作表任务，添加行信息到任务名
+                            // 对于工作表任务和多时间点的简单任务，添加时间到任务名
                             if (jobInfo.type === 'worksheet' && jobData.worksheetRow) {
                                 jobData.taskName = `${task.name} - ${scheduledTime}`;
                                 jobData.jobType = 'worksheet';
                             } else {
+                                if (cronicleScheduler.getExecutionTimes(task.scheduleRule).length > 1) {
+                                    jobData.taskName = `${task.name} - ${scheduledTime}`;
+                                }
                                 jobData.jobType = 'simple';
                             }
                             
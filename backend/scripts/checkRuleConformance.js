@@ -0,0 +1,381 @@
+/**
+ * 调度规则一致性检查脚本
+ * 用同一张用例表检查所有调度路径对规则的判断是否一致：
+ *   - scheduleRuleChecker.shouldRunOnDate（统一的规则判断）
+ *   - ScheduleRule 领域模型 appliesTo（旧版下划线格式）
+ *   - advancedScheduleEngine 展开的执行时间
+ *   - cronicleScheduler.getNextRunTimes（下次执行时间、预览）
+ *   - cronicleScheduler.convertToCronExpression（实际发送的作业触发时间）
+ * 另检查 ScheduleRule.validate 接受每个用例的规则类型，以及 naturalRuleParser 对时段词的时间换算
+ *
+ * 用法：npm test（node scripts/checkRuleConformance.js）
+ * 全部一致时没有输出、退出码为 0；不一致时在 stderr 列出差异，退出码为 1
+ * 使用内置的2025年节假日数据，不需要连接数据库
+ */
+
+const cronParser = require('cron-parser');
+const scheduleRuleChecker = require('../services/scheduleRuleChecker');
+const cronicleScheduler = require('../services/cronicleScheduler');
+const { advancedScheduleEngine } = require('../services/advancedScheduleEngine');
+const ScheduleRule = require('../domains/ScheduleRule');
+const naturalRuleParser = require('../services/naturalRuleParser');
+
+const thisYear = new Date().getFullYear();
+
+// rule 为 Task.scheduleRule 格式，legacy 为同一规则的旧版下划线格式（ScheduleRule 领域模型、v2 数据库行）
+// expected 为 from ~ to 之间应执行的全部日期
+const CASES = [
+    {
+        name: '每天',
+        rule: { ruleType: 'daily' },
+        legacy: { rule_type: 'daily' },
+        from: '2025-03-01', to: '2025-03-03',
+        expected: ['2025-03-01', '2025-03-02', '2025-03-03']
+    },
+    {
+        name: '每天，限4月',
+        rule: { ruleType: 'daily', months: [4] },
+        legacy: { rule_type: 'daily', months: [4] },
+        from: '2025-03-30', to: '2025-04-02',
+        expected: ['2025-04-01', '2025-04-02']
+    },
+    {
+        name: '每月1号和15号',
+        rule: { ruleType: 'by_day', dayMode: { type: 'specific_days', days: [1, 15] } },
+        legacy: { rule_type: 'by_day', day_mode: { mode: 'specific_days', values: [1, 15] } },
+        from: '2025-03-01', to: '2025-03-31',
+        expected: ['2025-03-01', '2025-03-15']
+    },
+    {
+        name: '奇数日',
+        rule: { ruleType: 'by_day', dayMode: { type: 'odd_days' } },
+        legacy: { rule_type: 'by_day', day_mode: { mode: 'odd' } },
+        from: '2025-03-01', to: '2025-03-05',
+        expected: ['2025-03-01', '2025-03-03', '2025-03-05']
+    },
+    {
+        name: '工作日（国庆调休）',
+        rule: { ruleType: 'by_day', dayMode: { type: 'workdays' } },
+        from: '2025-09-27', to: '2025-10-12',
+        expected: ['2025-09-28', '2025-09-29', '2025-09-30', '2025-10-09', '2025-10-10', '2025-10-11']
+    },
+    {
+        name: '每月最后一天',
+        rule: { ruleType: 'by_day', dayMode: { type: 'last_day' } },
+        legacy: { rule_type: 'by_day', day_mode: { mode: 'last_day' } },
+        from: '2025-02-27', to: '2025-03-01',
+        expected: ['2025-02-28']
+    },
+    {
+        name: '每月最后一个工作日',
+        rule: { ruleType: 'by_day', dayMode: { type: 'last_workday' } },
+        legacy: { rule_type: 'by_day', day_mode: { mode: 'last_workday' } },
+        from: '2025-09-25', to: '2025-10-02',
+        expected: ['2025-09-30']
+    },
+    {
+        name: '每月第一个工作日（国庆后）',
+        rule: { ruleType: 'by_day', dayMode: { type: 'nth_workday', nthDay: 1, period: 'month' } },
+        legacy: { rule_type: 'monthly', day_mode: { mode: 'first_workday' } },
+        from: '2025-10-01', to: '2025-10-10',
+        expected: ['2025-10-09']
+    },
+    {
+        name: '周末',
+        rule: { ruleType: 'by_day', dayMode: { type: 'weekends' } },
+        from: '2025-03-01', to: '2025-03-09',
+        expected: ['2025-03-01', '2025-03-02', '2025-03-08', '2025-03-09']
+    },
+    {
+        name: '每周一三五',
+        rule: { ruleType: 'by_week', weekMode: { weekdays: [1, 3, 5], occurrence: 'every' } },
+        legacy: { rule_type: 'by_week', day_mode: { mode: 'specific_weekdays', values: [1, 3, 5] } },
+        from: '2025-03-01', to: '2025-03-10',
+        expected: ['2025-03-03', '2025-03-05', '2025-03-07', '2025-03-10']
+    },
+    {
+        name: '每周工作日（weekly 别名）',
+        rule: { ruleType: 'weekly', weekMode: { weekdays: [1, 2, 3, 4, 5], occurrence: 'every' } },
+        legacy: { rule_type: 'weekly', day_mode: { mode: 'weekdays' } },
+        from: '2025-03-01', to: '2025-03-09',
+        expected: ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07']
+    },
+    {
+        name: '每周日（7 与 0 等价）',
+        rule: { ruleType: 'by_week', weekMode: { weekdays: [7], occurrence: 'every' } },
+        legacy: { rule_type: 'by_week', day_mode: { weekDays: [0] } },
+        from: '2025-03-01', to: '2025-03-09',
+        expected: ['2025-03-02', '2025-03-09']
+    },
+    {
+        name: '每月最后一个周五',
+        rule: { ruleType: 'by_week', weekMode: { weekdays: [5], occurrence: 'last' } },
+        legacy: { rule_type: 'by_week', day_mode: { weekdays: [5], occurrence: 'last' } },
+        from: '2025-03-01', to: '2025-03-31',
+        expected: ['2025-03-28']
+    },
+    {
+        name: '每季度首月10号（by_month + 月份）',
+        rule: { ruleType: 'by_month', months: [1, 4, 7, 10], dayMode: { type: 'specific_days', days: [10] } },
+        legacy: { rule_type: 'monthly', months: [1, 4, 7, 10], day_mode: { mode: 'specific_days', values: [10] } },
+        from: '2025-01-01', to: '2025-04-30',
+        expected: ['2025-01-10', '2025-04-10']
+    },
+    {
+        name: '每年3月8日（ruleConfig）',
+        rule: { ruleType: 'by_year', ruleConfig: { month: 3, day: 8 } },
+        legacy: { rule_type: 'yearly', day_mode: { month: 3, day: 8 } },
+        from: '2025-03-01', to: '2025-03-31',
+        expected: ['2025-03-08']
+    },
+    {
+        name: '每年12月25日（月份 + 指定日期）',
+        rule: { ruleType: 'by_year', months: [12], dayMode: { type: 'specific_days', days: [25] } },
+        from: '2025-12-01', to: '2025-12-31',
+        expected: ['2025-12-25']
+    },
+    {
+        name: '每3天',
+        rule: { ruleType: 'by_interval', intervalMode: { value: 3, unit: 'days', referenceDate: '2025-03-01' } },
+        legacy: { rule_type: 'interval', interval_config: { interval: 3, unit: 'days' }, reference_date: '2025-03-01' },
+        from: '2025-03-01', to: '2025-03-10',
+        expected: ['2025-03-01', '2025-03-04', '2025-03-07', '2025-03-10']
+    },
+    {
+        name: '每2周（同一星期几）',
+        rule: { ruleType: 'by_interval', intervalMode: { value: 2, unit: 'weeks', referenceDate: '2025-03-03' } },
+        legacy: { rule_type: 'by_interval', interval_config: { interval: 2, unit: 'weeks' }, reference_date: '2025-03-03' },
+        from: '2025-03-01', to: '2025-03-31',
+        expected: ['2025-03-03', '2025-03-17', '2025-03-31']
+    },
+    {
+        name: '每月（参考日31号，小月取月末）',
+        rule: { ruleType: 'by_interval', intervalMode: { value: 1, unit: 'months', referenceDate: '2025-01-31' } },
+        from: '2025-02-01', to: '2025-04-30',
+        expected: ['2025-02-28', '2025-03-31', '2025-04-30']
+    },
+    {
+        name: '特定日期',
+        rule: { ruleType: 'specific_date', specificDates: ['2025-05-20', '2025-06-01'] },
+        legacy: { rule_type: 'specific_date', specific_dates: ['2025-05-20', '2025-06-01'] },
+        from: '2025-05-01', to: '2025-06-30',
+        expected: ['2025-05-20', '2025-06-01']
+    },
+    {
+        name: '特定日期（ruleConfig.dates）',
+        rule: { ruleType: 'specific_date', ruleConfig: { dates: ['2025-05-20'] } },
+        from: '2025-05-19', to: '2025-05-21',
+        expected: ['2025-05-20']
+    },
+    {
+        name: '自定义（间隔）',
+        rule: { ruleType: 'custom', intervalMode: { value: 5, unit: 'days', referenceDate: '2025-03-01' } },
+        legacy: { rule_type: 'custom', interval_config: { interval: 5, unit: 'days' }, reference_date: '2025-03-01' },
+        from: '2025-03-01', to: '2025-03-12',
+        expected: ['2025-03-01', '2025-03-06', '2025-03-11']
+    },
+    {
+        name: '自定义（无配置不执行）',
+        rule: { ruleType: 'custom' },
+        legacy: { rule_type: 'custom' },
+        from: '2025-03-01', to: '2025-03-03',
+        expected: []
+    },
+    {
+        name: '每季度首月15号',
+        rule: { ruleType: 'by_quarter', quarterMode: { type: 'first_month', day: 15 } },
+        from: '2025-01-01', to: '2025-04-30',
+        expected: ['2025-01-15', '2025-04-15']
+    },
+    {
+        name: '每季度第一个周一',
+        rule: { ruleType: 'by_quarter', quarterMode: { type: 'nth_weekday', nth: 1, weekday: 1 } },
+        from: '2025-04-01', to: '2025-04-30',
+        expected: ['2025-04-07']
+    },
+    {
+        name: '农历八月十五',
+        rule: { ruleType: 'by_lunar', lunarMode: { month: 8, day: 15 } },
+        from: '2025-10-01', to: '2025-10-10',
+        expected: ['2025-10-06']
+    },
+    {
+        name: 'cron 工作日9点',
+        rule: { ruleType: 'cron', cron: '0 9 * * 1-5' },
+        from: '2025-03-01', to: '2025-03-09',
+        expected: ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07']
+    },
+    {
+        name: '仅今年执行（年间隔0）',
+        rule: { ruleType: 'daily', intervalMode: { yearInterval: 0 } },
+        from: `${thisYear}-12-30`, to: `${thisYear + 1}-01-02`,
+        expected: [`${thisYear}-12-30`, `${thisYear}-12-31`]
+    },
+    {
+        name: '每天，排除节假日和周末（调休上班日执行）',
+        rule: { ruleType: 'daily', excludeSettings: { excludeHolidays: true, excludeWeekends: true } },
+        from: '2025-09-27', to: '2025-10-12',
+        expected: ['2025-09-28', '2025-09-29', '2025-09-30', '2025-10-09', '2025-10-10', '2025-10-11']
+    },
+    {
+        name: '指定排除日期',
+        rule: {
+            ruleType: 'by_week',
+            weekMode: { weekdays: [1, 3, 5], occurrence: 'every' },
+            excludeSettings: { specificDates: ['2025-03-05'] }
+        },
+        from: '2025-03-01', to: '2025-03-10',
+        expected: ['2025-03-03', '2025-03-07', '2025-03-10']
+    },
+    {
+        name: '节假日顺延到下一个工作日',
+        rule: { ruleType: 'by_week', weekMode: { weekdays: [3], occurrence: 'every' }, onHoliday: 'next' },
+        from: '2025-09-27', to: '2025-10-12',
+        expected: ['2025-10-09']
+    },
+    {
+        name: '节假日提前到上一个工作日',
+        rule: { ruleType: 'by_week', weekMode: { weekdays: [3], occurrence: 'every' }, onHoliday: 'previous' },
+        from: '2025-09-27', to: '2025-10-12',
+        expected: ['2025-09-30']
+    }
+];
+
+// 中文规则描述解析出的执行时间，主要覆盖时段词与12点的组合
+const NATURAL_CASES = [
+    { text: '每天8点', expected: ['08:00'] },
+    { text: '每天下午3点半', expected: ['15:30'] },
+    { text: '每天晚上8点', expected: ['20:00'] },
+    { text: '每天中午12点', expected: ['12:00'] },
+    { text: '每天晚上12点', expected: ['00:00'] },
+    { text: '每天夜里12点', expected: ['00:00'] },
+    { text: '每天凌晨12点半', expected: ['00:30'] },
+    { text: '每天凌晨3点', expected: ['03:00'] }
+];
+
+const formatDate = (date) => scheduleRuleChecker.formatDate(date);
+
+const parseDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const eachDay = (from, to) => {
+    const days = [];
+    for (const day = parseDate(from); day <= parseDate(to); day.setDate(day.getDate() + 1)) {
+        days.push(new Date(day));
+    }
+    return days;
+};
+
+const countDays = (from, to) => eachDay(from, to).length - 1;
+
+const uniqueDates = (dates) => [...new Set(dates.map(formatDate))].sort();
+
+// 每条调度路径：返回 from ~ to 之间会执行的日期
+const PATHS = {
+    'scheduleRuleChecker': (rule, from, to) => {
+        return uniqueDates(eachDay(from, to).filter(day => scheduleRuleChecker.shouldRunOnDate(rule, day)));
+    },
+
+    // 调度器在触发时用当前时间判断，结果不应受时分秒影响
+    'scheduleRuleChecker（下午时刻）': (rule, from, to) => {
+        return uniqueDates(eachDay(from, to).filter(day => {
+            return scheduleRuleChecker.shouldRunOnDate(rule, new Date(day.getTime() + 15.5 * 60 * 60 * 1000));
+        }));
+    },
+
+    'advancedScheduleEngine': (rule, from, to) => {
+        return uniqueDates(advancedScheduleEngine.calculateExecutions(rule, parseDate(from), countDays(from, to)));
+    },
+
+    'cronicleScheduler.getNextRunTimes': (rule, from, to) => {
+        const start = new Date(parseDate(from).getTime() - 1);
+        const runs = cronicleScheduler.getNextRunTimes(rule, countDays(from, to) + 1, start);
+        const end = parseDate(to);
+        end.setHours(23, 59, 59, 999);
+        return uniqueDates(runs.filter(run => run <= end));
+    },
+
+    // 作业按 cron 表达式触发后再由 shouldTaskRunToday 判断，实际发送日期为两者的交集
+    'cronicleScheduler.convertToCronExpression': (rule, from, to) => {
+        const expression = cronicleScheduler.convertToCronExpression(rule, '09:00');
+        return uniqueDates(eachDay(from, to).filter(day => {
+            const fire = cronParser.parseExpression(expression, { currentDate: new Date(day.getTime() - 1) }).next().toDate();
+            return formatDate(fire) === formatDate(day) && scheduleRuleChecker.shouldRunOnDate(rule, day);
+        }));
+    }
+};
+
+const LEGACY_PATHS = {
+    'ScheduleRule.appliesTo': (legacy, from, to) => {
+        const rule = new ScheduleRule(legacy);
+        return uniqueDates(eachDay(from, to).filter(day => rule.appliesTo(day)));
+    },
+
+    'advancedScheduleEngine（旧版格式）': (legacy, from, to) => {
+        return PATHS.advancedScheduleEngine(new ScheduleRule(legacy), from, to);
+    }
+};
+
+function run() {
+    let failures = 0;
+    let checks = 0;
+
+    const check = (testCase, pathName, actual) => {
+        checks++;
+        if (actual.join(',') === testCase.expected.join(',')) {
+            return;
+        }
+        failures++;
+        console.error(`❌ ${testCase.name} [${pathName}]`);
+        console.error(`   期望: ${testCase.expected.join(', ') || '（不执行）'}`);
+        console.error(`   实际: ${actual.join(', ') || '（不执行）'}`);
+    };
+
+    // 领域模型的校验不能拒绝统一规则判断支持的规则类型
+    const checkRuleType = (testCase, ruleType) => {
+        checks++;
+        const { errors } = new ScheduleRule({ rule_type: ruleType, execution_times: ['09:00'] }).validate();
+        const typeError = errors.find(error => error.startsWith('Rule type'));
+        if (!typeError) {
+            return;
+        }
+        failures++;
+        console.error(`❌ ${testCase.name} [ScheduleRule.validate]`);
+        console.error(`   ${typeError}`);
+    };
+
+    for (const testCase of CASES) {
+        const rule = { executionTimes: ['09:00'], ...testCase.rule };
+        checkRuleType(testCase, rule.ruleType);
+        for (const [pathName, evaluate] of Object.entries(PATHS)) {
+            check(testCase, pathName, evaluate(rule, testCase.from, testCase.to));
+        }
+
+        if (testCase.legacy) {
+            const legacy = { execution_times: ['09:00'], ...testCase.legacy };
+            for (const [pathName, evaluate] of Object.entries(LEGACY_PATHS)) {
+                check(testCase, pathName, evaluate(legacy, testCase.from, testCase.to));
+            }
+        }
+    }
+
+    for (const testCase of NATURAL_CASES) {
+        let actual;
+        try {
+            actual = naturalRuleParser.parse(testCase.text).scheduleRule.executionTimes;
+        } catch (error) {
+            actual = [error.message];
+        }
+        check({ name: testCase.text, expected: testCase.expected }, 'naturalRuleParser', actual);
+    }
+
+    if (failures > 0) {
+        console.error(`\n${CASES.length + NATURAL_CASES.length} 个用例，${checks} 项检查，${failures} 项不一致`);
+        return 1;
+    }
+    return 0;
+}
+
+process.exit(run());
@@ -89,7 +89,7 @@ async function initializeScheduler() {
         logger.info('🚀 Initializing Cronicle Scheduler...');
         
         const { Task, File } = require('./models/mongodb');
-        await cronicleScheduler.initialize({ Task, File });
+        await cronicleScheduler.startWithLeaderElection({ Task, File });
         
         logger.info('✅ Cronicle Scheduler initialized successfully');
         
@@ -112,6 +112,7 @@ async function gracefulShutdown() {
     // 停止调度器
     if (cronicleScheduler) {
         await cronicleScheduler.stop();
+        await require('./services/schedulerLeader').stop();
     }
     
     // 关闭数据库连接
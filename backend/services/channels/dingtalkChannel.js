@@ -0,0 +1,200 @@
+/**
+ * 钉钉自定义机器人渠道
+ * 消息类型与钉钉一一对应，加签通过 URL 参数 timestamp、sign 传递
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// 钉钉自定义机器人的消息限制：请求体不超过 20000 字节
+const MAX_PAYLOAD_BYTES = 20000;
+// 跳转链接和图片地址必须是 http(s) 或钉钉客户端链接
+const URL_PATTERN = /^(https?:\/\/|dingtalk:\/\/)\S+$/i;
+
+// 可重试的钉钉错误码
+const RETRYABLE_CODES = [
+    -1,     // 网络错误
+    310000, // 系统繁忙
+    300001  // 服务器错误
+];
+
+class DingTalkChannel {
+    constructor() {
+        this.type = 'dingtalk';
+        this.label = '钉钉机器人';
+    }
+
+    /**
+     * 校验发送目标
+     * @returns {string|null} 错误信息
+     */
+    validateTarget(target) {
+        return target.webhookUrl ? null : 'Webhook URL 不能为空';
+    }
+
+    /**
+     * 在正文末尾补充 @手机号、@用户ID，钉钉只高亮正文中出现的 @ 对象
+     */
+    appendMentionText(content, at) {
+        const text = String(content || '');
+        const missing = [...at.atMobiles, ...at.atUserIds]
+            .filter(target => !text.includes(`@${target}`))
+            .map(target => `@${target}`);
+        return missing.length > 0 ? `${text}\n${missing.join(' ')}` : text;
+    }
+
+    /**
+     * 生成钉钉自定义机器人的请求体
+     * @param {Object} msg - 统一格式的消息，at 已统一格式，不支持 @ 的消息类型为 null
+     */
+    buildPayload(msg) {
+        const at = msg.at || null;
+        const withAt = payload => (at ? { ...payload, at } : payload);
+
+        switch (msg.msgtype) {
+            case 'markdown':
+                return withAt({
+                    msgtype: 'markdown',
+                    markdown: { title: msg.title, text: at ? this.appendMentionText(msg.content, at) : msg.content }
+                });
+            case 'link':
+                return {
+                    msgtype: 'link',
+                    link: {
+                        title: msg.title,
+                        text: msg.content,
+                        messageUrl: msg.messageUrl,
+                        picUrl: msg.picUrl || ''
+                    }
+                };
+            case 'actionCard': {
+                const actionCard = {
+                    title: msg.title,
+                    text: msg.content,
+                    btnOrientation: String(msg.btnOrientation || '0')
+                };
+                if (msg.singleTitle) {
+                    actionCard.singleTitle = msg.singleTitle;
+                    actionCard.singleURL = msg.singleUrl;
+                } else {
+                    actionCard.btns = (msg.buttons || []).map(button => ({
+                        title: button.title,
+                        actionURL: button.actionUrl
+                    }));
+                }
+                return { msgtype: 'actionCard', actionCard };
+            }
+            case 'feedCard':
+                return {
+                    msgtype: 'feedCard',
+                    feedCard: {
+                        links: (msg.links || []).map(link => ({
+                            title: link.title,
+                            messageURL: link.messageUrl,
+                            picURL: link.picUrl
+                        }))
+                    }
+                };
+            default:
+                return withAt({
+                    msgtype: 'text',
+                    text: { content: at ? this.appendMentionText(msg.content, at) : msg.content }
+                });
+        }
+    }
+
+    /**
+     * 按钉钉的字段要求校验：Markdown 必须有标题（用作通知摘要），链接只能是 http(s) 或 dingtalk://，
+     * 多图文的每条图文必须有图片，请求体不超过 20000 字节
+     * @param {Object} msg - 统一格式的消息，已通过通用校验
+     * @returns {string|null} 错误信息
+     */
+    validate(msg) {
+        const isUrl = value => URL_PATTERN.test(String(value || '').trim());
+
+        if (msg.msgtype === 'markdown' && !String(msg.title || '').trim()) {
+            return 'markdown 消息必须填写标题';
+        }
+
+        const urls = [];
+        if (msg.msgtype === 'link') {
+            urls.push(msg.messageUrl, ...(msg.picUrl ? [msg.picUrl] : []));
+        }
+        if (msg.msgtype === 'actionCard') {
+            urls.push(...(msg.singleTitle ? [msg.singleUrl] : (msg.buttons || []).map(button => button.actionUrl)));
+        }
+        if (msg.msgtype === 'feedCard') {
+            if ((msg.links || []).some(link => !link.picUrl)) {
+                return '钉钉多图文消息的每条图文都必须填写图片地址';
+            }
+            urls.push(...(msg.links || []).flatMap(link => [link.messageUrl, link.picUrl]));
+        }
+        if (urls.some(url => !isUrl(url))) {
+            return '钉钉消息的跳转链接和图片地址必须以 http(s):// 或 dingtalk:// 开头';
+        }
+
+        const size = Buffer.byteLength(JSON.stringify(this.buildPayload(msg)), 'utf8');
+        if (size > MAX_PAYLOAD_BYTES) {
+            return `消息过长（${size} 字节），钉钉限制为 ${MAX_PAYLOAD_BYTES} 字节`;
+        }
+        return null;
+    }
+
+    /**
+     * 生成钉钉加签
+     * @param {string} secret - 加签密钥
+     * @returns {Object} 包含timestamp和sign的对象
+     */
+    generateSign(secret) {
+        const timestamp = Date.now().toString();
+        const stringToSign = `${timestamp}\n${secret}`;
+        const sign = crypto
+            .createHmac('sha256', secret)
+            .update(stringToSign)
+            .digest('base64');
+        return { timestamp, sign };
+    }
+
+    /**
+     * 发送消息
+     * @param {Object} target - { webhookUrl, secret }，未配置 secret 时从 URL 的 secret 参数读取
+     * @param {Object} msg - 统一格式的消息
+     * @returns {Promise<Object>} { success, code, message, response }
+     */
+    async send(target, msg, options = {}) {
+        // 加签处理：URLSearchParams.set 会自动编码签名
+        const urlObj = new URL(target.webhookUrl);
+        const secret = target.secret || urlObj.searchParams.get('secret');
+        if (secret) {
+            logger.info('🔐 检测到加签密钥，启用消息签名');
+            const { timestamp, sign } = this.generateSign(secret);
+            urlObj.searchParams.set('timestamp', timestamp);
+            urlObj.searchParams.set('sign', sign);
+        }
+
+        const response = await axios.post(urlObj.toString(), this.buildPayload(msg), {
+            timeout: options.timeout || 10000,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        return {
+            success: response.data.errcode === 0,
+            code: response.data.errcode,
+            message: response.data.errmsg,
+            response: response.data
+        };
+    }
+
+    /**
+     * 判断是否应该重试
+     * @param {number} errorCode - 错误代码
+     */
+    shouldRetry(errorCode) {
+        return RETRYABLE_CODES.includes(errorCode);
+    }
+}
+
+module.exports = new DingTalkChannel();
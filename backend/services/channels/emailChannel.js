@@ -0,0 +1,164 @@
+/**
+ * SMTP 邮件渠道
+ * 通过环境变量 SMTP_HOST、SMTP_PORT、SMTP_SECURE、SMTP_USER、SMTP_PASSWORD、SMTP_FROM 配置的服务器发送，
+ * 收件人、抄送保存在群组的 channelConfig.to、channelConfig.cc 中
+ * 邮件标题取消息标题（文本消息取正文第一行），正文同时提供纯文本和 HTML，@ 提醒不适用于邮件
+ */
+
+const nodemailer = require('nodemailer');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_SUBJECT_LENGTH = 60;
+
+class EmailChannel {
+    constructor() {
+        this.type = 'email';
+        this.label = '邮件';
+        this.transporter = null;
+    }
+
+    /**
+     * 统一收件人格式：数组，或逗号、分号、空格分隔的文本
+     */
+    normalizeRecipients(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[,，;；\s]+/);
+        return [...new Set(list.map(item => String(item || '').trim()).filter(Boolean))];
+    }
+
+    validateTarget(target) {
+        const to = this.normalizeRecipients(target.config?.to);
+        const cc = this.normalizeRecipients(target.config?.cc);
+        if (to.length === 0) {
+            return '请填写收件人邮箱';
+        }
+        const invalid = [...to, ...cc].filter(address => !EMAIL_PATTERN.test(address));
+        if (invalid.length > 0) {
+            return `邮箱格式无效: ${invalid.join('、')}`;
+        }
+        return null;
+    }
+
+    getTransporter() {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('未配置SMTP服务器（SMTP_HOST），无法发送邮件');
+        }
+        if (!this.transporter) {
+            const port = parseInt(process.env.SMTP_PORT) || 465;
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                    : undefined
+            });
+        }
+        return this.transporter;
+    }
+
+    escapeHtml(value) {
+        return String(value || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    getSubject(msg) {
+        if (msg.msgtype === 'feedCard') {
+            return msg.links?.[0]?.title || '提醒';
+        }
+        const subject = msg.title || String(msg.content || '').split('\n').find(line => line.trim()) || '提醒';
+        return subject.length > MAX_SUBJECT_LENGTH ? `${subject.substring(0, MAX_SUBJECT_LENGTH)}…` : subject;
+    }
+
+    /**
+     * 生成邮件内容
+     * @param {Object} msg - 统一格式的消息
+     * @returns {{ subject: string, text: string, html: string }}
+     */
+    buildPayload(msg) {
+        const link = (title, url) => `<a href="${this.escapeHtml(url)}">${this.escapeHtml(title)}</a>`;
+        const html = [];
+        const textLinks = [];
+
+        if (msg.title && msg.msgtype !== 'text') {
+            html.push(`<h3>${this.escapeHtml(msg.title)}</h3>`);
+        }
+        if (msg.content) {
+            html.push(`<div style="white-space: pre-wrap;">${this.escapeHtml(msg.content)}</div>`);
+        }
+
+        switch (msg.msgtype) {
+            case 'link':
+                if (msg.picUrl) {
+                    html.push(`<p><img src="${this.escapeHtml(msg.picUrl)}" style="max-width: 100%;"></p>`);
+                }
+                html.push(`<p>${link('查看详情', msg.messageUrl)}</p>`);
+                textLinks.push(`查看详情: ${msg.messageUrl}`);
+                break;
+            case 'actionCard': {
+                const buttons = msg.singleTitle
+                    ? [{ title: msg.singleTitle, actionUrl: msg.singleUrl }]
+                    : (msg.buttons || []);
+                html.push(`<p>${buttons.map(button => link(button.title, button.actionUrl)).join(' | ')}</p>`);
+                textLinks.push(...buttons.map(button => `${button.title}: ${button.actionUrl}`));
+                break;
+            }
+            case 'feedCard':
+                html.push('<ul>');
+                for (const item of msg.links || []) {
+                    const image = item.picUrl
+                        ? `<br><img src="${this.escapeHtml(item.picUrl)}" style="max-width: 320px;">`
+                        : '';
+                    html.push(`<li>${link(item.title, item.messageUrl)}${image}</li>`);
+                    textLinks.push(`${item.title}: ${item.messageUrl}`);
+                }
+                html.push('</ul>');
+                break;
+            default:
+                break;
+        }
+
+        return {
+            subject: this.getSubject(msg),
+            text: [msg.msgtype !== 'text' ? msg.title : '', msg.content, ...textLinks].filter(Boolean).join('\n'),
+            html: html.join('\n')
+        };
+    }
+
+    async send(target, msg, options = {}) {
+        const mail = this.buildPayload(msg);
+        const cc = this.normalizeRecipients(target.config?.cc);
+        const info = await this.getTransporter().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: this.normalizeRecipients(target.config?.to).join(', '),
+            cc: cc.length > 0 ? cc.join(', ') : undefined,
+            ...mail
+        });
+
+        // 所有收件人都被拒收时视为失败
+        const accepted = info.accepted || [];
+        const rejected = info.rejected || [];
+        const success = accepted.length > 0 || rejected.length === 0;
+        return {
+            success,
+            code: success ? 0 : 550,
+            message: success ? (info.response || 'ok') : `邮件被拒收: ${rejected.join('、')}`,
+            response: {
+                messageId: info.messageId,
+                accepted,
+                rejected
+            }
+        };
+    }
+
+    /**
+     * 只有连接失败等异常（-1）时重试，收件人被拒收（550）不重试
+     */
+    shouldRetry(code) {
+        return code === -1;
+    }
+}
+
+module.exports = new EmailChannel();
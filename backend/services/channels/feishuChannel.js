@@ -0,0 +1,181 @@
+/**
+ * 飞书 / Lark 自定义机器人渠道
+ * text → text（<at user_id>），markdown、link、actionCard、feedCard → interactive 消息卡片
+ * 加签：以 `timestamp\nsecret` 为密钥对空字符串做 HmacSHA256，timestamp（秒）和 sign 放在请求体中
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// 飞书自定义机器人请求体不超过 20 KB
+const MAX_PAYLOAD_BYTES = 20 * 1024;
+
+// 可重试的错误码：-1 网络错误，11232 发送频率超限
+const RETRYABLE_CODES = [-1, 11232];
+
+class FeishuChannel {
+    constructor() {
+        this.type = 'feishu';
+        this.label = '飞书机器人';
+    }
+
+    validateTarget(target) {
+        return target.webhookUrl ? null : 'Webhook URL 不能为空';
+    }
+
+    /**
+     * 生成飞书加签
+     * @param {string} secret - 加签密钥
+     * @returns {Object} 包含timestamp（秒）和sign的对象
+     */
+    generateSign(secret) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const sign = crypto
+            .createHmac('sha256', `${timestamp}\n${secret}`)
+            .update('')
+            .digest('base64');
+        return { timestamp, sign };
+    }
+
+    /**
+     * 文本消息的 @：用户ID（open_id / user_id）用 <at user_id>，飞书不支持按手机号 @，手机号保留为文字
+     */
+    appendTextMentions(content, at) {
+        const text = String(content || '');
+        if (!at) {
+            return text;
+        }
+        const mentions = [
+            ...(at.isAtAll ? ['<at user_id="all">所有人</at>'] : []),
+            ...at.atUserIds.map(userId => `<at user_id="${userId}"></at>`),
+            ...at.atMobiles.filter(mobile => !text.includes(`@${mobile}`)).map(mobile => `@${mobile}`)
+        ];
+        return mentions.length > 0 ? `${text}\n${mentions.join(' ')}` : text;
+    }
+
+    /**
+     * 卡片 Markdown 中的 @ 写法为 <at id=xxx></at>
+     */
+    appendCardMentions(content, at) {
+        const text = String(content || '');
+        if (!at) {
+            return text;
+        }
+        const mentions = [
+            ...(at.isAtAll ? ['<at id=all></at>'] : []),
+            ...at.atUserIds.map(userId => `<at id=${userId}></at>`),
+            ...at.atMobiles.filter(mobile => !text.includes(`@${mobile}`)).map(mobile => `@${mobile}`)
+        ];
+        return mentions.length > 0 ? `${text}\n${mentions.join(' ')}` : text;
+    }
+
+    button(title, url, primary = false) {
+        return {
+            tag: 'button',
+            text: { tag: 'plain_text', content: title },
+            url,
+            type: primary ? 'primary' : 'default'
+        };
+    }
+
+    /**
+     * 按钮区域：横排时放在同一行，竖排时每个按钮一行
+     */
+    actionElements(buttons, horizontal) {
+        const elements = buttons.map((button, index) => this.button(button.title, button.actionUrl, index === 0));
+        if (horizontal) {
+            return [{ tag: 'action', actions: elements }];
+        }
+        return elements.map(element => ({ tag: 'action', actions: [element] }));
+    }
+
+    /**
+     * 生成消息卡片，飞书卡片中的图片需要先上传换取 image_key，这里不展示图片
+     */
+    buildCard(msg) {
+        const elements = [];
+        let title = msg.title;
+
+        switch (msg.msgtype) {
+            case 'link':
+                elements.push({ tag: 'markdown', content: String(msg.content || '') });
+                elements.push(...this.actionElements([{ title: '查看详情', actionUrl: msg.messageUrl }], true));
+                break;
+            case 'actionCard': {
+                const buttons = msg.singleTitle
+                    ? [{ title: msg.singleTitle, actionUrl: msg.singleUrl }]
+                    : (msg.buttons || []);
+                elements.push({ tag: 'markdown', content: String(msg.content || '') });
+                elements.push(...this.actionElements(buttons, String(msg.btnOrientation) === '1'));
+                break;
+            }
+            case 'feedCard':
+                title = null;
+                elements.push({
+                    tag: 'markdown',
+                    content: (msg.links || []).map(link => `- [${link.title}](${link.messageUrl})`).join('\n')
+                });
+                break;
+            default:
+                elements.push({ tag: 'markdown', content: this.appendCardMentions(msg.content, msg.at || null) });
+        }
+
+        const card = { config: { wide_screen_mode: true }, elements };
+        if (title) {
+            card.header = {
+                template: 'blue',
+                title: { tag: 'plain_text', content: title }
+            };
+        }
+        return card;
+    }
+
+    buildPayload(msg) {
+        if (msg.msgtype === 'text') {
+            return {
+                msg_type: 'text',
+                content: { text: this.appendTextMentions(msg.content, msg.at || null) }
+            };
+        }
+        return { msg_type: 'interactive', card: this.buildCard(msg) };
+    }
+
+    validate(msg) {
+        const size = Buffer.byteLength(JSON.stringify(this.buildPayload(msg)), 'utf8');
+        if (size > MAX_PAYLOAD_BYTES) {
+            return `消息过长（${size} 字节），飞书限制为 ${MAX_PAYLOAD_BYTES} 字节`;
+        }
+        return null;
+    }
+
+    async send(target, msg, options = {}) {
+        const payload = this.buildPayload(msg);
+        if (target.secret) {
+            logger.info('🔐 检测到加签密钥，启用消息签名');
+            Object.assign(payload, this.generateSign(target.secret));
+        }
+
+        const response = await axios.post(target.webhookUrl, payload, {
+            timeout: options.timeout || 10000,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        // 新版接口返回 { code, msg }，旧版返回 { StatusCode, StatusMessage }
+        const code = response.data.code ?? response.data.StatusCode;
+        return {
+            success: code === 0,
+            code,
+            message: response.data.msg ?? response.data.StatusMessage,
+            response: response.data
+        };
+    }
+
+    shouldRetry(errorCode) {
+        return RETRYABLE_CODES.includes(errorCode);
+    }
+}
+
+module.exports = new FeishuChannel();
@@ -0,0 +1,99 @@
+/**
+ * 消息发送渠道
+ * dingTalkBot.sendMessage 按群组的 channelType 选择渠道，每个渠道实现：
+ * - validateTarget(target)：校验群组的渠道配置，返回错误信息或 null
+ * - buildPayload(msg)：把统一格式的消息转换为渠道的请求体
+ * - validate(msg)（可选）：按渠道的长度等限制校验
+ * - send(target, msg, { timeout, summary })：发送并返回 { success, code, message, response }
+ * - shouldRetry(code)：失败时是否重试
+ */
+
+const dingtalkChannel = require('./dingtalkChannel');
+const wecomChannel = require('./wecomChannel');
+const feishuChannel = require('./feishuChannel');
+const webhookChannel = require('./webhookChannel');
+const emailChannel = require('./emailChannel');
+
+const CHANNELS = [dingtalkChannel, wecomChannel, feishuChannel, webhookChannel, emailChannel];
+// 使用加签密钥的渠道
+const SIGNED_CHANNELS = ['dingtalk', 'feishu', 'webhook'];
+
+class MessageChannels {
+    constructor() {
+        this.channels = Object.fromEntries(CHANNELS.map(channel => [channel.type, channel]));
+        this.types = CHANNELS.map(channel => channel.type);
+    }
+
+    get(type) {
+        return this.channels[type || 'dingtalk'] || null;
+    }
+
+    /**
+     * 渠道列表，用于前端选择
+     */
+    list() {
+        return CHANNELS.map(channel => ({
+            type: channel.type,
+            label: channel.label,
+            signed: SIGNED_CHANNELS.includes(channel.type)
+        }));
+    }
+
+    /**
+     * 统一发送目标：字符串视为钉钉 Webhook URL，对象为群组（或含相同字段的对象）
+     * @param {string|Object} target - Webhook URL 或 { channelType, webhookUrl, secret, channelConfig }
+     * @param {Object} options - 发送选项，secret 优先于群组上的密钥
+     * @returns {{ channelType: string, webhookUrl: string, secret: string, config: Object }}
+     */
+    resolveTarget(target, options = {}) {
+        if (!target || typeof target !== 'object') {
+            return { channelType: 'dingtalk', webhookUrl: target || '', secret: options.secret, config: {} };
+        }
+        return {
+            channelType: target.channelType || 'dingtalk',
+            webhookUrl: target.webhookUrl || target.webhook_url || '',
+            secret: options.secret || target.secret,
+            config: target.channelConfig || {}
+        };
+    }
+
+    /**
+     * 校验群组的渠道配置
+     * @returns {string|null} 错误信息
+     */
+    validateGroup(group) {
+        const target = this.resolveTarget(group);
+        const channel = this.get(target.channelType);
+        if (!channel) {
+            return `不支持的发送渠道: ${target.channelType}，可选 ${this.types.join('、')}`;
+        }
+        return channel.validateTarget(target);
+    }
+
+    /**
+     * 统一群组的渠道配置，只保留渠道用到的字段
+     * @returns {Object|null} webhook 为 { headers }，email 为 { to, cc }，其他渠道为 null
+     */
+    normalizeConfig(channelType, config) {
+        const value = config && typeof config === 'object' ? config : {};
+        if (channelType === 'email') {
+            return {
+                to: emailChannel.normalizeRecipients(value.to),
+                cc: emailChannel.normalizeRecipients(value.cc)
+            };
+        }
+        if (channelType === 'webhook' && value.headers) {
+            return { headers: value.headers };
+        }
+        return null;
+    }
+
+    /**
+     * 群组是否已配置可用的发送渠道
+     */
+    isConfigured(group) {
+        return Boolean(group) && !this.validateGroup(group);
+    }
+}
+
+module.exports = new MessageChannels();
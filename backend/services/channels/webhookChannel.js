@@ -0,0 +1,97 @@
+/**
+ * 通用 JSON Webhook 渠道
+ * 以 POST 发送统一格式的消息（字段同 dingTalkBot.normalizeMessage）和纯文本摘要，HTTP 2xx 视为成功
+ * 配置了密钥时附带 X-Timestamp（毫秒）和 X-Signature（以密钥对 `timestamp.请求体` 做 HmacSHA256 的十六进制）
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+// 限流和服务端错误时重试
+const RETRYABLE_STATUS = [429];
+
+class WebhookChannel {
+    constructor() {
+        this.type = 'webhook';
+        this.label = '通用Webhook';
+    }
+
+    validateTarget(target) {
+        if (!target.webhookUrl) {
+            return 'Webhook URL 不能为空';
+        }
+        const headers = target.config?.headers;
+        if (headers !== undefined && headers !== null
+            && (typeof headers !== 'object' || Array.isArray(headers))) {
+            return '自定义请求头必须是对象';
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} msg - 统一格式的消息
+     * @param {string} summary - 消息摘要（dingTalkBot.describeMessage）
+     */
+    buildPayload(msg, summary = '') {
+        return {
+            msgtype: msg.msgtype,
+            title: msg.title || '',
+            content: msg.content || '',
+            text: summary,
+            messageUrl: msg.messageUrl,
+            picUrl: msg.picUrl,
+            singleTitle: msg.singleTitle,
+            singleUrl: msg.singleUrl,
+            buttons: msg.buttons,
+            btnOrientation: msg.btnOrientation,
+            links: msg.links,
+            at: msg.at || null,
+            sentAt: new Date().toISOString()
+        };
+    }
+
+    generateSign(secret, body) {
+        const timestamp = Date.now().toString();
+        const signature = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return { timestamp, signature };
+    }
+
+    async send(target, msg, options = {}) {
+        const body = JSON.stringify(this.buildPayload(msg, options.summary));
+        const headers = {
+            ...(target.config?.headers || {}),
+            'Content-Type': 'application/json'
+        };
+        if (target.secret) {
+            const { timestamp, signature } = this.generateSign(target.secret, body);
+            headers['X-Timestamp'] = timestamp;
+            headers['X-Signature'] = signature;
+        }
+
+        const response = await axios.post(target.webhookUrl, body, {
+            timeout: options.timeout || 10000,
+            headers,
+            validateStatus: () => true
+        });
+
+        const success = response.status >= 200 && response.status < 300;
+        return {
+            success,
+            code: response.status,
+            message: success ? 'ok' : `HTTP ${response.status} ${response.statusText || ''}`.trim(),
+            response: response.data
+        };
+    }
+
+    /**
+     * @param {number} code - HTTP 状态码，-1 为网络错误
+     */
+    shouldRetry(code) {
+        return code === -1 || code >= 500 || RETRYABLE_STATUS.includes(code);
+    }
+}
+
+module.exports = new WebhookChannel();
@@ -0,0 +1,141 @@
+/**
+ * 企业微信群机器人渠道
+ * text → text（mentioned_list / mentioned_mobile_list），markdown → markdown（<@userid>），
+ * link、feedCard → news 图文，actionCard → markdown（按钮转为链接）
+ */
+
+const axios = require('axios');
+
+// 企业微信的消息限制
+const MAX_TEXT_BYTES = 2048;
+const MAX_MARKDOWN_BYTES = 4096;
+const MAX_ARTICLES = 8;
+
+// 可重试的错误码：-1 系统繁忙，45009 接口调用超过频率限制
+const RETRYABLE_CODES = [-1, 45009];
+
+class WeComChannel {
+    constructor() {
+        this.type = 'wecom';
+        this.label = '企业微信机器人';
+    }
+
+    validateTarget(target) {
+        return target.webhookUrl ? null : 'Webhook URL 不能为空';
+    }
+
+    /**
+     * Markdown 消息只能按用户ID @ 成员，手机号和 @所有人 不生效
+     */
+    appendMarkdownMentions(content, at) {
+        const text = String(content || '');
+        if (!at || at.atUserIds.length === 0) {
+            return text;
+        }
+        return `${text}\n${at.atUserIds.map(userId => `<@${userId}>`).join(' ')}`;
+    }
+
+    /**
+     * 卡片消息转为 Markdown：标题加粗，按钮转为链接
+     */
+    actionCardToMarkdown(msg) {
+        const buttons = msg.singleTitle
+            ? [{ title: msg.singleTitle, actionUrl: msg.singleUrl }]
+            : (msg.buttons || []);
+        const separator = String(msg.btnOrientation) === '1' ? '　' : '\n';
+        return [
+            `**${msg.title}**`,
+            String(msg.content || ''),
+            buttons.map(button => `[${button.title}](${button.actionUrl})`).join(separator)
+        ].join('\n\n');
+    }
+
+    buildPayload(msg) {
+        const at = msg.at || null;
+
+        switch (msg.msgtype) {
+            case 'markdown':
+                return {
+                    msgtype: 'markdown',
+                    markdown: { content: this.appendMarkdownMentions(msg.content, at) }
+                };
+            case 'actionCard':
+                return {
+                    msgtype: 'markdown',
+                    markdown: { content: this.actionCardToMarkdown(msg) }
+                };
+            case 'link':
+                return {
+                    msgtype: 'news',
+                    news: {
+                        articles: [{
+                            title: msg.title,
+                            description: msg.content,
+                            url: msg.messageUrl,
+                            picurl: msg.picUrl || ''
+                        }]
+                    }
+                };
+            case 'feedCard':
+                return {
+                    msgtype: 'news',
+                    news: {
+                        articles: (msg.links || []).map(link => ({
+                            title: link.title,
+                            url: link.messageUrl,
+                            picurl: link.picUrl
+                        }))
+                    }
+                };
+            default: {
+                const text = { content: String(msg.content || '') };
+                if (at) {
+                    text.mentioned_list = [...at.atUserIds, ...(at.isAtAll ? ['@all'] : [])];
+                    text.mentioned_mobile_list = at.atMobiles;
+                }
+                return { msgtype: 'text', text };
+            }
+        }
+    }
+
+    /**
+     * 按企业微信的长度限制校验
+     * @returns {string|null} 错误信息
+     */
+    validate(msg) {
+        const payload = this.buildPayload(msg);
+        if (payload.msgtype === 'text' || payload.msgtype === 'markdown') {
+            const limit = payload.msgtype === 'text' ? MAX_TEXT_BYTES : MAX_MARKDOWN_BYTES;
+            const size = Buffer.byteLength(payload[payload.msgtype].content, 'utf8');
+            if (size > limit) {
+                return `消息过长（${size} 字节），企业微信${payload.msgtype === 'text' ? '文本' : ' Markdown '}消息限制为 ${limit} 字节`;
+            }
+        }
+        if (payload.msgtype === 'news' && payload.news.articles.length > MAX_ARTICLES) {
+            return `企业微信图文消息最多 ${MAX_ARTICLES} 条`;
+        }
+        return null;
+    }
+
+    async send(target, msg, options = {}) {
+        const response = await axios.post(target.webhookUrl, this.buildPayload(msg), {
+            timeout: options.timeout || 10000,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        return {
+            success: response.data.errcode === 0,
+            code: response.data.errcode,
+            message: response.data.errmsg,
+            response: response.data
+        };
+    }
+
+    shouldRetry(errorCode) {
+        return RETRYABLE_CODES.includes(errorCode);
+    }
+}
+
+module.exports = new WeComChannel();
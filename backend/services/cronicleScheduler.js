@@ -6,11 +6,25 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const dingTalkBot = require('./dingTalkBot');
+const messageChannels = require('./channels');
 const excelParser = require('./excelParser');
 const scheduleRuleConverter = require('./scheduleRuleConverter');
 const settingsService = require('./settingsService');
+const executionHistoryService = require('./executionHistoryService');
+const jobOccurrenceStore = require('./jobOccurrenceStore');
+const schedulerLeader = require('./schedulerLeader');
+const holidayManager = require('./holidayManager');
+const taskLifecycleService = require('./taskLifecycleService');
+const occurrenceExceptionService = require('./occurrenceExceptionService');
+const messageTemplateEngine = require('./messageTemplateEngine');
+const messageTemplateService = require('./messageTemplateService');
 const path = require('path');
 
+// 查找下次执行时间的最大天数：农历闰年最长 385 天，按年执行的农历规则需要覆盖一整个农历年
+const NEXT_RUN_SEARCH_DAYS = 390;
+// 启动时按规则补查错过的提醒的最大天数
+const MISSED_LOOKBACK_DAYS = 7;
+
 class CronicleScheduler {
   constructor() {
     this.jobs = new Map(); // 存储所有作业
@@ -18,6 +32,18 @@ class CronicleScheduler {
     this.taskModel = null;
     this.fileModel = null;
     this.lastExecutionTime = null; // 记录最后执行时间
+    this.runningOccurrences = new Set(); // 本进程正在执行（含重试等待）的作业实例
+    this.holidayRefreshing = false; // 是否正在后台刷新节假日调度
+    this.holidayRefreshQueued = false; // 刷新期间节假日再次变更
+    
+    // 监听设置更新事件（只注册一次，调度器未运行时忽略）
+    settingsService.on('schedulerSettingsUpdated', () => {
+      if (!this.initialized) return;
+      logger.info('调度器设置已更新，重新初始化系统作业...');
+      this.reinitializeSystemJobs().catch(error => {
+        logger.error('重新初始化系统作业失败:', error);
+      });
+    });
   }
 
   /**
@@ -34,8 +60,16 @@ class CronicleScheduler {
       // 初始化系统作业
       await this.initializeSystemJobs();
       
-      // 加载今天的任务
-      await this.loadTodayTasks();
+      // 加载今天的任务，加载失败时初始化失败（主节点会让出租约，由其他节点或稍后重试接管）
+      const loadResult = await this.loadTodayTasks();
+      if (loadResult && !loadResult.success) {
+        throw new Error(`加载今日任务失败: ${loadResult.error}`);
+      }
+      
+      // 补偿停机期间错过的提醒（补发可能包含重试等待，不阻塞启动）
+      this.recoverMissedOccurrences().catch(error => {
+        logger.error('补偿错过的提醒失败:', error);
+      });
       
       this.initialized = true;
       logger.info('✅ Cronicle Scheduler initialized successfully');
@@ -47,6 +81,107 @@ class CronicleScheduler {
     }
   }
 
+  /**
+   * 参与主节点选举启动调度器
+   * 多实例部署时只有持有租约的节点运行调度器，失去租约后自动停止
+   */
+  async startWithLeaderElection(models = {}) {
+    // 从节点也需要数据模型来处理手动执行等请求
+    this.taskModel = models.Task;
+    this.fileModel = models.File;
+    
+    // 所有节点都需要节假日数据来计算下次执行时间和执行计划预览
+    await holidayManager.ensureLoaded();
+    
+    await schedulerLeader.start({
+      onElected: () => this.initialize(models),
+      onRevoked: () => this.stop(),
+      onSync: (taskIds) => this.syncTasks(taskIds),
+      onHolidaysChanged: () => this.scheduleHolidayRefresh()
+    });
+  }
+
+  /**
+   * 重新调度从节点修改过的任务（仅主节点）
+   */
+  async syncTasks(taskIds) {
+    if (!this.initialized || !this.taskModel) return;
+    
+    // 从节点可能修改了节假日，重新调度前先刷新节假日数据
+    await holidayManager.loadCustomHolidays();
+    
+    for (const taskId of taskIds) {
+      try {
+        const task = await this.taskModel.findById(taskId).populate('groupId').populate('fileConfig.fileId');
+        if (task && task.status === 'active') {
+          await this.scheduleTask(task);
+        } else {
+          await this.cancelTask(taskId);
+        }
+      } catch (error) {
+        logger.error(`Failed to sync task ${taskId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * 节假日变更后请求刷新调度，不等待刷新完成
+   * 主节点在后台刷新；从节点通过租约通知主节点，各节点的节假日数据由 holidayManager 定期重新加载
+   */
+  async requestHolidayRefresh() {
+    if (schedulerLeader.isLeader && this.initialized) {
+      this.scheduleHolidayRefresh();
+    } else {
+      await schedulerLeader.requestHolidayRefresh();
+    }
+  }
+
+  /**
+   * 在后台刷新节假日调度，刷新期间再次请求时在本次完成后再刷新一次
+   */
+  scheduleHolidayRefresh() {
+    if (this.holidayRefreshing) {
+      this.holidayRefreshQueued = true;
+      return;
+    }
+    this.holidayRefreshing = true;
+    (async () => {
+      do {
+        this.holidayRefreshQueued = false;
+        await this.refreshHolidaySchedules();
+      } while (this.holidayRefreshQueued);
+    })().catch(error => {
+      logger.error('节假日变更后刷新调度失败:', error);
+    }).finally(() => {
+      this.holidayRefreshing = false;
+    });
+  }
+
+  /**
+   * 节假日变更后刷新调度（仅主节点）：重新加载今日任务，并刷新所有活动任务的下次执行时间
+   */
+  async refreshHolidaySchedules() {
+    await holidayManager.loadCustomHolidays();
+    
+    if (!this.taskModel || !this.initialized) return;
+    
+    const activeTasks = await this.taskModel.find({ status: 'active' });
+    await this.loadTodayTasks();
+    
+    // 今天不执行的任务不会被重新调度，单独刷新下次执行时间
+    const scheduleRuleChecker = require('./scheduleRuleChecker');
+    for (const task of activeTasks) {
+      try {
+        const nextRunAt = await this.calculateNextRunTime(task.scheduleRule, scheduleRuleChecker, task);
+        await this.taskModel.findByIdAndUpdate(task._id, { nextRunAt });
+      } catch (error) {
+        logger.error(`Failed to update next run time for task ${task._id}:`, error);
+      }
+    }
+    
+    logger.info(`Schedules refreshed after holiday change (${activeTasks.length} active tasks)`);
+  }
+
   /**
    * 初始化系统作业
    */
@@ -112,12 +247,6 @@ class CronicleScheduler {
       });
     }
 
-    // 监听设置更新事件
-    settingsService.on('schedulerSettingsUpdated', async (updates) => {
-      logger.info('调度器设置已更新，重新初始化系统作业...');
-      await this.reinitializeSystemJobs();
-    });
-
     logger.info('System jobs initialized with dynamic settings');
   }
   
@@ -154,6 +283,15 @@ class CronicleScheduler {
       // 记录执行时间
       this.lastExecutionTime = new Date();
       
+      // 重新加载自定义节假日，确保排除节假日的规则使用最新数据
+      await holidayManager.loadCustomHolidays();
+      
+      // 按启用/关闭时间切换待启用、运行中、已关闭，一次性任务执行完毕后标记为已完成
+      const statusChanges = await taskLifecycleService.refreshStatuses(this.lastExecutionTime);
+      if (statusChanges.length > 0) {
+        logger.info(`Lifecycle updated ${statusChanges.length} tasks before loading`);
+      }
+      
       // 清理所有非系统任务作业
       logger.info('Cleaning up existing task jobs before reloading...');
       for (const [key, jobInfo] of this.jobs.entries()) {
@@ -166,6 +304,9 @@ class CronicleScheduler {
         }
       }
       
+      // 删除尚未到期的作业实例，由下面的调度重新登记
+      await jobOccurrenceStore.discardPending();
+      
       // 获取所有活动任务
       const activeTasks = await this.taskModel.find({ 
         status: 'active' 
@@ -175,7 +316,9 @@ class CronicleScheduler {
       let loadedCount = 0;
 
       for (const task of activeTasks) {
-        const shouldRun = await this.shouldTaskRunToday(task, today);
+        // 规则不在今天执行、但有执行改期到今天的任务也需要调度
+        const shouldRun = await this.shouldTaskRunToday(task, today) ||
+          occurrenceExceptionService.findMovedInto(task, today).length > 0;
         if (shouldRun) {
           await this.scheduleTask(task);
           loadedCount++;
@@ -206,7 +349,7 @@ class CronicleScheduler {
   async shouldTaskRunToday(task, date = new Date()) {
     try {
       const rule = task.scheduleRule;
-      if (!rule) return false;
+      if (!rule || !this.isWithinTaskWindow(task, date)) return false;
 
       // 使用scheduleRuleChecker判断
       const checker = require('./scheduleRuleChecker');
@@ -217,6 +360,13 @@ class CronicleScheduler {
     }
   }
 
+  /**
+   * 日期是否在任务启用期（activeFrom ~ activeUntil，按天比较）内
+   */
+  isWithinTaskWindow(task, date) {
+    return taskLifecycleService.getWindowPosition(task, date) === 'within';
+  }
+
   /**
    * 计算下次执行时间
    */
@@ -225,7 +375,6 @@ class CronicleScheduler {
       if (!scheduleRule || !checker) return null;
       
       const now = new Date();
-      const checkDate = new Date(now);
       
       // 对于工作表任务，需要特殊处理
       if (task && task.type === 'worksheet') {
@@ -233,20 +382,22 @@ class CronicleScheduler {
         return await this.getWorksheetNextRunTime(task, scheduleRule, checker);
       }
       
-      // 简单任务的计算逻辑
-      // 尝试找到未来30天内的下次执行时间
-      for (let i = 0; i < 30; i++) {
-        checkDate.setDate(checkDate.getDate() + 1);
-        if (checker.shouldRunToday(scheduleRule, checkDate)) {
-          const executionTimes = scheduleRule.executionTimes || [];
-          if (executionTimes.length > 0) {
-            const [hours, minutes] = executionTimes[0].split(':').map(Number);
-            checkDate.setHours(hours, minutes, 0, 0);
-            return checkDate;
+      // 简单任务：从今天剩余的执行时间开始，查找一年内启用期中最近的执行时间
+      const executionTimes = this.getExecutionTimes(scheduleRule);
+      for (let i = 0; i <= NEXT_RUN_SEARCH_DAYS; i++) {
+        const checkDate = new Date(now);
+        checkDate.setDate(now.getDate() + i);
+        const position = task ? taskLifecycleService.getWindowPosition(task, checkDate) : 'within';
+        if (position === 'after') break;
+        if (position === 'before' || !checker.shouldRunToday(scheduleRule, checkDate)) continue;
+        
+        for (const time of executionTimes) {
+          const [hours, minutes] = time.split(':').map(Number);
+          const runAt = new Date(checkDate);
+          runAt.setHours(hours, minutes, 0, 0);
+          if (runAt > now) {
+            return runAt;
           }
-          // 如果没有执行时间，默认设置为早上9点
-          checkDate.setHours(9, 0, 0, 0);
-          return checkDate;
         }
       }
       
@@ -257,6 +408,286 @@ class CronicleScheduler {
     }
   }
 
+  /**
+   * 计算接下来的 N 次执行时间（按规则的全部执行时间展开，考虑排除设置和节假日顺延）
+   * @returns {Date[]} 按时间排序，一年内不足 N 次时返回实际找到的次数
+   */
+  getNextRunTimes(scheduleRule, count = 5, from = new Date()) {
+    const checker = require('./scheduleRuleChecker');
+    const runTimes = [];
+    if (!scheduleRule) return runTimes;
+
+    const executionTimes = this.getExecutionTimes(scheduleRule);
+    for (let i = 0; i <= NEXT_RUN_SEARCH_DAYS && runTimes.length < count; i++) {
+      const checkDate = new Date(from);
+      checkDate.setDate(from.getDate() + i);
+      if (!checker.shouldRunToday(scheduleRule, checkDate)) continue;
+
+      for (const time of executionTimes) {
+        const runAt = this.getScheduledAt(time, checkDate);
+        if (runAt > from) {
+          runTimes.push(runAt);
+          if (runTimes.length >= count) break;
+        }
+      }
+    }
+
+    return runTimes;
+  }
+
+  /**
+   * 生成任务在日期范围内的执行计划预览
+   * 与实际调度使用同一套规则检查（包括节假日、周末等排除设置）
+   * @returns {Promise<Array>} 按时间排序的计划列表
+   */
+  async getExecutionPlans(task, startDate, endDate) {
+    const checker = require('./scheduleRuleChecker');
+    const taskId = task._id.toString();
+    const plans = [];
+    
+    if (!task.scheduleRule) return plans;
+    
+    // 每天的执行时间点
+    const slots = task.type === 'worksheet'
+      ? await this.getWorksheetSlots(task)
+      : this.getExecutionTimes(task.scheduleRule).map(time => ({
+          time,
+          message: task.messageContent,
+          jobId: `task:${taskId}:${time.replace(/:/g, '')}`
+        }));
+    
+    const now = new Date();
+    const date = new Date(startDate);
+    date.setHours(0, 0, 0, 0);
+    
+    while (date <= endDate) {
+      // 启用期外的日期不执行，包括改期到这些日期的执行
+      const withinWindow = this.isWithinTaskWindow(task, date);
+      const occurrence = withinWindow
+        ? checker.getOccurrenceInfo(task.scheduleRule, date)
+        : { runs: false, originalDates: [] };
+      const movedIn = withinWindow ? occurrenceExceptionService.findMovedInto(task, date) : [];
+      if (occurrence.runs || movedIn.length > 0) {
+        const dateStr = holidayManager.formatDate(date);
+        // 已过去的日期使用执行历史中的实际状态
+        const jobStatuses = date <= now
+          ? await executionHistoryService.getJobStatuses(dateStr)
+          : new Map();
+        const getStatus = (jobId, scheduledAt) => {
+          const executed = jobStatuses.get(jobId);
+          if (executed) return executed.status;
+          return scheduledAt <= now ? 'missed' : 'pending';
+        };
+        
+        for (const slot of occurrence.runs ? slots : []) {
+          const scheduledAt = this.getScheduledAt(slot.time, date);
+          const exception = occurrenceExceptionService.find(task, dateStr, slot.time);
+          const removed = occurrenceExceptionService.isRemoved(exception);
+          const status = getStatus(slot.jobId, scheduledAt);
+          
+          plans.push({
+            id: `plan_${slot.jobId}_${dateStr}`,
+            jobId: slot.jobId,
+            scheduledDate: dateStr,
+            scheduledTime: slot.time.substring(0, 5),
+            scheduledAt,
+            // 跳过或改期的执行在到期前即显示为已跳过
+            status: removed && status === 'pending' ? 'skipped' : status,
+            // 因节假日顺延到这一天时，记录原执行日期
+            originalDates: occurrence.originalDates,
+            shifted: occurrence.originalDates.length > 0,
+            messageContent: occurrenceExceptionService.getMessage(
+              removed ? null : exception,
+              slot.message || task.messageContent || '定时提醒'
+            ),
+            exception,
+            priorityOverride: task.priority || 'normal',
+            // 工作表行号和行的消息格式，补登记错过的执行时使用
+            row: slot.row,
+            messageFormat: slot.messageFormat,
+            generatedAt: now
+          });
+        }
+        
+        // 从其他日期或时间改期到这一天的执行
+        for (const exception of movedIn) {
+          const scheduledAt = this.getScheduledAt(exception.newTime, date);
+          const jobId = this.getMovedJobId(task, exception);
+          const originalSlot = slots.find(slot =>
+            occurrenceExceptionService.normalizeTime(slot.time) === exception.time);
+          
+          plans.push({
+            id: `plan_${jobId}_${dateStr}`,
+            jobId,
+            scheduledDate: dateStr,
+            scheduledTime: exception.newTime,
+            scheduledAt,
+            status: getStatus(jobId, scheduledAt),
+            originalDates: [],
+            shifted: false,
+            messageContent: occurrenceExceptionService.getMessage(
+              exception,
+              originalSlot?.message || task.messageContent || '定时提醒'
+            ),
+            exception,
+            movedFrom: { date: exception.date, time: exception.time },
+            priorityOverride: task.priority || 'normal',
+            row: originalSlot?.row,
+            messageFormat: originalSlot?.messageFormat,
+            generatedAt: now
+          });
+        }
+      }
+      date.setDate(date.getDate() + 1);
+    }
+    
+    plans.sort((a, b) => a.scheduledAt - b.scheduledAt);
+    return plans;
+  }
+
+  /**
+   * 调度模拟：列出日期范围内每个任务会发送的全部提醒，以及被跳过的候选日期和原因
+   * 与实际调度使用同一套判断（规则检查、任务关联覆盖、工作表行时间），不发送任何消息
+   * @param {Array} tasks 任务列表；草稿规则可传入没有 _id 的 { name, type, scheduleRule }
+   * @returns {Promise<{occurrences: Array, skipped: Array}>}
+   *   skipped.reason: weekend、holiday、month_filter、year_interval、specific_date、task_window、suppressed、
+   *   occurrence_skipped（单次跳过）、rescheduled（单次改期，改期后的执行计入 occurrences）
+   */
+  async simulateSchedule(tasks, startDate, endDate) {
+    const checker = require('./scheduleRuleChecker');
+    const taskAssociationService = require('./taskAssociationService');
+    const occurrences = [];
+    const skipped = [];
+
+    for (const task of tasks) {
+      if (!task.scheduleRule) continue;
+
+      const taskId = task._id ? task._id.toString() : null;
+      const taskInfo = { taskId, taskName: task.name || '草稿规则' };
+      const slots = task.type === 'worksheet'
+        ? await this.getWorksheetSlots(task)
+        : this.getExecutionTimes(task.scheduleRule).map(time => ({ time, message: task.messageContent }));
+
+      const date = new Date(startDate);
+      date.setHours(0, 0, 0, 0);
+      while (date <= endDate) {
+        const dateStr = holidayManager.formatDate(date);
+        const explanation = checker.explainDate(task.scheduleRule, date);
+
+        if (!explanation.runs) {
+          if (explanation.candidate) {
+            skipped.push({
+              ...taskInfo,
+              date: dateStr,
+              reason: explanation.reason,
+              shiftedTo: explanation.shiftedTo
+            });
+          }
+        } else if (!this.isWithinTaskWindow(task, date)) {
+          skipped.push({
+            ...taskInfo,
+            date: dateStr,
+            reason: 'task_window',
+            detail: { activeFrom: task.activeFrom, activeUntil: task.activeUntil }
+          });
+        } else {
+          const status = taskId
+            ? await taskAssociationService.shouldTaskExecute(taskId, new Date(date))
+            : { shouldExecute: true };
+
+          if (!status.shouldExecute) {
+            skipped.push({ ...taskInfo, date: dateStr, reason: status.reason, detail: { suppressedBy: status.suppressedBy } });
+          } else {
+            for (const slot of slots) {
+              const exception = occurrenceExceptionService.find(task, dateStr, slot.time);
+              if (occurrenceExceptionService.isRemoved(exception)) {
+                skipped.push({
+                  ...taskInfo,
+                  date: dateStr,
+                  reason: occurrenceExceptionService.getSkipReason(exception),
+                  detail: occurrenceExceptionService.toHistory(exception)
+                });
+                continue;
+              }
+              occurrences.push({
+                ...taskInfo,
+                date: dateStr,
+                time: slot.time.substring(0, 5),
+                scheduledAt: this.getScheduledAt(slot.time, date),
+                message: occurrenceExceptionService.getMessage(exception, slot.message || task.messageContent || '定时提醒'),
+                row: slot.row,
+                exception: occurrenceExceptionService.toHistory(exception),
+                // 因节假日顺延到这一天时，记录原执行日期
+                originalDates: explanation.originalDates
+              });
+            }
+          }
+        }
+
+        // 改期到这一天的执行
+        if (this.isWithinTaskWindow(task, date)) {
+          for (const exception of occurrenceExceptionService.findMovedInto(task, date)) {
+            const originalSlot = slots.find(slot =>
+              occurrenceExceptionService.normalizeTime(slot.time) === exception.time);
+            occurrences.push({
+              ...taskInfo,
+              date: dateStr,
+              time: exception.newTime,
+              scheduledAt: this.getScheduledAt(exception.newTime, date),
+              message: occurrenceExceptionService.getMessage(
+                exception,
+                originalSlot?.message || task.messageContent || '定时提醒'
+              ),
+              row: originalSlot?.row,
+              exception: occurrenceExceptionService.toHistory(exception),
+              originalDates: []
+            });
+          }
+        }
+        date.setDate(date.getDate() + 1);
+      }
+    }
+
+    occurrences.sort((a, b) => a.scheduledAt - b.scheduledAt);
+    skipped.sort((a, b) => a.date.localeCompare(b.date));
+    return { occurrences, skipped };
+  }
+
+  /**
+   * 获取工作表任务每天的执行时间点（解析工作表全部行）
+   */
+  async getWorksheetSlots(task) {
+    try {
+      const taskId = task._id.toString();
+      const { fileConfig } = task;
+      if (!fileConfig || !fileConfig.fileId || !this.fileModel) {
+        return [];
+      }
+      
+      const file = await this.fileModel.findById(fileConfig.fileId._id || fileConfig.fileId);
+      if (!file) {
+        return [];
+      }
+      
+      const filePath = path.resolve(file.filePath || file.path);
+      const parseResult = await excelParser.parseFile(filePath);
+      const worksheetData = parseResult.worksheets[fileConfig.worksheet] || [];
+      
+      return worksheetData
+        .filter(row => row.time && (row.message || row.messageType === 'feedCard' || row.templateId))
+        .map(row => ({
+          time: row.time,
+          message: row.message,
+          messageFormat: this.getRowMessageFormat(row),
+          row: row.row,
+          jobId: `worksheet:${taskId}:${row.time.replace(/:/g, '')}`
+        }));
+    } catch (error) {
+      logger.error('获取工作表执行时间失败:', error);
+      return [];
+    }
+  }
+
   /**
    * 获取工作表任务的下次执行时间
    */
@@ -267,7 +698,7 @@ class CronicleScheduler {
       today.setHours(0, 0, 0, 0);
       
       // 首先检查今天是否应该运行
-      if (checker.shouldRunToday(scheduleRule, now)) {
+      if (this.isWithinTaskWindow(task, now) && checker.shouldRunToday(scheduleRule, now)) {
         // 查找今天剩余的作业
         const todayJobs = [];
         for (const [jobId, jobInfo] of this.jobs.entries()) {
@@ -290,11 +721,13 @@ class CronicleScheduler {
         }
       }
       
-      // 查找未来30天内下一个运行日
+      // 查找未来30天内启用期中下一个运行日
       const checkDate = new Date(today);
       for (let i = 1; i <= 30; i++) {
         checkDate.setDate(checkDate.getDate() + 1);
-        if (checker.shouldRunToday(scheduleRule, checkDate)) {
+        const position = taskLifecycleService.getWindowPosition(task, checkDate);
+        if (position === 'after') break;
+        if (position === 'within' && checker.shouldRunToday(scheduleRule, checkDate)) {
           // 对于工作表任务，返回那天的第一个任务时间
           // 这里我们暂时返回那天的早上时间，实际执行时会从Excel加载
           checkDate.setHours(0, 0, 0, 0);
@@ -361,6 +794,13 @@ class CronicleScheduler {
     try {
       const taskId = task._id.toString();
       
+      // 非主节点不创建作业，交由主节点调度，避免多实例重复发送
+      if (!schedulerLeader.isLeader) {
+        await schedulerLeader.requestSync(taskId);
+        logger.info(`Task ${taskId} handed over to scheduler leader`);
+        return false;
+      }
+      
       // 如果任务已存在，先取消
       await this.cancelTask(taskId);
 
@@ -398,37 +838,167 @@ class CronicleScheduler {
 
   /**
    * 调度简单任务
+   * 每个执行时间注册一个独立的作业
    */
   async scheduleSimpleTask(task) {
     const taskId = task._id.toString();
     const { scheduleRule, groupId } = task;
+    const executionTimes = this.getExecutionTimes(scheduleRule);
+    const runsToday = await this.shouldTaskRunToday(task);
 
-    // 转换为cron表达式
-    const cronExpression = this.convertToCronExpression(scheduleRule);
-    if (!cronExpression) {
-      logger.warn(`Cannot convert schedule rule to cron for task ${taskId}`);
-      return;
-    }
+    for (const time of executionTimes) {
+      // 转换为cron表达式
+      const cronExpression = this.convertToCronExpression(scheduleRule, time);
+      if (!cronExpression) {
+        // 只跳过这个时间，其余时间和改期的执行照常登记
+        logger.warn(`Cannot convert schedule rule to cron for task ${taskId} at ${time}`);
+        continue;
+      }
 
-    // 创建cron作业
-    const job = cron.schedule(cronExpression, async () => {
-      // 在执行前检查任务是否应该在今天执行（考虑年间隔等规则）
-      const shouldRun = await this.shouldTaskRunToday(task);
-      if (shouldRun) {
-        await this.executeSimpleTask(task);
-      } else {
-        logger.debug(`Task ${taskId} skipped - not scheduled for today based on year interval or other rules`);
+      const jobId = `task:${taskId}:${time.replace(/:/g, '')}`;
+
+      // 创建cron作业
+      const job = cron.schedule(cronExpression, async () => {
+        const scheduledAt = this.getScheduledAt(time);
+        // 在执行前检查任务是否应该在今天执行（考虑年间隔等规则）
+        const shouldRun = await this.shouldTaskRunToday(task);
+        if (shouldRun) {
+          const exception = occurrenceExceptionService.find(task, scheduledAt, time);
+          if (occurrenceExceptionService.isRemoved(exception)) {
+            await this.recordExceptionSkip(task, exception, {
+              jobType: 'simple', scheduledAt, jobId, time, messageContent: task.messageContent
+            });
+          } else {
+            await this.runOccurrence(jobId, scheduledAt, () =>
+              this.executeSimpleTask(task, { scheduledAt, jobId, time, exception }));
+          }
+        } else {
+          logger.debug(`Task ${taskId} skipped - not scheduled for today based on year interval or other rules`);
+          // 作业每天触发，只有规则本身命中但被排除（节假日、周末、年间隔等）的日期才记录为跳过
+          const checker = require('./scheduleRuleChecker');
+          if (!checker.explainDate(scheduleRule, new Date()).candidate) return;
+
+          await this.recordExecution({
+            taskId: task._id,
+            groupId: groupId?._id || groupId,
+            jobType: 'simple',
+            scheduledAt,
+            executedAt: new Date(),
+            status: 'skipped',
+            skipReason: 'not_scheduled',
+            messageContent: task.messageContent,
+            metadata: { jobId, time }
+          });
+        }
+      }, {
+        scheduled: true,
+        timezone: 'Asia/Shanghai'
+      });
+
+      this.jobs.set(jobId, {
+        type: 'simple',
+        taskId,
+        time,
+        schedule: cronExpression,
+        job
+      });
+
+      // 持久化今天尚未到期的执行（跳过或改期的执行不登记）
+      const scheduledAt = this.getScheduledAt(time);
+      const exception = occurrenceExceptionService.find(task, scheduledAt, time);
+      if (runsToday && scheduledAt > new Date() && !occurrenceExceptionService.isRemoved(exception)) {
+        await jobOccurrenceStore.track({
+          jobId,
+          taskId: task._id,
+          groupId: groupId?._id || groupId,
+          jobType: 'simple',
+          scheduledAt,
+          time,
+          messageContent: occurrenceExceptionService.getMessage(exception, task.messageContent),
+          metadata: exception ? { exception: occurrenceExceptionService.toHistory(exception) } : null
+        });
       }
-    }, {
-      scheduled: true,
-      timezone: 'Asia/Shanghai'
-    });
+    }
 
-    this.jobs.set(`task:${taskId}`, {
-      type: 'simple',
-      taskId,
-      schedule: cronExpression,
-      job
+    await this.scheduleMovedOccurrences(task, 'simple', () => ({ message: task.messageContent }));
+  }
+
+  /**
+   * 登记从其他日期或时间改期到今天的执行，每个改期注册一个只触发一次的作业
+   * @param {Function} getOriginal - (exception) => { message, messageFormat } 原执行的消息（改期未设置新消息时使用）和工作表行的消息类型
+   */
+  async scheduleMovedOccurrences(task, jobType, getOriginal) {
+    const taskId = task._id.toString();
+    const groupId = task.groupId?._id || task.groupId;
+    const now = new Date();
+
+    for (const exception of occurrenceExceptionService.findMovedInto(task, now)) {
+      const scheduledAt = this.getScheduledAt(exception.newTime, now);
+      if (scheduledAt <= now) continue;
+
+      const original = getOriginal(exception);
+      const message = occurrenceExceptionService.getMessage(exception, original.message);
+      const jobId = this.getMovedJobId(task, exception);
+      const cronExpression = `${scheduledAt.getMinutes()} ${scheduledAt.getHours()} ${scheduledAt.getDate()} ${scheduledAt.getMonth() + 1} *`;
+      const options = { scheduledAt, jobId, time: exception.newTime, exception, messageFormat: original.messageFormat };
+
+      const job = cron.schedule(cronExpression, async () => {
+        job.stop();
+        this.jobs.delete(jobId);
+        await this.runOccurrence(jobId, scheduledAt, () => (jobType === 'worksheet'
+          ? this.executeWorksheetTask(task, message, exception.newTime, options)
+          : this.executeSimpleTask(task, options)));
+      }, {
+        scheduled: true,
+        timezone: 'Asia/Shanghai'
+      });
+
+      this.jobs.set(jobId, {
+        type: jobType,
+        taskId,
+        time: exception.newTime,
+        message,
+        schedule: cronExpression,
+        job
+      });
+
+      await jobOccurrenceStore.track({
+        jobId,
+        taskId: task._id,
+        groupId,
+        jobType,
+        scheduledAt,
+        time: exception.newTime,
+        messageContent: message,
+        metadata: { exception: occurrenceExceptionService.toHistory(exception) }
+      });
+    }
+  }
+
+  /**
+   * 改期执行的作业ID，按原执行日期和时间区分
+   */
+  getMovedJobId(task, exception) {
+    const prefix = task.type === 'worksheet' ? 'worksheet' : 'task';
+    return `${prefix}:${task._id}:moved:${exception.date.replace(/-/g, '')}${exception.time.replace(/:/g, '')}`;
+  }
+
+  /**
+   * 记录因单次例外（跳过、改期）而没有在原时间发送的执行
+   */
+  async recordExceptionSkip(task, exception, { jobType, scheduledAt, jobId, time, messageContent, metadata = {} }) {
+    logger.info(`任务 ${task.name} ${exception.date} ${exception.time} 的执行已${exception.action === 'skip' ? '跳过' : `改期到 ${exception.newDate} ${exception.newTime}`}`);
+    await this.recordExecution({
+      taskId: task._id,
+      groupId: task.groupId?._id || task.groupId,
+      jobType,
+      scheduledAt,
+      executedAt: new Date(),
+      status: 'skipped',
+      skipReason: occurrenceExceptionService.getSkipReason(exception),
+      exception: occurrenceExceptionService.toHistory(exception),
+      messageContent,
+      metadata: { ...metadata, jobId, time }
     });
   }
 
@@ -462,6 +1032,20 @@ class CronicleScheduler {
         return;
       }
 
+      // 改期到今天的执行使用原时间点所在行的消息和消息类型
+      await this.scheduleMovedOccurrences(task, 'worksheet', (exception) => {
+        const originalRow = worksheetData.find(row =>
+          occurrenceExceptionService.normalizeTime(row.time) === exception.time);
+        return originalRow
+          ? { message: originalRow.message, messageFormat: this.getRowMessageFormat(originalRow) }
+          : { message: '' };
+      });
+
+      // 规则今天不执行（仅因改期而调度）时不登记工作表的常规时间点
+      if (!await this.shouldTaskRunToday(task)) {
+        return;
+      }
+
       // 智能时间过滤：过滤掉已过期的提醒
       const currentDate = new Date();
       const filteredData = excelParser.filterExpiredReminders(worksheetData, currentDate);
@@ -479,7 +1063,8 @@ class CronicleScheduler {
       // 为每个未过期的时间点创建作业
       for (const row of filteredData) {
         const { time, message } = row;
-        if (!time || !message) continue;
+        const messageFormat = this.getRowMessageFormat(row);
+        if (!time || (!message && row.messageType !== 'feedCard' && !row.templateId)) continue;
 
         // 解析时间
         const [hours, minutes] = time.split(':').map(Number);
@@ -489,7 +1074,21 @@ class CronicleScheduler {
         
         // 创建cron作业
         const job = cron.schedule(cronExpression, async () => {
-          await this.executeWorksheetTask(task, message, time);
+          const scheduledAt = this.getScheduledAt(time);
+          const exception = occurrenceExceptionService.find(task, scheduledAt, time);
+          if (occurrenceExceptionService.isRemoved(exception)) {
+            await this.recordExceptionSkip(task, exception, {
+              jobType: 'worksheet',
+              scheduledAt,
+              jobId,
+              time,
+              messageContent: message,
+              metadata: { worksheet: fileConfig.worksheet, row: row.row }
+            });
+            return;
+          }
+          await this.runOccurrence(jobId, scheduledAt, () =>
+            this.executeWorksheetTask(task, message, time, { scheduledAt, jobId, row: row.row, exception, messageFormat }));
         }, {
           scheduled: true,
           timezone: 'Asia/Shanghai'
@@ -503,6 +1102,27 @@ class CronicleScheduler {
           schedule: cronExpression,
           job
         });
+
+        // 持久化今天尚未到期的执行（跳过或改期的执行不登记）
+        const scheduledAt = this.getScheduledAt(time);
+        const exception = occurrenceExceptionService.find(task, scheduledAt, time);
+        if (scheduledAt > currentDate && !occurrenceExceptionService.isRemoved(exception)) {
+          await jobOccurrenceStore.track({
+            jobId,
+            taskId: task._id,
+            groupId: groupId?._id || groupId,
+            jobType: 'worksheet',
+            scheduledAt,
+            time,
+            messageContent: occurrenceExceptionService.getMessage(exception, message),
+            metadata: {
+              worksheet: fileConfig.worksheet,
+              row: row.row,
+              ...(messageFormat ? { messageFormat } : {}),
+              ...(exception ? { exception: occurrenceExceptionService.toHistory(exception) } : {})
+            }
+          });
+        }
       }
 
       logger.info(`Scheduled ${filteredData.length} jobs (out of ${worksheetData.length} total) for worksheet task ${taskId}`);
@@ -512,120 +1132,374 @@ class CronicleScheduler {
   }
 
   /**
-   * 执行简单任务（带重试机制）
+   * 获取简单任务的全部执行时间（HH:mm，去重并按时间排序）
    */
-  async executeSimpleTask(task) {
-    const taskId = task._id.toString();
+  getExecutionTimes(scheduleRule) {
+    // cron 规则的执行时间由表达式的分钟、小时字段决定
+    if (scheduleRule?.ruleType === 'cron') {
+      const checker = require('./scheduleRuleChecker');
+      const { valid, times, error } = checker.validateCronExpression(scheduleRule.cron);
+      if (valid) return times;
+      logger.warn(`Invalid cron expression "${scheduleRule.cron}": ${error}`);
+    }
+
+    // 日内重复时段展开为具体的执行时间，与普通执行时间一样每个时间注册一个作业
+    if (Array.isArray(scheduleRule?.timeWindows) && scheduleRule.timeWindows.length > 0) {
+      const checker = require('./scheduleRuleChecker');
+      const { valid, times, error } = checker.validateTimeWindows(scheduleRule.timeWindows);
+      if (valid && times.length > 0) return times;
+      logger.warn(`Invalid time windows ${JSON.stringify(scheduleRule.timeWindows)}: ${error}`);
+    }
+
+    const rawTimes = scheduleRule && Array.isArray(scheduleRule.executionTimes) && scheduleRule.executionTimes.length > 0
+      ? scheduleRule.executionTimes
+      : [scheduleRule?.executionTime || '09:00'];
     
-    // 检查任务是否被覆盖
-    const taskAssociationService = require('./taskAssociationService');
-    const executionStatus = await taskAssociationService.shouldTaskExecute(taskId, new Date());
+    const times = rawTimes
+      .filter(time => typeof time === 'string' && /^\d{1,2}:\d{2}(:\d{2})?$/.test(time.trim()))
+      .map(time => {
+        const [hours, minutes] = time.trim().split(':');
+        return `${hours.padStart(2, '0')}:${minutes}`;
+      });
     
-    if (!executionStatus.shouldExecute && executionStatus.reason === 'suppressed') {
-      logger.info(`任务 ${task.name} (ID: ${taskId}) 被覆盖，跳过执行。覆盖任务: ${executionStatus.suppressedBy?.name}`);
-      
-      // 记录被覆盖的执行历史
-      await this.updateExecutionRecord(task._id, false, '任务被覆盖，未执行');
-      return; // 直接返回，不执行
+    const uniqueTimes = [...new Set(times)].sort();
+    return uniqueTimes.length > 0 ? uniqueTimes : ['09:00'];
+  }
+
+  /**
+   * 计算今天某个时间点（HH:mm 或 HH:mm:ss）对应的计划执行时间
+   */
+  getScheduledAt(time, baseDate = new Date()) {
+    const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+    const scheduledAt = new Date(baseDate);
+    scheduledAt.setHours(hours, minutes, seconds, 0);
+    return scheduledAt;
+  }
+
+  /**
+   * 按计划执行时间渲染消息模板（{{date}}、{{task_name}} 等）
+   * 模板有错误时不应发送，由调用方记录失败，避免把带 {{…}} 标签的原文发到群里
+   * @param {Object} variables - 消息模板库中模板的自定义变量取值
+   * @returns {Promise<{text: string, errors: string[]}>}
+   */
+  async renderMessage(task, message, scheduledAt, variables = {}) {
+    if (!messageTemplateEngine.hasTemplate(message)) {
+      return { text: message, errors: [] };
+    }
+
+    let occurrenceNo = 1;
+    try {
+      occurrenceNo = await executionHistoryService.countCompleted(task._id) + 1;
+    } catch (error) {
+      logger.warn(`统计任务 ${task.name} 的发送次数失败，occurrence_no 按 1 计算: ${error.message}`);
+    }
+
+    const { text, errors } = messageTemplateEngine.render(message, {
+      date: scheduledAt,
+      taskName: task.name,
+      groupName: task.groupId?.name,
+      occurrenceNo,
+      variables
+    });
+    if (errors.length > 0) {
+      logger.warn(`任务 ${task.name} 的消息模板有错误，不发送: ${errors.join('; ')}`);
+    }
+    return { text, errors };
+  }
+
+  /**
+   * 工作表行的消息类型、@ 提醒和引用的消息模板，行都未指定时返回 null（按任务的设置发送）
+   */
+  getRowMessageFormat(row) {
+    if (!row.messageType && !row.mentions && !row.templateId) {
+      return null;
+    }
+    return { messageType: row.messageType, messageOptions: row.messageOptions, mentions: row.mentions, templateId: row.templateId };
+  }
+
+  /**
+   * 引用消息模板时在发送前读取模板的当前版本，返回正文、消息格式和自定义变量取值
+   * 未引用模板时使用原消息和任务自身的消息格式；引用的模板已删除时抛出错误，不发送原消息
+   */
+  async resolveMessageTemplate(templateId, message, templateVariables) {
+    if (!templateId) {
+      return { message, messageFormat: null, variables: {} };
+    }
+    const template = await messageTemplateService.resolve(templateId);
+    if (!template) {
+      throw new Error(`引用的消息模板 ${templateId._id || templateId} 不存在或已删除`);
+    }
+    return {
+      message: template.content,
+      messageFormat: messageTemplateService.getMessageFormat(template),
+      variables: messageTemplateService.getVariableValues(template, templateVariables)
+    };
+  }
+
+  /**
+   * 发送消息（带重试机制）
+   * 重试由调度器统一控制，每次尝试都会写入发送日志
+   * @param {string} message - 消息正文
+   * @param {Object} messageFormat - 工作表行的 { messageType, messageOptions, mentions }，未指定的部分使用任务上的设置
+   */
+  async sendWithRetry(task, message, messageFormat = null) {
+    const { name, groupId } = task;
+    const rowFormat = messageFormat || {};
+    const messageType = rowFormat.messageType || task.messageType;
+    const messageOptions = rowFormat.messageType ? rowFormat.messageOptions : task.messageOptions;
+    let payloadMessage;
+    let settings;
+    try {
+      // @ 提醒依次使用工作表行、任务、群组默认的设置
+      const mentions = dingTalkBot.resolveMentions(messageType, rowFormat.mentions, task.mentions, groupId?.mentions);
+      payloadMessage = dingTalkBot.composeMessage(messageType, messageOptions, message, mentions);
+      settings = await settingsService.getSettings();
+    } catch (error) {
+      // 组装消息失败不会因重试而成功，直接返回失败由调用方记录
+      logger.error(`任务 ${name} 组装消息失败:`, error);
+      return { success: false, result: null, retryCount: 0, error };
     }
-    
-    const settings = await settingsService.getSettings();
     const maxRetries = settings.max_retry_count || 3;
     const retryInterval = settings.retry_interval || 300; // 秒
     
     let retryCount = 0;
-    let success = false;
+    let lastResult = null;
     let lastError = null;
     
-    while (!success && retryCount <= maxRetries) {
+    while (retryCount <= maxRetries) {
       try {
-        const { name, messageContent, groupId } = task;
-        
         if (retryCount > 0) {
           logger.info(`重试执行任务 ${name} (第 ${retryCount} 次重试)`);
-        } else {
-          logger.info(`Executing simple task: ${name}`);
         }
         
-        this.lastExecutionTime = new Date().toISOString(); // 记录执行时间
-        logger.info(`Message content: ${messageContent}`);
-        logger.info(`GroupId type: ${typeof groupId}, has webhookUrl: ${groupId?.webhookUrl ? 'yes' : 'no'}`);
-        
-        // 发送钉钉消息
-        if (groupId && groupId.webhookUrl) {
-          await dingTalkBot.sendMessage(
-            groupId.webhookUrl,
-            messageContent || `任务提醒: ${name}`,
-            {
-              secret: groupId.secret,
-              groupId: groupId._id,
-              timeout: settings.task_timeout * 1000 || 30000 // 使用任务超时设置
-            }
-          );
-        }
-        
-        // 更新执行记录和时间
-        await this.updateExecutionRecord(task._id, true);
+        lastResult = await dingTalkBot.sendMessage(
+          groupId,
+          payloadMessage,
+          {
+            groupId: groupId._id,
+            reminderId: task._id,
+            retryCount,
+            autoRetry: false,
+            timeout: settings.task_timeout * 1000 || 30000 // 使用任务超时设置
+          }
+        );
         
-        // 更新最后执行时间和下次执行时间
-        if (this.taskModel) {
-          const scheduleRuleChecker = require('./scheduleRuleChecker');
-          const nextRunAt = await this.calculateNextRunTime(task.scheduleRule, scheduleRuleChecker, task);
-          await this.taskModel.findByIdAndUpdate(taskId, { 
-            lastRunAt: new Date(),
-            nextRunAt
-          });
+        if (lastResult && lastResult.success) {
+          return { success: true, result: lastResult, retryCount };
         }
-        
-        success = true;
-        logger.info(`任务 ${task.name} 执行成功`);
-        
+        lastError = new Error(lastResult?.message || '消息发送失败');
       } catch (error) {
         lastError = error;
+      }
+      
+      // 渠道配置或消息本身不合法时重试也不会成功
+      if (lastResult && lastResult.retryable === false) {
+        logger.error(`任务 ${name} 的消息未通过校验，不再重试: ${lastResult.message}`);
+        break;
+      }
+      
+      if (retryCount < maxRetries) {
+        logger.warn(`任务 ${name} 执行失败，将在 ${retryInterval} 秒后重试 (${retryCount + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, retryInterval * 1000));
         retryCount++;
-        
-        if (retryCount <= maxRetries) {
-          logger.warn(`任务 ${task.name} 执行失败，将在 ${retryInterval} 秒后重试 (${retryCount}/${maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, retryInterval * 1000));
-        } else {
-          logger.error(`任务 ${task.name} 执行失败，已达到最大重试次数`, error);
-        }
+      } else {
+        logger.error(`任务 ${name} 执行失败，已达到最大重试次数`, lastError);
+        break;
+      }
+    }
+    
+    return { success: false, result: lastResult, retryCount, error: lastError };
+  }
+
+  /**
+   * 执行简单任务（带重试机制）
+   * @param {Object} task - 已填充groupId的任务
+   * @param {Object} options - scheduledAt 计划时间、triggerType 触发方式、jobId 作业ID、time 执行时间点
+   */
+  async executeSimpleTask(task, options = {}) {
+    const taskId = task._id.toString();
+    const { name, messageContent, groupId } = task;
+    const scheduledAt = options.scheduledAt || new Date();
+    const history = {
+      taskId: task._id,
+      groupId: groupId?._id || groupId,
+      jobType: 'simple',
+      triggerType: options.triggerType || 'scheduled',
+      scheduledAt,
+      messageContent: occurrenceExceptionService.getMessage(options.exception, messageContent),
+      exception: occurrenceExceptionService.toHistory(options.exception),
+      metadata: {
+        jobId: options.jobId || `task:${taskId}`,
+        ...(options.time ? { time: options.time } : {}),
+        ...(options.catchUp ? { catchUp: options.catchUp } : {})
       }
+    };
+    
+    // 读取消息模板、渲染变量需要访问数据库，失败时记录本次执行失败
+    let template;
+    let message;
+    let renderErrors;
+    try {
+      template = await this.resolveMessageTemplate(
+        task.messageTemplateId, messageContent || `任务提醒: ${name}`, task.templateVariables);
+      ({ text: message, errors: renderErrors } = await this.renderMessage(
+        task,
+        occurrenceExceptionService.getMessage(options.exception, template.message),
+        scheduledAt,
+        template.variables
+      ));
+      history.messageContent = message;
+    } catch (error) {
+      logger.error(`任务 ${name} 生成消息失败:`, error);
+      const errorMessage = `生成消息失败: ${error.message}`;
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: 'failed',
+        errorMessage
+      });
+      await this.updateExecutionRecord(task._id, false, errorMessage);
+      return;
     }
     
-    if (!success) {
-      // 发送失败通知（如果启用）
-      const settings = await settingsService.getSettings();
-      if (settings.task_failure_notification) {
-        const webhook = settings.notification_webhook || process.env.DINGTALK_WEBHOOK;
-        if (webhook) {
-          const failureMessage = `
+    // 检查任务是否被覆盖
+    const taskAssociationService = require('./taskAssociationService');
+    const executionStatus = await taskAssociationService.shouldTaskExecute(taskId, new Date());
+    
+    if (!executionStatus.shouldExecute && executionStatus.reason === 'suppressed') {
+      logger.info(`任务 ${name} (ID: ${taskId}) 被覆盖，跳过执行。覆盖任务: ${executionStatus.suppressedBy?.name}`);
+      
+      // 记录被覆盖的执行历史
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: 'skipped',
+        skipReason: 'suppressed',
+        metadata: { ...history.metadata, suppressedBy: executionStatus.suppressedBy }
+      });
+      await this.updateExecutionRecord(task._id, false, '任务被覆盖，未执行');
+      return; // 直接返回，不执行
+    }
+    
+    if (renderErrors.length > 0) {
+      const errorMessage = `消息模板渲染失败: ${renderErrors.join('; ')}`;
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: 'failed',
+        errorMessage
+      });
+      await this.updateExecutionRecord(task._id, false, errorMessage);
+      return;
+    }
+    
+    if (!messageChannels.isConfigured(groupId)) {
+      logger.warn(`任务 ${name} (ID: ${taskId}) 的群组未配置发送渠道，无法发送`);
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: 'failed',
+        errorMessage: '群组不存在或未配置发送渠道'
+      });
+      await this.updateExecutionRecord(task._id, false, '群组不存在或未配置发送渠道');
+      return;
+    }
+    
+    logger.info(`Executing simple task: ${name}`);
+    this.lastExecutionTime = new Date().toISOString(); // 记录执行时间
+    logger.info(`Message content: ${message}`);
+    
+    const sendResult = await this.sendWithRetry(task, message, template.messageFormat);
+    
+    // 记录本次执行
+    await this.recordExecution({
+      ...history,
+      executedAt: new Date(),
+      status: sendResult.success ? 'completed' : 'failed',
+      errorMessage: sendResult.success ? null : sendResult.error?.message,
+      webhookResponse: sendResult.result,
+      retryCount: sendResult.retryCount
+    });
+    
+    if (sendResult.success) {
+      // 更新执行记录和时间
+      await this.updateExecutionRecord(task._id, true);
+      
+      // 更新最后执行时间和下次执行时间
+      if (this.taskModel) {
+        const scheduleRuleChecker = require('./scheduleRuleChecker');
+        const nextRunAt = await this.calculateNextRunTime(task.scheduleRule, scheduleRuleChecker, task);
+        await this.taskModel.findByIdAndUpdate(taskId, { 
+          lastRunAt: new Date(),
+          nextRunAt
+        });
+      }
+      
+      logger.info(`任务 ${name} 执行成功`);
+      return;
+    }
+    
+    // 发送失败通知（如果启用）
+    const settings = await settingsService.getSettings();
+    if (settings.task_failure_notification) {
+      const webhook = settings.notification_webhook || process.env.DINGTALK_WEBHOOK;
+      if (webhook) {
+        const failureMessage = `
 【任务执行失败通知】
-任务名称：${task.name}
+任务名称：${name}
 失败时间：${new Date().toLocaleString('zh-CN')}
-重试次数：${maxRetries}
-错误信息：${lastError?.message || '未知错误'}
-          `.trim();
-          
-          try {
-            await dingTalkBot.sendMessage(webhook, failureMessage);
-          } catch (notifyError) {
-            logger.error('发送失败通知时出错:', notifyError);
-          }
+重试次数：${sendResult.retryCount}
+错误信息：${sendResult.error?.message || '未知错误'}
+        `.trim();
+        
+        try {
+          await dingTalkBot.sendMessage(webhook, failureMessage);
+        } catch (notifyError) {
+          logger.error('发送失败通知时出错:', notifyError);
         }
       }
-      
-      await this.updateExecutionRecord(task._id, false, lastError?.message);
     }
+    
+    await this.updateExecutionRecord(task._id, false, sendResult.error?.message);
   }
 
   /**
    * 执行工作表任务
+   * @param {Object} options - scheduledAt 计划时间、triggerType 触发方式、jobId 作业ID、row 工作表行号、
+   *   messageFormat 工作表行的消息类型、@ 提醒和引用的模板ID（未设置时使用任务的设置）
    */
-  async executeWorksheetTask(task, message, time) {
+  async executeWorksheetTask(task, message, time, options = {}) {
+    const taskId = task._id.toString();
+    const { name, groupId } = task;
+    const scheduledAt = options.scheduledAt || this.getScheduledAt(time);
+    const history = {
+      taskId: task._id,
+      groupId: groupId?._id || groupId,
+      jobType: 'worksheet',
+      triggerType: options.triggerType || 'scheduled',
+      scheduledAt,
+      messageContent: occurrenceExceptionService.getMessage(options.exception, message),
+      exception: occurrenceExceptionService.toHistory(options.exception),
+      metadata: {
+        jobId: options.jobId || `worksheet:${taskId}:${String(time).replace(/:/g, '')}`,
+        worksheet: task.fileConfig?.worksheet,
+        row: options.row,
+        time,
+        ...(options.catchUp ? { catchUp: options.catchUp } : {})
+      }
+    };
+    
     try {
-      const taskId = task._id.toString();
-      const { name, groupId } = task;
+      // 行引用了消息模板时使用模板内容，行中填写的消息类型优先于模板的消息类型
+      const rowFormat = options.messageFormat || {};
+      const template = await this.resolveMessageTemplate(rowFormat.templateId, message);
+      const messageFormat = template.messageFormat && !rowFormat.messageType
+        ? { ...rowFormat, ...template.messageFormat }
+        : options.messageFormat;
+      const rendered = await this.renderMessage(
+        task, occurrenceExceptionService.getMessage(options.exception, template.message), scheduledAt, template.variables);
+      message = rendered.text;
+      history.messageContent = message;
       
       // 检查任务是否被覆盖
       const taskAssociationService = require('./taskAssociationService');
@@ -635,31 +1509,44 @@ class CronicleScheduler {
         logger.info(`工作表任务 ${name} (ID: ${taskId}, 时间: ${time}) 被覆盖，跳过执行。覆盖任务: ${executionStatus.suppressedBy?.name}`);
         
         // 记录被覆盖的执行历史
+        await this.recordExecution({
+          ...history,
+          executedAt: new Date(),
+          status: 'skipped',
+          skipReason: 'suppressed',
+          metadata: { ...history.metadata, suppressedBy: executionStatus.suppressedBy }
+        });
         await this.updateExecutionRecord(task._id, false, '任务被覆盖，未执行', { time, message });
         return; // 直接返回，不执行
       }
       
+      if (rendered.errors.length > 0) {
+        throw new Error(`消息模板渲染失败: ${rendered.errors.join('; ')}`);
+      }
+      
       logger.info(`Executing worksheet task: ${name} at ${time}`);
       this.lastExecutionTime = new Date().toISOString(); // 记录执行时间
-      logger.info(`Task groupId type: ${typeof groupId}, value:`, groupId);
       
-      // 调试：检查groupId的详细信息
-      if (groupId) {
-        logger.info(`GroupId fields: _id=${groupId._id}, webhookUrl=${groupId.webhookUrl ? 'exists' : 'missing'}, secret=${groupId.secret ? 'exists' : 'missing'}`);
-      } else {
-        logger.warn(`GroupId is null or undefined for task ${task._id}`);
+      if (!messageChannels.isConfigured(groupId)) {
+        logger.warn(`GroupId is null or has no channel configured for task ${task._id}`);
+        throw new Error('群组不存在或未配置发送渠道');
       }
       
-      // 发送钉钉消息
-      if (groupId && groupId.webhookUrl) {
-        await dingTalkBot.sendMessage(
-          groupId.webhookUrl,
-          message,
-          {
-            secret: groupId.secret,
-            groupId: groupId._id
-          }
-        );
+      const sendResult = await this.sendWithRetry(task, message, messageFormat);
+      
+      // 记录本次执行
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: sendResult.success ? 'completed' : 'failed',
+        errorMessage: sendResult.success ? null : sendResult.error?.message,
+        webhookResponse: sendResult.result,
+        retryCount: sendResult.retryCount
+      });
+      
+      if (!sendResult.success) {
+        await this.updateExecutionRecord(task._id, false, sendResult.error?.message, { time });
+        return;
       }
       
       // 更新执行记录
@@ -673,10 +1560,330 @@ class CronicleScheduler {
       }
     } catch (error) {
       logger.error(`Failed to execute worksheet task ${task._id} at ${time}:`, error);
+      await this.recordExecution({
+        ...history,
+        executedAt: new Date(),
+        status: 'failed',
+        errorMessage: error.message
+      });
       await this.updateExecutionRecord(task._id, false, error.message, { time });
     }
   }
 
+  getOccurrenceKey(jobId, scheduledAt) {
+    return `${jobId}@${new Date(scheduledAt).getTime()}`;
+  }
+
+  /**
+   * 执行一次计划中的提醒：先把作业实例认领为执行中，重试等待期间补偿不会再次发送
+   */
+  async runOccurrence(jobId, scheduledAt, execute) {
+    const key = this.getOccurrenceKey(jobId, scheduledAt);
+    if (this.runningOccurrences.has(key)) {
+      logger.info(`作业 ${jobId} (${scheduledAt.toLocaleString('zh-CN')}) 正在执行，跳过`);
+      return false;
+    }
+    this.runningOccurrences.add(key);
+    try {
+      if (!await jobOccurrenceStore.claim(jobId, scheduledAt, schedulerLeader.nodeId)) {
+        logger.info(`作业 ${jobId} (${scheduledAt.toLocaleString('zh-CN')}) 已由其他进程执行或处理，跳过`);
+        return false;
+      }
+      await execute();
+      return true;
+    } catch (error) {
+      // 执行函数未能记录结果时（如写执行历史失败），把作业实例标记为失败，避免停留在执行中后被当作错过的提醒补发
+      logger.error(`执行作业 ${jobId} (${scheduledAt.toLocaleString('zh-CN')}) 失败:`, error);
+      await jobOccurrenceStore.resolve(jobId, scheduledAt, 'failed', { errorMessage: error.message });
+      return false;
+    } finally {
+      this.runningOccurrences.delete(key);
+    }
+  }
+
+  /**
+   * 执行中的作业实例超过这个时长（毫秒）仍未完成，视为执行进程已退出：按全部重试次数、间隔和超时估算
+   */
+  getClaimTimeout(settings) {
+    const maxRetries = settings.max_retry_count || 3;
+    const retryInterval = settings.retry_interval || 300;
+    const timeout = settings.task_timeout || 30;
+    return ((maxRetries + 1) * (retryInterval + timeout) + 60) * 1000;
+  }
+
+  /**
+   * 写入执行历史，并同步更新对应的作业实例状态
+   */
+  async recordExecution(entry) {
+    await executionHistoryService.record(entry);
+    await jobOccurrenceStore.resolveFromHistory(entry);
+  }
+
+  /**
+   * 补偿停机期间错过的提醒
+   * 按任务的 catchUpPolicy 处理：宽限期内补发、跳过并记为错过、或合并发送汇总
+   * 重启或重新当选时也会调用，本进程或其他进程正在执行（含重试等待）的提醒不在补偿范围内
+   */
+  async recoverMissedOccurrences() {
+    if (!this.taskModel) return;
+
+    const now = new Date();
+    await this.backfillMissedOccurrences(now);
+    const settings = await settingsService.getSettings();
+    const staleBefore = new Date(now.getTime() - this.getClaimTimeout(settings));
+    const candidates = (await jobOccurrenceStore.findOverdue(now, staleBefore)).filter(occurrence =>
+      !this.runningOccurrences.has(this.getOccurrenceKey(occurrence.jobId, occurrence.scheduledAt)));
+    
+    // 先认领再处理，查询之后被其他进程开始执行的提醒不会被补发或记为错过
+    const overdue = [];
+    for (const occurrence of candidates) {
+      if (await jobOccurrenceStore.claim(occurrence.jobId, occurrence.scheduledAt, schedulerLeader.nodeId, staleBefore)) {
+        overdue.push(occurrence);
+      }
+    }
+    if (overdue.length === 0) return;
+
+    logger.info(`发现 ${overdue.length} 个停机期间错过的提醒，开始补偿处理`);
+
+    // 按任务分组处理
+    const occurrencesByTask = new Map();
+    for (const occurrence of overdue) {
+      const key = occurrence.taskId.toString();
+      if (!occurrencesByTask.has(key)) {
+        occurrencesByTask.set(key, []);
+      }
+      occurrencesByTask.get(key).push(occurrence);
+    }
+
+    for (const [taskId, occurrences] of occurrencesByTask.entries()) {
+      try {
+        const task = await this.taskModel.findById(taskId).populate('groupId');
+        if (!task || task.status !== 'active') {
+          for (const occurrence of occurrences) {
+            await this.markOccurrenceMissed(occurrence, task ? '任务已停用，不再补发' : '任务已删除', 'skip');
+          }
+          continue;
+        }
+
+        const { mode = 'skip', graceMinutes = 30 } = task.catchUpPolicy || {};
+
+        if (mode === 'send_late') {
+          for (const occurrence of occurrences) {
+            if (now - occurrence.scheduledAt <= graceMinutes * 60 * 1000) {
+              logger.info(`补发错过的提醒: ${task.name} (${occurrence.scheduledAt.toLocaleString('zh-CN')})`);
+              const key = this.getOccurrenceKey(occurrence.jobId, occurrence.scheduledAt);
+              this.runningOccurrences.add(key);
+              try {
+                await this.executeOccurrenceLate(task, occurrence);
+              } finally {
+                this.runningOccurrences.delete(key);
+              }
+            } else {
+              await this.markOccurrenceMissed(occurrence, `已超过补发宽限期（${graceMinutes} 分钟）`, 'send_late');
+            }
+          }
+        } else if (mode === 'digest') {
+          await this.sendMissedDigest(task, occurrences);
+        } else {
+          for (const occurrence of occurrences) {
+            await this.markOccurrenceMissed(occurrence, '服务停机期间错过执行', 'skip');
+          }
+        }
+      } catch (error) {
+        logger.error(`补偿任务 ${taskId} 错过的提醒失败:`, error);
+      }
+    }
+  }
+
+  /**
+   * 按规则补登记停机期间应执行、但既没有执行历史也没有作业实例的提醒
+   * 每日加载只登记当天尚未到期的执行，进程跨过加载时间停机、或在新的一天到期后才启动时，
+   * 这些执行从未登记。从上次加载当天（最多 MISSED_LOOKBACK_DAYS 天）开始，
+   * 用执行计划（规则、启用期、单次例外）和执行历史比对，找出未执行的提醒
+   */
+  async backfillMissedOccurrences(now = new Date()) {
+    const taskAssociationService = require('./taskAssociationService');
+    const since = new Date(now);
+    since.setDate(since.getDate() - MISSED_LOOKBACK_DAYS);
+    const lastTrackedAt = await jobOccurrenceStore.getLastTrackedAt();
+    if (lastTrackedAt && lastTrackedAt > since) {
+      since.setTime(lastTrackedAt.getTime());
+    }
+    since.setHours(0, 0, 0, 0);
+
+    const tasks = await this.taskModel.find({ status: 'active' }).populate('fileConfig.fileId');
+    let count = 0;
+    for (const task of tasks) {
+      try {
+        const from = task.createdAt && task.createdAt > since ? task.createdAt : since;
+        const plans = await this.getExecutionPlans(task, from, now);
+        const suppressedDates = new Map();
+        
+        for (const plan of plans) {
+          if (plan.status !== 'missed' || plan.scheduledAt < from || plan.scheduledAt >= now) continue;
+          // 单次跳过或改期走的原执行不需要发送
+          if (!plan.movedFrom && occurrenceExceptionService.isRemoved(plan.exception)) continue;
+          if (this.runningOccurrences.has(this.getOccurrenceKey(plan.jobId, plan.scheduledAt))) continue;
+          
+          if (!suppressedDates.has(plan.scheduledDate)) {
+            const status = await taskAssociationService.shouldTaskExecute(task._id.toString(), plan.scheduledAt);
+            suppressedDates.set(plan.scheduledDate, !status.shouldExecute && status.reason === 'suppressed');
+          }
+          if (suppressedDates.get(plan.scheduledDate)) continue;
+          
+          const exception = plan.exception ? occurrenceExceptionService.toHistory(plan.exception) : null;
+          const metadata = task.type === 'worksheet'
+            ? {
+                worksheet: task.fileConfig?.worksheet,
+                row: plan.row,
+                ...(plan.messageFormat ? { messageFormat: plan.messageFormat } : {}),
+                ...(exception ? { exception } : {})
+              }
+            : (exception ? { exception } : null);
+          const registered = await jobOccurrenceStore.register({
+            jobId: plan.jobId,
+            taskId: task._id,
+            groupId: task.groupId?._id || task.groupId,
+            jobType: task.type === 'worksheet' ? 'worksheet' : 'simple',
+            scheduledAt: plan.scheduledAt,
+            time: plan.scheduledTime,
+            messageContent: plan.messageContent,
+            metadata
+          });
+          if (registered) count++;
+        }
+      } catch (error) {
+        logger.error(`补查任务 ${task._id} 错过的提醒失败:`, error);
+      }
+    }
+    
+    if (count > 0) {
+      logger.info(`按规则补登记了 ${count} 个停机期间未登记的提醒（自 ${since.toLocaleString('zh-CN')} 起）`);
+    }
+    return count;
+  }
+
+  /**
+   * 补发一次错过的执行
+   */
+  async executeOccurrenceLate(task, occurrence) {
+    const exception = occurrence.metadata?.exception;
+    const options = {
+      triggerType: 'catchup',
+      scheduledAt: occurrence.scheduledAt,
+      jobId: occurrence.jobId,
+      catchUp: 'send_late',
+      // 登记时已按例外确定了消息，这里只保留例外摘要用于执行历史
+      exception: exception && {
+        action: exception.action,
+        date: exception.originalDate,
+        time: exception.originalTime,
+        newDate: exception.newDate,
+        newTime: exception.newTime,
+        reason: exception.reason,
+        messageContent: occurrence.messageContent
+      }
+    };
+
+    if (occurrence.jobType === 'worksheet') {
+      await this.executeWorksheetTask(task, occurrence.messageContent, occurrence.time, {
+        ...options,
+        row: occurrence.metadata?.row,
+        messageFormat: occurrence.metadata?.messageFormat
+      });
+    } else {
+      await this.executeSimpleTask(task, { ...options, time: occurrence.time });
+    }
+  }
+
+  /**
+   * 将任务错过的多条提醒合并为一条汇总消息发送
+   */
+  async sendMissedDigest(task, occurrences) {
+    const { name, groupId } = task;
+    const lines = [];
+    for (const [index, occurrence] of occurrences.entries()) {
+      let template;
+      try {
+        template = await this.resolveMessageTemplate(
+          occurrence.jobType === 'worksheet' ? occurrence.metadata?.messageFormat?.templateId : task.messageTemplateId,
+          occurrence.messageContent || task.messageContent || '',
+          task.templateVariables
+        );
+      } catch (error) {
+        lines.push(`${index + 1}. ${occurrence.scheduledAt.toLocaleString('zh-CN')} （${error.message}）`);
+        continue;
+      }
+      // 例外替换了消息时使用替换后的消息
+      const overridden = occurrence.metadata?.exception && occurrence.messageContent &&
+        occurrence.messageContent !== task.messageContent;
+      const rendered = await this.renderMessage(
+        task, overridden ? occurrence.messageContent : template.message, occurrence.scheduledAt, template.variables);
+      // 模板有错误的提醒只列出时间和错误，不把模板原文发到群里
+      const content = rendered.errors.length > 0
+        ? `（消息模板渲染失败: ${rendered.errors.join('; ')}）`
+        : rendered.text;
+      lines.push(`${index + 1}. ${occurrence.scheduledAt.toLocaleString('zh-CN')} ${content}`.trim());
+    }
+    const digestMessage = [
+      `【错过的提醒汇总】${name}`,
+      `以下 ${occurrences.length} 条提醒在服务停机期间未能按时发送：`,
+      ...lines
+    ].join('\n');
+
+    let result = { success: false, message: '群组不存在或未配置发送渠道' };
+    if (messageChannels.isConfigured(groupId)) {
+      // 不使用自动重试，重试等待会阻塞启动时的补偿
+      result = await dingTalkBot.sendMessage(groupId, digestMessage, {
+        groupId: groupId._id,
+        reminderId: task._id,
+        autoRetry: false
+      });
+    }
+
+    if (result.success) {
+      logger.info(`已发送任务 ${name} 的错过提醒汇总，共 ${occurrences.length} 条`);
+    } else {
+      logger.error(`发送任务 ${name} 的错过提醒汇总失败: ${result.message}`);
+    }
+
+    const reason = result.success
+      ? '服务停机期间错过执行，已合并发送汇总'
+      : `服务停机期间错过执行，汇总发送失败: ${result.message}`;
+    for (const occurrence of occurrences) {
+      await this.markOccurrenceMissed(occurrence, reason, 'digest', { digestSent: result.success });
+    }
+  }
+
+  /**
+   * 将作业实例记为错过，并写入执行历史
+   */
+  async markOccurrenceMissed(occurrence, reason, catchUpAction, metadata = {}) {
+    await jobOccurrenceStore.resolve(occurrence.jobId, occurrence.scheduledAt, 'missed', {
+      catchUpAction,
+      errorMessage: reason
+    });
+    await executionHistoryService.record({
+      taskId: occurrence.taskId,
+      groupId: occurrence.groupId,
+      jobType: occurrence.jobType,
+      triggerType: 'catchup',
+      scheduledAt: occurrence.scheduledAt,
+      executedAt: new Date(),
+      status: 'skipped',
+      skipReason: 'missed',
+      errorMessage: reason,
+      messageContent: occurrence.messageContent,
+      metadata: {
+        ...(occurrence.metadata || {}),
+        jobId: occurrence.jobId,
+        time: occurrence.time,
+        catchUp: catchUpAction,
+        ...metadata
+      }
+    });
+  }
+
   /**
    * 更新执行记录
    */
@@ -705,65 +1912,27 @@ class CronicleScheduler {
 
   /**
    * 转换调度规则为cron表达式
+   * @param {Object} scheduleRule - 调度规则
+   * @param {string} time - 执行时间 HH:mm，默认取规则中最早的执行时间
    */
-  convertToCronExpression(scheduleRule) {
+  convertToCronExpression(scheduleRule, time = null) {
     try {
       if (!scheduleRule) return null;
 
-      const { ruleType, dayMode, weekMode, intervalMode, executionTimes, months } = scheduleRule;
-      
       // 获取执行时间
-      const time = executionTimes && executionTimes[0] ? executionTimes[0] : '09:00';
-      const [hours, minutes] = time.split(':').map(Number);
-
-      // 处理年间隔的特殊情况
-      // 注意：对于年间隔=0（今年执行）的任务，cron表达式只是作为今年的调度
-      // shouldTaskRunToday 方法会根据年间隔决定是否执行
-      
-      // 处理月份限制
-      const monthStr = months && months.length > 0 ? months.join(',') : '*';
-
-      switch (ruleType) {
-        case 'by_day':
-          if (dayMode && dayMode.type === 'specific_days' && dayMode.days) {
-            // 特定日期
-            const days = dayMode.days.join(',');
-            return `${minutes} ${hours} ${days} ${monthStr} *`;
-          } else {
-            // 每天
-            return `${minutes} ${hours} * ${monthStr} *`;
-          }
-          
-        case 'by_week':
-          if (weekMode && weekMode.weekdays) {
-            // 特定星期
-            const weekdays = weekMode.weekdays.join(',');
-            return `${minutes} ${hours} * ${monthStr} ${weekdays}`;
-          }
-          break;
-          
-        case 'by_interval':
-          // 间隔任务
-          // 对于带年间隔的任务，我们仍然创建常规的cron表达式
-          // 但是执行时会通过 shouldTaskRunToday 来判断是否真的执行
-          if (intervalMode && intervalMode.unit === 'days') {
-            // 每天检查，但实际执行由 shouldTaskRunToday 决定
-            return `${minutes} ${hours} * ${monthStr} *`;
-          } else if (intervalMode && intervalMode.unit === 'weeks') {
-            // 每周检查
-            return `${minutes} ${hours} * ${monthStr} 0`; // 周日
-          } else if (intervalMode && intervalMode.unit === 'months') {
-            // 每月检查
-            return `${minutes} ${hours} 1 ${monthStr} *`; // 每月1号
-          } else {
-            // 默认每天检查
-            return `${minutes} ${hours} * ${monthStr} *`;
-          }
-          
-        default:
-          // 默认每天执行，具体是否执行由 shouldTaskRunToday 决定
-          return `${minutes} ${hours} * ${monthStr} *`;
-      }
+      const executionTime = time || this.getExecutionTimes(scheduleRule)[0];
+      const [hours, minutes] = executionTime.split(':').map(Number);
+
+      // 作业在规则涉及的月份每天触发，当天是否执行统一由 shouldTaskRunToday 判断，
+      // 保证"下次执行时间"、预览与实际发送使用同一套规则（年间隔、按周间隔、工作日序号等都无法用 cron 表达）
+      // 节假日顺延会把执行移到规则以外的日期（甚至相邻月份），此时不限制月份
+      const checker = require('./scheduleRuleChecker');
+      const { months } = checker.normalizeRule(scheduleRule);
+      const monthStr = checker.getHolidayPolicy(scheduleRule) === 'skip' && months.length > 0
+        ? months.join(',')
+        : '*';
+
+      return `${minutes} ${hours} * ${monthStr} *`;
     } catch (error) {
       logger.error('Error converting schedule rule to cron:', error);
       return null;
@@ -776,6 +1945,11 @@ class CronicleScheduler {
   async cancelTask(taskId) {
     const taskIdStr = taskId.toString();
     
+    // 非主节点没有本地作业，通知主节点处理
+    if (!schedulerLeader.isLeader) {
+      await schedulerLeader.requestSync(taskIdStr);
+    }
+    
     // 取消所有相关作业
     for (const [key, jobInfo] of this.jobs.entries()) {
       if (key.includes(taskIdStr)) {
@@ -789,6 +1963,9 @@ class CronicleScheduler {
       }
     }
     
+    // 取消的任务不应在重启后被当作错过的提醒补发
+    await jobOccurrenceStore.discardPending(taskIdStr);
+    
     return true;
   }
 
@@ -835,7 +2012,7 @@ class CronicleScheduler {
         if (jobInfo.taskId) {
           try {
             const task = await this.taskModel.findById(jobInfo.taskId)
-              .populate('groupId', 'name webhookUrl');
+              .populate('groupId', 'name webhookUrl channelType');
             
             if (task) {
               taskDetails = {
@@ -854,6 +2031,7 @@ class CronicleScheduler {
                 groupDetails = {
                   id: task.groupId._id,
                   name: task.groupId.name,
+                  channelType: task.groupId.channelType || 'dingtalk',
                   webhookUrl: task.groupId.webhookUrl ? 
                     task.groupId.webhookUrl.substring(0, 50) + '...' : null
                 };
@@ -969,6 +2147,8 @@ class CronicleScheduler {
     return {
       initialized: this.initialized,
       running: this.initialized,  // 兼容前端期望的字段
+      nodeId: schedulerLeader.nodeId,
+      isLeader: schedulerLeader.isLeader,
       totalJobs: this.jobs.size,
       tasksCount: this.jobs.size, // 兼容前端期望的字段
       jobsByType,
@@ -1043,6 +2223,12 @@ class CronicleScheduler {
         }
       }
       
+      // 同一任务有多个执行时间时，在名称中区分各个时间点
+      if (taskDetails && jobInfo.type === 'simple' && jobInfo.time &&
+          this.getExecutionTimes(taskDetails.scheduleRule).length > 1) {
+        taskDetails.name = `${taskDetails.name} - ${jobInfo.time}`;
+      }
+      
       jobs.push({
         id: key,
         type: jobInfo.type,
@@ -1066,9 +2252,9 @@ class CronicleScheduler {
       if (a.type === 'system' && b.type !== 'system') return -1;
       if (a.type !== 'system' && b.type === 'system') return 1;
       
-      // 按时间排序
+      // 按时间排序（HH:mm 字符串）
       if (a.time && b.time) {
-        return new Date(a.time) - new Date(b.time);
+        return a.time.localeCompare(b.time);
       }
       
       return 0;
@@ -1144,8 +2330,9 @@ class CronicleScheduler {
         const historyExpireDate = new Date(now);
         historyExpireDate.setDate(historyExpireDate.getDate() - settings.history_retention_days);
         
-        // 这里添加清理历史记录的逻辑
-        logger.info(`清理 ${settings.history_retention_days} 天前的历史记录`);
+        const deletedCount = await executionHistoryService.cleanupBefore(historyExpireDate);
+        await jobOccurrenceStore.cleanupBefore(historyExpireDate);
+        logger.info(`清理 ${settings.history_retention_days} 天前的历史记录，共删除 ${deletedCount} 条`);
       }
       
       // 清理日志文件
@@ -1202,7 +2389,7 @@ class CronicleScheduler {
       // 发送报告
       const webhook = settings.notification_webhook || process.env.DINGTALK_WEBHOOK;
       if (webhook) {
-        await dingTalkBot.sendMessage(reportMessage, webhook);
+        await dingTalkBot.sendMessage(webhook, reportMessage);
         logger.info('每日统计报告已发送');
       }
       
@@ -1225,15 +2412,21 @@ class CronicleScheduler {
       if (task.type === 'worksheet') {
         // 执行工作表任务的第一个时间点
         const file = await this.fileModel.findById(task.fileConfig.fileId);
-        const filePath = path.resolve(file.filePath);
-        const worksheetData = await excelParser.parseWorksheet(filePath, task.fileConfig.worksheet);
+        const filePath = path.resolve(file.filePath || file.path);
+        const parseResult = await excelParser.parseFile(filePath);
+        const worksheetData = parseResult.worksheets[task.fileConfig.worksheet];
         
         if (worksheetData && worksheetData.length > 0) {
-          const { time, message } = worksheetData[0];
-          await this.executeWorksheetTask(task, message, time);
+          const { time, message, row } = worksheetData[0];
+          await this.executeWorksheetTask(task, message, time, {
+            triggerType: 'manual',
+            scheduledAt: new Date(),
+            row,
+            messageFormat: this.getRowMessageFormat(worksheetData[0])
+          });
         }
       } else {
-        await this.executeSimpleTask(task);
+        await this.executeSimpleTask(task, { triggerType: 'manual' });
       }
       
       return { success: true, message: 'Task executed successfully' };
@@ -7,6 +7,7 @@ const { query } = require('../config/database');
 const logger = require('../utils/logger');
 const excelParser = require('./excelParser');
 const { advancedScheduleEngine } = require('./advancedScheduleEngine');
+const scheduleRuleChecker = require('./scheduleRuleChecker');
 
 class DailyTaskLoader {
     constructor() {
@@ -271,39 +272,7 @@ class DailyTaskLoader {
      * 检查日期规则是否匹配
      */
     checkDateRuleMatches(rule, today) {
-        const ruleType = rule.rule_type || rule.ruleType;
-        
-        if (ruleType === 'monthly') {
-            const month = today.getMonth() + 1;
-            const day = today.getDate();
-            
-            // 检查月份
-            if (rule.months && rule.months.includes(month)) {
-                // 检查日期
-                const dayMode = rule.day_mode || rule.dayMode;
-                if (dayMode) {
-                    const days = dayMode.days || dayMode.values;
-                    if (days && days.includes(day)) {
-                        return true;
-                    }
-                }
-            }
-        } else if (ruleType === 'daily') {
-            // 每日任务总是匹配
-            return true;
-        } else if (ruleType === 'weekly') {
-            // 检查星期
-            const dayOfWeek = today.getDay();
-            const dayMode = rule.day_mode || rule.dayMode;
-            if (dayMode) {
-                const weekdays = dayMode.weekdays || dayMode.values;
-                if (weekdays && weekdays.includes(dayOfWeek)) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
+        return scheduleRuleChecker.shouldRunOnDate(rule, today);
     }
     
     /**
@@ -1,7 +1,23 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { Group, SendLog } = require('../models/mongodb');
+const messageChannels = require('./channels');
+
+// 统一的消息类型（沿用钉钉自定义机器人的类型），各渠道按自身格式转换
+const MESSAGE_TYPES = ['text', 'markdown', 'link', 'actionCard', 'feedCard'];
+
+// 按钮方向只能是 0（竖排）或 1（横排）
+const BUTTON_ORIENTATIONS = ['0', '1'];
+// 跳转链接和图片地址必须是带协议的地址，各渠道对协议的限制由渠道校验
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+
+// 只有文本和 Markdown 消息支持 @ 提醒
+const MENTION_TYPES = ['text', 'markdown'];
+// @ 的手机号为中国大陆 11 位手机号，“所有人”等写法表示 @所有人
+const MOBILE_PATTERN = /^1\d{10}$/;
+const AT_ALL_WORDS = ['所有人', '全体', '全体成员', 'all'];
+
+// 发送前校验失败（渠道不支持、缺少发送目标、消息不合法）的结果代码，重试也不会成功
+const INVALID_MESSAGE_CODE = -2;
 
 class DingTalkBot {
     constructor() {
@@ -10,91 +26,277 @@ class DingTalkBot {
     }
 
     /**
-     * 发送文本消息到钉钉群
-     * @param {string} webhookUrl - 钉钉机器人Webhook URL
-     * @param {string} message - 消息内容
-     * @param {Object} options - 发送选项
-     * @returns {Object} 发送结果
+     * 统一消息格式：字符串视为文本消息
+     * 消息对象字段：msgtype、content（正文，markdown/link/actionCard 为描述或 Markdown 正文）、title、
+     * messageUrl、picUrl（link）、singleTitle、singleUrl、buttons[{ title, actionUrl }]、btnOrientation（actionCard）、
+     * links[{ title, messageUrl, picUrl }]（feedCard）、at（@ 提醒，见 normalizeMentions）
+     */
+    normalizeMessage(message) {
+        if (message && typeof message === 'object') {
+            return { ...message, msgtype: message.msgtype || 'text' };
+        }
+        return { msgtype: 'text', content: message };
+    }
+
+    /**
+     * 统一 @ 提醒格式
+     * @param {Object|string} mentions - { atMobiles, atUserIds, isAtAll }，或逗号、空格、换行分隔的文本（工作表“@人员”列）
+     * @returns {{ atMobiles: string[], atUserIds: string[], isAtAll: boolean }}
+     */
+    normalizeMentions(mentions) {
+        const result = { atMobiles: [], atUserIds: [], isAtAll: false };
+        if (!mentions) {
+            return result;
+        }
+
+        if (typeof mentions === 'string') {
+            for (const token of mentions.split(/[,，、;；\s]+/)) {
+                const value = token.replace(/^@/, '').trim();
+                if (!value) continue;
+                if (AT_ALL_WORDS.includes(value.toLowerCase())) {
+                    result.isAtAll = true;
+                } else if (MOBILE_PATTERN.test(value)) {
+                    result.atMobiles.push(value);
+                } else {
+                    result.atUserIds.push(value);
+                }
+            }
+        } else {
+            const clean = list => (Array.isArray(list) ? list : [])
+                .map(item => String(item || '').replace(/^@/, '').trim())
+                .filter(Boolean);
+            result.atMobiles = clean(mentions.atMobiles);
+            result.atUserIds = clean(mentions.atUserIds);
+            result.isAtAll = Boolean(mentions.isAtAll);
+        }
+
+        result.atMobiles = [...new Set(result.atMobiles)];
+        result.atUserIds = [...new Set(result.atUserIds)];
+        return result;
+    }
+
+    /**
+     * 是否设置了 @ 提醒
+     */
+    hasMentions(mentions) {
+        const { atMobiles, atUserIds, isAtAll } = this.normalizeMentions(mentions);
+        return isAtAll || atMobiles.length > 0 || atUserIds.length > 0;
+    }
+
+    /**
+     * 校验 @ 提醒
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validateMentions(mentions, messageType = 'text') {
+        if (!this.hasMentions(mentions)) {
+            return null;
+        }
+        if (!MENTION_TYPES.includes(messageType || 'text')) {
+            return '只有文本和 Markdown 消息支持 @ 提醒';
+        }
+        const invalid = this.normalizeMentions(mentions).atMobiles.filter(mobile => !MOBILE_PATTERN.test(mobile));
+        if (invalid.length > 0) {
+            return `手机号格式无效: ${invalid.join('、')}`;
+        }
+        return null;
+    }
+
+    /**
+     * 依次取第一个设置了 @ 提醒的来源（工作表行、任务、群组默认），消息类型不支持 @ 时返回 null
+     */
+    resolveMentions(messageType, ...sources) {
+        if (!MENTION_TYPES.includes(messageType || 'text')) {
+            return null;
+        }
+        const source = sources.find(item => this.hasMentions(item));
+        return source ? this.normalizeMentions(source) : null;
+    }
+
+    /**
+     * 按任务或工作表行保存的消息类型组装消息，没有卡片字段和 @ 提醒的文本消息直接返回内容字符串
+     * @param {string} messageType - 消息类型
+     * @param {Object} messageOptions - 标题、链接、按钮等卡片字段
+     * @param {string} content - 消息正文
+     * @param {Object} mentions - @ 提醒
+     */
+    composeMessage(messageType, messageOptions, content, mentions = null) {
+        const at = this.hasMentions(mentions) ? this.normalizeMentions(mentions) : undefined;
+        if ((!messageType || messageType === 'text') && !at) {
+            return content;
+        }
+        const options = messageType && messageType !== 'text' ? messageOptions : null;
+        return { ...(options || {}), msgtype: messageType || 'text', content, ...(at ? { at } : {}) };
+    }
+
+    /**
+     * 发送前的消息：统一格式，@ 提醒统一格式，不支持 @ 的消息类型去掉 at
+     */
+    prepareMessage(message) {
+        const msg = this.normalizeMessage(message);
+        const at = MENTION_TYPES.includes(msg.msgtype) && this.hasMentions(msg.at)
+            ? this.normalizeMentions(msg.at)
+            : null;
+        return { ...msg, at };
+    }
+
+    /**
+     * 校验消息，先检查与渠道无关的字段，指定渠道时再按渠道的限制校验（钉钉的标题、链接协议、长度等）
+     * 保存模板等不确定发送渠道的场景只做通用校验，发送时按群组的渠道校验
+     * @param {string} channelType - 发送渠道，为空时只做通用校验
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validateMessage(message, channelType = null) {
+        const msg = this.normalizeMessage(message);
+        const isBlank = value => !value || String(value).trim().length === 0;
+        const isUrl = value => URL_PATTERN.test(String(value || '').trim());
+
+        if (!MESSAGE_TYPES.includes(msg.msgtype)) {
+            return `不支持的消息类型: ${msg.msgtype}，可选 ${MESSAGE_TYPES.join('、')}`;
+        }
+        if (msg.msgtype !== 'feedCard' && isBlank(msg.content)) {
+            return '消息内容不能为空';
+        }
+        if ((msg.msgtype === 'link' || msg.msgtype === 'actionCard') && isBlank(msg.title)) {
+            return `${msg.msgtype} 消息必须填写标题`;
+        }
+        const mentionError = this.validateMentions(msg.at, msg.msgtype);
+        if (mentionError) {
+            return mentionError;
+        }
+
+        if (msg.msgtype === 'link') {
+            if (!isUrl(msg.messageUrl)) {
+                return '链接消息必须填写有效的跳转链接';
+            }
+            if (msg.picUrl && !isUrl(msg.picUrl)) {
+                return '链接消息的图片地址无效';
+            }
+        }
+
+        if (msg.msgtype === 'actionCard') {
+            if (msg.singleTitle) {
+                if (!isUrl(msg.singleUrl)) {
+                    return '卡片消息的按钮必须填写有效的跳转链接';
+                }
+            } else {
+                const buttons = msg.buttons || [];
+                if (buttons.length === 0) {
+                    return '卡片消息至少需要一个按钮';
+                }
+                if (buttons.some(button => isBlank(button.title) || !isUrl(button.actionUrl))) {
+                    return '卡片消息的每个按钮都必须填写标题和有效的跳转链接';
+                }
+            }
+            if (msg.btnOrientation !== undefined && !BUTTON_ORIENTATIONS.includes(String(msg.btnOrientation))) {
+                return '按钮排列方式只能是 0（竖排）或 1（横排）';
+            }
+        }
+
+        if (msg.msgtype === 'feedCard') {
+            const links = msg.links || [];
+            if (links.length === 0) {
+                return '多图文消息至少需要一条图文';
+            }
+            if (links.some(link => isBlank(link.title) || !isUrl(link.messageUrl) || (link.picUrl && !isUrl(link.picUrl)))) {
+                return '多图文消息的每条图文都必须填写标题和有效的跳转链接';
+            }
+        }
+
+        if (!channelType) {
+            return null;
+        }
+        const channel = messageChannels.get(channelType);
+        if (!channel) {
+            return `不支持的发送渠道: ${channelType}`;
+        }
+        return channel.validate ? channel.validate(this.prepareMessage(msg)) : null;
+    }
+
+    /**
+     * 消息摘要，用于日志和发送记录
+     */
+    describeMessage(message) {
+        const msg = this.normalizeMessage(message);
+        if (msg.msgtype === 'text') {
+            const text = msg.content ? String(msg.content) : '';
+            return this.hasMentions(msg.at)
+                ? messageChannels.get('dingtalk').appendMentionText(text, this.normalizeMentions(msg.at))
+                : text;
+        }
+        if (msg.msgtype === 'feedCard') {
+            return `[feedCard] ${(msg.links || []).map(link => link.title).join(' / ')}`;
+        }
+        return `[${msg.msgtype}] ${msg.title || ''}\n${msg.content || ''}`;
+    }
+
+    /**
+     * 按群组的发送渠道发送消息
+     * @param {string|Object} target - 钉钉机器人Webhook URL，或群组（按 channelType 选择渠道，见 channels.resolveTarget）
+     * @param {string|Object} message - 文本内容，或包含 msgtype 的消息对象（见 normalizeMessage）
+     * @param {Object} options - 发送选项（autoRetry=false 时由调用方自行负责重试）
+     * @returns {Object} 发送结果，发送前校验失败时 retryable 为 false，调用方不应重试
      */
-    async sendMessage(webhookUrl, message, options = {}) {
-        const { groupId, reminderId, retryCount = 0, secret } = options;
+    async sendMessage(target, message, options = {}) {
+        const { groupId, reminderId, retryCount = 0, autoRetry = true, timeout = 10000 } = options;
         const startTime = Date.now();
+        const summary = this.describeMessage(message);
+        const destination = messageChannels.resolveTarget(target, options);
+        const channel = messageChannels.get(destination.channelType);
+        const channelLabel = channel ? channel.label : destination.channelType;
         
         try {
-            logger.info(`📤 开始发送钉钉消息 - 群组ID: ${groupId}, 提醒ID: ${reminderId}, 重试次数: ${retryCount}`);
-            logger.info(`🔗 Webhook URL: ${webhookUrl ? webhookUrl.substring(0, 80) + '...' : 'null'}`);
-            logger.info(`💬 消息内容长度: ${message ? message.length : 0} 字符`);
-            logger.info(`💬 消息预览: ${message ? message.substring(0, 200) + (message.length > 200 ? '...' : '') : 'null'}`);
-            
-            if (!webhookUrl) {
-                throw new Error('Webhook URL 不能为空');
+            logger.info(`📤 开始发送消息（${channelLabel}） - 群组ID: ${groupId}, 提醒ID: ${reminderId}, 重试次数: ${retryCount}`);
+            if (destination.webhookUrl) {
+                logger.info(`🔗 Webhook URL: ${destination.webhookUrl.substring(0, 80)}...`);
             }
+            logger.info(`💬 消息类型: ${this.normalizeMessage(message).msgtype}, 内容长度: ${summary.length} 字符`);
+            logger.info(`💬 消息预览: ${summary.substring(0, 200) + (summary.length > 200 ? '...' : '')}`);
             
-            if (!message || message.trim().length === 0) {
-                throw new Error('消息内容不能为空');
-            }
-            
-            const payload = {
-                msgtype: 'text',
-                text: {
-                    content: message
+            const validationError = !channel
+                ? `不支持的发送渠道: ${destination.channelType}`
+                : channel.validateTarget(destination) || this.validateMessage(message, destination.channelType);
+            if (validationError) {
+                logger.error(`消息校验失败（${channelLabel}） - 群组ID: ${groupId}, 错误: ${validationError}`);
+                const result = {
+                    success: false,
+                    code: INVALID_MESSAGE_CODE,
+                    message: validationError,
+                    retryable: false,
+                    timestamp: new Date()
+                };
+                await this.logSendResult(groupId, reminderId, summary, result, retryCount);
+                if (groupId) {
+                    await this.updateGroupSendStats(groupId, false);
                 }
-            };
-
-            // 加签处理：从选项中获取secret或从URL提取
-            const urlObj = new URL(webhookUrl);
-            const urlSecret = urlObj.searchParams.get('secret');
-            const finalSecret = secret || urlSecret;
-            
-            if (finalSecret) {
-                logger.info(`🔐 检测到加签密钥，启用消息签名`);
-                logger.info(`🔑 使用的密钥: ${finalSecret}`);
-                const { timestamp, sign } = this.generateSign(finalSecret);
-                
-                logger.info(`⏰ 时间戳: ${timestamp}`);
-                logger.info(`✍️ 生成的签名: ${sign}`);
-                
-                // 重新构建带签名的URL - 注意URLSearchParams.set会自动编码，所以不需要手动encodeURIComponent
-                urlObj.searchParams.set('timestamp', timestamp);
-                urlObj.searchParams.set('sign', sign);
-                webhookUrl = urlObj.toString();
-                
-                logger.info(`🔗 完整签名后的URL: ${webhookUrl}`);
+                return result;
             }
 
-            logger.info(`🚀 发送HTTP请求到钉钉API...`);
-            const response = await axios.post(webhookUrl, payload, {
-                timeout: 10000,
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+            logger.info(`🚀 发送消息到${channelLabel}...`);
+            const sendResult = await channel.send(destination, this.prepareMessage(message), { timeout, summary });
             
-            logger.info(`📡 收到钉钉API响应 - 状态码: ${response.status}, 响应时间: ${Date.now() - startTime}ms`);
-            logger.info(`📡 响应数据: ${JSON.stringify(response.data)}`);
+            logger.info(`📡 收到${channelLabel}响应 - 响应时间: ${Date.now() - startTime}ms`);
+            logger.info(`📡 响应数据: ${JSON.stringify(sendResult.response)}`);
 
             const result = {
-                success: response.data.errcode === 0,
-                code: response.data.errcode,
-                message: response.data.errmsg,
+                ...sendResult,
                 timestamp: new Date()
             };
 
             // 记录发送日志
-            await this.logSendResult(groupId, reminderId, message, result, retryCount);
+            await this.logSendResult(groupId, reminderId, summary, result, retryCount);
 
             if (result.success) {
-                logger.info(`钉钉消息发送成功 - 群组ID: ${groupId}`);
+                logger.info(`消息发送成功（${channelLabel}） - 群组ID: ${groupId}`);
                 // 更新群组最后发送时间和成功计数
                 if (groupId) {
                     await this.updateGroupSendStats(groupId, true);
                 }
             } else {
-                logger.error(`钉钉消息发送失败 - 群组ID: ${groupId}, 错误: ${result.message}`);
+                logger.error(`消息发送失败（${channelLabel}） - 群组ID: ${groupId}, 错误: ${result.message}`);
                 
                 // 如果需要重试且未达到最大重试次数
-                if (retryCount < this.maxRetries && this.shouldRetry(result.code)) {
-                    await this.scheduleRetry(webhookUrl, message, {
+                if (autoRetry && retryCount < this.maxRetries && channel.shouldRetry(result.code)) {
+                    await this.scheduleRetry(target, message, {
                         ...options,
                         retryCount: retryCount + 1
                     });
@@ -109,7 +311,7 @@ class DingTalkBot {
             return result;
 
         } catch (error) {
-            logger.error(`钉钉消息发送异常 - 群组ID: ${groupId}:`, error.message);
+            logger.error(`消息发送异常（${channelLabel}） - 群组ID: ${groupId}:`, error.message);
             
             const result = {
                 success: false,
@@ -119,11 +321,11 @@ class DingTalkBot {
             };
 
             // 记录发送日志
-            await this.logSendResult(groupId, reminderId, message, result, retryCount);
+            await this.logSendResult(groupId, reminderId, summary, result, retryCount);
 
             // 重试逻辑
-            if (retryCount < this.maxRetries) {
-                await this.scheduleRetry(webhookUrl, message, {
+            if (autoRetry && retryCount < this.maxRetries) {
+                await this.scheduleRetry(target, message, {
                     ...options,
                     retryCount: retryCount + 1
                 });
@@ -139,9 +341,9 @@ class DingTalkBot {
     }
 
     /**
-     * 批量发送消息到多个群组
+     * 批量发送消息到多个群组，每个群组按各自的发送渠道发送
      * @param {Array} groups - 群组列表
-     * @param {string} message - 消息内容
+     * @param {string|Object} message - 消息内容或消息对象
      * @returns {Array} 发送结果列表
      */
     async sendToMultipleGroups(groups, message) {
@@ -149,9 +351,8 @@ class DingTalkBot {
         
         for (const group of groups) {
             try {
-                const result = await this.sendMessage(group.webhook_url, message, {
-                    groupId: group.id,
-                    secret: group.secret
+                const result = await this.sendMessage(group, message, {
+                    groupId: group.id
                 });
                 results.push({
                     groupId: group.id,
@@ -173,15 +374,15 @@ class DingTalkBot {
 
     /**
      * 测试钉钉机器人连接
-     * @param {string} webhookUrl - Webhook URL
+     * @param {string|Object} target - Webhook URL 或群组
      * @param {string} secret - 加签密钥（可选）
      * @returns {Object} 测试结果
      */
-    async testConnection(webhookUrl, secret = null) {
+    async testConnection(target, secret = null) {
         const testMessage = `🤖 钉钉提醒系统连接测试\n时间: ${new Date().toLocaleString()}`;
         
         try {
-            const result = await this.sendMessage(webhookUrl, testMessage, {
+            const result = await this.sendMessage(target, testMessage, {
                 retryCount: 0,  // 测试消息不重试
                 secret: secret
             });
@@ -200,51 +401,13 @@ class DingTalkBot {
         }
     }
 
-    /**
-     * 生成钉钉加签
-     * @param {string} secret - 加签密钥
-     * @returns {Object} 包含timestamp和sign的对象
-     */
-    generateSign(secret) {
-        try {
-            const timestamp = Date.now().toString();
-            const stringToSign = `${timestamp}\n${secret}`;
-            const sign = crypto
-                .createHmac('sha256', secret)
-                .update(stringToSign)
-                .digest('base64');
-
-            logger.info(`🔐 生成签名成功 - 时间戳: ${timestamp}`);
-            return { timestamp, sign };
-        } catch (error) {
-            logger.error('生成签名失败:', error.message);
-            throw new Error('签名生成失败: ' + error.message);
-        }
-    }
-
-    /**
-     * 判断是否应该重试
-     * @param {number} errorCode - 错误代码
-     * @returns {boolean} 是否重试
-     */
-    shouldRetry(errorCode) {
-        // 钉钉错误代码处理
-        const retryableCodes = [
-            -1,     // 网络错误
-            310000, // 系统繁忙
-            300001, // 服务器错误
-        ];
-        
-        return retryableCodes.includes(errorCode);
-    }
-
     /**
      * 安排重试发送
-     * @param {string} webhookUrl - Webhook URL
-     * @param {string} message - 消息内容
+     * @param {string|Object} target - Webhook URL 或群组
+     * @param {string|Object} message - 消息内容或消息对象
      * @param {Object} options - 选项
      */
-    async scheduleRetry(webhookUrl, message, options) {
+    async scheduleRetry(target, message, options) {
         const delay = Math.min(this.retryInterval * Math.pow(2, options.retryCount) * 1000, 300000); // 指数退避，最大5分钟
         const maxRetryTime = 1800000; // 最大重试时间30分钟
         
@@ -265,7 +428,7 @@ class DingTalkBot {
                 ...options,
                 retryStartTime: retryStartTime
             };
-            await this.sendMessage(webhookUrl, message, retryOptions);
+            await this.sendMessage(target, message, retryOptions);
         } catch (error) {
             logger.error('重试发送过程中出错:', error.message);
         }
@@ -414,4 +577,4 @@ class DingTalkBot {
     }
 }
 
-module.exports = new DingTalkBot();
\ No newline at end of file
+module.exports = new DingTalkBot();
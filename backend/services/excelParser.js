@@ -1,6 +1,24 @@
 const XLSX = require('xlsx');
 const logger = require('../utils/logger');
 const { formatTime } = require('../utils/timeUtils');
+const dingTalkBot = require('./dingTalkBot');
+const messageTemplateEngine = require('./messageTemplateEngine');
+
+// 工作表“消息类型”列可填写的值，未填写或没有该列时按任务的消息类型发送
+const MESSAGE_TYPE_ALIASES = {
+    text: 'text',
+    文本: 'text',
+    markdown: 'markdown',
+    md: 'markdown',
+    link: 'link',
+    链接: 'link',
+    actioncard: 'actionCard',
+    卡片: 'actionCard',
+    feedcard: 'feedCard',
+    多图文: 'feedCard'
+};
+// “模板”列填写消息模板库中模板的ID
+const TEMPLATE_ID_PATTERN = /^[a-f\d]{24}$/i;
 
 class ExcelParser {
     constructor() {
@@ -80,10 +98,10 @@ class ExcelParser {
         const headerRow = data[0];
         logger.info(`📝 标题行内容: ${JSON.stringify(headerRow)}`);
         
-        const timeIndex = this.findColumnIndex(headerRow, ['时间', 'time', '时间点', '提醒时间', '执行时间', '发送时间']);
-        const messageIndex = this.findColumnIndex(headerRow, ['消息内容', 'message', '内容', '消息', '提醒内容', '文本', 'content', 'text']);
+        const columns = this.findColumns(headerRow);
+        const { timeIndex, messageIndex } = columns;
 
-        logger.info(`🔍 列索引匹配结果: 时间列=${timeIndex}, 消息列=${messageIndex}`);
+        logger.info(`🔍 列索引匹配结果: 时间列=${timeIndex}, 消息列=${messageIndex}, 消息类型列=${columns.typeIndex}`);
 
         if (timeIndex === -1 || messageIndex === -1) {
             throw new Error('未找到必需的列：时间 和 消息内容');
@@ -105,8 +123,10 @@ class ExcelParser {
             try {
                 const timeStr = row[timeIndex];
                 const messageContent = row[messageIndex];
+                const messageFormat = this.parseMessageFormat(row, columns);
                 
-                if (!timeStr || !messageContent) {
+                // feedCard 没有正文，只需要图文链接；引用模板的行使用模板内容
+                if (!timeStr || (!messageContent && messageFormat.messageType !== 'feedCard' && !messageFormat.templateId)) {
                     logger.debug(`跳过缺少数据的行: 第 ${i + 1} 行 - 时间:${timeStr}, 消息:${messageContent}`);
                     invalidRows++;
                     continue;
@@ -114,11 +134,18 @@ class ExcelParser {
                 
                 const parsedTime = this.parseTime(timeStr);
                 if (parsedTime) {
-                    const cleanMessage = String(messageContent).trim();
+                    const cleanMessage = messageContent ? String(messageContent).trim() : '';
+                    const messageError = this.getRowMessageError(cleanMessage, messageFormat);
+                    if (messageError) {
+                        invalidRows++;
+                        logger.warn(`工作表 ${sheetName} 第 ${i + 1} 行消息无效: ${messageError}`);
+                        continue;
+                    }
                     reminders.push({
                         time: parsedTime,
                         message: cleanMessage,
                         content: cleanMessage, // 兼容旧版前端
+                        ...messageFormat,
                         worksheet: sheetName,
                         row: i + 1
                     });
@@ -139,15 +166,136 @@ class ExcelParser {
         return reminders.sort((a, b) => a.time.localeCompare(b.time));
     }
 
+    /**
+     * 查找工作表的各列：时间、消息内容为必需列，消息类型、标题、链接、图片、按钮、@人员、模板为可选列
+     * 可选列先匹配并从消息内容列的候选中排除，避免“消息类型”“消息模板”被识别为消息内容
+     * @param {Array} headerRow - 标题行
+     * @returns {Object} 各列索引，未找到为-1
+     */
+    findColumns(headerRow) {
+        const typeIndex = this.findColumnIndex(headerRow, ['消息类型', '类型', 'msgtype', 'type'], [], false);
+        const titleIndex = this.findColumnIndex(headerRow, ['标题', 'title'], [typeIndex], false);
+        // 图片列先于链接列匹配，“图片链接”“picUrl”属于图片列
+        const pictureIndex = this.findColumnIndex(headerRow, ['图片', 'picurl', 'pic', 'image'], [typeIndex, titleIndex], false);
+        const urlIndex = this.findColumnIndex(headerRow, ['链接', 'url', 'link'], [typeIndex, titleIndex, pictureIndex], false);
+        const buttonsIndex = this.findColumnIndex(headerRow, ['按钮', 'button', 'btn'], [typeIndex, titleIndex, urlIndex, pictureIndex], false);
+        const mentionsIndex = this.findColumnIndex(headerRow, ['@人员', '@', '提醒人员', '通知人员'], [typeIndex, titleIndex, urlIndex, pictureIndex, buttonsIndex], false);
+        const templateIndex = this.findColumnIndex(headerRow, ['模板', 'template'], [typeIndex, titleIndex, urlIndex, pictureIndex, buttonsIndex, mentionsIndex], false);
+        const optionalIndexes = [typeIndex, titleIndex, urlIndex, pictureIndex, buttonsIndex, mentionsIndex, templateIndex];
+
+        return {
+            timeIndex: this.findColumnIndex(headerRow, ['时间', 'time', '时间点', '提醒时间', '执行时间', '发送时间'], optionalIndexes),
+            messageIndex: this.findColumnIndex(headerRow, ['消息内容', 'message', '内容', '消息', '提醒内容', '文本', 'content', 'text'], optionalIndexes),
+            typeIndex,
+            titleIndex,
+            urlIndex,
+            pictureIndex,
+            buttonsIndex,
+            mentionsIndex,
+            templateIndex
+        };
+    }
+
+    /**
+     * 读取一行的消息类型、卡片字段和 @ 提醒
+     * @人员列：手机号、钉钉用户ID或“所有人”，用逗号、空格或换行分隔；
+     * 链接列：link 的跳转链接，actionCard 只有一个按钮时的按钮链接；
+     * 按钮列：每行一个“标题|链接”，actionCard 的按钮；feedCard 的每条图文为一行“标题|链接|图片”
+     * 模板列：消息模板ID，填写后该行发送时使用模板的当前内容（模板变量取默认值）
+     * @returns {Object} { messageType, messageOptions, mentions, templateId }，未填写的部分按任务的设置发送
+     */
+    parseMessageFormat(row, columns) {
+        const cell = index => (index === -1 || index === undefined || row[index] === undefined || row[index] === null) ? '' : String(row[index]).trim();
+        const mentionsText = cell(columns.mentionsIndex);
+        const templateId = cell(columns.templateIndex);
+        const format = this.parseMessageType(row, columns, cell);
+        if (mentionsText && dingTalkBot.hasMentions(mentionsText)) {
+            format.mentions = dingTalkBot.normalizeMentions(mentionsText);
+        }
+        if (templateId) {
+            format.templateId = templateId;
+        }
+        return format;
+    }
+
+    /**
+     * 校验一行的消息，引用模板的行只校验模板ID（模板内容在保存模板时已校验）
+     * @returns {string|null} 错误信息
+     */
+    getRowMessageError(message, messageFormat) {
+        if (messageFormat.templateId) {
+            return TEMPLATE_ID_PATTERN.test(messageFormat.templateId) ? null : `消息模板ID无效: ${messageFormat.templateId}`;
+        }
+        const template = messageTemplateEngine.validate(message);
+        if (!template.valid) {
+            return `消息模板有误：${template.errors.join('；')}`;
+        }
+        return dingTalkBot.validateMessage(dingTalkBot.composeMessage(
+            messageFormat.messageType, messageFormat.messageOptions, message, messageFormat.mentions));
+    }
+
+    /**
+     * 读取一行的消息类型和卡片字段，未填写消息类型时为空对象
+     */
+    parseMessageType(row, columns, cell) {
+        const typeValue = cell(columns.typeIndex).toLowerCase().replace(/[\s_-]/g, '');
+        if (!typeValue) {
+            return {};
+        }
+
+        const messageType = MESSAGE_TYPE_ALIASES[typeValue] || typeValue;
+        if (messageType === 'text') {
+            return { messageType };
+        }
+
+        const lines = value => value.split(/[\r\n]+/).map(line => line.trim()).filter(Boolean)
+            .map(line => line.split('|').map(part => part.trim()));
+        const title = cell(columns.titleIndex);
+        const url = cell(columns.urlIndex);
+        const picUrl = cell(columns.pictureIndex);
+        const buttons = lines(cell(columns.buttonsIndex));
+
+        switch (messageType) {
+            case 'link':
+                return { messageType, messageOptions: { title, messageUrl: url, picUrl } };
+            case 'actionCard':
+                if (buttons.length > 1) {
+                    return {
+                        messageType,
+                        messageOptions: { title, buttons: buttons.map(([text, actionUrl]) => ({ title: text, actionUrl })) }
+                    };
+                }
+                return {
+                    messageType,
+                    messageOptions: {
+                        title,
+                        singleTitle: (buttons[0] && buttons[0][0]) || '查看详情',
+                        singleUrl: (buttons[0] && buttons[0][1]) || url
+                    }
+                };
+            case 'feedCard':
+                return {
+                    messageType,
+                    messageOptions: {
+                        links: buttons.map(([text, messageUrl, pic]) => ({ title: text, messageUrl, picUrl: pic }))
+                    }
+                };
+            default:
+                return { messageType, messageOptions: { title } };
+        }
+    }
+
     /**
      * 查找列索引 - 增强版，支持更灵活的匹配
      * @param {Array} headerRow - 标题行
      * @param {Array} possibleNames - 可能的列名
+     * @param {Array} excludeIndexes - 已被其他列占用的索引
+     * @param {boolean} warnIfMissing - 未找到时是否输出警告（可选列不输出）
      * @returns {number} 列索引，未找到返回-1
      */
-    findColumnIndex(headerRow, possibleNames) {
+    findColumnIndex(headerRow, possibleNames, excludeIndexes = [], warnIfMissing = true) {
         for (let i = 0; i < headerRow.length; i++) {
-            if (!headerRow[i]) continue;
+            if (!headerRow[i] || excludeIndexes.includes(i)) continue;
             
             // 处理各种可能的值类型并清理
             let cellValue = String(headerRow[i])
@@ -167,8 +315,10 @@ class ExcelParser {
             }
         }
         
-        logger.warn(`未找到匹配列，候选名称: ${possibleNames.join(', ')}`);
-        logger.warn(`标题行内容: ${headerRow.map((h, i) => `[${i}]${h}`).join(', ')}`);
+        if (warnIfMissing) {
+            logger.warn(`未找到匹配列，候选名称: ${possibleNames.join(', ')}`);
+            logger.warn(`标题行内容: ${headerRow.map((h, i) => `[${i}]${h}`).join(', ')}`);
+        }
         return -1;
     }
 
@@ -323,12 +473,8 @@ class ExcelParser {
 
                     // 获取标题行
                     const headers = jsonData[0];
-                    const timeIndex = headers.findIndex(h => 
-                        h && (h.includes('时间') || h.toLowerCase().includes('time'))
-                    );
-                    const messageIndex = headers.findIndex(h => 
-                        h && (h.includes('消息') || h.includes('内容') || h.toLowerCase().includes('message') || h.toLowerCase().includes('content'))
-                    );
+                    const columns = this.findColumns(headers);
+                    const { timeIndex, messageIndex } = columns;
 
                     if (timeIndex === -1 || messageIndex === -1) {
                         errors.push(`工作表 "${sheetName}" 缺少必要的列`);
@@ -342,13 +488,15 @@ class ExcelParser {
                         if (!row || row.length === 0) continue;
 
                         const time = row[timeIndex];
-                        const content = row[messageIndex];
+                        const content = row[messageIndex] || '';
+                        const messageFormat = this.parseMessageFormat(row, columns);
 
-                        if (time && content) {
+                        if (time && (content || messageFormat.templateId)) {
                             sheetData.push({
                                 time: this.parseTime(time),
                                 message: String(content),  // 前端期望 'message' 字段
-                                content: String(content)    // 保留 'content' 字段以兼容
+                                content: String(content),   // 保留 'content' 字段以兼容
+                                ...messageFormat
                             });
                         }
                     }
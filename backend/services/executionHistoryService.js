@@ -0,0 +1,205 @@
+/**
+ * 执行历史服务（MongoDB）
+ * 每一次计划执行（发送、失败、跳过）都写入一条ExecutionHistory记录，
+ * 任务历史和全局历史接口统一从这里读取
+ */
+
+const { ExecutionHistory } = require('../models/mongodb');
+const logger = require('../utils/logger');
+
+class ExecutionHistoryService {
+    /**
+     * 记录一次执行
+     * @param {Object} entry - 执行记录
+     * @returns {Promise<Object|null>} 保存后的记录，失败返回null（不影响发送流程）
+     */
+    async record(entry) {
+        try {
+            const doc = new ExecutionHistory({
+                taskId: entry.taskId,
+                groupId: entry.groupId || null,
+                jobType: entry.jobType || 'simple',
+                triggerType: entry.triggerType || 'scheduled',
+                scheduledAt: entry.scheduledAt || entry.executedAt || new Date(),
+                executedAt: entry.executedAt || new Date(),
+                status: entry.status,
+                messageContent: entry.messageContent,
+                errorMessage: entry.errorMessage || null,
+                skipReason: entry.skipReason || null,
+                exception: entry.exception || undefined,
+                webhookResponse: entry.webhookResponse || null,
+                retryCount: entry.retryCount || 0,
+                metadata: entry.metadata || null
+            });
+
+            await doc.save();
+            return doc;
+        } catch (error) {
+            logger.error(`记录执行历史失败 - 任务: ${entry.taskId}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 将 YYYY-MM-DD 解析为本地时间的当天开始或结束
+     */
+    parseDay(dateStr, endOfDay = false) {
+        if (!dateStr) return null;
+
+        const match = String(dateStr).match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const date = match
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(dateStr);
+
+        if (isNaN(date.getTime())) return null;
+
+        if (endOfDay) {
+            date.setHours(23, 59, 59, 999);
+        } else {
+            date.setHours(0, 0, 0, 0);
+        }
+        return date;
+    }
+
+    /**
+     * 构建查询条件
+     * @param {Object} filters - taskId, date 或 startDate/endDate, status
+     */
+    buildQuery(filters = {}) {
+        const { taskId, date, startDate, endDate, status } = filters;
+        const query = {};
+
+        if (taskId) {
+            query.taskId = taskId;
+        }
+
+        const from = this.parseDay(startDate || date);
+        const to = this.parseDay(endDate || date, true);
+        if (from || to) {
+            query.scheduledAt = {};
+            if (from) query.scheduledAt.$gte = from;
+            if (to) query.scheduledAt.$lte = to;
+        }
+
+        if (status) {
+            query.status = status;
+        }
+
+        return query;
+    }
+
+    /**
+     * 分页查询执行历史
+     * @returns {Promise<Object>} { records, total, summary }
+     */
+    async query(filters = {}) {
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 500);
+        const query = this.buildQuery(filters);
+
+        // 汇总统计不受状态过滤影响
+        const { status, ...summaryFilters } = filters;
+        const summaryQuery = this.buildQuery(summaryFilters);
+
+        const [records, total, statusCounts] = await Promise.all([
+            ExecutionHistory.find(query)
+                .populate({ path: 'taskId', select: 'name type groupId', populate: { path: 'groupId', select: 'name' } })
+                .sort({ scheduledAt: -1, executedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ExecutionHistory.countDocuments(query),
+            ExecutionHistory.aggregate([
+                { $match: summaryQuery },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const summary = { total: 0, completed: 0, failed: 0, skipped: 0 };
+        for (const item of statusCounts) {
+            summary[item._id] = item.count;
+            summary.total += item.count;
+        }
+
+        return {
+            records: records.map(record => this.format(record)),
+            total,
+            page,
+            limit,
+            summary
+        };
+    }
+
+    /**
+     * 转换为前端使用的格式
+     */
+    format(record) {
+        const task = record.taskId && record.taskId._id ? record.taskId : null;
+        const scheduledAt = record.scheduledAt || record.executedAt;
+        const pad = (n) => String(n).padStart(2, '0');
+        const metadata = record.metadata || {};
+
+        return {
+            id: record._id,
+            taskId: task ? task._id : record.taskId,
+            taskName: task ? task.name : '已删除的任务',
+            groupName: task?.groupId?.name || null,
+            jobType: record.jobType,
+            jobId: metadata.jobId || null,
+            triggerType: record.triggerType,
+            scheduledDate: `${scheduledAt.getFullYear()}-${pad(scheduledAt.getMonth() + 1)}-${pad(scheduledAt.getDate())}`,
+            scheduledTime: `${pad(scheduledAt.getHours())}:${pad(scheduledAt.getMinutes())}`,
+            scheduledAt,
+            executedAt: record.executedAt,
+            actualExecutionTime: record.executedAt,
+            status: record.status,
+            messageContent: record.messageContent,
+            errorMessage: record.errorMessage,
+            skipReason: record.skipReason,
+            exception: record.exception && record.exception.action ? record.exception : null,
+            webhookResponse: record.webhookResponse,
+            retryCount: record.retryCount || 0,
+            metadata: record.metadata
+        };
+    }
+
+    /**
+     * 获取指定日期各作业的最新执行状态
+     * @returns {Promise<Map>} jobId -> { status, executedAt, skipReason }
+     */
+    async getJobStatuses(date) {
+        const records = await ExecutionHistory.find(this.buildQuery({ date }))
+            .select('status executedAt skipReason metadata.jobId')
+            .sort({ executedAt: 1 })
+            .lean();
+
+        const statuses = new Map();
+        for (const record of records) {
+            const jobId = record.metadata?.jobId;
+            if (jobId) {
+                statuses.set(jobId, {
+                    status: record.status,
+                    executedAt: record.executedAt,
+                    skipReason: record.skipReason
+                });
+            }
+        }
+        return statuses;
+    }
+
+    /**
+     * 任务已成功发送的次数，模板变量 occurrence_no 为该次数加一
+     */
+    async countCompleted(taskId) {
+        return ExecutionHistory.countDocuments({ taskId, status: 'completed' });
+    }
+
+    /**
+     * 清理指定时间之前的执行历史
+     */
+    async cleanupBefore(date) {
+        const result = await ExecutionHistory.deleteMany({ executedAt: { $lt: date } });
+        return result.deletedCount;
+    }
+}
+
+module.exports = new ExecutionHistoryService();
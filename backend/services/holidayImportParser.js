@@ -0,0 +1,288 @@
+/**
+ * 节假日文件解析服务
+ * 将 iCalendar(.ics)、JSON 或 Excel 节假日清单解析为统一的节假日列表，完全离线处理
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const holidayManager = require('./holidayManager');
+
+// 类型文字与 Holiday.type 的对应关系
+const TYPE_ALIASES = {
+    legal: 'legal',
+    holiday: 'legal',
+    '法定节假日': 'legal',
+    '节假日': 'legal',
+    '假期': 'legal',
+    '休': 'legal',
+    custom: 'custom',
+    '自定义': 'custom',
+    '自定义节假日': 'custom',
+    workday: 'workday',
+    '调休上班': 'workday',
+    '调休': 'workday',
+    '补班': 'workday',
+    '上班': 'workday',
+    '班': 'workday'
+};
+
+// ICS 事件标题中表示调休上班的关键字
+const WORKDAY_KEYWORDS = /补班|上班|调休上班|\(班\)|（班）/;
+
+// 单个事件最多展开的天数，防止错误的 DTEND 展开出大量日期
+const MAX_EVENT_DAYS = 31;
+
+class HolidayImportParser {
+    /**
+     * 根据文件扩展名解析节假日文件
+     * @param {Buffer} buffer - 文件内容
+     * @param {string} fileName - 原始文件名
+     * @returns {{ holidays: Array, errors: Array, format: string }}
+     */
+    parse(buffer, fileName) {
+        const ext = path.extname(fileName || '').toLowerCase();
+        let format;
+        let result;
+
+        switch (ext) {
+            case '.ics':
+            case '.ical':
+                format = 'ics';
+                result = this.parseIcs(buffer.toString('utf8'));
+                break;
+            case '.json':
+                format = 'json';
+                result = this.parseJson(buffer.toString('utf8'));
+                break;
+            case '.xlsx':
+            case '.xls':
+                format = 'excel';
+                result = this.parseExcel(buffer);
+                break;
+            default:
+                throw new Error(`不支持的节假日文件格式: ${ext || '未知'}，请上传 .ics、.json 或 Excel 文件`);
+        }
+
+        return { format, ...this.dedupe(result) };
+    }
+
+    /**
+     * 同一日期出现多次时保留最后一条，并记录提示
+     */
+    dedupe({ holidays, errors }) {
+        const byDate = new Map();
+        for (const holiday of holidays) {
+            if (byDate.has(holiday.date)) {
+                errors.push(`${holiday.date} 重复出现，使用最后一条（${holiday.name || holiday.type}）`);
+            }
+            byDate.set(holiday.date, holiday);
+        }
+
+        return {
+            holidays: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)),
+            errors
+        };
+    }
+
+    /**
+     * 解析 iCalendar 文件
+     * 每个 VEVENT 按 DTSTART 到 DTEND（不含）展开为逐日记录，标题含"班"的视为调休上班日
+     */
+    parseIcs(text) {
+        const holidays = [];
+        const errors = [];
+
+        // 展开折行（以空格或制表符开头的行属于上一行）
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        let event = null;
+        let eventNo = 0;
+
+        for (const line of lines) {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+                eventNo++;
+                continue;
+            }
+            if (line === 'END:VEVENT') {
+                if (event) {
+                    this.expandIcsEvent(event, eventNo, holidays, errors);
+                }
+                event = null;
+                continue;
+            }
+            if (!event) continue;
+
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            // DTSTART;VALUE=DATE:20250101 -> key DTSTART
+            const key = line.substring(0, separator).split(';')[0].toUpperCase();
+            const value = line.substring(separator + 1).trim();
+            if (['DTSTART', 'DTEND', 'SUMMARY', 'DESCRIPTION', 'CATEGORIES', 'RRULE'].includes(key)) {
+                event[key] = value;
+            }
+        }
+
+        return { holidays, errors };
+    }
+
+    /**
+     * 将一个 ICS 事件展开为逐日记录
+     */
+    expandIcsEvent(event, eventNo, holidays, errors) {
+        const summary = this.unescapeIcsText(event.SUMMARY || '');
+        const label = `第 ${eventNo} 个事件${summary ? `（${summary}）` : ''}`;
+
+        const start = this.parseIcsDate(event.DTSTART);
+        if (!start) {
+            errors.push(`${label}: 开始日期无效 ${event.DTSTART || ''}`);
+            return;
+        }
+        if (event.RRULE) {
+            errors.push(`${label}: 不支持重复事件（RRULE），只导入第一天`);
+        }
+
+        // 全天事件的 DTEND 不包含在内；没有 DTEND 时只有一天
+        let end = this.parseIcsDate(event.DTEND);
+        if (!end || end <= start) {
+            end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        }
+
+        const days = Math.round((end - start) / (24 * 60 * 60 * 1000));
+        if (days > MAX_EVENT_DAYS) {
+            errors.push(`${label}: 持续 ${days} 天，超过 ${MAX_EVENT_DAYS} 天上限，已忽略`);
+            return;
+        }
+
+        const categories = this.unescapeIcsText(event.CATEGORIES || '');
+        const type = WORKDAY_KEYWORDS.test(summary) || TYPE_ALIASES[categories] === 'workday'
+            ? 'workday'
+            : 'legal';
+        const name = summary.replace(/\s*[（(]?(补班|上班|休|班)[）)]?\s*$/, '').trim() || summary;
+
+        const count = event.RRULE ? 1 : days;
+        for (let i = 0; i < count; i++) {
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+            holidays.push({
+                date: holidayManager.formatDate(date),
+                name,
+                type,
+                description: this.unescapeIcsText(event.DESCRIPTION || '')
+            });
+        }
+    }
+
+    /**
+     * 解析 ICS 日期（20250101 或 20250101T000000Z，只取日期部分）
+     */
+    parseIcsDate(value) {
+        const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) return null;
+        return holidayManager.parseDate(`${match[1]}-${match[2]}-${match[3]}`);
+    }
+
+    unescapeIcsText(text) {
+        return text
+            .replace(/\\n/gi, '\n')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * 解析 JSON 节假日清单
+     * 支持数组，或包含 holidays/days 数组的对象（兼容 holiday-cn 的 isOffDay 格式）
+     */
+    parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^﻿/, ''));
+        } catch (error) {
+            throw new Error(`JSON 格式错误: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : (data.holidays || data.days);
+        if (!Array.isArray(list)) {
+            throw new Error('JSON 中未找到节假日数组（应为数组，或包含 holidays/days 字段）');
+        }
+
+        return this.normalizeRows(list.map(item => ({
+            date: item.date,
+            name: item.name,
+            type: item.type !== undefined
+                ? item.type
+                : (item.isOffDay === false ? 'workday' : undefined),
+            description: item.description
+        })), '第 {n} 项');
+    }
+
+    /**
+     * 解析 Excel 节假日清单（第一个工作表）
+     * 列名支持：日期/date，名称/name，类型/type，备注/description
+     */
+    parseExcel(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'buffer' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) {
+            throw new Error('Excel 文件中没有工作表');
+        }
+
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+        return this.normalizeRows(rows.map(row => ({
+            date: this.excelDateToString(row['日期'] || row['Date'] || row['date']),
+            name: row['名称'] || row['节假日名称'] || row['Name'] || row['name'],
+            type: row['类型'] || row['Type'] || row['type'],
+            description: row['备注'] || row['说明'] || row['Description'] || row['description']
+        })), '第 {n} 行', 2);
+    }
+
+    /**
+     * Excel 日期单元格是序列号，直接换算年月日，避免经过 Date 产生时区偏移
+     */
+    excelDateToString(value) {
+        if (typeof value !== 'number') return value;
+
+        const parsed = XLSX.SSF.parse_date_code(value);
+        if (!parsed) return value;
+        return `${parsed.y}-${parsed.m}-${parsed.d}`;
+    }
+
+    /**
+     * 校验并规范化 JSON/Excel 行
+     * @param {Array} rows - 原始行
+     * @param {string} labelTemplate - 错误信息中的位置描述
+     * @param {number} firstNo - 第一行的序号（Excel 表头占第 1 行）
+     */
+    normalizeRows(rows, labelTemplate, firstNo = 1) {
+        const holidays = [];
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            const label = labelTemplate.replace('{n}', index + firstNo);
+            const date = holidayManager.parseDate(String(row.date || '').trim().replace(/[/.]/g, '-'));
+            if (!date) {
+                errors.push(`${label}: 日期无效 ${row.date || '(空)'}`);
+                return;
+            }
+
+            let type = 'legal';
+            if (row.type !== undefined && row.type !== '') {
+                type = TYPE_ALIASES[String(row.type).trim()] || TYPE_ALIASES[String(row.type).trim().toLowerCase()];
+                if (!type) {
+                    errors.push(`${label}: 类型无效 ${row.type}`);
+                    return;
+                }
+            }
+
+            holidays.push({
+                date: holidayManager.formatDate(date),
+                name: String(row.name || '').trim(),
+                type,
+                description: String(row.description || '').trim()
+            });
+        });
+
+        return { holidays, errors };
+    }
+}
+
+module.exports = new HolidayImportParser();
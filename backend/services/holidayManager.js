@@ -5,9 +5,12 @@
  */
 
 const axios = require('axios');
-// const { query } = require('../config/database'); // PostgreSQL已删除，使用MongoDB
 const logger = require('../utils/logger');
 const { beijingTime } = require('../utils/timeUtils');
+const { Holiday } = require('../models/mongodb');
+
+// 定期重新加载自定义节假日的间隔，其他节点修改节假日后在这段时间内生效
+const RELOAD_INTERVAL = 60 * 1000;
 
 class HolidayManager {
     constructor() {
@@ -43,6 +46,24 @@ class HolidayManager {
             ]
         };
         
+        // 调休上班日（周末但需要上班，静态配置）
+        this.staticWorkdays = {
+            2025: [
+                '2025-01-26', // 春节调休（周日）
+                '2025-02-08', // 春节调休（周六）
+                '2025-04-27', // 劳动节调休（周日）
+                '2025-09-28', // 国庆节调休（周日）
+                '2025-10-11'  // 国庆节调休（周六）
+            ],
+            2024: [
+                '2024-02-04', '2024-02-18', // 春节调休
+                '2024-04-07', // 清明节调休
+                '2024-04-28', '2024-05-11', // 劳动节调休
+                '2024-09-14', // 中秋节调休
+                '2024-09-29', '2024-10-12' // 国庆节调休
+            ]
+        };
+        
         // 缓存的节假日数据
         this.cachedHolidays = new Map();
         
@@ -56,8 +77,100 @@ class HolidayManager {
         // 自定义节假日（从数据库加载）
         this.customHolidays = new Set();
         
-        // 初始化时加载自定义节假日
-        this.loadCustomHolidays();
+        // 自定义调休上班日（从数据库加载，Holiday.type === 'workday'）
+        this.customWorkdays = new Set();
+        
+        // 首次加载的Promise，避免重复查询数据库
+        this.loadPromise = null;
+        
+        // 已加载数据的摘要，定期重新加载时只在数据变化后替换
+        this.loadedSignature = null;
+        this.reloadTimer = null;
+    }
+    
+    /**
+     * 确保自定义节假日已从数据库加载，首次加载后定期重新加载
+     * 节假日可能由其他节点修改，各节点都需要重新加载才能使用最新数据
+     */
+    async ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadCustomHolidays();
+            this.startAutoReload();
+        }
+        return this.loadPromise;
+    }
+    
+    /**
+     * 定期从数据库重新加载自定义节假日
+     */
+    startAutoReload(interval = RELOAD_INTERVAL) {
+        if (this.reloadTimer) return;
+        this.reloadTimer = setInterval(() => {
+            this.loadCustomHolidays({ onlyIfChanged: true });
+        }, interval);
+        this.reloadTimer.unref();
+    }
+    
+    /**
+     * 同步判断指定日期是否为节假日（法定节假日或自定义节假日）
+     * 调度规则检查是同步的，依赖已加载到内存的节假日数据
+     * @param {Date} date - 要检查的日期
+     * @returns {boolean}
+     */
+    isHolidayDate(date, useCustom = true) {
+        const dateStr = this.formatDate(date);
+        const year = date.getFullYear();
+        
+        // 自定义调休上班日优先于静态节假日配置
+        if (useCustom && this.customWorkdays.has(dateStr)) {
+            return false;
+        }
+        
+        if (this.staticHolidays[year] && this.staticHolidays[year].includes(dateStr)) {
+            return true;
+        }
+        
+        return useCustom && this.customHolidays.has(dateStr);
+    }
+    
+    /**
+     * 同步判断指定日期是否为调休上班日
+     * @param {Date} date - 要检查的日期
+     * @returns {boolean}
+     */
+    isMakeupWorkday(date) {
+        const dateStr = this.formatDate(date);
+        const year = date.getFullYear();
+        
+        // 自定义节假日优先于静态调休配置
+        if (this.customHolidays.has(dateStr)) {
+            return false;
+        }
+        
+        if (this.customWorkdays.has(dateStr)) {
+            return true;
+        }
+        
+        return Boolean(this.staticWorkdays[year] && this.staticWorkdays[year].includes(dateStr));
+    }
+    
+    /**
+     * 同步判断指定日期是否为工作日
+     * 周一到周五且不是节假日，或者是调休上班日
+     * @param {Date} date - 要检查的日期
+     * @returns {boolean}
+     */
+    isWorkday(date) {
+        if (this.isMakeupWorkday(date)) {
+            return true;
+        }
+        
+        const dayOfWeek = date.getDay();
+        if (dayOfWeek === 0 || dayOfWeek === 6) {
+            return false;
+        }
+        
+        return !this.isHolidayDate(date);
     }
     
     /**
@@ -75,8 +188,8 @@ class HolidayManager {
         
         const dateStr = this.formatDate(date);
         
-        // 1. 检查周末
-        if (includeWeekends) {
+        // 1. 检查周末（调休上班日不算周末休息）
+        if (includeWeekends && !this.isMakeupWorkday(date)) {
             const dayOfWeek = date.getDay();
             if (dayOfWeek === 0 || dayOfWeek === 6) {
                 logger.debug(`${dateStr} 是周末`);
@@ -89,17 +202,9 @@ class HolidayManager {
             return this.cachedHolidays.get(dateStr);
         }
         
-        // 3. 检查静态配置
-        const year = date.getFullYear();
-        if (this.staticHolidays[year] && this.staticHolidays[year].includes(dateStr)) {
-            logger.debug(`${dateStr} 是法定节假日（静态配置）`);
-            this.cachedHolidays.set(dateStr, true);
-            return true;
-        }
-        
-        // 4. 检查自定义节假日
-        if (useCustom && this.customHolidays.has(dateStr)) {
-            logger.debug(`${dateStr} 是自定义节假日`);
+        // 3. 检查静态配置和自定义节假日
+        if (this.isHolidayDate(date, useCustom)) {
+            logger.debug(`${dateStr} 是节假日`);
             return true;
         }
         
@@ -164,23 +269,28 @@ class HolidayManager {
             
             if (response.data && response.data.holiday) {
                 const holidays = [];
+                const workdays = [];
                 
-                // 解析API返回的节假日数据
+                // 解析API返回的节假日数据（holiday 为 false 的是调休上班日）
                 for (const [date, info] of Object.entries(response.data.holiday)) {
+                    const formattedDate = `${year}-${date}`;
                     if (info.holiday === true) {
-                        const formattedDate = `${year}-${date}`;
                         holidays.push(formattedDate);
                         this.cachedHolidays.set(formattedDate, true);
+                    } else if (info.holiday === false) {
+                        workdays.push(formattedDate);
+                        this.cachedHolidays.set(formattedDate, false);
                     }
                 }
                 
                 // 更新静态配置
                 this.staticHolidays[year] = holidays;
+                this.staticWorkdays[year] = workdays;
                 
                 logger.info(`成功更新 ${year} 年节假日数据，共 ${holidays.length} 天`);
                 
-                // 可选：持久化到数据库
-                await this.saveHolidaysToDB(year, holidays);
+                // 持久化到数据库
+                await this.saveHolidaysToDB(year, holidays, workdays);
                 
                 return holidays;
             }
@@ -194,87 +304,273 @@ class HolidayManager {
     }
     
     /**
-     * 加载自定义节假日
+     * 加载自定义节假日（MongoDB Holiday 集合）
+     * @param {Object} options - onlyIfChanged 为 true 时数据没有变化则不替换、不记录日志
      */
-    async loadCustomHolidays() {
+    async loadCustomHolidays(options = {}) {
         try {
-            // PostgreSQL代码已删除，使用MongoDB
-            return [];
-            /*
-            // 先创建表（如果不存在）
-            await query(`
-                CREATE TABLE IF NOT EXISTS custom_holidays (
-                    id SERIAL PRIMARY KEY,
-                    date DATE UNIQUE NOT NULL,
-                    name VARCHAR(100),
-                    type VARCHAR(50) DEFAULT 'custom',
-                    created_by INTEGER,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            
-            // 加载自定义节假日
-            const result = await query('SELECT date FROM custom_holidays');
+            const holidays = await Holiday.find().select('date type').lean();
+            const toDates = list => list.map(holiday => this.formatDate(new Date(holiday.date))).sort();
+            const holidayDates = toDates(holidays.filter(holiday => holiday.type !== 'workday'));
+            const workdayDates = toDates(holidays.filter(holiday => holiday.type === 'workday'));
             
-            for (const row of result.rows) {
-                const dateStr = this.formatDate(new Date(row.date));
-                this.customHolidays.add(dateStr);
+            const signature = `${holidayDates.join(',')}|${workdayDates.join(',')}`;
+            if (options.onlyIfChanged && signature === this.loadedSignature) {
+                return [...this.customHolidays];
             }
+            this.loadedSignature = signature;
             
-            logger.info(`加载了 ${this.customHolidays.size} 个自定义节假日`);
+            this.customHolidays = new Set(holidayDates);
+            this.customWorkdays = new Set(workdayDates);
+            // 自定义节假日变化后，之前缓存的判断结果可能失效
+            this.cachedHolidays.clear();
             
-        */ // PostgreSQL代码结束
+            logger.info(`加载了 ${this.customHolidays.size} 个自定义节假日，${this.customWorkdays.size} 个调休上班日`);
+            return [...this.customHolidays];
         } catch (error) {
             logger.error('加载自定义节假日失败:', error);
+            return [];
         }
     }
     
     /**
-     * 添加自定义节假日
+     * 解析日期（YYYY-MM-DD 按本地时间解析，避免时区偏移到前一天）
+     * @returns {Date|null}
      */
-    async addCustomHoliday(date, name = '', userId = null) {
-        try {
-            const dateStr = this.formatDate(date);
-            
-            // PostgreSQL代码已删除，使用MongoDB
-            // 暂时只在内存中维护
-            this.customHolidays.add(dateStr);
-            this.cachedHolidays.set(dateStr, true);
-            
-            logger.info(`添加自定义节假日: ${dateStr} - ${name}`);
-            
-            return true;
-            
-        } catch (error) {
-            logger.error('添加自定义节假日失败:', error);
-            return false;
+    parseDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
         }
+        
+        const match = String(value).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) return null;
+        
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        // 拒绝 2025-02-30 这类被自动进位的日期
+        if (date.getMonth() !== Number(match[2]) - 1) return null;
+        return date;
+    }
+    
+    /**
+     * 转换为前端使用的格式
+     */
+    formatRecord(holiday) {
+        const date = new Date(holiday.date);
+        return {
+            id: holiday._id,
+            date: this.formatDate(date),
+            name: holiday.name || '',
+            type: holiday.type,
+            description: holiday.description || '',
+            year: holiday.year,
+            dayOfWeek: date.getDay(),
+            createdAt: holiday.createdAt,
+            updatedAt: holiday.updatedAt
+        };
+    }
+    
+    /**
+     * 查询节假日和调休上班日
+     * @param {Object} filters - year 年份，month 月份（1-12，需要同时指定年份）
+     */
+    async listHolidays(filters = {}) {
+        const year = parseInt(filters.year);
+        const month = parseInt(filters.month);
+        const query = {};
+        
+        if (year && month) {
+            query.date = {
+                $gte: new Date(year, month - 1, 1),
+                $lt: new Date(year, month, 1)
+            };
+        } else if (year) {
+            query.year = year;
+        }
+        
+        const holidays = await Holiday.find(query).sort({ date: 1 }).lean();
+        return holidays.map(holiday => this.formatRecord(holiday));
+    }
+    
+    /**
+     * 添加自定义节假日或调休上班日
+     * @param {Date|string} date - 日期
+     * @param {string} name - 名称
+     * @param {string} userId - 创建人
+     * @param {Object} options - type 类型（legal/custom/workday），description 备注
+     */
+    async addCustomHoliday(date, name = '', userId = null, options = {}) {
+        const day = this.parseDate(date);
+        const holiday = await Holiday.create({
+            date: day,
+            name,
+            type: options.type || 'custom',
+            description: options.description || '',
+            year: day.getFullYear(),
+            createdBy: userId
+        });
+        
+        await this.loadCustomHolidays();
+        logger.info(`添加自定义节假日: ${this.formatDate(day)} - ${name} (${holiday.type})`);
+        
+        return this.formatRecord(holiday);
+    }
+    
+    /**
+     * 更新节假日
+     * @returns {Promise<Object|null>} 更新后的记录，不存在返回null
+     */
+    async updateCustomHoliday(id, data = {}) {
+        const update = { updatedAt: new Date() };
+        
+        if (data.date !== undefined) {
+            const day = this.parseDate(data.date);
+            update.date = day;
+            update.year = day.getFullYear();
+        }
+        for (const field of ['name', 'type', 'description']) {
+            if (data[field] !== undefined) {
+                update[field] = data[field];
+            }
+        }
+        
+        const holiday = await Holiday.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+        if (!holiday) return null;
+        
+        await this.loadCustomHolidays();
+        logger.info(`更新自定义节假日: ${this.formatDate(holiday.date)} - ${holiday.name}`);
+        
+        return this.formatRecord(holiday);
     }
     
     /**
      * 删除自定义节假日
+     * @param {string} id - 记录ID
+     * @returns {Promise<Object|null>} 被删除的记录，不存在返回null
      */
-    async removeCustomHoliday(date) {
-        try {
-            const dateStr = this.formatDate(date);
-            
-            // PostgreSQL代码已删除，使用MongoDB
-            // 暂时只在内存中维护
-            this.customHolidays.delete(dateStr);
-            this.cachedHolidays.delete(dateStr);
-            
-            logger.info(`删除自定义节假日: ${dateStr}`);
-            
-            return true;
-            
-        } catch (error) {
-            logger.error('删除自定义节假日失败:', error);
-            return false;
+    async removeCustomHoliday(id) {
+        const holiday = await Holiday.findByIdAndDelete(id);
+        if (!holiday) return null;
+        
+        await this.loadCustomHolidays();
+        logger.info(`删除自定义节假日: ${this.formatDate(holiday.date)}`);
+        
+        return this.formatRecord(holiday);
+    }
+    
+    /**
+     * 批量导入节假日
+     * 同一日期已存在时覆盖名称和类型；replace 模式会先删除这些年份中未出现在导入列表里的记录
+     * @param {Array} items - [{ date, name, type, description }]，日期需已校验
+     * @param {Object} options - years 替换的年份，replace 是否替换，userId 创建人
+     */
+    async importHolidays(items, options = {}) {
+        const { years = [], replace = false, userId = null } = options;
+        const dates = items.map(item => this.parseDate(item.date));
+        let removed = 0;
+        
+        if (replace && years.length > 0) {
+            const result = await Holiday.deleteMany({ year: { $in: years }, date: { $nin: dates } });
+            removed = result.deletedCount;
         }
+        
+        if (items.length > 0) {
+            await Holiday.bulkWrite(items.map((item, index) => ({
+                updateOne: {
+                    filter: { date: dates[index] },
+                    update: {
+                        $set: {
+                            name: item.name || '',
+                            type: item.type || 'custom',
+                            description: item.description || '',
+                            year: dates[index].getFullYear(),
+                            updatedAt: new Date()
+                        },
+                        $setOnInsert: {
+                            createdBy: userId,
+                            createdAt: new Date()
+                        }
+                    },
+                    upsert: true
+                }
+            })));
+        }
+        
+        await this.loadCustomHolidays();
+        logger.info(`批量导入节假日: ${items.length} 条，删除 ${removed} 条`);
+        
+        return { imported: items.length, removed };
     }
     
     /**
-     * 获取指定年月的所有节假日
+     * 预览导入结果：与数据库中相同年份的记录对比，列出新增、修改和删除的日期
+     * @param {Array} items - 待导入的节假日（已规范化）
+     * @param {Object} options - replace 为 true 时，数据库中有但文件中没有的日期会被删除
+     */
+    async previewImport(items, options = {}) {
+        const { replace = true } = options;
+        const years = [...new Set(items.map(item => Number(item.date.substring(0, 4))))].sort();
+        const existing = await Holiday.find({ year: { $in: years } }).lean();
+        const existingByDate = new Map(
+            existing.map(holiday => [this.formatDate(new Date(holiday.date)), this.formatRecord(holiday)])
+        );
+        
+        const added = [];
+        const changed = [];
+        let unchanged = 0;
+        
+        for (const item of items) {
+            const current = existingByDate.get(item.date);
+            if (!current) {
+                added.push(item);
+            } else if (current.name !== item.name || current.type !== item.type || current.description !== item.description) {
+                changed.push({ ...item, previous: { name: current.name, type: current.type, description: current.description } });
+            } else {
+                unchanged++;
+            }
+            existingByDate.delete(item.date);
+        }
+        
+        const removed = replace ? [...existingByDate.values()] : [];
+        
+        return {
+            years,
+            added,
+            changed,
+            removed,
+            unchanged,
+            summary: {
+                total: items.length,
+                added: added.length,
+                changed: changed.length,
+                removed: removed.length,
+                unchanged
+            }
+        };
+    }
+    
+    /**
+     * 获取内置的节假日安排（用于导入默认节假日）
+     */
+    getDefaultHolidays(year) {
+        const holidays = (this.staticHolidays[year] || []).map(date => ({
+            date,
+            name: '法定节假日',
+            type: 'legal',
+            description: ''
+        }));
+        const workdays = (this.staticWorkdays[year] || []).map(date => ({
+            date,
+            name: '调休上班',
+            type: 'workday',
+            description: ''
+        }));
+        
+        return [...holidays, ...workdays].sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    /**
+     * 获取指定年月实际生效的节假日和调休上班日（内置配置 + 自定义）
      */
     async getMonthHolidays(year, month) {
         const holidays = [];
@@ -287,9 +583,17 @@ class HolidayManager {
             if (await this.isHoliday(date)) {
                 holidays.push({
                     date: dateStr,
+                    type: 'holiday',
                     dayOfWeek: date.getDay(),
                     isCustom: this.customHolidays.has(dateStr)
                 });
+            } else if (this.isMakeupWorkday(date)) {
+                holidays.push({
+                    date: dateStr,
+                    type: 'workday',
+                    dayOfWeek: date.getDay(),
+                    isCustom: this.customWorkdays.has(dateStr)
+                });
             }
         }
         
@@ -332,13 +636,16 @@ class HolidayManager {
     }
     
     /**
-     * 保存节假日到数据库
+     * 保存节假日到数据库（已存在的日期会被覆盖）
      */
-    async saveHolidaysToDB(year, holidays) {
+    async saveHolidaysToDB(year, holidays, workdays = []) {
         try {
-            // PostgreSQL代码已删除，使用MongoDB
-            // 暂时只在内存中维护
-            logger.info(`节假日数据已保存到内存: ${year}年`);
+            const items = [
+                ...holidays.map(date => ({ date, name: '法定节假日', type: 'legal' })),
+                ...workdays.map(date => ({ date, name: '调休上班', type: 'workday' }))
+            ];
+            await this.importHolidays(items);
+            logger.info(`节假日数据已保存到数据库: ${year}年`);
             
         } catch (error) {
             logger.error('保存节假日到数据库失败:', error);
@@ -350,13 +657,8 @@ class HolidayManager {
      */
     async loadHolidaysFromDB(year) {
         try {
-            // PostgreSQL代码已删除，使用MongoDB
-            // 暂时使用静态配置
-            if (this.staticHolidays[year]) {
-                return this.staticHolidays[year];
-            }
-            
-            return null;
+            const holidays = await this.listHolidays({ year });
+            return holidays.length > 0 ? holidays : null;
             
         } catch (error) {
             logger.error('从数据库加载节假日失败:', error);
@@ -389,6 +691,7 @@ class HolidayManager {
         const stats = {
             cachedDates: this.cachedHolidays.size,
             customHolidays: this.customHolidays.size,
+            customWorkdays: this.customWorkdays.size,
             yearsLoaded: Object.keys(this.staticHolidays).length,
             years: Object.keys(this.staticHolidays)
         };
@@ -0,0 +1,204 @@
+/**
+ * 作业实例存储（MongoDB）
+ * 调度器内存中的作业在进程重启后会丢失，这里把每天的计划执行持久化下来，
+ * 启动时据此找出停机期间到期但未执行的提醒
+ * 执行前先把实例标记为执行中（running），补偿时不会再次发送正在重试的提醒；
+ * 执行中超过 claimTimeout 仍未完成的实例视为执行进程已退出，可以重新认领
+ */
+
+const { JobOccurrence } = require('../models/mongodb');
+const logger = require('../utils/logger');
+
+// 执行历史状态与作业实例状态的对应关系
+const HISTORY_STATUS_MAP = {
+    completed: 'sent',
+    failed: 'failed',
+    skipped: 'skipped'
+};
+
+class JobOccurrenceStore {
+    /**
+     * 登记一次待执行的作业实例（已存在则只更新消息内容）
+     * @param {Object} entry - jobId, taskId, groupId, jobType, scheduledAt, time, messageContent
+     */
+    async track(entry) {
+        try {
+            await JobOccurrence.updateOne(
+                { jobId: entry.jobId, scheduledAt: entry.scheduledAt },
+                {
+                    $set: {
+                        taskId: entry.taskId,
+                        groupId: entry.groupId || null,
+                        jobType: entry.jobType || 'simple',
+                        time: entry.time,
+                        messageContent: entry.messageContent,
+                        metadata: entry.metadata || null
+                    },
+                    $setOnInsert: {
+                        status: 'pending',
+                        createdAt: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            logger.error(`登记作业实例失败 - 作业: ${entry.jobId}`, error);
+        }
+    }
+
+    /**
+     * 补登记一次停机期间应执行但没有登记的作业实例，已存在（含已处理）时不做修改
+     * @returns {Promise<boolean>} 是否新登记
+     */
+    async register(entry) {
+        try {
+            const result = await JobOccurrence.updateOne(
+                { jobId: entry.jobId, scheduledAt: entry.scheduledAt },
+                {
+                    $setOnInsert: {
+                        taskId: entry.taskId,
+                        groupId: entry.groupId || null,
+                        jobType: entry.jobType || 'simple',
+                        time: entry.time,
+                        messageContent: entry.messageContent,
+                        metadata: entry.metadata || null,
+                        status: 'pending',
+                        createdAt: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        } catch (error) {
+            logger.error(`补登记作业实例失败 - 作业: ${entry.jobId}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 最近一次登记作业实例的时间，每日加载时登记当天的执行，可作为上次加载时间
+     */
+    async getLastTrackedAt() {
+        const latest = await JobOccurrence.findOne().sort({ createdAt: -1 }).select('createdAt').lean();
+        return latest ? latest.createdAt : null;
+    }
+
+    /**
+     * 认领一次执行：待执行或执行中已超时的实例标记为执行中
+     * @param {Date} staleBefore - 在此之前开始执行且仍未完成的实例可以重新认领
+     * @returns {Promise<boolean>} 是否可以执行；没有登记的执行（登记失败等）照常执行
+     */
+    async claim(jobId, scheduledAt, claimedBy, staleBefore = null) {
+        if (!jobId || !scheduledAt) return true;
+
+        try {
+            const result = await JobOccurrence.updateOne(
+                { jobId, scheduledAt, ...this.claimableQuery(staleBefore) },
+                { $set: { status: 'running', claimedAt: new Date(), claimedBy } }
+            );
+            if (result.modifiedCount > 0) {
+                return true;
+            }
+            return !(await JobOccurrence.exists({ jobId, scheduledAt }));
+        } catch (error) {
+            // 无法访问数据库时按原来的方式执行，不因认领失败漏发
+            logger.error(`认领作业实例失败 - 作业: ${jobId}`, error);
+            return true;
+        }
+    }
+
+    claimableQuery(staleBefore) {
+        if (!staleBefore) {
+            return { status: 'pending' };
+        }
+        return {
+            $or: [
+                { status: 'pending' },
+                { status: 'running', claimedAt: { $lt: staleBefore } }
+            ]
+        };
+    }
+
+    /**
+     * 将待执行或执行中的作业实例标记为最终状态
+     * @param {string} jobId - 作业ID
+     * @param {Date} scheduledAt - 计划执行时间
+     * @param {string} status - sent/failed/skipped/missed
+     * @param {Object} extra - errorMessage、catchUpAction、metadata 等
+     */
+    async resolve(jobId, scheduledAt, status, extra = {}) {
+        if (!jobId || !scheduledAt) return;
+
+        try {
+            await JobOccurrence.updateOne(
+                { jobId, scheduledAt, status: { $in: ['pending', 'running'] } },
+                {
+                    $set: {
+                        status,
+                        resolvedAt: new Date(),
+                        ...extra
+                    }
+                }
+            );
+        } catch (error) {
+            logger.error(`更新作业实例状态失败 - 作业: ${jobId}`, error);
+        }
+    }
+
+    /**
+     * 根据执行历史记录更新对应的作业实例
+     */
+    async resolveFromHistory(entry) {
+        const status = entry.skipReason === 'missed'
+            ? 'missed'
+            : HISTORY_STATUS_MAP[entry.status];
+        if (!status) return;
+
+        const extra = { errorMessage: entry.errorMessage || null };
+        if (entry.metadata?.catchUp) {
+            extra.catchUpAction = entry.metadata.catchUp;
+        }
+
+        await this.resolve(entry.metadata?.jobId, entry.scheduledAt, status, extra);
+    }
+
+    /**
+     * 删除尚未到期的待执行实例（重新加载或取消任务时调用，由新的调度重新登记）
+     * @param {string} taskId - 只删除指定任务的实例，不传则删除全部
+     */
+    async discardPending(taskId = null, after = new Date()) {
+        const query = { status: 'pending', scheduledAt: { $gte: after } };
+        if (taskId) {
+            query.taskId = taskId;
+        }
+
+        try {
+            const result = await JobOccurrence.deleteMany(query);
+            return result.deletedCount;
+        } catch (error) {
+            logger.error('删除待执行作业实例失败:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 查找已到期但仍处于待执行状态的实例（即停机期间错过的提醒），
+     * 以及执行中但已超时（执行进程已退出）的实例
+     */
+    async findOverdue(before = new Date(), staleBefore = null) {
+        return JobOccurrence.find({
+            ...this.claimableQuery(staleBefore),
+            scheduledAt: { $lt: before }
+        }).sort({ scheduledAt: 1 });
+    }
+
+    /**
+     * 清理指定时间之前的作业实例
+     */
+    async cleanupBefore(date) {
+        const result = await JobOccurrence.deleteMany({ scheduledAt: { $lt: date } });
+        return result.deletedCount;
+    }
+}
+
+module.exports = new JobOccurrenceStore();
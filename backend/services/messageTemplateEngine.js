@@ -0,0 +1,363 @@
+/**
+ * 消息模板引擎
+ * 发送时替换消息中的 {{变量}}，支持日期加减和格式化（{{date+3d|YYYY年M月D日}}）
+ * 以及条件（{{#if 条件}}...{{else}}...{{/if}}），不含 {{ 的消息原样发送
+ * 消息模板库中的模板还可以声明自定义变量，由引用模板的任务填写取值
+ */
+
+const holidayManager = require('./holidayManager');
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+// 变量表达式：变量名、任意个日期加减（+3d、-1m、+2wd）、可选的 |格式
+const EXPRESSION_PATTERN = /^([a-z_][a-z0-9_]*)((?:\s*[+-]\s*\d+\s*(?:wd|d|w|m|y))*)\s*(?:\|(.*))?$/i;
+const OFFSET_PATTERN = /([+-])\s*(\d+)\s*(wd|d|w|m|y)/gi;
+const VARIABLE_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+const CONDITION_PATTERN = /^(!?)\s*([a-z_][a-z_\d\s+-]*?)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/i;
+// 工作日加减在所需天数之外额外查找的天数上限，避免节假日数据异常时死循环
+const MAX_WORKDAY_SEARCH_DAYS = 366;
+
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+const pad = value => String(value).padStart(2, '0');
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * 当月第几个工作日，执行日不是工作日时为 0
+ */
+function getWorkdayOfMonth(date) {
+    if (!holidayManager.isWorkday(date)) {
+        return 0;
+    }
+    let count = 0;
+    for (let day = 1; day <= date.getDate(); day++) {
+        if (holidayManager.isWorkday(new Date(date.getFullYear(), date.getMonth(), day))) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// 可用变量，type 为 date 的变量支持加减和格式化
+const VARIABLES = {
+    date: { type: 'date', description: '执行日期', get: ctx => startOfDay(ctx.date) },
+    time: { type: 'text', description: '执行时间（HH:mm）', get: ctx => `${pad(ctx.date.getHours())}:${pad(ctx.date.getMinutes())}` },
+    weekday: { type: 'text', description: '星期（周一）', get: ctx => `周${WEEKDAY_NAMES[ctx.date.getDay()]}` },
+    year: { type: 'number', description: '年', get: ctx => ctx.date.getFullYear() },
+    month: { type: 'number', description: '月', get: ctx => ctx.date.getMonth() + 1 },
+    day: { type: 'number', description: '日', get: ctx => ctx.date.getDate() },
+    month_start: { type: 'date', description: '当月第一天', get: ctx => new Date(ctx.date.getFullYear(), ctx.date.getMonth(), 1) },
+    month_end: { type: 'date', description: '当月最后一天', get: ctx => new Date(ctx.date.getFullYear(), ctx.date.getMonth() + 1, 0) },
+    workday_of_month: { type: 'number', description: '当月第几个工作日（非工作日为 0）', get: ctx => getWorkdayOfMonth(ctx.date) },
+    is_workday: { type: 'boolean', description: '执行日是否为工作日', get: ctx => holidayManager.isWorkday(ctx.date) },
+    is_month_end: {
+        type: 'boolean',
+        description: '执行日是否为当月最后一天',
+        get: ctx => ctx.date.getDate() === new Date(ctx.date.getFullYear(), ctx.date.getMonth() + 1, 0).getDate()
+    },
+    task_name: { type: 'text', description: '任务名称', get: ctx => ctx.taskName || '' },
+    group_name: { type: 'text', description: '群组名称', get: ctx => ctx.groupName || '' },
+    occurrence_no: { type: 'number', description: '第几次发送（从 1 开始）', get: ctx => ctx.occurrenceNo || 1 }
+};
+
+// 日期格式：按长度从长到短匹配
+const FORMAT_TOKENS = {
+    YYYY: date => String(date.getFullYear()),
+    YY: date => String(date.getFullYear()).slice(-2),
+    MM: date => pad(date.getMonth() + 1),
+    M: date => String(date.getMonth() + 1),
+    DD: date => pad(date.getDate()),
+    D: date => String(date.getDate()),
+    HH: date => pad(date.getHours()),
+    H: date => String(date.getHours()),
+    mm: date => pad(date.getMinutes()),
+    dddd: date => `星期${WEEKDAY_NAMES[date.getDay()]}`,
+    ddd: date => `周${WEEKDAY_NAMES[date.getDay()]}`
+};
+const FORMAT_PATTERN = /YYYY|YY|MM|M|DD|D|HH|H|mm|dddd|ddd/g;
+
+class MessageTemplateEngine {
+    /**
+     * 消息是否包含模板标记
+     */
+    hasTemplate(template) {
+        return typeof template === 'string' && template.includes('{{');
+    }
+
+    /**
+     * 可用变量列表，用于编辑器提示
+     */
+    getVariables() {
+        return Object.entries(VARIABLES).map(([name, variable]) => ({
+            name,
+            type: variable.type,
+            description: variable.description
+        }));
+    }
+
+    /**
+     * 校验自定义变量名：字母、数字、下划线，不能与内置变量重名
+     * @returns {string|null} 错误信息
+     */
+    validateVariableName(name) {
+        if (typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name)) {
+            return `变量名 ${name} 无效，只能包含字母、数字和下划线，且不能以数字开头`;
+        }
+        if (VARIABLES[name] || name === 'else') {
+            return `变量名 ${name} 与内置变量重名`;
+        }
+        return null;
+    }
+
+    /**
+     * 解析变量表达式 date+3d|YYYY年M月D日
+     * @param {string[]} customNames - 模板声明的自定义变量名
+     * @returns {{ expression: Object|null, error: string|null }}
+     */
+    parseExpression(text, customNames = []) {
+        const match = text.trim().match(EXPRESSION_PATTERN);
+        if (!match) {
+            return { expression: null, error: `无法识别的模板表达式: {{${text.trim()}}}` };
+        }
+
+        const [, name, offsetText, format] = match;
+        const variable = VARIABLES[name] || (customNames.includes(name) ? { type: 'text', custom: true } : null);
+        if (!variable) {
+            return { expression: null, error: `未知变量: ${name}` };
+        }
+
+        const offsets = [...offsetText.matchAll(OFFSET_PATTERN)].map(([, sign, amount, unit]) => ({
+            amount: Number(amount) * (sign === '-' ? -1 : 1),
+            unit: unit.toLowerCase()
+        }));
+        if ((offsets.length > 0 || format !== undefined) && variable.type !== 'date') {
+            return { expression: null, error: `变量 ${name} 不是日期，不能加减或格式化` };
+        }
+
+        return {
+            expression: { name, offsets, format: format === undefined ? null : format.trim(), custom: Boolean(variable.custom) },
+            error: null
+        };
+    }
+
+    /**
+     * 解析条件：变量、!变量，或 变量 比较运算符 值
+     */
+    parseCondition(text, customNames = []) {
+        const match = text.trim().match(CONDITION_PATTERN);
+        if (!match) {
+            return { condition: null, error: `无法识别的条件: ${text.trim()}` };
+        }
+
+        const [, negate, expressionText, operator, value] = match;
+        const { expression, error } = this.parseExpression(expressionText, customNames);
+        if (error) {
+            return { condition: null, error };
+        }
+        if (negate && operator) {
+            return { condition: null, error: `条件中 ! 不能与比较运算符同时使用: ${text.trim()}` };
+        }
+
+        return {
+            condition: {
+                negate: Boolean(negate),
+                expression,
+                operator: operator || null,
+                value: operator ? value.trim().replace(/^(['"])(.*)\1$/, '$2') : null
+            },
+            error: null
+        };
+    }
+
+    /**
+     * 将模板解析为节点树：text、var、if（then/else 子节点）
+     * @param {string[]} customNames - 模板声明的自定义变量名
+     * @returns {{ nodes: Array, errors: string[] }}
+     */
+    parse(template, customNames = []) {
+        const root = { children: [] };
+        const stack = [root];
+        const errors = [];
+        const current = () => {
+            const top = stack[stack.length - 1];
+            return top.inElse ? top.elseChildren : top.children;
+        };
+
+        let lastIndex = 0;
+        for (const match of String(template || '').matchAll(TAG_PATTERN)) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + match[0].length;
+
+            const body = match[1].trim();
+            if (body.startsWith('#if')) {
+                const { condition, error } = this.parseCondition(body.slice(3), customNames);
+                if (error) errors.push(error);
+                const node = { type: 'if', condition, children: [], elseChildren: [], inElse: false };
+                current().push(node);
+                stack.push(node);
+            } else if (body === 'else') {
+                const top = stack[stack.length - 1];
+                if (top === root || top.inElse) {
+                    errors.push('{{else}} 没有对应的 {{#if}}');
+                } else {
+                    top.inElse = true;
+                }
+            } else if (body === '/if') {
+                if (stack.length === 1) {
+                    errors.push('{{/if}} 没有对应的 {{#if}}');
+                } else {
+                    stack.pop();
+                }
+            } else {
+                const { expression, error } = this.parseExpression(body, customNames);
+                if (error) errors.push(error);
+                current().push({ type: 'var', expression, raw: match[0] });
+            }
+        }
+
+        if (lastIndex < String(template || '').length) {
+            current().push({ type: 'text', value: template.slice(lastIndex) });
+        }
+        if (stack.length > 1) {
+            errors.push(`有 ${stack.length - 1} 个 {{#if}} 缺少 {{/if}}`);
+        }
+
+        return { nodes: root.children, errors };
+    }
+
+    /**
+     * 校验模板，保存任务和消息模板时调用
+     * @param {string[]} customNames - 模板声明的自定义变量名
+     * @returns {{ valid: boolean, errors: string[] }}
+     */
+    validate(template, customNames = []) {
+        if (!this.hasTemplate(template)) {
+            return { valid: true, errors: [] };
+        }
+        const { errors } = this.parse(template, customNames);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 日期加减，月和年加减时日期超出目标月天数则取月末，wd 按工作日计算
+     */
+    shiftDate(date, { amount, unit }) {
+        const result = new Date(date);
+        if (unit === 'd' || unit === 'w') {
+            result.setDate(result.getDate() + amount * (unit === 'w' ? 7 : 1));
+        } else if (unit === 'm' || unit === 'y') {
+            const months = amount * (unit === 'y' ? 12 : 1);
+            const day = result.getDate();
+            result.setDate(1);
+            result.setMonth(result.getMonth() + months);
+            const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+            result.setDate(Math.min(day, lastDay));
+        } else if (unit === 'wd') {
+            const step = amount < 0 ? -1 : 1;
+            let remaining = Math.abs(amount);
+            for (let i = 0; remaining > 0 && i < MAX_WORKDAY_SEARCH_DAYS + Math.abs(amount) * 7; i++) {
+                result.setDate(result.getDate() + step);
+                if (holidayManager.isWorkday(result)) {
+                    remaining--;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 按 YYYY、M、D、dddd 等标记格式化日期，其余字符原样保留
+     */
+    formatDate(date, format) {
+        return format.replace(FORMAT_PATTERN, token => FORMAT_TOKENS[token](date));
+    }
+
+    /**
+     * 计算表达式的值：日期变量返回 Date，其余返回原始值
+     */
+    evaluate(expression, context) {
+        if (expression.custom) {
+            const value = context.variables?.[expression.name];
+            return value === undefined || value === null ? '' : String(value);
+        }
+        const value = VARIABLES[expression.name].get(context);
+        return expression.offsets.reduce((date, offset) => this.shiftDate(date, offset), value);
+    }
+
+    /**
+     * 表达式转为文本
+     */
+    stringify(expression, value) {
+        if (value instanceof Date) {
+            return this.formatDate(value, expression.format || DEFAULT_DATE_FORMAT);
+        }
+        if (typeof value === 'boolean') {
+            return value ? '是' : '否';
+        }
+        return String(value);
+    }
+
+    /**
+     * 判断条件，两边都是数字时按数值比较，否则按文本比较（日期按 YYYY-MM-DD）
+     */
+    test(condition, context) {
+        const value = this.evaluate(condition.expression, context);
+        if (!condition.operator) {
+            const truthy = value instanceof Date ? true : Boolean(value);
+            return condition.negate ? !truthy : truthy;
+        }
+
+        const left = typeof value === 'boolean' ? String(value) : this.stringify(condition.expression, value);
+        const right = condition.value;
+        const numeric = left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right));
+        const [a, b] = numeric ? [Number(left), Number(right)] : [left, right];
+
+        switch (condition.operator) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            default: return false;
+        }
+    }
+
+    renderNodes(nodes, context) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            if (node.type === 'var') {
+                return node.expression ? this.stringify(node.expression, this.evaluate(node.expression, context)) : node.raw;
+            }
+            const branch = node.condition && this.test(node.condition, context) ? node.children : node.elseChildren;
+            return this.renderNodes(branch, context);
+        }).join('');
+    }
+
+    /**
+     * 渲染模板
+     * @param {string} template - 消息模板
+     * @param {Object} context - date 执行时间、taskName、groupName、occurrenceNo，variables 自定义变量取值
+     * @returns {{ text: string, errors: string[] }} 模板有错误时返回原文和错误信息
+     */
+    render(template, context = {}) {
+        if (!this.hasTemplate(template)) {
+            return { text: template, errors: [] };
+        }
+
+        const { nodes, errors } = this.parse(template, Object.keys(context.variables || {}));
+        if (errors.length > 0) {
+            return { text: template, errors };
+        }
+        return {
+            text: this.renderNodes(nodes, { ...context, date: new Date(context.date || Date.now()) }),
+            errors: []
+        };
+    }
+}
+
+module.exports = new MessageTemplateEngine();
@@ -0,0 +1,329 @@
+/**
+ * 消息模板库
+ * 模板保存消息内容、消息类型和卡片字段，任务和工作表行通过模板ID引用，
+ * 发送时读取模板的当前版本，修改模板后所有引用的任务在下次发送时生效
+ * 模板可声明自定义变量（{{owner}}），由引用模板的任务填写取值，未填写时使用默认值
+ */
+
+const mongoose = require('mongoose');
+const { MessageTemplate, Task } = require('../models/mongodb');
+const dingTalkBot = require('./dingTalkBot');
+const messageTemplateEngine = require('./messageTemplateEngine');
+const logger = require('../utils/logger');
+
+const VISIBILITIES = ['private', 'shared'];
+// 修改这些字段时保存历史版本
+const VERSIONED_FIELDS = ['content', 'messageType', 'messageOptions', 'variables'];
+
+class MessageTemplateService {
+    getUserId(user) {
+        return user?.mongoId || user?.id;
+    }
+
+    isOwner(template, user) {
+        const owner = template.owner?._id || template.owner;
+        const userIds = [user?.mongoId, user?.id].filter(Boolean).map(String);
+        return Boolean(owner) && userIds.includes(owner.toString());
+    }
+
+    /**
+     * 创建者、管理员可以查看私有模板，共享模板所有用户可见
+     */
+    canView(template, user) {
+        return user?.role === 'admin' || template.visibility === 'shared' || this.isOwner(template, user);
+    }
+
+    /**
+     * 只有创建者和管理员可以修改、删除模板
+     */
+    canEdit(template, user) {
+        return user?.role === 'admin' || this.isOwner(template, user);
+    }
+
+    /**
+     * 模板列表的查询条件：自己的模板和共享模板，管理员可见全部
+     */
+    getListQuery(user) {
+        if (!user || user.role === 'admin') {
+            return {};
+        }
+        return { $or: [{ owner: this.getUserId(user) }, { visibility: 'shared' }] };
+    }
+
+    /**
+     * 校验并统一自定义变量 [{ name, description, defaultValue }]
+     * @returns {{ variables: Array, error: string|null }}
+     */
+    normalizeVariables(input) {
+        if (input === undefined || input === null) {
+            return { variables: [], error: null };
+        }
+        if (!Array.isArray(input)) {
+            return { variables: [], error: '模板变量必须是数组' };
+        }
+
+        const variables = [];
+        for (const item of input) {
+            const name = String(item?.name || '').trim();
+            const nameError = messageTemplateEngine.validateVariableName(name);
+            if (nameError) {
+                return { variables: [], error: nameError };
+            }
+            if (variables.some(variable => variable.name === name)) {
+                return { variables: [], error: `模板变量 ${name} 重复` };
+            }
+            const defaultValue = item.defaultValue === undefined || item.defaultValue === null
+                ? ''
+                : String(item.defaultValue);
+            variables.push({
+                name,
+                description: item.description ? String(item.description).trim() : '',
+                defaultValue
+            });
+        }
+        return { variables, error: null };
+    }
+
+    /**
+     * 校验模板的提交内容，existing 为修改时的原模板（未提交的字段沿用原值）
+     * @returns {{ values: Object|null, error: string|null }}
+     */
+    normalize(input = {}, existing = null) {
+        const pick = key => (input[key] !== undefined ? input[key] : existing?.[key]);
+
+        const name = String(pick('name') || '').trim();
+        if (!name) {
+            return { values: null, error: '请填写模板名称' };
+        }
+
+        const visibility = pick('visibility') || 'private';
+        if (!VISIBILITIES.includes(visibility)) {
+            return { values: null, error: '可见范围必须是 private（仅自己）或 shared（共享）' };
+        }
+
+        const { variables, error: variableError } = this.normalizeVariables(
+            input.variables !== undefined ? input.variables : this.toPlain(existing?.variables));
+        if (variableError) {
+            return { values: null, error: variableError };
+        }
+
+        const content = pick('content') ? String(pick('content')) : '';
+        const messageType = pick('messageType') || 'text';
+        const messageOptions = messageType === 'text' ? null : (pick('messageOptions') || null);
+
+        const template = messageTemplateEngine.validate(content, variables.map(variable => variable.name));
+        if (!template.valid) {
+            return { values: null, error: `消息模板有误：${template.errors.join('；')}` };
+        }
+        if (messageType !== 'feedCard' && !content.trim()) {
+            return { values: null, error: '请填写模板内容' };
+        }
+        if (messageType !== 'text') {
+            const formatError = dingTalkBot.validateMessage(dingTalkBot.composeMessage(messageType, messageOptions, content));
+            if (formatError) {
+                return { values: null, error: formatError };
+            }
+        }
+
+        return {
+            values: {
+                name,
+                description: pick('description') || '',
+                content,
+                messageType,
+                messageOptions,
+                variables,
+                visibility
+            },
+            error: null
+        };
+    }
+
+    /**
+     * 修改模板，内容、消息类型或变量变化时把修改前的内容存为历史版本并递增版本号
+     * note 为新版本的修改说明，由调用方保存模板
+     * @returns {boolean} 是否产生了新版本
+     */
+    applyUpdate(template, values, user, note = '') {
+        const changed = VERSIONED_FIELDS.some(field =>
+            JSON.stringify(values[field] ?? null) !== JSON.stringify(this.toPlain(template[field]) ?? null));
+
+        if (changed) {
+            template.versions.push({
+                version: template.version,
+                content: template.content,
+                messageType: template.messageType,
+                messageOptions: template.messageOptions,
+                variables: this.toPlain(template.variables),
+                updatedBy: template.updatedBy || template.owner,
+                updatedAt: template.updatedAt,
+                note: template.note
+            });
+            template.version += 1;
+            template.note = note || '';
+        }
+
+        Object.assign(template, values);
+        template.updatedBy = this.getUserId(user);
+        return changed;
+    }
+
+    /**
+     * 恢复到历史版本，恢复后作为新版本保存，原来的版本记录保留
+     * @returns {string|null} 错误信息
+     */
+    restore(template, version, user) {
+        const target = template.versions.find(item => item.version === Number(version));
+        if (!target) {
+            return `版本 ${version} 不存在`;
+        }
+
+        this.applyUpdate(template, {
+            content: target.content,
+            messageType: target.messageType,
+            messageOptions: this.toPlain(target.messageOptions) ?? null,
+            variables: this.toPlain(target.variables) || []
+        }, user, `恢复到版本 ${target.version}`);
+        return null;
+    }
+
+    /**
+     * 历史版本列表，最新的在前，第一条为当前版本
+     */
+    getVersions(template) {
+        const current = {
+            version: template.version,
+            content: template.content,
+            messageType: template.messageType,
+            messageOptions: template.messageOptions,
+            variables: template.variables,
+            updatedBy: template.updatedBy || template.owner,
+            updatedAt: template.updatedAt,
+            note: template.note,
+            current: true
+        };
+        return [current, ...[...template.versions].reverse()];
+    }
+
+    /**
+     * 引用模板的任务数量，工作表行中的引用无法统计
+     * 模板删除后引用它的工作表行在发送时记录为失败，不会改发行中的原消息
+     */
+    async countReferences(templateId) {
+        return Task.countDocuments({ messageTemplateId: templateId });
+    }
+
+    /**
+     * 修改后的模板会让哪些引用任务缺少变量取值：新增了没有默认值的变量、或去掉了默认值，而任务没有填写
+     * @param {Array} variables - 修改后的变量列表
+     * @returns {Promise<Array>} [{ _id, name, missing }]
+     */
+    async getTasksMissingVariables(templateId, variables) {
+        if (!(variables || []).some(variable => !variable.defaultValue)) {
+            return [];
+        }
+        const tasks = await Task.find({ messageTemplateId: templateId }).select('name templateVariables').lean();
+        return tasks
+            .map(task => ({
+                _id: task._id,
+                name: task.name,
+                missing: this.getMissingVariables({ variables }, task.templateVariables)
+            }))
+            .filter(task => task.missing.length > 0);
+    }
+
+    /**
+     * 修改模板前的检查：有引用任务缺少变量取值时返回错误信息，避免这些任务发送时变量为空
+     * @returns {Promise<{ error: string|null, tasks: Array }>}
+     */
+    async checkReferencingTasks(templateId, variables) {
+        const tasks = await this.getTasksMissingVariables(templateId, variables);
+        if (tasks.length === 0) {
+            return { error: null, tasks };
+        }
+        const names = tasks.map(task => `${task.name}（${task.missing.join('、')}）`).join('；');
+        return {
+            error: `有 ${tasks.length} 个引用该模板的任务未填写新的必填变量，请为变量设置默认值，或先在这些任务中填写：${names}`,
+            tasks
+        };
+    }
+
+    /**
+     * 校验任务对模板的引用：模板存在、当前用户可见、没有默认值的变量已填写
+     * @returns {Promise<string|null>} 错误信息
+     */
+    async getReferenceError(templateId, templateVariables, user) {
+        if (!templateId) {
+            return null;
+        }
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return '消息模板ID无效';
+        }
+
+        const template = await MessageTemplate.findById(templateId).lean();
+        if (!template || !this.canView(template, user)) {
+            return '消息模板不存在或无权使用';
+        }
+
+        const missing = this.getMissingVariables(template, templateVariables);
+        if (missing.length > 0) {
+            return `请填写模板变量：${missing.join('、')}`;
+        }
+        return null;
+    }
+
+    /**
+     * 没有默认值且任务未填写的变量
+     */
+    getMissingVariables(template, values = {}) {
+        return (template.variables || [])
+            .filter(variable => !variable.defaultValue && !String(values?.[variable.name] ?? '').trim())
+            .map(variable => variable.name);
+    }
+
+    /**
+     * 发送时的变量取值：任务填写的值优先，其次为模板默认值
+     */
+    getVariableValues(template, values = {}) {
+        if (!template) {
+            return {};
+        }
+        return Object.fromEntries((template.variables || []).map(variable => {
+            const value = values?.[variable.name];
+            return [variable.name, value === undefined || value === null || value === '' ? variable.defaultValue || '' : String(value)];
+        }));
+    }
+
+    /**
+     * 模板的消息格式，与工作表行的格式结构一致
+     */
+    getMessageFormat(template) {
+        return template ? { messageType: template.messageType, messageOptions: template.messageOptions } : null;
+    }
+
+    /**
+     * 发送时读取模板，模板已删除或ID无效时返回 null，由调用方记录发送失败
+     */
+    async resolve(templateId) {
+        if (!templateId) {
+            return null;
+        }
+        const id = templateId._id || templateId;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            logger.warn(`消息模板ID无效: ${id}`);
+            return null;
+        }
+
+        const template = await MessageTemplate.findById(id).lean();
+        if (!template) {
+            logger.warn(`消息模板不存在: ${id}`);
+        }
+        return template;
+    }
+
+    toPlain(value) {
+        return value && typeof value.toObject === 'function' ? value.toObject() : value;
+    }
+}
+
+module.exports = new MessageTemplateService();
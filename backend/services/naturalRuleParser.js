@@ -0,0 +1,620 @@
+/**
+ * 中文自然语言调度规则解析器
+ * 将"每月最后一个工作日下午3点"、"每周一三五 9:30"、"每季度第一个周一"、"除节假日外每天8点"等描述
+ * 转换为 scheduleRule，规则是否执行仍由 scheduleRuleChecker 判断
+ */
+
+const recurrenceRule = require('./recurrenceRule');
+const scheduleRuleChecker = require('./scheduleRuleChecker');
+
+// 数字：阿拉伯数字或一到九十九的中文数字
+const NUM = '(?:\\d{1,3}|[一二两三四五六七八九]?十[一二三四五六七八九]?|[零〇一二两三四五六七八九])';
+const SEP = '[、和及与跟]';
+const WEEK = '(?:周|星期|礼拜)';
+const WEEKDAY_CHAR = '[一二三四五六日天1-7]';
+const PERIOD = '(?:凌晨|早上|早晨|上午|中午|下午|傍晚|晚上|夜里|晚)';
+const TIME = `${PERIOD}?(?:\\d{1,2}:\\d{2}|${NUM}(?:点|时)(?:半|整|${NUM}分?)?)`;
+const OFF_DAY = '(?:法定)?(?:节假日|假日|节日)|周末|双休日';
+
+const CN_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const WEEKDAY_VALUES = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 日: 7, 天: 7 };
+const WEEKDAY_NAMES = ['一', '二', '三', '四', '五', '六', '日'];
+const OCCURRENCES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const ORDINAL_TEXT = { 1: '第一个', 2: '第二个', 3: '第三个', 4: '第四个', '-1': '最后一个' };
+const QUARTER_MONTHS = { 1: [1, 2, 3], 2: [4, 5, 6], 3: [7, 8, 9], 4: [10, 11, 12] };
+
+const SUPPORTED_EXAMPLES = '每天8点、每周一三五 9:30、每月15号下午3点、每月最后一个工作日下午3点、每季度第一个周一、每年3月、9月的1号、每年农历八月十五、工作日9点到18点每30分钟';
+
+class NaturalRuleParser {
+    /**
+     * 解析中文描述为调度规则
+     * @param {string} text - 规则描述
+     * @param {Object} options
+     *   count 预览的执行次数，默认 10
+     *   now   当前时间，用于计算间隔规则的参考日期和预览
+     * @returns {{scheduleRule: Object, description: string, warnings: string[], occurrences: Date[]}}
+     * @throws {Error} 无法识别时抛出中文错误信息
+     */
+    parse(text, options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const count = options.count || 10;
+        const warnings = [];
+
+        let rest = this.normalize(text);
+        if (!rest) {
+            throw new Error('规则描述不能为空');
+        }
+
+        // 依次提取节假日处理、执行时间，剩下的部分为执行日期
+        const holiday = this.extractHolidaySettings(rest);
+        rest = holiday.rest;
+
+        const timing = this.extractTimes(rest);
+        rest = this.cleanup(timing.rest);
+
+        if (!rest) {
+            throw new Error(`请说明执行日期，例如：${SUPPORTED_EXAMPLES}`);
+        }
+        const date = this.parseDatePart(rest, now);
+
+        let times = timing.times;
+        if (times.length === 0 && timing.timeWindows.length === 0) {
+            times = ['09:00'];
+            warnings.push('没有识别到执行时间，默认 09:00');
+        }
+
+        const scheduleRule = {
+            ruleType: date.rule.ruleType,
+            months: date.rule.months || [],
+            ...date.rule,
+            excludeSettings: {
+                excludeHolidays: holiday.excludeHolidays,
+                excludeWeekends: holiday.excludeWeekends,
+                specificDates: []
+            },
+            onHoliday: holiday.onHoliday,
+            executionTime: times[0] || null,
+            executionTimes: times,
+            timeWindows: timing.timeWindows
+        };
+
+        if (timing.timeWindows.length > 0) {
+            const { valid, error } = scheduleRuleChecker.validateTimeWindows(timing.timeWindows);
+            if (!valid) {
+                throw new Error(error);
+            }
+            if (times.length > 0) {
+                warnings.push(`已设置重复时段，单独的执行时间 ${times.join('、')} 不会生效`);
+            }
+        }
+
+        const cronicleScheduler = require('./cronicleScheduler');
+        return {
+            scheduleRule,
+            description: this.describe(date.text, timing, times, holiday),
+            warnings,
+            occurrences: cronicleScheduler.getNextRunTimes(scheduleRule, count, now)
+        };
+    }
+
+    /**
+     * 统一全角字符和标点，去掉空白和语气词
+     */
+    normalize(text) {
+        if (!text || typeof text !== 'string') return '';
+
+        return text
+            .replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+            .replace(/：/g, ':')
+            .replace(/[～~—–]/g, '-')
+            .replace(/[，,；;。]/g, '、')
+            .replace(/\s+/g, '')
+            .replace(/(提醒|执行|发送|通知|推送|一次|的时候)/g, '');
+    }
+
+    /**
+     * 去掉多余的分隔符和"的"
+     */
+    cleanup(text) {
+        return text
+            .replace(/的/g, '')
+            .replace(/、{2,}/g, '、')
+            .replace(/^、|、$/g, '')
+            .replace(/^(在|于)/, '');
+    }
+
+    /**
+     * 中文或阿拉伯数字转为整数，无法识别返回 NaN
+     */
+    toNumber(value) {
+        if (/^\d+$/.test(value)) return parseInt(value);
+
+        const match = /^([一二两三四五六七八九])?(十)?([一二三四五六七八九])?$/.exec(value);
+        if (match && match[2]) {
+            return (match[1] ? CN_DIGITS[match[1]] : 1) * 10 + (match[3] ? CN_DIGITS[match[3]] : 0);
+        }
+        return value.length === 1 && CN_DIGITS[value] !== undefined ? CN_DIGITS[value] : NaN;
+    }
+
+    /**
+     * 提取节假日、周末的排除和顺延设置
+     */
+    extractHolidaySettings(text) {
+        const result = { excludeHolidays: false, excludeWeekends: false, onHoliday: 'skip', rest: text };
+        const markOffDays = (words) => {
+            if (/周末|双休日/.test(words)) result.excludeWeekends = true;
+            if (/节|假日/.test(words)) result.excludeHolidays = true;
+        };
+
+        // 遇节假日顺延/提前（顺延需要知道哪些日期是非工作日，周末同样按排除周末处理）
+        const shiftPattern = new RegExp(`(?:如遇|遇到?|逢)?((?:${OFF_DAY})(?:${SEP}(?:${OFF_DAY}))*)(?:则|就)?(顺延|延后|推迟|往后|提前|往前)(?:到?[上下前后]一个?工作日)?`, 'g');
+        result.rest = result.rest.replace(shiftPattern, (match, words, direction) => {
+            result.onHoliday = /提前|往前/.test(direction) ? 'previous' : 'next';
+            if (/周末|双休日/.test(words)) result.excludeWeekends = true;
+            return '、';
+        });
+
+        const beforePattern = new RegExp(`(?:除了?|排除|跳过|避开|不含)((?:${OFF_DAY})(?:${SEP}(?:${OFF_DAY}))*)(?:以外|之外|外)?`, 'g');
+        const afterPattern = new RegExp(`((?:${OFF_DAY})(?:${SEP}(?:${OFF_DAY}))*)(?:除外|不提醒|不执行|不发送|不通知|休息)`, 'g');
+        result.rest = result.rest
+            .replace(beforePattern, (match, words) => {
+                markOffDays(words);
+                return '、';
+            })
+            .replace(afterPattern, (match, words) => {
+                markOffDays(words);
+                return '、';
+            });
+
+        return result;
+    }
+
+    /**
+     * 提取执行时间和日内重复时段
+     * @returns {{times: string[], timeWindows: Array, rest: string}}
+     */
+    extractTimes(text) {
+        const timeWindows = [];
+        const times = [];
+
+        // 时段重复：9点到18点每30分钟、9:30-11:30每小时
+        const windowPattern = new RegExp(`(${TIME})(?:到|至|-)(${TIME})(?:之间|期间|内)?每隔?(${NUM}|半)?个?(分钟|分|小时|钟头)`, 'g');
+        let rest = text.replace(windowPattern, (match, startText, endText, stepText, unit) => {
+            const start = this.parseTime(startText);
+            const end = this.parseTime(endText, start.period);
+            let step = stepText === '半' ? 0.5 : (stepText ? this.toNumber(stepText) : 1);
+            step = /小时|钟头/.test(unit) ? step * 60 : step;
+            timeWindows.push({ start: start.time, end: end.time, step });
+            return '、';
+        });
+
+        if (/每隔?(?:\d+|[一二两三四五六七八九十半]+)?个?(?:分钟|小时|钟头)/.test(rest)) {
+            throw new Error('按分钟或小时重复需要指定时间段，例如：9点到18点每30分钟');
+        }
+
+        // 单个时间点，时段词对后面的时间同样有效（如"下午3点和5点"）
+        let lastPeriod = null;
+        rest = rest.replace(new RegExp(TIME, 'g'), (match) => {
+            const parsed = this.parseTime(match, lastPeriod);
+            lastPeriod = parsed.period;
+            times.push(parsed.time);
+            return '、';
+        });
+
+        return { times: [...new Set(times)].sort(), timeWindows, rest };
+    }
+
+    /**
+     * 解析单个时间，如"下午3点半"、"9:30"、"十点"
+     * @param {string} text
+     * @param {string|null} inheritedPeriod - 没有时段词时沿用的时段
+     * @returns {{time: string, period: string|null}}
+     */
+    parseTime(text, inheritedPeriod = null) {
+        const periodMatch = new RegExp(`^(${PERIOD})`).exec(text);
+        const period = periodMatch ? periodMatch[1] : inheritedPeriod;
+        const body = periodMatch ? text.slice(periodMatch[1].length) : text;
+
+        let hours;
+        let minutes = 0;
+        const colonMatch = /^(\d{1,2}):(\d{2})$/.exec(body);
+        if (colonMatch) {
+            hours = parseInt(colonMatch[1]);
+            minutes = parseInt(colonMatch[2]);
+        } else {
+            const match = new RegExp(`^(${NUM})(?:点|时)(?:(半)|整|(${NUM})分?)?$`).exec(body);
+            hours = this.toNumber(match[1]);
+            minutes = match[2] ? 30 : (match[3] ? this.toNumber(match[3]) : 0);
+        }
+
+        // 晚上、凌晨的12点指午夜（00:00），下午、中午的12点仍为中午
+        if (period && /晚上|夜里|晚|凌晨/.test(period) && hours === 12) {
+            hours = 0;
+        } else if (period && /下午|傍晚|晚上|夜里|晚/.test(period) && hours < 12) {
+            hours += 12;
+        } else if (period === '中午' && hours < 11) {
+            hours += 12;
+        }
+
+        if (!(hours >= 0 && hours <= 23) || !(minutes >= 0 && minutes <= 59)) {
+            throw new Error(`无法识别的时间: ${text}`);
+        }
+        return {
+            time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+            period
+        };
+    }
+
+    /**
+     * 解析执行日期部分
+     * @returns {{rule: Object, text: string}} rule 为 scheduleRule 中与日期相关的字段
+     */
+    parseDatePart(text, now) {
+        // 农历规则沿用 recurrenceRule 的解析
+        if (/农历|除夕|春节/.test(text)) {
+            return this.parseLunar(text);
+        }
+
+        const quarterMatch = new RegExp(`^(?:每年)?(每个?季度|第?[一二三四1-4季度第${SEP.slice(1, -1)}]+季度)(.*)$`).exec(text);
+        if (quarterMatch) {
+            return this.parseQuarter(quarterMatch[1], quarterMatch[2]);
+        }
+
+        const monthMatch = new RegExp(`^(?:每年)?((?:${NUM}月?份?(?:到|至|-|${SEP}))*${NUM}月份?)(.*)$`).exec(text);
+        if (monthMatch) {
+            const months = this.parseMonthList(monthMatch[1]);
+            const dayText = this.cleanup(monthMatch[2]);
+            if (!dayText) {
+                throw new Error(`请指定${months.join('、')}月的哪一天，例如：每年${months[0]}月1日`);
+            }
+            const day = this.parseDayPart(dayText, now, months);
+            return {
+                rule: { ...day.rule, months },
+                text: `每年${months.join('、')}月${day.text.replace(/^每月/, '')}`
+            };
+        }
+
+        return this.parseDayPart(text.replace(/^每个?月份?(?=.)/, '每月'), now, null);
+    }
+
+    /**
+     * 解析月内（或不限月份）的执行日
+     * @param {number[]|null} months - 已指定的月份，用于校验日期
+     */
+    parseDayPart(text, now, months) {
+        const monthly = text.startsWith('每月');
+        const body = monthly ? text.slice(2) : text;
+        let match;
+
+        if (/^(每天|每日|天天|每一天)$/.test(body)) {
+            return { rule: { ruleType: 'daily' }, text: '每天' };
+        }
+
+        if (/^(每个?)?工作日$/.test(body)) {
+            return {
+                rule: { ruleType: 'by_day', dayMode: { type: 'workdays' } },
+                text: '每个工作日'
+            };
+        }
+
+        if (/^(每个?)?(周末|双休日)$/.test(body)) {
+            return {
+                rule: { ruleType: 'by_week', weekMode: { weekdays: [6, 7], occurrence: 'every' } },
+                text: '每周六、日'
+            };
+        }
+
+        if ((match = new RegExp(`^每(隔)?(${NUM})天$`).exec(body))) {
+            const value = this.toNumber(match[2]) + (match[1] ? 1 : 0);
+            if (value === 1) {
+                return { rule: { ruleType: 'daily' }, text: '每天' };
+            }
+            return {
+                rule: {
+                    ruleType: 'by_interval',
+                    intervalMode: { value, unit: 'days', referenceDate: scheduleRuleChecker.formatDate(now) }
+                },
+                text: `每${value}天（从${scheduleRuleChecker.formatDate(now)}开始）`
+            };
+        }
+
+        if ((match = new RegExp(`^(?:每(隔)?(${NUM})?个?${WEEK}|${WEEK})(.+)$`).exec(body)) && !/工作日/.test(match[3])) {
+            return this.parseWeekly(match, now);
+        }
+
+        if ((match = new RegExp(`^(?:第(${NUM})个|最后一个)${WEEK}(${WEEKDAY_CHAR})$`).exec(body))) {
+            const nth = match[1] ? this.toNumber(match[1]) : -1;
+            if (!OCCURRENCES[nth]) {
+                throw new Error('每月第N个星期几只支持第一到第四个或最后一个');
+            }
+            const weekday = WEEKDAY_VALUES[match[2]] || parseInt(match[2]);
+            return {
+                rule: { ruleType: 'by_week', weekMode: { weekdays: [weekday], occurrence: OCCURRENCES[nth] } },
+                text: `每月${ORDINAL_TEXT[nth]}周${WEEKDAY_NAMES[weekday - 1]}`
+            };
+        }
+
+        const workday = this.parseWorkdayOrdinal(body, 'month');
+        if (workday) {
+            return { rule: workday.rule, text: `每月${workday.text}` };
+        }
+
+        if (/^(最后一天|月末|月底)$/.test(body)) {
+            return { rule: { ruleType: 'by_day', dayMode: { type: 'last_day' } }, text: '每月最后一天' };
+        }
+
+        if ((match = new RegExp(`^每(隔)?(${NUM})个月(${NUM})[号日]$`).exec(text))) {
+            return this.parseMonthInterval(match, now);
+        }
+
+        const days = this.parseDayList(body, monthly || !!months);
+        if (days) {
+            const maxDay = months ? Math.max(...months.map(month => scheduleRuleChecker.getLastDayOfMonth(new Date(2024, month - 1, 1)))) : 31;
+            const invalid = days.find(day => day < 1 || day > maxDay);
+            if (invalid !== undefined) {
+                throw new Error(`日期 ${invalid} 超出范围，应为 1-${maxDay}`);
+            }
+            return {
+                rule: { ruleType: 'by_day', dayMode: { type: 'specific_days', days } },
+                text: `每月${days.join('、')}日`
+            };
+        }
+
+        throw new Error(`无法识别"${text}"，支持的写法如：${SUPPORTED_EXAMPLES}`);
+    }
+
+    /**
+     * 解析按周规则，match 为 [全文, 隔, 间隔, 星期部分]
+     */
+    parseWeekly(match, now) {
+        const weekdays = this.parseWeekdays(match[3]);
+        if (!weekdays) {
+            throw new Error(`无法识别的星期: ${match[3]}`);
+        }
+
+        const interval = (match[2] ? this.toNumber(match[2]) : 1) + (match[1] ? 1 : 0);
+        const weekdayText = weekdays.map(day => WEEKDAY_NAMES[day - 1]).join('、');
+        if (interval === 1) {
+            return {
+                rule: { ruleType: 'by_week', weekMode: { weekdays, occurrence: 'every' } },
+                text: `每周${weekdayText}`
+            };
+        }
+
+        if (weekdays.length > 1) {
+            throw new Error('隔周执行只支持一个星期几，例如：每两周周一');
+        }
+        // 以今天或之后最近的该星期几作为参考日期
+        const referenceDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        while ((referenceDate.getDay() || 7) !== weekdays[0]) {
+            referenceDate.setDate(referenceDate.getDate() + 1);
+        }
+        return {
+            rule: {
+                ruleType: 'by_interval',
+                intervalMode: { value: interval, unit: 'weeks', referenceDate: scheduleRuleChecker.formatDate(referenceDate) }
+            },
+            text: `每${interval}周周${weekdayText}（从${scheduleRuleChecker.formatDate(referenceDate)}开始）`
+        };
+    }
+
+    /**
+     * 解析星期列表，如"一三五"、"一、周三和周五"、"一至五"
+     * @returns {number[]|null} 1-7 表示周一到周日，无法识别返回 null
+     */
+    parseWeekdays(text) {
+        let body = text.replace(new RegExp(WEEK, 'g'), '');
+        const weekdays = new Set();
+        const toValue = ch => WEEKDAY_VALUES[ch] || parseInt(ch);
+
+        body = body.replace(new RegExp(`(${WEEKDAY_CHAR})(?:到|至|-)(${WEEKDAY_CHAR})`, 'g'), (match, from, to) => {
+            for (let day = toValue(from); day <= toValue(to); day++) {
+                weekdays.add(day);
+            }
+            return '、';
+        });
+
+        for (const ch of body) {
+            if (new RegExp(SEP).test(ch)) continue;
+            if (!new RegExp(WEEKDAY_CHAR).test(ch)) return null;
+            weekdays.add(toValue(ch));
+        }
+
+        return weekdays.size > 0 ? [...weekdays].sort((a, b) => a - b) : null;
+    }
+
+    /**
+     * 解析第N个/倒数第N个/最后一个工作日
+     * @param {string} period - month 或 quarter
+     * @returns {{rule: Object, text: string}|null}
+     */
+    parseWorkdayOrdinal(text, period) {
+        let match;
+        if ((match = new RegExp(`^第(${NUM})个工作日$`).exec(text))) {
+            const nthDay = this.toNumber(match[1]);
+            return {
+                rule: { ruleType: 'by_day', dayMode: { type: 'nth_workday', nthDay, period } },
+                text: `第${nthDay}个工作日`
+            };
+        }
+        if ((match = new RegExp(`^(?:最后一个|倒数第(${NUM})个)工作日$`).exec(text))) {
+            const nthLast = match[1] ? this.toNumber(match[1]) : 1;
+            return {
+                rule: { ruleType: 'by_day', dayMode: { type: 'last_workday', nthLast, period } },
+                text: nthLast === 1 ? '最后一个工作日' : `倒数第${nthLast}个工作日`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 解析日期列表，如"1号、15号"、"1和15日"
+     * @param {boolean} inMonth - 已有"每月"或月份前缀时，不带"号/日"的数字也按日期处理
+     */
+    parseDayList(text, inMonth) {
+        const tokens = text.split(new RegExp(SEP));
+        if (!inMonth && !/[号日]$/.test(text)) return null;
+
+        const days = [];
+        for (const token of tokens) {
+            const match = new RegExp(`^(${NUM})[号日]?$`).exec(token);
+            if (!match) return null;
+            days.push(this.toNumber(match[1]));
+        }
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    /**
+     * 解析每N个月的某天，match 为 [全文, 隔, 间隔, 日期]
+     */
+    parseMonthInterval(match, now) {
+        const value = this.toNumber(match[2]) + (match[1] ? 1 : 0);
+        const day = this.toNumber(match[3]);
+        if (day < 1 || day > 31) {
+            throw new Error(`日期 ${day} 超出范围，应为 1-31`);
+        }
+        if (value === 1) {
+            return {
+                rule: { ruleType: 'by_day', dayMode: { type: 'specific_days', days: [day] } },
+                text: `每月${day}日`
+            };
+        }
+
+        // 参考日期为今天或之后最近的该日期
+        const referenceDate = new Date(now.getFullYear(), now.getMonth(), day);
+        if (referenceDate < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+            referenceDate.setMonth(referenceDate.getMonth() + 1, day);
+        }
+        return {
+            rule: {
+                ruleType: 'by_interval',
+                intervalMode: { value, unit: 'months', referenceDate: scheduleRuleChecker.formatDate(referenceDate) }
+            },
+            text: `每${value}个月${day}日（从${scheduleRuleChecker.formatDate(referenceDate)}开始）`
+        };
+    }
+
+    /**
+     * 解析月份列表，如"3月、9月"、"3到6月"
+     */
+    parseMonthList(text) {
+        const months = new Set();
+        const body = text.replace(/月份?/g, '');
+        const parts = body.split(new RegExp(SEP));
+
+        for (const part of parts) {
+            const range = part.split(/到|至|-/);
+            const from = this.toNumber(range[0]);
+            const to = this.toNumber(range[range.length - 1]);
+            if (!(from >= 1 && to <= 12 && from <= to)) {
+                throw new Error(`无法识别的月份: ${part}`);
+            }
+            for (let month = from; month <= to; month++) {
+                months.add(month);
+            }
+        }
+        return [...months].sort((a, b) => a - b);
+    }
+
+    /**
+     * 解析季度规则
+     * @param {string} quarterText - "每季度" 或 "第一、三季度"
+     * @param {string} rest - 季度内的执行日
+     */
+    parseQuarter(quarterText, rest) {
+        const quarters = /每/.test(quarterText)
+            ? []
+            : [...new Set((quarterText.match(/[一二三四1-4]/g) || []).map(ch => this.toNumber(ch)))].sort();
+        const quarterLabel = quarters.length > 0 ? quarters.map(q => `第${q}季度`).join('、') : '每季度';
+        const body = this.cleanup(rest);
+        let match;
+
+        // 工作日序号按季度计算，季度限制转换为月份
+        const workday = this.parseWorkdayOrdinal(body, 'quarter');
+        if (workday) {
+            const months = quarters.flatMap(q => QUARTER_MONTHS[q]);
+            return {
+                rule: { ...workday.rule, months },
+                text: `${quarterLabel}${workday.text}`
+            };
+        }
+
+        let quarterMode;
+        let text;
+        if ((match = new RegExp(`^第(${NUM})天$`).exec(body))) {
+            const day = this.toNumber(match[1]);
+            if (day < 1 || day > 92) {
+                throw new Error('季度第N天应为 1-92');
+            }
+            quarterMode = { type: 'day_of_quarter', day };
+            text = `第${day}天`;
+        } else if ((match = new RegExp(`^(第一个月|首月|最后一个月|末月)(?:(${NUM})[号日]|(最后一天|月末|月底))$`).exec(body))) {
+            const first = /第一|首/.test(match[1]);
+            const day = match[3] ? -1 : this.toNumber(match[2]);
+            quarterMode = { type: first ? 'first_month' : 'last_month', day };
+            text = `${first ? '第一个月' : '最后一个月'}${day === -1 ? '最后一天' : `${day}号`}`;
+        } else if (/^(第一天|季初|季度初)$/.test(body)) {
+            quarterMode = { type: 'first_month', day: 1 };
+            text = '第一天';
+        } else if (/^(最后一天|季末|季度末)$/.test(body)) {
+            quarterMode = { type: 'last_month', day: -1 };
+            text = '最后一天';
+        } else if ((match = new RegExp(`^(?:第(${NUM})个|最后一个)${WEEK}(${WEEKDAY_CHAR})$`).exec(body))) {
+            const nth = match[1] ? this.toNumber(match[1]) : -1;
+            const weekday = WEEKDAY_VALUES[match[2]] || parseInt(match[2]);
+            if (nth !== -1 && (nth < 1 || nth > 13)) {
+                throw new Error('季度内第N个星期几应为 1-13');
+            }
+            quarterMode = { type: 'nth_weekday', weekday, nth };
+            text = `${ORDINAL_TEXT[nth] || `第${nth}个`}周${WEEKDAY_NAMES[weekday - 1]}`;
+        } else {
+            throw new Error(`无法识别季度内的日期"${body || '(空)'}"，例如：每季度第一个周一、每季度最后一天、每季度第10天`);
+        }
+
+        return {
+            rule: { ruleType: 'by_quarter', quarters, quarterMode },
+            text: `${quarterLabel}${text}`
+        };
+    }
+
+    /**
+     * 解析农历规则
+     */
+    parseLunar(text) {
+        let result = recurrenceRule.parseRule(text);
+        if (!result.isValid && !text.startsWith('每年')) {
+            result = recurrenceRule.parseRule(`每年${text}`);
+        }
+        if (!result.isValid || result.type !== 'lunar') {
+            throw new Error(result.error || `无法识别的农历规则: ${text}`);
+        }
+
+        return {
+            rule: { ruleType: 'by_lunar', lunarMode: result.lunarMode },
+            text: result.description.replace(/重复$/, '')
+        };
+    }
+
+    /**
+     * 生成规则说明，如"每月最后一个工作日 15:00（排除节假日）"
+     */
+    describe(dateText, timing, times, holiday) {
+        const timeText = timing.timeWindows.length > 0
+            ? timing.timeWindows.map(window => `${window.start}-${window.end} 每${window.step}分钟`).join('、')
+            : times.join('、');
+
+        let description = `${dateText} ${timeText}`;
+        const excluded = [];
+        if (holiday.excludeHolidays) excluded.push('节假日');
+        if (holiday.excludeWeekends) excluded.push('周末');
+        if (excluded.length > 0) {
+            description += `（排除${excluded.join('、')}）`;
+        }
+        if (holiday.onHoliday !== 'skip') {
+            description += `，遇节假日${holiday.onHoliday === 'previous' ? '提前到上一个' : '顺延到下一个'}工作日`;
+        }
+        return description;
+    }
+}
+
+module.exports = new NaturalRuleParser();
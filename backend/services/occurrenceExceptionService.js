@@ -0,0 +1,172 @@
+/**
+ * 单次执行例外
+ * 不修改规则，只调整任务的某一次执行：跳过、改期到其他日期/时间，或替换本次发送的消息
+ * 例外按原执行日期（YYYY-MM-DD）和时间（HH:mm）匹配，保存在 Task.occurrenceExceptions
+ */
+
+const holidayManager = require('./holidayManager');
+const messageTemplateEngine = require('./messageTemplateEngine');
+
+const ACTIONS = ['skip', 'reschedule', 'override'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(:\d{2})?$/;
+
+// 例外对应的执行历史跳过原因
+const SKIP_REASONS = {
+    skip: 'occurrence_skipped',
+    reschedule: 'rescheduled'
+};
+
+class OccurrenceExceptionService {
+    /**
+     * 时间统一为 HH:mm，无法识别时返回 null
+     */
+    normalizeTime(time) {
+        const match = String(time || '').trim().match(TIME_PATTERN);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return null;
+        }
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+
+    /**
+     * 日期统一为 YYYY-MM-DD
+     */
+    normalizeDate(date) {
+        return date instanceof Date ? holidayManager.formatDate(date) : String(date || '').substring(0, 10);
+    }
+
+    /**
+     * 查找某一次执行（原日期、原时间）的例外
+     */
+    find(task, date, time) {
+        const dateStr = this.normalizeDate(date);
+        const timeStr = this.normalizeTime(time);
+        return (task.occurrenceExceptions || [])
+            .find(exception => exception.date === dateStr && exception.time === timeStr) || null;
+    }
+
+    /**
+     * 查找改期到指定日期的例外
+     */
+    findMovedInto(task, date) {
+        const dateStr = this.normalizeDate(date);
+        return (task.occurrenceExceptions || [])
+            .filter(exception => exception.action === 'reschedule' && exception.newDate === dateStr);
+    }
+
+    /**
+     * 本次执行是否不在原时间发送（跳过或改期）
+     */
+    isRemoved(exception) {
+        return Boolean(exception && SKIP_REASONS[exception.action]);
+    }
+
+    /**
+     * 跳过或改期的原执行在执行历史中记录的跳过原因
+     */
+    getSkipReason(exception) {
+        return SKIP_REASONS[exception.action];
+    }
+
+    /**
+     * 例外生效后本次发送的消息：设置了替换消息时使用替换消息
+     */
+    getMessage(exception, defaultMessage) {
+        return exception && exception.messageContent ? exception.messageContent : defaultMessage;
+    }
+
+    /**
+     * 写入执行历史的例外摘要
+     */
+    toHistory(exception) {
+        if (!exception) {
+            return null;
+        }
+        return {
+            action: exception.action,
+            originalDate: exception.date,
+            originalTime: exception.time,
+            newDate: exception.newDate || null,
+            newTime: exception.newTime || null,
+            reason: exception.reason || null
+        };
+    }
+
+    /**
+     * 校验并统一例外格式
+     * @returns {{ exception: Object|null, error: string|null }}
+     */
+    normalize(input = {}, now = new Date()) {
+        const date = this.normalizeDate(input.date);
+        const time = this.normalizeTime(input.time);
+        if (!DATE_PATTERN.test(date) || !time) {
+            return { exception: null, error: '请指定要调整的执行日期（YYYY-MM-DD）和时间（HH:mm）' };
+        }
+        if (!ACTIONS.includes(input.action)) {
+            return { exception: null, error: '调整方式必须是 skip（跳过）、reschedule（改期）或 override（修改消息）' };
+        }
+
+        const exception = {
+            date,
+            time,
+            action: input.action,
+            messageContent: input.messageContent ? String(input.messageContent).trim() : undefined,
+            reason: input.reason || undefined
+        };
+
+        if (input.action === 'override' && !exception.messageContent) {
+            return { exception: null, error: '修改消息时必须填写新的消息内容' };
+        }
+        const template = messageTemplateEngine.validate(exception.messageContent);
+        if (!template.valid) {
+            return { exception: null, error: `消息模板有误：${template.errors.join('；')}` };
+        }
+
+        if (input.action === 'reschedule') {
+            exception.newDate = this.normalizeDate(input.newDate || date);
+            exception.newTime = this.normalizeTime(input.newTime || time);
+            if (!DATE_PATTERN.test(exception.newDate) || !exception.newTime) {
+                return { exception: null, error: '请指定改期后的日期（YYYY-MM-DD）和时间（HH:mm）' };
+            }
+            if (exception.newDate === date && exception.newTime === time) {
+                return { exception: null, error: '改期后的时间与原执行时间相同' };
+            }
+
+            const [hours, minutes] = exception.newTime.split(':').map(Number);
+            const [year, month, day] = exception.newDate.split('-').map(Number);
+            if (new Date(year, month - 1, day, hours, minutes) <= now) {
+                return { exception: null, error: '改期后的时间必须晚于当前时间' };
+            }
+        }
+
+        return { exception, error: null };
+    }
+
+    /**
+     * 保存例外，同一次执行已有例外时替换，由调用方保存任务
+     * 原日期和改期日期都已过去的例外不再生效（执行历史中已有记录），保存时一并清理
+     */
+    apply(task, exception, createdBy = null) {
+        const today = this.normalizeDate(new Date());
+        const active = task.occurrenceExceptions.filter(item =>
+            (item.date >= today || (item.newDate && item.newDate >= today)) &&
+            !(item.date === exception.date && item.time === exception.time));
+        task.occurrenceExceptions = [...active, { ...exception, createdBy, createdAt: new Date() }];
+    }
+
+    /**
+     * 删除例外，恢复原计划，由调用方保存任务
+     * @returns {boolean} 是否存在并删除了例外
+     */
+    remove(task, date, time) {
+        const existing = this.find(task, date, time);
+        if (!existing) {
+            return false;
+        }
+        task.occurrenceExceptions.splice(task.occurrenceExceptions.indexOf(existing), 1);
+        return true;
+    }
+}
+
+module.exports = new OccurrenceExceptionService();
@@ -6,6 +6,7 @@
 
 const { beijingTime, formatDate, formatTime } = require('../utils/timeUtils');
 const logger = require('../utils/logger');
+const lunarCalendar = require('../utils/lunarCalendar');
 
 class RecurrenceRule {
     constructor() {
@@ -26,6 +27,12 @@ class RecurrenceRule {
             '1月': 1, '2月': 2, '3月': 3, '4月': 4, '5月': 5, '6月': 6,
             '7月': 7, '8月': 8, '9月': 9, '10月': 10, '11月': 11, '12月': 12
         };
+
+        // 农历月份映射
+        this.lunarMonthMap = {
+            '正': 1, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6,
+            '七': 7, '八': 8, '九': 9, '十': 10, '十一': 11, '冬': 11, '十二': 12, '腊': 12
+        };
     }
 
     /**
@@ -65,6 +72,21 @@ class RecurrenceRule {
                 return this.validateWeeklyRule(interval, weekdayStr, rule);
             }
 
+            // 每年农历X月Y - 如"每年农历八月十五", "每年农历闰四月初八", "每年农历腊月最后一天"
+            const lunarMatch = rule.match(/^每年农历(闰)?(正|冬|腊|十[一二]?|[一二三四五六七八九]|\d{1,2})月(.+?)日?$/);
+            if (lunarMatch) {
+                return this.validateLunarRule(lunarMatch[2], lunarMatch[3], !!lunarMatch[1], 0, rule);
+            }
+
+            // 除夕/春节前后N天 - 如"除夕前3天", "每年春节后2天"
+            const festivalMatch = rule.match(/^(?:每年)?(除夕|春节)(?:([前后])(\d+)天)?$/);
+            if (festivalMatch) {
+                const offset = festivalMatch[2] ? parseInt(festivalMatch[3]) * (festivalMatch[2] === '前' ? -1 : 1) : 0;
+                return festivalMatch[1] === '除夕'
+                    ? this.validateLunarRule('腊', '最后一天', false, offset, rule)
+                    : this.validateLunarRule('正', '初一', false, offset, rule);
+            }
+
             // 每X日 - 如"每1日", "每3日"
             const dailyMatch = rule.match(/^每(\d+)日$/);
             if (dailyMatch) {
@@ -74,7 +96,7 @@ class RecurrenceRule {
 
             return { 
                 isValid: false, 
-                error: '不支持的重复规则格式。支持的格式：每年X月Y日、每X个月Y日、每X周Y、每X日' 
+                error: '不支持的重复规则格式。支持的格式：每年X月Y日、每X个月Y日、每X周Y、每X日、每年农历X月Y、除夕前N天' 
             };
 
         } catch (error) {
@@ -169,6 +191,53 @@ class RecurrenceRule {
         };
     }
 
+    /**
+     * 验证农历规则
+     * @param {string} monthStr - 农历月份，如"八"、"腊"、"8"
+     * @param {string} dayStr - 农历日，如"十五"、"初八"、"15"、"最后一天"
+     * @param {boolean} isLeap - 是否为闰月
+     * @param {number} offset - 偏移天数，负数表示提前
+     */
+    validateLunarRule(monthStr, dayStr, isLeap, offset, originalRule) {
+        const month = this.lunarMonthMap[monthStr] || parseInt(monthStr);
+        if (!month || month < 1 || month > 12) {
+            return { isValid: false, error: '农历月份必须在正月到腊月之间' };
+        }
+
+        let day;
+        if (dayStr === '最后一天' || dayStr === '月末') {
+            day = -1;
+        } else if (/^\d{1,2}$/.test(dayStr)) {
+            day = parseInt(dayStr);
+        } else {
+            // "二十一" 与 "廿一" 等价
+            day = lunarCalendar.DAY_NAMES.indexOf(dayStr.replace(/^二十(?=.)/, '廿')) + 1;
+        }
+        if (day !== -1 && (day < 1 || day > 30)) {
+            return { isValid: false, error: `不支持的农历日期: ${dayStr}，应为初一到三十` };
+        }
+
+        if (offset < -60 || offset > 60) {
+            return { isValid: false, error: '农历规则的偏移天数必须在60天以内' };
+        }
+
+        const lunarMode = {
+            month,
+            day,
+            leapMonth: isLeap ? 'prefer_leap' : 'normal',
+            offset
+        };
+
+        return {
+            isValid: true,
+            type: 'lunar',
+            interval: 1,
+            lunarMode,
+            originalRule: originalRule,
+            description: `${originalRule.startsWith('每年') ? '' : '每年'}${originalRule}重复`
+        };
+    }
+
     /**
      * 验证每日规则
      */
@@ -214,6 +283,9 @@ class RecurrenceRule {
                 case 'yearly':
                     return this.calculateNextYearly(ruleData, baseDate);
                 
+                case 'lunar':
+                    return this.calculateNextLunar(ruleData, baseDate);
+                
                 default:
                     logger.warn('不支持的重复类型:', ruleData.type);
                     return null;
@@ -310,6 +382,24 @@ class RecurrenceRule {
         return nextDate;
     }
 
+    /**
+     * 计算农历重复的下次执行时间
+     * 农历一年最长 385 天，逐日查找即可覆盖一个完整周期
+     */
+    calculateNextLunar(ruleData, baseDate) {
+        const scheduleRuleChecker = require('./scheduleRuleChecker');
+
+        for (let i = 1; i <= 390; i++) {
+            const nextDate = new Date(baseDate);
+            nextDate.setDate(baseDate.getDate() + i);
+            if (scheduleRuleChecker.checkLunarMode(ruleData.lunarMode, nextDate)) {
+                return nextDate;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * 生成重复任务预览
      * @param {Object} ruleData - 解析后的规则数据
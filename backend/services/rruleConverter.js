@@ -0,0 +1,971 @@
+/**
+ * RRULE Converter - iCalendar 重复规则转换器
+ * 在任务的 scheduleRule 与 RFC 5545 的 DTSTART/RRULE/EXDATE 之间互相转换
+ * 无法用 RRULE 表达的特性（节假日、调休、农历等）会逐条写入 warnings，
+ * 导出时在时间窗口内用 EXDATE/RDATE 补齐差异，导入时对比两边的执行日期并报告不一致
+ */
+
+const scheduleRuleChecker = require('./scheduleRuleChecker');
+
+// RRULE 星期代码，下标与 Date.getDay() 一致
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WORKDAY_WEEKDAYS = [1, 2, 3, 4, 5];
+
+// weekMode.occurrence 与 BYDAY 序号的对应关系
+const OCCURRENCE_ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'BYSETPOS', 'BYHOUR', 'BYMINUTE', 'WKST'];
+
+const TIMEZONE = 'Asia/Shanghai';
+
+// 导出时用 EXDATE/RDATE 修正差异的天数，导入时对比执行日期的天数
+const EXPORT_WINDOW_DAYS = 366;
+const COMPARE_WINDOW_DAYS = 730;
+
+// 计算 COUNT 对应的最后日期时最多查找的天数
+const MAX_COUNT_SEARCH_DAYS = 3660;
+
+class RRuleConverter {
+    /**
+     * 将 scheduleRule 转换为 iCalendar 重复规则
+     * @param {Object} scheduleRule - 任务的调度规则
+     * @param {Object} options
+     * @param {Date|string} options.startDate - 导出起始日期，默认今天
+     * @param {string[]} options.times - 规则中没有执行时间时使用的时间（如工作表任务）
+     * @returns {{ dtstart, rrule, exdates, rdates, text, warnings, roundTrip }}
+     *   rrule 为 null 表示规则无法用 RRULE 表示，此时只导出窗口内的 RDATE
+     */
+    toRRule(scheduleRule, options = {}) {
+        const rule = scheduleRule || {};
+        const warnings = [];
+        const start = this.toDay(options.startDate ? new Date(options.startDate) : new Date());
+        const windowEnd = this.addDays(start, EXPORT_WINDOW_DAYS - 1);
+
+        const times = this.getExportTimes(rule, options.times, warnings);
+        const parts = this.buildParts(rule, start, warnings);
+
+        // DTSTART：间隔规则使用参考日期，其余使用窗口内第一次执行的日期
+        let dtstart = parts?.anchor;
+        if (!dtstart) {
+            dtstart = this.findFirstDay(start, windowEnd, day => scheduleRuleChecker.matchesRule(rule, day)) || start;
+        }
+        if (parts) {
+            this.applyDefaults(parts, dtstart);
+        }
+
+        // 对比窗口内 RRULE 展开的日期与系统实际执行的日期
+        const exdates = new Set();
+        const rdates = new Set();
+        for (let day = new Date(start); day <= windowEnd; day = this.addDays(day, 1)) {
+            const inRRule = parts ? this.occursOn(parts, dtstart, day) : false;
+            const actual = scheduleRuleChecker.shouldRunOnDate(rule, day);
+            if (inRRule && !actual) exdates.add(this.formatIcsDate(day));
+            if (!inRRule && actual) rdates.add(this.formatIcsDate(day));
+        }
+
+        // 窗口之后的指定排除日期同样写入 EXDATE
+        for (const dateStr of rule.excludeSettings?.specificDates || []) {
+            const day = this.parseDay(dateStr);
+            if (day && day > windowEnd && parts && this.occursOn(parts, dtstart, day)) {
+                exdates.add(this.formatIcsDate(day));
+            }
+        }
+
+        const windowText = `${scheduleRuleChecker.formatDate(start)} 至 ${scheduleRuleChecker.formatDate(windowEnd)}`;
+        const specificExdates = new Set((rule.excludeSettings?.specificDates || [])
+            .map(dateStr => this.parseDay(dateStr))
+            .filter(Boolean)
+            .map(day => this.formatIcsDate(day)));
+        const adjustedExdates = [...exdates].filter(date => !specificExdates.has(date));
+        if (adjustedExdates.length > 0 || rdates.size > 0) {
+            warnings.push({
+                feature: 'window',
+                message: `${windowText} 内有 ${adjustedExdates.length + rdates.size} 个日期与 RRULE 不一致，已写入 EXDATE/RDATE，之后的日期需要重新导出`
+            });
+        }
+        if (rdates.size > 0) {
+            warnings.push({
+                feature: 'RDATE',
+                message: '系统不支持额外执行日期，RDATE 重新导入时会被忽略'
+            });
+        }
+
+        const sortedExdates = [...exdates].sort();
+        const sortedRdates = [...rdates].sort();
+        const rrule = parts ? this.serializeParts(parts, times) : null;
+        const dtstartValue = this.formatIcsDateTime(dtstart, times[0]);
+
+        const lines = [`DTSTART;TZID=${TIMEZONE}:${dtstartValue}`];
+        if (rrule) {
+            lines.push(`RRULE:${rrule}`);
+        }
+        if (sortedExdates.length > 0) {
+            lines.push(`EXDATE;TZID=${TIMEZONE}:${this.expandTimes(sortedExdates, times).join(',')}`);
+        }
+        if (sortedRdates.length > 0) {
+            lines.push(`RDATE;TZID=${TIMEZONE}:${this.expandTimes(sortedRdates, times).join(',')}`);
+        }
+
+        return {
+            dtstart: dtstartValue,
+            rrule,
+            exdates: sortedExdates,
+            rdates: sortedRdates,
+            text: lines.join('\n'),
+            warnings,
+            roundTrip: warnings.length === 0
+        };
+    }
+
+    /**
+     * 将 iCalendar 重复规则转换为 scheduleRule
+     * @param {string} text - RRULE 文本，可以只有 RRULE 值，也可以包含 DTSTART/EXDATE 行
+     * @returns {{ scheduleRule, warnings, roundTrip }}
+     * @throws {Error} 缺少 RRULE 或频率不支持时抛出
+     */
+    fromRRule(text) {
+        const warnings = [];
+        const { dtstart, rruleValue, exdates } = this.parseIcsText(text, warnings);
+        const raw = this.parseRRuleValue(rruleValue, warnings);
+
+        const freq = raw.FREQ;
+        if (!SUPPORTED_FREQS.includes(freq)) {
+            throw new Error(`不支持的重复频率: ${freq || '(空)'}，仅支持 DAILY、WEEKLY、MONTHLY、YEARLY`);
+        }
+
+        const parts = {
+            freq,
+            interval: parseInt(raw.INTERVAL) || 1,
+            byMonth: this.parseNumberList(raw.BYMONTH),
+            byMonthDay: this.parseNumberList(raw.BYMONTHDAY),
+            byDay: this.parseByDay(raw.BYDAY, warnings),
+            bySetPos: this.parseNumberList(raw.BYSETPOS),
+            until: raw.UNTIL ? this.parseIcsDateTime(raw.UNTIL).date : null
+        };
+        this.applyDefaults(parts, dtstart.date);
+
+        if (raw.COUNT) {
+            parts.until = this.findCountUntil(parts, dtstart.date, parseInt(raw.COUNT));
+            warnings.push({
+                feature: 'COUNT',
+                message: `系统不支持执行次数限制，COUNT=${raw.COUNT} 已忽略${parts.until ? `（最后一次为 ${scheduleRuleChecker.formatDate(parts.until)}）` : ''}`
+            });
+        } else if (parts.until) {
+            warnings.push({
+                feature: 'UNTIL',
+                message: `系统不支持结束日期，UNTIL=${scheduleRuleChecker.formatDate(parts.until)} 已忽略`
+            });
+        }
+        if (raw.WKST && raw.WKST !== 'MO' && freq === 'WEEKLY' && parts.interval > 1) {
+            warnings.push({ feature: 'WKST', message: `系统按周一为一周的开始计算间隔，WKST=${raw.WKST} 已忽略` });
+        }
+
+        const scheduleRule = this.buildScheduleRule(parts, dtstart.date, warnings);
+        scheduleRule.executionTimes = this.getImportTimes(raw, dtstart.time, warnings);
+        scheduleRule.executionTime = scheduleRule.executionTimes[0];
+        scheduleRule.excludeSettings = {
+            excludeHolidays: false,
+            excludeWeekends: scheduleRule.excludeSettings?.excludeWeekends || false,
+            specificDates: exdates
+        };
+
+        this.compareImported(parts, dtstart.date, scheduleRule, warnings);
+
+        return {
+            scheduleRule,
+            warnings,
+            roundTrip: warnings.length === 0
+        };
+    }
+
+    /**
+     * 根据 scheduleRule 构建 RRULE 各部分，无法表示时返回 null
+     */
+    buildParts(rule, start, warnings) {
+        const dayMode = rule.dayMode || {};
+        let parts;
+
+        switch (rule.ruleType) {
+            case 'daily':
+                parts = { freq: 'DAILY' };
+                break;
+
+            case 'by_day':
+            case 'by_month':
+                parts = this.buildDayModeParts(dayMode, warnings);
+                break;
+
+            case 'by_week': {
+                const weekMode = rule.weekMode || {};
+                const weekdays = [...new Set((weekMode.weekdays || []).map(d => d % 7))];
+                if (weekdays.length === 0) {
+                    warnings.push({ feature: 'weekMode', message: '按星期规则没有选择星期几，无法导出' });
+                    return null;
+                }
+                const ordinal = OCCURRENCE_ORDINALS[weekMode.occurrence];
+                parts = ordinal
+                    ? { freq: 'MONTHLY', byDay: weekdays.map(weekday => ({ ord: ordinal, weekday })) }
+                    : { freq: 'WEEKLY', byDay: weekdays.map(weekday => ({ ord: 0, weekday })) };
+                break;
+            }
+
+            case 'by_interval':
+                parts = this.buildIntervalParts(rule.intervalMode || {}, warnings);
+                break;
+
+            case 'by_quarter':
+                parts = this.buildQuarterParts(rule, warnings);
+                break;
+
+            case 'by_lunar':
+                warnings.push({ feature: 'lunarMode', message: 'RRULE 不支持农历日期，只导出窗口内的 RDATE' });
+                return null;
+
+            case 'cron':
+                warnings.push({ feature: 'cron', message: 'cron 表达式不直接转换为 RRULE，只导出窗口内的 RDATE' });
+                return null;
+
+            default:
+                warnings.push({ feature: 'ruleType', message: `规则类型 ${rule.ruleType || '(空)'} 无法导出为 RRULE` });
+                return null;
+        }
+
+        if (!parts) {
+            return null;
+        }
+
+        parts = {
+            interval: 1,
+            byMonth: [],
+            byMonthDay: [],
+            byDay: [],
+            bySetPos: [],
+            until: null,
+            ...parts
+        };
+
+        // 月份限制
+        const months = rule.months || [];
+        if (months.length > 0 && months.length < 12) {
+            parts.byMonth = parts.byMonth.length > 0
+                ? parts.byMonth.filter(month => months.includes(month))
+                : [...months].sort((a, b) => a - b);
+            if (parts.byMonth.length === 0) {
+                warnings.push({ feature: 'months', message: '月份限制与规则没有交集，规则不会执行' });
+                return null;
+            }
+        }
+
+        // 年间隔（相对今年计算）
+        const yearInterval = rule.intervalMode?.yearInterval;
+        if (yearInterval === 0) {
+            parts.until = new Date(start.getFullYear(), 11, 31);
+        } else if (yearInterval > 1) {
+            if (parts.freq === 'YEARLY' && parts.interval === 1) {
+                parts.interval = yearInterval;
+            } else {
+                warnings.push({ feature: 'yearInterval', message: `每${yearInterval}年执行只能用于按年的 RRULE，已按窗口内的日期修正` });
+            }
+        }
+
+        const excludeSettings = rule.excludeSettings || {};
+        if (excludeSettings.excludeWeekends) {
+            if (parts.bySetPos.length === 0) {
+                if (parts.byDay.length === 0) {
+                    parts.byDay = WORKDAY_WEEKDAYS.map(weekday => ({ ord: 0, weekday }));
+                } else {
+                    parts.byDay = parts.byDay.filter(({ weekday }) => weekday !== 0 && weekday !== 6);
+                }
+                if (parts.byDay.length === 0) {
+                    warnings.push({ feature: 'excludeWeekends', message: '规则只在周末执行且排除了周末，规则不会执行' });
+                    return null;
+                }
+            }
+            warnings.push({ feature: 'excludeWeekends', message: 'RRULE 无法表示调休上班日（周末补班照常执行）' });
+        }
+        if (excludeSettings.excludeHolidays) {
+            warnings.push({ feature: 'excludeHolidays', message: 'RRULE 无法表示节假日，已按当前配置的节假日写入 EXDATE' });
+        }
+        if (rule.onHoliday && rule.onHoliday !== 'skip') {
+            warnings.push({ feature: 'onHoliday', message: 'RRULE 无法表示节假日顺延，已按窗口内的日期写入 EXDATE/RDATE' });
+        }
+
+        return parts;
+    }
+
+    /**
+     * 按日期规则（dayMode）构建 RRULE
+     */
+    buildDayModeParts(dayMode, warnings) {
+        switch (dayMode.type) {
+            case 'specific_days':
+                if (!dayMode.days || dayMode.days.length === 0) {
+                    return { freq: 'DAILY' };
+                }
+                return { freq: 'MONTHLY', byMonthDay: [...dayMode.days].sort((a, b) => a - b) };
+
+            case 'last_day':
+                return { freq: 'MONTHLY', byMonthDay: [-1] };
+
+            case 'weekends':
+                return { freq: 'DAILY', byDay: [6, 0].map(weekday => ({ ord: 0, weekday })) };
+
+            case 'workdays':
+                warnings.push({ feature: 'dayMode', message: '工作日按节假日和调休计算，RRULE 只能表示周一到周五' });
+                return { freq: 'DAILY', byDay: WORKDAY_WEEKDAYS.map(weekday => ({ ord: 0, weekday })) };
+
+            case 'nth_workday':
+            case 'last_workday': {
+                if (dayMode.period === 'quarter') {
+                    warnings.push({ feature: 'dayMode', message: 'RRULE 无法表示每季度第N个工作日，只导出窗口内的 RDATE' });
+                    return null;
+                }
+                warnings.push({ feature: 'dayMode', message: '第N个工作日按节假日和调休计算，RRULE 只能按周一到周五计算' });
+                const position = dayMode.type === 'nth_workday'
+                    ? (parseInt(dayMode.nthDay) || 1)
+                    : -(parseInt(dayMode.nthLast) || 1);
+                return {
+                    freq: 'MONTHLY',
+                    byDay: WORKDAY_WEEKDAYS.map(weekday => ({ ord: 0, weekday })),
+                    bySetPos: [position]
+                };
+            }
+
+            default:
+                return { freq: 'DAILY' };
+        }
+    }
+
+    /**
+     * 按间隔规则（intervalMode）构建 RRULE，参考日期作为 DTSTART
+     */
+    buildIntervalParts(intervalMode, warnings) {
+        const anchor = this.parseDay(intervalMode.referenceDate);
+        if (!anchor) {
+            warnings.push({ feature: 'intervalMode', message: '间隔规则没有参考日期，无法导出' });
+            return null;
+        }
+
+        const interval = parseInt(intervalMode.value) || 1;
+        switch (intervalMode.unit) {
+            case 'days':
+                return { freq: 'DAILY', interval, anchor };
+
+            case 'weeks':
+                return { freq: 'WEEKLY', interval, anchor, byDay: [{ ord: 0, weekday: anchor.getDay() }] };
+
+            case 'months':
+                if (anchor.getDate() > 28) {
+                    warnings.push({ feature: 'intervalMode', message: `参考日期为${anchor.getDate()}号，系统在小月取月末，RRULE 会跳过这些月份` });
+                }
+                return { freq: 'MONTHLY', interval, anchor, byMonthDay: [anchor.getDate()] };
+
+            case 'years':
+                return {
+                    freq: 'YEARLY',
+                    interval: interval || 1,
+                    anchor,
+                    byMonth: [anchor.getMonth() + 1],
+                    byMonthDay: [anchor.getDate()]
+                };
+
+            default:
+                warnings.push({ feature: 'intervalMode', message: `不支持的间隔单位: ${intervalMode.unit}` });
+                return null;
+        }
+    }
+
+    /**
+     * 按季度规则构建 RRULE，只有季度首月/末月的固定日期可以表示
+     */
+    buildQuarterParts(rule, warnings) {
+        const quarterMode = rule.quarterMode || { type: 'first_month', day: 1 };
+        const quarters = rule.quarters && rule.quarters.length > 0 ? rule.quarters : [1, 2, 3, 4];
+
+        if (!['first_month', 'last_month'].includes(quarterMode.type)) {
+            warnings.push({ feature: 'quarterMode', message: 'RRULE 无法表示季度第N天或季度第N个星期几，只导出窗口内的 RDATE' });
+            return null;
+        }
+
+        const day = parseInt(quarterMode.day) || 1;
+        if (day > 28) {
+            warnings.push({ feature: 'quarterMode', message: `${day}号超过部分月份天数，系统取月末，RRULE 会跳过这些月份` });
+        }
+
+        const monthOffset = quarterMode.type === 'first_month' ? 1 : 3;
+        return {
+            freq: 'YEARLY',
+            byMonth: [...quarters].sort((a, b) => a - b).map(q => (q - 1) * 3 + monthOffset),
+            byMonthDay: [day]
+        };
+    }
+
+    /**
+     * 根据 RRULE 构建 scheduleRule
+     */
+    buildScheduleRule(parts, dtstart, warnings) {
+        const { freq, interval, byMonth, byMonthDay, byDay, bySetPos } = parts;
+        const scheduleRule = { months: byMonth.length > 0 ? [...byMonth] : [] };
+        const plainWeekdays = byDay.filter(d => !d.ord).map(d => d.weekday);
+        const isWorkdaySet = plainWeekdays.length === 5 && WORKDAY_WEEKDAYS.every(d => plainWeekdays.includes(d));
+
+        // 按周一到周五展开的第N天 -> 第N个工作日
+        if (bySetPos.length > 0) {
+            if (freq === 'MONTHLY' && isWorkdaySet && bySetPos.length === 1 && byMonthDay.length === 0) {
+                const position = bySetPos[0];
+                warnings.push({ feature: 'BYSETPOS', message: '已转换为第N个工作日，系统会按节假日和调休计算工作日' });
+                return {
+                    ...scheduleRule,
+                    ruleType: 'by_day',
+                    dayMode: position > 0
+                        ? { type: 'nth_workday', nthDay: position, period: 'month' }
+                        : { type: 'last_workday', nthLast: -position, period: 'month' }
+                };
+            }
+            warnings.push({ feature: 'BYSETPOS', message: '只支持 MONTHLY 按周一到周五的 BYSETPOS，已忽略' });
+        }
+
+        if (interval > 1) {
+            const anchor = this.findFirstOccurrence(parts, dtstart) || dtstart;
+            const referenceDate = scheduleRuleChecker.formatDate(anchor);
+
+            switch (freq) {
+                case 'DAILY':
+                    if (byMonthDay.length > 0 || byDay.some(d => d.ord)) {
+                        warnings.push({ feature: 'INTERVAL', message: '按天间隔不能与 BYMONTHDAY 或带序号的 BYDAY 组合，已忽略这些部分' });
+                    }
+                    if (plainWeekdays.length > 0 && !isWorkdaySet) {
+                        warnings.push({ feature: 'BYDAY', message: '按天间隔只支持周一到周五的 BYDAY，已忽略' });
+                    }
+                    return {
+                        ...scheduleRule,
+                        ruleType: 'by_interval',
+                        intervalMode: { value: interval, unit: 'days', referenceDate },
+                        excludeSettings: { excludeWeekends: isWorkdaySet }
+                    };
+
+                case 'WEEKLY':
+                    if (byDay.length > 1) {
+                        warnings.push({ feature: 'BYDAY', message: '按周间隔只支持一个星期几，已按第一次执行的星期几计算' });
+                    }
+                    return {
+                        ...scheduleRule,
+                        ruleType: 'by_interval',
+                        intervalMode: { value: interval, unit: 'weeks', referenceDate }
+                    };
+
+                case 'MONTHLY':
+                    if (byDay.length > 0 || byMonthDay.length > 1) {
+                        warnings.push({ feature: 'INTERVAL', message: '按月间隔只支持每月一个固定日期，已按第一次执行的日期计算' });
+                    }
+                    return {
+                        ...scheduleRule,
+                        ruleType: 'by_interval',
+                        intervalMode: { value: interval, unit: 'months', referenceDate }
+                    };
+
+                case 'YEARLY': {
+                    // 系统的年间隔以今年为基准
+                    const yearDiff = anchor.getFullYear() - new Date().getFullYear();
+                    if (yearDiff < 0 || yearDiff % interval !== 0) {
+                        warnings.push({ feature: 'INTERVAL', message: `系统的每${interval}年从今年开始计算，与 DTSTART 的年份不一致` });
+                    }
+                    const yearlyRule = this.buildScheduleRule({ ...parts, interval: 1, bySetPos: [] }, dtstart, warnings);
+                    yearlyRule.intervalMode = { ...(yearlyRule.intervalMode || {}), yearInterval: interval };
+                    return yearlyRule;
+                }
+            }
+        }
+
+        // 带序号的星期（如 1MO、-1FR）
+        const ordinalDays = byDay.filter(d => d.ord);
+        if (ordinalDays.length > 0) {
+            const ordinals = [...new Set(ordinalDays.map(d => d.ord))];
+            const occurrence = Object.keys(OCCURRENCE_ORDINALS).find(key => OCCURRENCE_ORDINALS[key] === ordinals[0]);
+            if (ordinals.length > 1 || !occurrence || plainWeekdays.length > 0) {
+                warnings.push({ feature: 'BYDAY', message: '只支持同一序号（1-4 或 -1）的 BYDAY，已按第一个序号计算' });
+            }
+            if (freq === 'YEARLY' && byMonth.length === 0) {
+                warnings.push({ feature: 'BYDAY', message: '不支持按全年计算序号的 BYDAY，已按每月计算' });
+            }
+            if (byMonthDay.length > 0) {
+                warnings.push({ feature: 'BYMONTHDAY', message: 'BYMONTHDAY 不能与带序号的 BYDAY 组合，已忽略' });
+            }
+            return {
+                ...scheduleRule,
+                ruleType: 'by_week',
+                weekMode: {
+                    weekdays: this.toScheduleWeekdays(ordinalDays.map(d => d.weekday)),
+                    occurrence: occurrence || 'first'
+                }
+            };
+        }
+
+        // 每月固定日期
+        if (byMonthDay.length > 0) {
+            const days = byMonthDay.filter(day => day > 0);
+            const hasLastDay = byMonthDay.includes(-1);
+            if (byMonthDay.some(day => day < -1) || (hasLastDay && days.length > 0)) {
+                warnings.push({ feature: 'BYMONTHDAY', message: '只支持正数日期或单独的 -1（月末），已忽略其余日期' });
+            }
+
+            const dayRule = {
+                ...scheduleRule,
+                ruleType: 'by_day',
+                dayMode: days.length > 0
+                    ? { type: 'specific_days', days }
+                    : { type: 'last_day' }
+            };
+
+            // BYMONTHDAY 与 BYDAY 同时出现时，BYDAY 为过滤条件，只有周一到周五可以用排除周末表示
+            if (plainWeekdays.length > 0) {
+                if (isWorkdaySet) {
+                    dayRule.excludeSettings = { excludeWeekends: true };
+                } else {
+                    warnings.push({ feature: 'BYDAY', message: 'BYMONTHDAY 只能与周一到周五的 BYDAY 组合，已忽略 BYDAY' });
+                }
+            }
+            return dayRule;
+        }
+
+        // 每周的星期几
+        if (plainWeekdays.length > 0) {
+            if (plainWeekdays.length === 7) {
+                return { ...scheduleRule, ruleType: 'by_day', dayMode: { type: 'every_day' } };
+            }
+            return {
+                ...scheduleRule,
+                ruleType: 'by_week',
+                weekMode: { weekdays: this.toScheduleWeekdays(plainWeekdays), occurrence: 'every' }
+            };
+        }
+
+        return { ...scheduleRule, ruleType: 'by_day', dayMode: { type: 'every_day' } };
+    }
+
+    /**
+     * 对比导入后的规则与原 RRULE 的执行日期，不一致时写入 warnings
+     */
+    compareImported(parts, dtstart, scheduleRule, warnings) {
+        const today = this.toDay(new Date());
+        const from = dtstart > today ? dtstart : today;
+        const to = this.addDays(from, COMPARE_WINDOW_DAYS - 1);
+        const exdates = new Set(scheduleRule.excludeSettings.specificDates);
+
+        const mismatches = [];
+        for (let day = new Date(from); day <= to; day = this.addDays(day, 1)) {
+            const inRRule = this.occursOn(parts, dtstart, day) && !exdates.has(scheduleRuleChecker.formatDate(day));
+            if (inRRule !== scheduleRuleChecker.shouldRunOnDate(scheduleRule, day)) {
+                mismatches.push(scheduleRuleChecker.formatDate(day));
+            }
+        }
+
+        if (mismatches.length > 0) {
+            warnings.push({
+                feature: 'mismatch',
+                message: `导入后的规则与原规则在 ${COMPARE_WINDOW_DAYS} 天内有 ${mismatches.length} 个日期不一致，如 ${mismatches.slice(0, 5).join('、')}`
+            });
+        }
+    }
+
+    /**
+     * 补全 RRULE 中省略、需要从 DTSTART 推导的部分
+     */
+    applyDefaults(parts, dtstart) {
+        if (parts.byMonthDay.length > 0 || parts.byDay.length > 0) {
+            return;
+        }
+
+        switch (parts.freq) {
+            case 'WEEKLY':
+                parts.byDay = [{ ord: 0, weekday: dtstart.getDay() }];
+                break;
+            case 'MONTHLY':
+                parts.byMonthDay = [dtstart.getDate()];
+                break;
+            case 'YEARLY':
+                if (parts.byMonth.length === 0) {
+                    parts.byMonth = [dtstart.getMonth() + 1];
+                }
+                parts.byMonthDay = [dtstart.getDate()];
+                break;
+        }
+    }
+
+    /**
+     * 判断 RRULE 在某天是否有执行（只按日期判断，不含时间）
+     */
+    occursOn(parts, dtstart, day) {
+        if (day < this.toDay(dtstart) || (parts.until && day > parts.until)) {
+            return false;
+        }
+        if (!this.matchesInterval(parts, dtstart, day) || !this.matchesDayFilters(parts, day)) {
+            return false;
+        }
+        if (parts.bySetPos.length === 0) {
+            return true;
+        }
+
+        // BYSETPOS 在当月符合条件的日期中按位置选取
+        const candidates = [];
+        const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        for (let d = 1; d <= lastDay; d++) {
+            const candidate = new Date(day.getFullYear(), day.getMonth(), d);
+            if (this.matchesDayFilters(parts, candidate)) {
+                candidates.push(d);
+            }
+        }
+        return parts.bySetPos.some(pos => {
+            const selected = pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos];
+            return selected === day.getDate();
+        });
+    }
+
+    matchesInterval(parts, dtstart, day) {
+        if (parts.interval <= 1) {
+            return true;
+        }
+
+        const start = this.toDay(dtstart);
+        switch (parts.freq) {
+            case 'DAILY':
+                return this.diffDays(start, day) % parts.interval === 0;
+            case 'WEEKLY':
+                return Math.floor(this.diffDays(this.startOfWeek(start), this.startOfWeek(day)) / 7) % parts.interval === 0;
+            case 'MONTHLY':
+                return scheduleRuleChecker.getMonthsDiff(start, day) % parts.interval === 0;
+            case 'YEARLY':
+                return (day.getFullYear() - start.getFullYear()) % parts.interval === 0;
+            default:
+                return false;
+        }
+    }
+
+    matchesDayFilters(parts, day) {
+        if (parts.byMonth.length > 0 && !parts.byMonth.includes(day.getMonth() + 1)) {
+            return false;
+        }
+
+        const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        if (parts.byMonthDay.length > 0) {
+            const matched = parts.byMonthDay.some(d => (d > 0 ? d : lastDay + d + 1) === day.getDate());
+            if (!matched) return false;
+        }
+
+        if (parts.byDay.length > 0) {
+            const matched = parts.byDay.some(({ ord, weekday }) => {
+                if (weekday !== day.getDay()) return false;
+                if (!ord) return true;
+                // 序号按当月计算
+                return ord > 0
+                    ? Math.ceil(day.getDate() / 7) === ord
+                    : Math.ceil((lastDay - day.getDate() + 1) / 7) === -ord;
+            });
+            if (!matched) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 查找 DTSTART 之后 RRULE 的第一次执行日期
+     */
+    findFirstOccurrence(parts, dtstart) {
+        const start = this.toDay(dtstart);
+        return this.findFirstDay(start, this.addDays(start, MAX_COUNT_SEARCH_DAYS), day => this.occursOn(parts, dtstart, day));
+    }
+
+    /**
+     * 计算 COUNT 次执行对应的最后日期
+     */
+    findCountUntil(parts, dtstart, count) {
+        let found = 0;
+        const start = this.toDay(dtstart);
+        for (let i = 0; i < MAX_COUNT_SEARCH_DAYS; i++) {
+            const day = this.addDays(start, i);
+            if (this.occursOn(parts, dtstart, day) && ++found >= count) {
+                return day;
+            }
+        }
+        return null;
+    }
+
+    findFirstDay(from, to, predicate) {
+        for (let day = new Date(from); day <= to; day = this.addDays(day, 1)) {
+            if (predicate(day)) return day;
+        }
+        return null;
+    }
+
+    /**
+     * 解析粘贴的 iCalendar 文本
+     */
+    parseIcsText(text, warnings) {
+        if (!text || typeof text !== 'string') {
+            throw new Error('RRULE 不能为空');
+        }
+
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        let dtstart = null;
+        let rruleValue = null;
+        const exdates = new Set();
+
+        for (const line of lines) {
+            if (/^FREQ=/i.test(line)) {
+                rruleValue = line;
+                continue;
+            }
+
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+            const [key, ...params] = line.substring(0, separator).toUpperCase().split(';');
+            const value = line.substring(separator + 1).trim();
+
+            switch (key) {
+                case 'DTSTART':
+                    dtstart = this.parseIcsDateTime(value, params, warnings);
+                    break;
+                case 'RRULE':
+                    if (rruleValue) {
+                        warnings.push({ feature: 'RRULE', message: '只支持一条 RRULE，已忽略其余规则' });
+                    } else {
+                        rruleValue = value;
+                    }
+                    break;
+                case 'EXDATE':
+                    value.split(',').forEach(item => {
+                        const parsed = this.parseIcsDateTime(item.trim(), params, warnings);
+                        if (parsed) exdates.add(scheduleRuleChecker.formatDate(parsed.date));
+                    });
+                    break;
+                case 'RDATE':
+                    warnings.push({ feature: 'RDATE', message: '系统不支持额外执行日期，RDATE 已忽略' });
+                    break;
+                case 'EXRULE':
+                    warnings.push({ feature: 'EXRULE', message: '不支持 EXRULE，已忽略' });
+                    break;
+            }
+        }
+
+        if (!rruleValue) {
+            throw new Error('未找到 RRULE');
+        }
+        if (!dtstart) {
+            const today = this.toDay(new Date());
+            dtstart = { date: today, time: null };
+            warnings.push({ feature: 'DTSTART', message: '没有 DTSTART，以今天为起点' });
+        }
+
+        return { dtstart, rruleValue, exdates: [...exdates].sort() };
+    }
+
+    /**
+     * 解析 RRULE 值为 { FREQ, INTERVAL, ... }
+     */
+    parseRRuleValue(value, warnings) {
+        const raw = {};
+        for (const item of value.split(';')) {
+            const [key, val] = item.split('=');
+            if (!key || val === undefined) continue;
+
+            const name = key.trim().toUpperCase();
+            if (!SUPPORTED_PARTS.includes(name)) {
+                warnings.push({ feature: name, message: `不支持 ${name}，已忽略` });
+                continue;
+            }
+            raw[name] = val.trim().toUpperCase();
+        }
+        return raw;
+    }
+
+    parseByDay(value, warnings) {
+        if (!value) return [];
+
+        const result = [];
+        for (const item of value.split(',')) {
+            const match = item.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (!match) {
+                warnings.push({ feature: 'BYDAY', message: `无法识别的 BYDAY: ${item}` });
+                continue;
+            }
+            result.push({ ord: match[1] ? parseInt(match[1]) : 0, weekday: WEEKDAY_CODES.indexOf(match[2]) });
+        }
+        return result;
+    }
+
+    /**
+     * 解析逗号分隔的数字，BYMONTHDAY/BYSETPOS 等不允许 0
+     */
+    parseNumberList(value, allowZero = false) {
+        if (!value) return [];
+        return value.split(',').map(item => parseInt(item)).filter(num => !isNaN(num) && (allowZero || num !== 0));
+    }
+
+    /**
+     * 解析 iCalendar 日期或日期时间
+     * UTC 时间（Z 结尾）转换为北京时间，TZID 不是北京时间时按北京时间处理并提示
+     * @returns {{ date: Date, time: string|null }|null}
+     */
+    parseIcsDateTime(value, params = [], warnings = null) {
+        const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+        if (!match) {
+            warnings?.push({ feature: 'DATE', message: `无法识别的日期: ${value}` });
+            return null;
+        }
+
+        const [, y, m, d, hh, mm, , utc] = match;
+        if (hh === undefined) {
+            return { date: new Date(+y, m - 1, +d), time: null };
+        }
+
+        let dateTime = new Date(+y, m - 1, +d, +hh, +mm);
+        if (utc) {
+            const utcTime = Date.UTC(+y, m - 1, +d, +hh, +mm);
+            const beijing = new Date(utcTime + 8 * 60 * 60 * 1000);
+            dateTime = new Date(beijing.getUTCFullYear(), beijing.getUTCMonth(), beijing.getUTCDate(), beijing.getUTCHours(), beijing.getUTCMinutes());
+        } else {
+            const tzid = params.find(param => param.startsWith('TZID='));
+            if (tzid && !['TZID=ASIA/SHANGHAI', 'TZID=ASIA/CHONGQING', 'TZID=PRC'].includes(tzid)) {
+                warnings?.push({ feature: 'TZID', message: `时区 ${tzid.substring(5)} 已按北京时间处理` });
+            }
+        }
+
+        return {
+            date: this.toDay(dateTime),
+            time: `${String(dateTime.getHours()).padStart(2, '0')}:${String(dateTime.getMinutes()).padStart(2, '0')}`
+        };
+    }
+
+    /**
+     * 导入时的执行时间：BYHOUR × BYMINUTE，否则使用 DTSTART 的时间
+     */
+    getImportTimes(raw, dtstartTime, warnings) {
+        const hours = this.parseNumberList(raw.BYHOUR, true);
+        const minutes = this.parseNumberList(raw.BYMINUTE, true);
+
+        if (hours.length === 0 && minutes.length === 0) {
+            if (!dtstartTime) {
+                warnings.push({ feature: 'time', message: '没有指定执行时间，默认 09:00' });
+            }
+            return [dtstartTime || '09:00'];
+        }
+
+        const [defaultHour, defaultMinute] = (dtstartTime || '09:00').split(':').map(Number);
+        const times = [];
+        for (const hour of hours.length > 0 ? hours : [defaultHour]) {
+            for (const minute of minutes.length > 0 ? minutes : [defaultMinute]) {
+                times.push(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
+            }
+        }
+        return [...new Set(times)].sort();
+    }
+
+    /**
+     * 导出时的执行时间：多个时间只有能表示为 BYHOUR × BYMINUTE 时才全部导出
+     */
+    getExportTimes(rule, fallbackTimes, warnings) {
+        // cron 的触发时间是分钟与小时的组合，总能用 BYHOUR/BYMINUTE 表示
+        if (rule.ruleType === 'cron') {
+            const { valid, times } = scheduleRuleChecker.validateCronExpression(rule.cron);
+            if (valid) return times;
+        }
+
+        let times = rule.timeWindows && rule.timeWindows.length > 0
+            ? (scheduleRuleChecker.validateTimeWindows(rule.timeWindows).times || [])
+            : [];
+        if (times.length === 0) {
+            times = rule.executionTimes && rule.executionTimes.length > 0
+                ? rule.executionTimes
+                : (rule.executionTime ? [rule.executionTime] : (fallbackTimes || []));
+        }
+        times = [...new Set(times.filter(Boolean))].sort();
+
+        if (times.length === 0) {
+            warnings.push({ feature: 'time', message: '规则没有执行时间，默认 09:00' });
+            return ['09:00'];
+        }
+        if (times.length > 1) {
+            const hours = new Set(times.map(time => time.split(':')[0]));
+            const minutes = new Set(times.map(time => time.split(':')[1]));
+            if (hours.size * minutes.size !== times.length) {
+                warnings.push({ feature: 'executionTimes', message: `执行时间 ${times.join('、')} 无法用 BYHOUR/BYMINUTE 表示，只导出 ${times[0]}` });
+                return [times[0]];
+            }
+        }
+        return times;
+    }
+
+    serializeParts(parts, times) {
+        const items = [`FREQ=${parts.freq}`];
+        if (parts.interval > 1) items.push(`INTERVAL=${parts.interval}`);
+        if (parts.until) items.push(`UNTIL=${this.formatIcsDate(parts.until)}T235959`);
+        if (parts.byMonth.length > 0) items.push(`BYMONTH=${parts.byMonth.join(',')}`);
+        if (parts.byMonthDay.length > 0) items.push(`BYMONTHDAY=${parts.byMonthDay.join(',')}`);
+        if (parts.byDay.length > 0) {
+            items.push(`BYDAY=${parts.byDay.map(({ ord, weekday }) => `${ord || ''}${WEEKDAY_CODES[weekday]}`).join(',')}`);
+        }
+        if (parts.bySetPos.length > 0) items.push(`BYSETPOS=${parts.bySetPos.join(',')}`);
+        if (times.length > 1) {
+            items.push(`BYHOUR=${[...new Set(times.map(time => parseInt(time.split(':')[0])))].join(',')}`);
+            items.push(`BYMINUTE=${[...new Set(times.map(time => parseInt(time.split(':')[1])))].join(',')}`);
+        }
+        return items.join(';');
+    }
+
+    expandTimes(dates, times) {
+        const result = [];
+        for (const date of dates) {
+            for (const time of times) {
+                result.push(`${date}T${time.replace(':', '')}00`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 系统的星期用 1-7 表示周一到周日
+     */
+    toScheduleWeekdays(weekdays) {
+        return [...new Set(weekdays.map(d => d === 0 ? 7 : d))].sort((a, b) => a - b);
+    }
+
+    parseDay(value) {
+        if (!value) return null;
+        const match = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (!match) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : this.toDay(date);
+        }
+        return new Date(+match[1], match[2] - 1, +match[3]);
+    }
+
+    toDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    diffDays(from, to) {
+        return Math.round((this.toDay(to) - this.toDay(from)) / (24 * 60 * 60 * 1000));
+    }
+
+    startOfWeek(date) {
+        return this.addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    formatIcsDate(date) {
+        return scheduleRuleChecker.formatDate(date).replace(/-/g, '');
+    }
+
+    formatIcsDateTime(date, time) {
+        return `${this.formatIcsDate(date)}T${(time || '09:00').replace(':', '')}00`;
+    }
+}
+
+module.exports = new RRuleConverter();
@@ -4,6 +4,47 @@
  */
 
 const logger = require('../utils/logger');
+const holidayManager = require('./holidayManager');
+const lunarCalendar = require('../utils/lunarCalendar');
+const cronParser = require('cron-parser');
+
+// 每天最多触发的次数（cron 规则、日内重复时段），避免 "* * * * *" 之类的配置产生大量调度任务
+const MAX_TIMES_PER_DAY = 96;
+
+// 节假日顺延策略
+const SHIFT_POLICIES = ['previous', 'next', 'nearest'];
+
+// 向前或向后查找工作日的最大天数（春节连休加前后周末不超过这个范围）
+const MAX_SHIFT_DAYS = 31;
+
+// 支持的规则类型（ScheduleRule 领域模型、advancedScheduleEngine 与调度器共用这一套判断）
+const RULE_TYPES = [
+    'daily', 'by_day', 'by_week', 'by_month', 'by_year', 'by_interval',
+    'by_quarter', 'by_lunar', 'cron', 'specific_date', 'custom'
+];
+
+// 旧版规则类型名称
+const RULE_TYPE_ALIASES = {
+    weekly: 'by_week',
+    monthly: 'by_month',
+    yearly: 'by_year',
+    interval: 'by_interval'
+};
+
+// 旧版 dayMode（{ mode, values }）的模式名称
+const LEGACY_DAY_MODES = {
+    all: 'every_day',
+    specific_days: 'specific_days',
+    selected_days: 'specific_days',
+    last_day: 'last_day',
+    last_workday: 'last_workday',
+    first_workday: 'nth_workday',
+    odd: 'odd_days',
+    even: 'even_days'
+};
+
+// 已统一格式的规则标记，避免重复转换
+const NORMALIZED = Symbol('normalizedScheduleRule');
 
 class ScheduleRuleChecker {
     /**
@@ -18,54 +59,377 @@ class ScheduleRuleChecker {
      */
     shouldRunOnDate(scheduleRule, date) {
         try {
-            const { ruleType, dayMode, weekMode, intervalMode, months, excludeSettings } = scheduleRule;
+            return this.getOccurrenceInfo(scheduleRule, date).runs;
+        } catch (error) {
+            logger.error('检查调度规则失败:', error);
+            return false;
+        }
+    }
 
-            // 检查排除设置
-            if (this.isExcluded(date, excludeSettings)) {
-                return false;
-            }
-            
-            // 检查年间隔（如果存在）
-            if (intervalMode && (intervalMode.yearInterval !== undefined || intervalMode.unit === 'years')) {
-                if (!this.checkYearInterval(intervalMode, date)) {
-                    return false; // 不在年间隔范围内
+    /**
+     * 获取指定日期的执行信息
+     * @returns {{ runs: boolean, originalDates: string[] }} originalDates 为因节假日顺延到这一天的原执行日期
+     */
+    getOccurrenceInfo(scheduleRule, date) {
+        scheduleRule = this.normalizeRule(scheduleRule);
+        const { excludeSettings } = scheduleRule;
+        const policy = this.getHolidayPolicy(scheduleRule);
+
+        if (policy === 'skip') {
+            return {
+                runs: !this.isExcluded(date, excludeSettings) && this.matchesRule(scheduleRule, date),
+                originalDates: []
+            };
+        }
+
+        // 顺延策略：指定排除日期仍然直接跳过，节假日上的执行移到工作日
+        if (this.isSpecificExcluded(date, excludeSettings) || this.isNonWorkingDay(date, excludeSettings)) {
+            return { runs: false, originalDates: [] };
+        }
+
+        const originalDates = this.getShiftedFromDates(scheduleRule, date, policy);
+        return {
+            runs: this.matchesRule(scheduleRule, date) || originalDates.length > 0,
+            originalDates
+        };
+    }
+
+    /**
+     * 解释指定日期为什么执行或不执行，用于调度模拟
+     * 只有按规则类型本身会执行的日期才算候选日，非候选日返回 candidate: false
+     * @returns {{ runs: boolean, candidate: boolean, reason: string|null, originalDates: string[], shiftedTo: string|null }}
+     *   reason: year_interval 年间隔、month_filter 月份限制、specific_date 指定排除日期、holiday 节假日、weekend 周末
+     */
+    explainDate(scheduleRule, date) {
+        scheduleRule = this.normalizeRule(scheduleRule);
+        const result = { runs: false, candidate: false, reason: null, originalDates: [], shiftedTo: null };
+        const occurrence = this.getOccurrenceInfo(scheduleRule, date);
+        if (occurrence.runs) {
+            return { ...result, runs: true, candidate: true, originalDates: occurrence.originalDates };
+        }
+
+        if (!this.matchesRuleType(scheduleRule, date)) {
+            return result;
+        }
+        result.candidate = true;
+
+        if (!this.checkYearFilter(scheduleRule, date)) {
+            return { ...result, reason: 'year_interval' };
+        }
+        if (!this.checkMonthFilter(scheduleRule, date)) {
+            return { ...result, reason: 'month_filter' };
+        }
+
+        const { excludeSettings } = scheduleRule;
+        if (this.isSpecificExcluded(date, excludeSettings)) {
+            return { ...result, reason: 'specific_date' };
+        }
+
+        result.reason = holidayManager.isHolidayDate(date) ? 'holiday' : 'weekend';
+        const policy = this.getHolidayPolicy(scheduleRule);
+        if (policy !== 'skip') {
+            const shifted = this.getShiftedDate(date, policy, excludeSettings);
+            result.shiftedTo = shifted ? this.formatDate(shifted) : null;
+        }
+        return result;
+    }
+
+    /**
+     * 是否为支持的规则类型（含旧版别名）
+     */
+    isSupportedRuleType(ruleType) {
+        return RULE_TYPES.includes(RULE_TYPE_ALIASES[ruleType] || ruleType);
+    }
+
+    /**
+     * 支持的规则类型名称（含旧版别名），用于校验提示
+     */
+    getSupportedRuleTypes() {
+        return [...RULE_TYPES, ...Object.keys(RULE_TYPE_ALIASES)];
+    }
+
+    /**
+     * 将各处使用的规则格式统一为检查器使用的格式
+     * 兼容 Task.scheduleRule、ScheduleRule 领域模型（驼峰或数据库下划线字段，dayMode 为 { mode, values }）、
+     * 旧版规则类型名称（weekly/monthly/yearly/interval），以及 ruleConfig 中的 { month, day, dates }
+     */
+    normalizeRule(rule) {
+        if (!rule || rule[NORMALIZED]) {
+            return rule;
+        }
+
+        const ruleType = rule.ruleType || rule.rule_type;
+        const ruleConfig = rule.ruleConfig || {};
+        const rawDayMode = this.parseJsonField(rule.dayMode || rule.day_mode);
+        let months = Array.isArray(rule.months) ? [...rule.months] : [];
+        let dayMode = this.normalizeDayMode(rawDayMode);
+
+        // 每年规则：{ month, day } 转换为月份限制加每月指定日期
+        const yearMonth = ruleConfig.month || (rawDayMode && rawDayMode.month);
+        const yearDay = ruleConfig.day || (rawDayMode && rawDayMode.day);
+        if (yearMonth && months.length === 0) {
+            months = [parseInt(yearMonth)];
+        }
+        if (yearDay) {
+            dayMode = { type: 'specific_days', days: [parseInt(yearDay)] };
+        }
+
+        const normalized = {
+            ruleType: RULE_TYPE_ALIASES[ruleType] || ruleType,
+            dayMode,
+            weekMode: rule.weekMode || this.getLegacyWeekMode(rawDayMode),
+            intervalMode: this.normalizeIntervalMode(rule),
+            months,
+            quarters: rule.quarters,
+            quarterMode: rule.quarterMode,
+            lunarMode: rule.lunarMode,
+            cron: rule.cron,
+            specificDates: (rule.specificDates || rule.specific_dates || ruleConfig.dates || [])
+                .map(value => value instanceof Date ? this.formatDate(value) : String(value).substring(0, 10)),
+            excludeSettings: rule.excludeSettings,
+            onHoliday: rule.onHoliday
+        };
+        Object.defineProperty(normalized, NORMALIZED, { value: true });
+        return normalized;
+    }
+
+    /**
+     * 数据库中的 JSON 字段可能以字符串保存
+     */
+    parseJsonField(value) {
+        if (typeof value !== 'string') {
+            return value || null;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 统一 dayMode：{ type, days } 原样使用，旧版 { mode, values }、{ everyDay }、{ type: 'nth_weekday' } 转换为对应类型
+     */
+    normalizeDayMode(dayMode) {
+        if (!dayMode) {
+            return null;
+        }
+        if (dayMode.everyDay === true) {
+            return { type: 'every_day' };
+        }
+        if (dayMode.type === 'nth_weekday') {
+            // advancedScheduleEngine 的 nth_weekday 指每月第N个工作日
+            return { type: 'nth_workday', nthDay: dayMode.nthWeekday };
+        }
+        if (dayMode.type) {
+            return dayMode;
+        }
+        if (LEGACY_DAY_MODES[dayMode.mode]) {
+            return {
+                type: LEGACY_DAY_MODES[dayMode.mode],
+                days: dayMode.values || dayMode.selectedDays,
+                nthDay: dayMode.mode === 'first_workday' ? 1 : undefined
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 从旧版 dayMode 中取出按周规则
+     * 星期既有 0-6 也有 1-7 的写法，checkWeekMode 把 0 和 7 都当作周日，无需转换
+     */
+    getLegacyWeekMode(dayMode) {
+        if (!dayMode) {
+            return null;
+        }
+        if (dayMode.mode === 'weekdays') {
+            return { weekdays: [1, 2, 3, 4, 5], occurrence: 'every' };
+        }
+
+        const weekdays = dayMode.weekdays || dayMode.weekDays ||
+            (dayMode.mode === 'specific_weekdays' ? dayMode.values : null);
+        return weekdays ? { weekdays, occurrence: dayMode.occurrence || 'every' } : null;
+    }
+
+    /**
+     * 统一间隔配置：intervalMode { value, unit, referenceDate }，兼容 intervalConfig { interval, unit } 和单独的 referenceDate
+     */
+    normalizeIntervalMode(rule) {
+        const intervalMode = rule.intervalMode ||
+            this.parseJsonField(rule.intervalConfig || rule.interval_config);
+        if (!intervalMode) {
+            return null;
+        }
+
+        const value = intervalMode.value !== undefined ? intervalMode.value : intervalMode.interval;
+        return {
+            ...intervalMode,
+            value: value !== undefined ? parseInt(value) : value,
+            referenceDate: intervalMode.referenceDate || rule.referenceDate || rule.reference_date
+        };
+    }
+
+    /**
+     * 获取规则的节假日处理策略（skip/previous/next/nearest）
+     */
+    getHolidayPolicy(scheduleRule) {
+        const policy = scheduleRule && scheduleRule.onHoliday;
+        return SHIFT_POLICIES.includes(policy) ? policy : 'skip';
+    }
+
+    /**
+     * 是否为需要避开的非工作日：节假日，以及开启排除周末时的周末（调休上班日除外）
+     */
+    isNonWorkingDay(date, excludeSettings = {}) {
+        if (holidayManager.isHolidayDate(date)) {
+            return true;
+        }
+
+        const dayOfWeek = date.getDay();
+        return Boolean(excludeSettings && excludeSettings.excludeWeekends) &&
+            (dayOfWeek === 0 || dayOfWeek === 6) &&
+            !holidayManager.isMakeupWorkday(date);
+    }
+
+    /**
+     * 计算落在非工作日的执行应移到哪一天
+     * @returns {Date|null} 找不到工作日时返回null
+     */
+    getShiftedDate(date, policy, excludeSettings) {
+        const findWorkday = (step) => {
+            for (let i = 1; i <= MAX_SHIFT_DAYS; i++) {
+                const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + step * i);
+                if (!this.isNonWorkingDay(candidate, excludeSettings)) {
+                    return { date: candidate, distance: i };
                 }
             }
-            
-            // 首先检查月份限制（适用于所有规则类型）
-            if (months && months.length > 0) {
-                const currentMonth = date.getMonth() + 1; // JavaScript月份从0开始
-                if (!months.includes(currentMonth)) {
-                    return false; // 不在指定月份内
+            return null;
+        };
+
+        if (policy === 'previous') {
+            return findWorkday(-1)?.date || null;
+        }
+        if (policy === 'next') {
+            return findWorkday(1)?.date || null;
+        }
+
+        // nearest：距离相同时提前
+        const previous = findWorkday(-1);
+        const next = findWorkday(1);
+        if (!previous || !next) {
+            return (previous || next)?.date || null;
+        }
+        return next.distance < previous.distance ? next.date : previous.date;
+    }
+
+    /**
+     * 查找因节假日顺延到指定工作日的原执行日期
+     * 只需检查紧邻这一天前后的连续非工作日
+     */
+    getShiftedFromDates(scheduleRule, date, policy) {
+        const { excludeSettings } = scheduleRule;
+        const dateStr = this.formatDate(date);
+        const originalDates = [];
+
+        for (const step of [-1, 1]) {
+            for (let i = 1; i <= MAX_SHIFT_DAYS; i++) {
+                const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + step * i);
+                if (!this.isNonWorkingDay(candidate, excludeSettings)) break;
+
+                if (this.isSpecificExcluded(candidate, excludeSettings) || !this.matchesRule(scheduleRule, candidate)) {
+                    continue;
+                }
+
+                const shifted = this.getShiftedDate(candidate, policy, excludeSettings);
+                if (shifted && this.formatDate(shifted) === dateStr) {
+                    originalDates.push(this.formatDate(candidate));
                 }
             }
+        }
 
-            // 根据规则类型判断
-            switch (ruleType) {
-                case 'by_day':
-                    return this.checkDayMode(dayMode, date);
-                
-                case 'by_week':
-                    return this.checkWeekMode(weekMode, date);
-                
-                case 'by_month':
-                    // by_month类型主要用于指定每月的某些日期
-                    // 月份检查已经在上面完成
-                    return this.checkDayMode(dayMode, date);
-                
-                case 'by_interval':
+        return originalDates.sort();
+    }
+
+    /**
+     * 检查日期是否符合规则本身（不考虑节假日、周末等排除设置）
+     */
+    matchesRule(scheduleRule, date) {
+        scheduleRule = this.normalizeRule(scheduleRule);
+        return this.checkYearFilter(scheduleRule, date) &&
+            this.checkMonthFilter(scheduleRule, date) &&
+            this.matchesRuleType(scheduleRule, date);
+    }
+
+    /**
+     * 检查年间隔（如果存在）
+     */
+    checkYearFilter(scheduleRule, date) {
+        const { intervalMode } = scheduleRule;
+        if (intervalMode && (intervalMode.yearInterval !== undefined || intervalMode.unit === 'years')) {
+            return this.checkYearInterval(intervalMode, date);
+        }
+        return true;
+    }
+
+    /**
+     * 检查月份限制（适用于所有规则类型）
+     */
+    checkMonthFilter(scheduleRule, date) {
+        const { months } = scheduleRule;
+        if (months && months.length > 0) {
+            const currentMonth = date.getMonth() + 1; // JavaScript月份从0开始
+            return months.includes(currentMonth);
+        }
+        return true;
+    }
+
+    /**
+     * 按规则类型判断日期是否匹配（不考虑年间隔和月份限制）
+     */
+    matchesRuleType(scheduleRule, date) {
+        const { ruleType, dayMode, weekMode, intervalMode, quarters, quarterMode, lunarMode, cron, specificDates } = scheduleRule;
+
+        switch (ruleType) {
+            case 'by_day':
+                return this.checkDayMode(dayMode, date);
+            
+            case 'by_week':
+                return this.checkWeekMode(weekMode, date);
+            
+            case 'by_month':
+            case 'by_year':
+                // by_month类型主要用于指定每月的某些日期，by_year 为指定月份的某些日期
+                // 月份检查在 checkMonthFilter 中完成
+                return this.checkDayMode(dayMode, date);
+            
+            case 'by_interval':
+                return this.checkIntervalMode(intervalMode, date);
+            
+            case 'by_quarter':
+                return this.checkQuarterMode(quarters, quarterMode, date);
+            
+            case 'by_lunar':
+                return this.checkLunarMode(lunarMode, date);
+            
+            case 'cron':
+                return this.checkCronMode(cron, date);
+            
+            case 'specific_date':
+                return specificDates.includes(this.formatDate(date));
+            
+            case 'custom':
+                // 自定义规则按其中配置的间隔或 cron 表达式判断
+                if (intervalMode && intervalMode.referenceDate) {
                     return this.checkIntervalMode(intervalMode, date);
-                
-                case 'daily':
-                    return true; // 每天执行（但受月份限制）
-                
-                default:
-                    logger.warn(`未知的规则类型: ${ruleType}`);
-                    return false;
-            }
-        } catch (error) {
-            logger.error('检查调度规则失败:', error);
-            return false;
+                }
+                return Boolean(cron) && this.checkCronMode(cron, date);
+            
+            case 'daily':
+                return true; // 每天执行（但受月份限制）
+            
+            default:
+                logger.warn(`未知的规则类型: ${ruleType}`);
+                return false;
         }
     }
 
@@ -77,28 +441,31 @@ class ScheduleRuleChecker {
             return false;
         }
 
-        // 检查是否排除节假日
-        if (excludeSettings.excludeHolidays) {
-            // TODO: 集成节假日检查
+        // 检查是否排除节假日（法定节假日和Holiday集合中的自定义节假日）
+        if (excludeSettings.excludeHolidays && holidayManager.isHolidayDate(date)) {
+            return true;
         }
 
-        // 检查是否排除周末
+        // 检查是否排除周末（调休上班日照常执行）
         if (excludeSettings.excludeWeekends) {
             const dayOfWeek = date.getDay();
-            if (dayOfWeek === 0 || dayOfWeek === 6) {
+            if ((dayOfWeek === 0 || dayOfWeek === 6) && !holidayManager.isMakeupWorkday(date)) {
                 return true;
             }
         }
 
         // 检查特定排除日期
-        if (excludeSettings.specificDates && excludeSettings.specificDates.length > 0) {
-            const dateStr = this.formatDate(date);
-            if (excludeSettings.specificDates.includes(dateStr)) {
-                return true;
-            }
-        }
+        return this.isSpecificExcluded(date, excludeSettings);
+    }
 
-        return false;
+    /**
+     * 检查是否在指定排除日期列表中
+     */
+    isSpecificExcluded(date, excludeSettings) {
+        if (!excludeSettings || !excludeSettings.specificDates || excludeSettings.specificDates.length === 0) {
+            return false;
+        }
+        return excludeSettings.specificDates.includes(this.formatDate(date));
     }
 
     /**
@@ -124,15 +491,36 @@ class ScheduleRuleChecker {
                 return days.includes(dayOfMonth);
             
             case 'workdays':
-                // 工作日（周一到周五）
-                const dayOfWeek = date.getDay();
-                return dayOfWeek >= 1 && dayOfWeek <= 5;
+                // 工作日（周一到周五，跳过节假日，包含调休上班日）
+                return holidayManager.isWorkday(date);
+            
+            case 'last_day':
+                // 每月最后一天
+                return date.getDate() === this.getLastDayOfMonth(date);
+            
+            case 'nth_workday': {
+                // 每月/每季度第N个工作日
+                const ordinal = this.getWorkdayOrdinal(date, dayMode.period);
+                return ordinal !== null && ordinal.index === (parseInt(dayMode.nthDay) || 1);
+            }
+            
+            case 'last_workday': {
+                // 每月/每季度倒数第N个工作日（nthLast 默认为1，即最后一个工作日）
+                const ordinal = this.getWorkdayOrdinal(date, dayMode.period);
+                return ordinal !== null && ordinal.fromEnd === (parseInt(dayMode.nthLast) || 1);
+            }
             
             case 'weekends':
                 // 周末（周六周日）
                 const dow = date.getDay();
                 return dow === 0 || dow === 6;
             
+            case 'odd_days':
+                return date.getDate() % 2 === 1;
+            
+            case 'even_days':
+                return date.getDate() % 2 === 0;
+            
             default:
                 return true;
         }
@@ -154,7 +542,8 @@ class ScheduleRuleChecker {
             return false;
         }
 
-        if (!weekdays.includes(dayOfWeek)) {
+        // 星期用 1-7 表示周一到周日，7 与 getDay() 的 0 都表示周日
+        if (!weekdays.some(day => day % 7 === dayOfWeek)) {
             return false;
         }
 
@@ -184,6 +573,253 @@ class ScheduleRuleChecker {
         return true;
     }
 
+    /**
+     * 检查按季度模式
+     * @param {number[]} quarters - 执行的季度（1-4），为空表示每个季度
+     * @param {Object} quarterMode - 季度内的执行日
+     *   { type: 'day_of_quarter', day }        季度第N天
+     *   { type: 'first_month', day }           季度第一个月的第N天（-1 为月末）
+     *   { type: 'last_month', day }            季度最后一个月的第N天（-1 为月末）
+     *   { type: 'nth_weekday', weekday, nth }  季度内第N个星期几（weekday 1-7 为周一到周日，nth 为 -1 表示最后一个）
+     */
+    checkQuarterMode(quarters, quarterMode, date) {
+        const quarter = Math.floor(date.getMonth() / 3) + 1;
+        if (quarters && quarters.length > 0 && !quarters.includes(quarter)) {
+            return false;
+        }
+
+        const mode = quarterMode || { type: 'first_month', day: 1 };
+        const quarterStart = new Date(date.getFullYear(), (quarter - 1) * 3, 1);
+        const quarterEnd = new Date(date.getFullYear(), quarter * 3, 0);
+        const monthInQuarter = date.getMonth() % 3; // 0 第一个月，2 最后一个月
+        // 按日期计算天数差，不受传入时间的时分秒影响
+        const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        switch (mode.type) {
+            case 'day_of_quarter': {
+                const dayOfQuarter = Math.round((dayStart - quarterStart) / (24 * 60 * 60 * 1000)) + 1;
+                return dayOfQuarter === (parseInt(mode.day) || 1);
+            }
+
+            case 'first_month':
+            case 'last_month': {
+                if (monthInQuarter !== (mode.type === 'first_month' ? 0 : 2)) {
+                    return false;
+                }
+                // 超出当月天数时取月末，-1 表示月末
+                const lastDay = this.getLastDayOfMonth(date);
+                const day = parseInt(mode.day) || 1;
+                const targetDay = day === -1 || day > lastDay ? lastDay : day;
+                return date.getDate() === targetDay;
+            }
+
+            case 'nth_weekday': {
+                const weekday = (parseInt(mode.weekday) || 1) % 7; // 7（周日）对应 getDay() 的 0
+                if (date.getDay() !== weekday) {
+                    return false;
+                }
+
+                const nth = parseInt(mode.nth) || 1;
+                if (nth === -1) {
+                    // 季度内最后一个该星期几
+                    return (quarterEnd - dayStart) / (24 * 60 * 60 * 1000) < 7;
+                }
+                const dayOfQuarter = Math.round((dayStart - quarterStart) / (24 * 60 * 60 * 1000)) + 1;
+                return Math.ceil(dayOfQuarter / 7) === nth;
+            }
+
+            default:
+                logger.warn(`未知的季度模式: ${mode.type}`);
+                return false;
+        }
+    }
+
+    /**
+     * 检查按农历模式
+     * @param {Object} lunarMode - 农历执行日
+     *   month      农历月（1-12）
+     *   day        农历日（1-30），-1 表示当月最后一天；小月没有三十时取廿九
+     *   leapMonth  闰月处理：'normal' 只在正常月份执行（默认），
+     *              'prefer_leap' 当年有该闰月时在闰月执行、否则在正常月份执行，'both' 两个月份都执行
+     *   offset     相对农历日期的偏移天数，负数表示提前（如除夕前3天为 { month: 12, day: -1, offset: -3 }）
+     */
+    checkLunarMode(lunarMode, date) {
+        if (!lunarMode || !lunarMode.month) {
+            logger.warn('农历规则缺少月份配置');
+            return false;
+        }
+
+        // 先把日期按偏移量还原到农历基准日，再判断基准日是否符合规则
+        const offset = parseInt(lunarMode.offset) || 0;
+        const baseDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+        const lunar = lunarCalendar.solarToLunar(baseDate);
+        if (!lunar) {
+            logger.warn(`日期超出农历支持范围(${lunarCalendar.MIN_YEAR}-${lunarCalendar.MAX_YEAR}): ${date.toDateString()}`);
+            return false;
+        }
+
+        if (lunar.month !== parseInt(lunarMode.month)) {
+            return false;
+        }
+
+        switch (lunarMode.leapMonth || 'normal') {
+            case 'both':
+                break;
+            case 'prefer_leap':
+                if (lunar.isLeap !== (lunarCalendar.getLeapMonth(lunar.year) === lunar.month)) {
+                    return false;
+                }
+                break;
+            default:
+                if (lunar.isLeap) {
+                    return false;
+                }
+        }
+
+        const day = parseInt(lunarMode.day) || 1;
+        const targetDay = day === -1 || day > lunar.monthDays ? lunar.monthDays : day;
+        return lunar.day === targetDay;
+    }
+
+    /**
+     * 解析 cron 表达式（标准 5 段：分 时 日 月 周）
+     * @returns {Object} cron-parser 的表达式对象
+     * @throws {Error} 表达式不合法时抛出中文错误信息
+     */
+    parseCronExpression(expression, currentDate = new Date()) {
+        const text = typeof expression === 'string' ? expression.trim() : '';
+        if (!text) {
+            throw new Error('cron 表达式不能为空');
+        }
+        if (text.split(/\s+/).length !== 5) {
+            throw new Error('cron 表达式需要 5 段：分 时 日 月 周，例如 "30 9 * * 1-5"');
+        }
+
+        try {
+            return cronParser.parseExpression(text, { currentDate });
+        } catch (error) {
+            throw new Error(`cron 表达式不合法: ${error.message}`);
+        }
+    }
+
+    /**
+     * 校验 cron 表达式
+     * @returns {{valid: boolean, error?: string, times?: string[]}} times 为每天的触发时间（HH:mm）
+     */
+    validateCronExpression(expression) {
+        try {
+            const times = this.getCronTimes(expression);
+            if (times.length > MAX_TIMES_PER_DAY) {
+                return {
+                    valid: false,
+                    error: `cron 表达式每天触发 ${times.length} 次，最多允许 ${MAX_TIMES_PER_DAY} 次`
+                };
+            }
+            return { valid: true, times };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * 获取 cron 表达式每天的触发时间
+     * cron 的分钟、小时与日期字段相互独立，所以每个触发日的时间点都相同
+     * @returns {string[]} 按时间排序的 HH:mm 列表
+     */
+    getCronTimes(expression) {
+        const { hour, minute } = this.parseCronExpression(expression).fields;
+        const times = [];
+        hour.forEach(h => {
+            minute.forEach(m => {
+                times.push(`${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`);
+            });
+        });
+        return times.sort();
+    }
+
+    /**
+     * 检查 cron 表达式是否在指定日期触发（只看日、月、周字段）
+     */
+    checkCronMode(expression, date) {
+        const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+        let interval;
+        try {
+            // currentDate 为前一秒，保证 00:00 的触发时间也能取到
+            interval = this.parseCronExpression(expression, new Date(dayStart.getTime() - 1000));
+        } catch (error) {
+            logger.warn(`cron 规则无效: ${error.message}`);
+            return false;
+        }
+
+        try {
+            return interval.next().toDate() < dayEnd;
+        } catch (error) {
+            // 表达式不再有后续触发时间（如 2 月 30 日）
+            return false;
+        }
+    }
+
+    /**
+     * 展开日内重复时段为执行时间
+     * @param {Array<{start: string, end: string, step: number}>} timeWindows
+     *   start/end 为 HH:mm（包含 end，当天内且 end 不早于 start），step 为间隔分钟数
+     * @returns {string[]} 去重并排序的 HH:mm 列表
+     * @throws {Error} 时段配置不合法时抛出中文错误信息
+     */
+    expandTimeWindows(timeWindows) {
+        const times = new Set();
+        (timeWindows || []).forEach((window, index) => {
+            const label = `第${index + 1}个时段`;
+            const start = this.parseTimeOfDay(window && window.start);
+            const end = this.parseTimeOfDay(window && window.end);
+            const step = parseInt(window && window.step);
+            if (start === null || end === null) {
+                throw new Error(`${label}的开始、结束时间需要为 HH:mm 格式`);
+            }
+            if (end < start) {
+                throw new Error(`${label}的结束时间不能早于开始时间`);
+            }
+            if (!(step >= 1 && step <= 1440)) {
+                throw new Error(`${label}的间隔需要为 1-1440 分钟`);
+            }
+
+            for (let minutes = start; minutes <= end; minutes += step) {
+                times.add(`${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`);
+            }
+        });
+
+        if (times.size > MAX_TIMES_PER_DAY) {
+            throw new Error(`重复时段每天执行 ${times.size} 次，最多允许 ${MAX_TIMES_PER_DAY} 次`);
+        }
+        return [...times].sort();
+    }
+
+    /**
+     * 校验日内重复时段
+     * @returns {{valid: boolean, error?: string, times?: string[]}}
+     */
+    validateTimeWindows(timeWindows) {
+        try {
+            return { valid: true, times: this.expandTimeWindows(timeWindows) };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * 解析 HH:mm 为当天的分钟数，格式不对返回 null
+     */
+    parseTimeOfDay(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time.trim() : '');
+        if (!match) return null;
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
     /**
      * 检查按月模式
      */
@@ -253,6 +889,39 @@ class ScheduleRuleChecker {
         }
     }
     
+    /**
+     * 计算日期在所属月份或季度中是第几个工作日（按节假日和调休上班日计算）
+     * @param {Date} date - 日期
+     * @param {string} period - month 或 quarter
+     * @returns {{ index: number, fromEnd: number }|null} 不是工作日时返回null
+     */
+    getWorkdayOrdinal(date, period = 'month') {
+        if (!holidayManager.isWorkday(date)) {
+            return null;
+        }
+
+        const startMonth = period === 'quarter'
+            ? Math.floor(date.getMonth() / 3) * 3
+            : date.getMonth();
+        const endMonth = period === 'quarter' ? startMonth + 3 : startMonth + 1;
+        const periodStart = new Date(date.getFullYear(), startMonth, 1);
+        const periodEnd = new Date(date.getFullYear(), endMonth, 0);
+
+        let index = 0;
+        let fromEnd = 0;
+        for (const day = new Date(periodStart); day <= periodEnd; day.setDate(day.getDate() + 1)) {
+            if (!holidayManager.isWorkday(day)) continue;
+
+            if (day <= date) {
+                index++;
+            } else {
+                fromEnd++;
+            }
+        }
+
+        return { index, fromEnd: fromEnd + 1 };
+    }
+
     /**
      * 获取月份的最后一天
      */
@@ -280,6 +949,14 @@ class ScheduleRuleChecker {
         return `${year}-${month}-${day}`;
     }
 
+    /**
+     * 年间隔的基准年份：保存任务时写入的 intervalMode.baseYear，未写入的旧规则以当前年份为基准
+     */
+    getBaseYear(intervalMode) {
+        const baseYear = parseInt(intervalMode && intervalMode.baseYear);
+        return Number.isInteger(baseYear) ? baseYear : new Date().getFullYear();
+    }
+
     /**
      * 检查年间隔
      */
@@ -289,11 +966,11 @@ class ScheduleRuleChecker {
             const yearInterval = intervalMode.yearInterval;
             
             if (yearInterval === 0) {
-                // 仅今年执行
-                return date.getFullYear() === new Date().getFullYear();
+                // 仅基准年份执行
+                return date.getFullYear() === this.getBaseYear(intervalMode);
             } else if (yearInterval > 1) {
-                // 每N年执行，以当前年份为基准计算
-                const currentYear = new Date().getFullYear();
+                // 每N年执行，以基准年份计算
+                const currentYear = this.getBaseYear(intervalMode);
                 const targetYear = date.getFullYear();
                 const yearDiff = targetYear - currentYear;
                 
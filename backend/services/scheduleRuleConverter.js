@@ -6,6 +6,8 @@
 
 const logger = require('../utils/logger');
 const holidayManager = require('./holidayManager');
+const lunarCalendar = require('../utils/lunarCalendar');
+const scheduleRuleChecker = require('./scheduleRuleChecker');
 
 class ScheduleRuleConverter {
     constructor() {
@@ -21,6 +23,8 @@ class ScheduleRuleConverter {
             BY_YEAR: 'by_year',
             BY_INTERVAL: 'by_interval',
             BY_QUARTER: 'by_quarter',
+            BY_LUNAR: 'by_lunar',
+            CRON: 'cron',
             SPECIFIC_DATE: 'specific_date',
             CUSTOM: 'custom'
         };
@@ -76,6 +80,12 @@ class ScheduleRuleConverter {
                 case this.ruleTypes.BY_QUARTER:
                     return this.convertByQuarter(ruleConfig);
                     
+                case this.ruleTypes.BY_LUNAR:
+                    return this.convertByLunar(ruleConfig);
+                    
+                case this.ruleTypes.CRON:
+                    return this.convertCron(ruleConfig);
+                    
                 case this.ruleTypes.SPECIFIC_DATE:
                     return this.convertSpecificDate(ruleConfig);
                     
@@ -381,7 +391,8 @@ class ScheduleRuleConverter {
      * 转换季度规则为Cronicle timing格式
      */
     convertByQuarter(config) {
-        const { quarters, dayMode, time } = config;
+        const { quarterMode, time = '09:00' } = config;
+        const quarters = config.quarters && config.quarters.length > 0 ? config.quarters : [1, 2, 3, 4];
         const [hours, minutes] = time.split(':').map(Number);
         
         // 将季度转换为月份
@@ -392,9 +403,15 @@ class ScheduleRuleConverter {
             4: [10, 11, 12]
         };
         
+        // 季度第一个月/最后一个月的规则只需要在对应月份触发
+        const monthIndexes = {
+            first_month: [0],
+            last_month: [2]
+        }[quarterMode?.type] || [0, 1, 2];
+        
         const months = [];
         for (const quarter of quarters) {
-            months.push(...monthsByQuarter[quarter]);
+            months.push(...monthIndexes.map(index => monthsByQuarter[quarter][index]));
         }
         
         const timing = {
@@ -403,25 +420,11 @@ class ScheduleRuleConverter {
             months
         };
         
-        // 处理日期模式
-        if (dayMode) {
-            switch (dayMode.mode) {
-                case 'first_day':
-                    timing.days = [1];
-                    break;
-                case 'last_day':
-                    timing.days = [-1];
-                    break;
-                case 'specific_day':
-                    timing.days = [dayMode.day];
-                    break;
-                case 'first_workday':
-                    timing.days = [1];
-                    timing.weekdays = [1, 2, 3, 4, 5];
-                    break;
-            }
-        } else {
-            timing.days = [1]; // 默认每月1号
+        // 处理日期模式（季度第N天、第N个星期几由 scheduleRuleChecker 在执行时判断）
+        if (quarterMode && ['first_month', 'last_month'].includes(quarterMode.type)) {
+            timing.days = [quarterMode.day === -1 ? -1 : (parseInt(quarterMode.day) || 1)];
+        } else if (!quarterMode) {
+            timing.days = [1]; // 默认季度第一天
         }
         
         return {
@@ -432,6 +435,58 @@ class ScheduleRuleConverter {
         };
     }
     
+    /**
+     * 转换农历规则为Cronicle格式
+     * 农历日期对应的公历日期每年不同，按每天触发，由 scheduleRuleChecker 判断当天是否执行
+     */
+    convertByLunar(config) {
+        const { lunarMode, time = '09:00' } = config;
+        if (!lunarMode || !lunarMode.month) {
+            throw new Error('农历规则缺少月份配置');
+        }
+        
+        const [hours, minutes] = time.split(':').map(Number);
+        
+        return {
+            type: 'timing',
+            timing: {
+                hours: [hours],
+                minutes: [minutes]
+            },
+            timezone: 'Asia/Shanghai',
+            lunarMode
+        };
+    }
+    
+    /**
+     * 转换 cron 表达式规则为Cronicle格式
+     * 日、周字段同时限定时 cron 取并集，Cronicle timing 取交集，所以只转换分钟、小时、月份，
+     * 日期由 scheduleRuleChecker 判断
+     */
+    convertCron(config) {
+        const { cron } = config;
+        const { valid, error } = scheduleRuleChecker.validateCronExpression(cron);
+        if (!valid) {
+            throw new Error(error);
+        }
+        
+        const { hour, minute, month } = scheduleRuleChecker.parseCronExpression(cron).fields;
+        const timing = {
+            hours: [...hour],
+            minutes: [...minute]
+        };
+        if (cron.trim().split(/\s+/)[3] !== '*') {
+            timing.months = [...month];
+        }
+        
+        return {
+            type: 'timing',
+            timing,
+            timezone: 'Asia/Shanghai',
+            cron: cron.trim()
+        };
+    }
+    
     /**
      * 转换特定日期规则为Cronicle格式
      */
@@ -502,10 +557,20 @@ class ScheduleRuleConverter {
                 break;
                 
             case this.ruleTypes.BY_QUARTER:
-                const quarters = ruleConfig.quarters.map(q => `第${q}季度`).join('、');
+                const quarters = ruleConfig.quarters && ruleConfig.quarters.length > 0
+                    ? ruleConfig.quarters.map(q => `第${q}季度`).join('、')
+                    : '每季度';
                 description = `${quarters} ${ruleConfig.time}`;
                 break;
                 
+            case this.ruleTypes.BY_LUNAR:
+                description = `${this.describeLunarMode(ruleConfig.lunarMode)} ${ruleConfig.time}`;
+                break;
+                
+            case this.ruleTypes.CRON:
+                description = `cron: ${ruleConfig.cron}`;
+                break;
+                
             case this.ruleTypes.BY_INTERVAL:
                 description = `每 ${ruleConfig.interval} ${ruleConfig.unit}`;
                 break;
@@ -517,6 +582,27 @@ class ScheduleRuleConverter {
         return description;
     }
     
+    /**
+     * 农历规则描述，如"每年农历八月十五"、"每年农历腊月最后一天前3天"
+     */
+    describeLunarMode(lunarMode) {
+        if (!lunarMode || !lunarMode.month) return '农历规则';
+        
+        const day = parseInt(lunarMode.day) || 1;
+        const leapText = {
+            prefer_leap: '（有闰月时按闰月）',
+            both: '（含闰月）'
+        }[lunarMode.leapMonth] || '';
+        const dayText = lunarMode.month === 12 && day === -1
+            ? '除夕'
+            : `农历${lunarCalendar.formatLunarMonth(lunarMode.month)}${day === -1 ? '最后一天' : lunarCalendar.formatLunarDay(day)}`;
+        
+        const offset = parseInt(lunarMode.offset) || 0;
+        const offsetText = offset < 0 ? `前${-offset}天` : (offset > 0 ? `后${offset}天` : '');
+        
+        return `每年${dayText}${offsetText}${leapText}`;
+    }
+    
     /**
      * 批量转换规则
      */
@@ -0,0 +1,335 @@
+/**
+ * 调度器主节点选举
+ * 多个后端实例共享同一个MongoDB时，通过带过期时间的租约文档保证只有一个节点运行调度器。
+ * 主节点定期心跳续约，停止心跳超过租约时长后由其他节点自动接管。
+ * 续约只访问租约文档，角色变化回调（加载任务等）在单独的队列中依次执行，
+ * 回调耗时再长也不会耽误续约；续约失败到租约过期时本节点立即让出主节点身份。
+ */
+
+const os = require('os');
+const { SchedulerLease } = require('../models/mongodb');
+const logger = require('../utils/logger');
+
+const LEASE_NAME = 'scheduler';
+// 当选后初始化失败时，让出租约并等待一段时间再参与选举，连续失败时等待时间加倍
+const ELECTION_RETRY_MAX = 5 * 60 * 1000;
+
+class SchedulerLeader {
+    constructor() {
+        this.nodeId = process.env.SCHEDULER_NODE_ID || `${os.hostname()}:${process.pid}`;
+        this.leaseTtl = (parseInt(process.env.SCHEDULER_LEASE_TTL) || 30) * 1000; // 租约时长（毫秒）
+        this.heartbeatInterval = Math.max(Math.floor(this.leaseTtl / 3), 1000);
+        this.isLeader = false;
+        this.leaseExpiresAt = null;
+        this.heartbeatTimer = null;
+        this.expiryTimer = null;
+        this.ticking = false;
+        this.handlers = {};
+        // 角色变化回调依次执行，保证当选后的初始化完成后才处理同步和卸任
+        this.callbackQueue = Promise.resolve();
+        this.electionFailures = 0;
+        this.retryElectionAt = 0;
+    }
+
+    /**
+     * 开始参与选举
+     * @param {Object} handlers - onElected 当选、onRevoked 失去租约、onSync 需要重新调度的任务、
+     *   onHolidaysChanged 节假日已变更
+     */
+    async start(handlers = {}) {
+        this.handlers = handlers;
+        logger.info(`调度器节点 ${this.nodeId} 开始参与主节点选举（租约 ${this.leaseTtl / 1000} 秒）`);
+
+        await this.heartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat().catch(error => {
+                logger.error('调度器租约心跳失败:', error);
+            });
+        }, this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * 停止参与选举并释放租约，便于其他节点立即接管
+     */
+    async stop() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        this.clearExpiryTimer();
+
+        if (this.isLeader) {
+            try {
+                await SchedulerLease.deleteOne({ name: LEASE_NAME, holderId: this.nodeId });
+                logger.info(`调度器节点 ${this.nodeId} 已释放主节点租约`);
+            } catch (error) {
+                logger.error('释放调度器租约失败:', error);
+            }
+            this.isLeader = false;
+        }
+    }
+
+    /**
+     * 一次心跳：尝试获取或续约租约，并处理角色变化
+     * 只等待租约文档的读写，回调放入队列后立即返回
+     */
+    async heartbeat() {
+        if (this.ticking) return;
+        // 初始化失败让出租约后，等待期间不参与选举，由其他节点接管
+        if (!this.isLeader && Date.now() < this.retryElectionAt) return;
+        this.ticking = true;
+
+        try {
+            const lease = await this.tryAcquire();
+            const wasLeader = this.isLeader;
+
+            // 续约请求耗时超过租约时长时，返回的租约已过期，其他节点可能已经接管
+            if (lease && !this.isExpired(lease.expiresAt)) {
+                this.isLeader = true;
+                this.leaseExpiresAt = lease.expiresAt;
+                this.scheduleExpiry();
+
+                if (!wasLeader) {
+                    logger.info(`调度器节点 ${this.nodeId} 成为主节点`);
+                    this.enqueue('onElected');
+                } else {
+                    if (lease.pendingTaskIds && lease.pendingTaskIds.length > 0) {
+                        await this.consumePendingTasks(lease.pendingTaskIds);
+                    }
+                    if (lease.holidaysChangedAt) {
+                        await this.consumeHolidayChange(lease.holidaysChangedAt);
+                    }
+                }
+            } else if (wasLeader) {
+                this.stepDown(lease
+                    ? `调度器节点 ${this.nodeId} 续约超时，租约已过期，停止调度`
+                    : `调度器节点 ${this.nodeId} 的租约已被其他节点接管，停止调度`);
+            }
+        } catch (error) {
+            // 无法访问数据库时，租约到期前仍保持主节点身份，到期后由 expiryTimer 让出
+            if (this.isLeader && this.isExpired(this.leaseExpiresAt)) {
+                this.stepDown(`调度器节点 ${this.nodeId} 无法续约，租约已过期，停止调度`, error);
+            } else {
+                throw error;
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    isExpired(expiresAt) {
+        return !expiresAt || Date.now() >= new Date(expiresAt).getTime();
+    }
+
+    /**
+     * 在租约到期时检查是否已续约，未续约（续约请求挂起或失败）则本地让出主节点身份，
+     * 避免其他节点接管后两个节点同时发送
+     */
+    scheduleExpiry() {
+        this.clearExpiryTimer();
+        const delay = Math.max(new Date(this.leaseExpiresAt).getTime() - Date.now(), 0);
+        this.expiryTimer = setTimeout(() => {
+            this.expiryTimer = null;
+            if (this.isLeader && this.isExpired(this.leaseExpiresAt)) {
+                this.stepDown(`调度器节点 ${this.nodeId} 未能在租约到期前续约，停止调度`);
+            }
+        }, delay);
+        this.expiryTimer.unref();
+    }
+
+    clearExpiryTimer() {
+        if (this.expiryTimer) {
+            clearTimeout(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
+    /**
+     * 让出主节点身份并停止调度
+     */
+    stepDown(reason, error = null) {
+        if (!this.isLeader) return;
+        this.isLeader = false;
+        this.leaseExpiresAt = null;
+        this.clearExpiryTimer();
+        if (error) {
+            logger.error(reason, error);
+        } else {
+            logger.warn(reason);
+        }
+        this.enqueue('onRevoked');
+    }
+
+    /**
+     * 获取或续约租约
+     * @returns {Promise<Object|null>} 成功时返回租约文档，租约被其他节点持有时返回null
+     */
+    async tryAcquire() {
+        const now = new Date();
+        const update = {
+            holderId: this.nodeId,
+            hostname: os.hostname(),
+            pid: process.pid,
+            renewedAt: now,
+            expiresAt: new Date(now.getTime() + this.leaseTtl)
+        };
+        if (!this.isLeader) {
+            update.acquiredAt = now;
+        }
+
+        try {
+            return await SchedulerLease.findOneAndUpdate(
+                {
+                    name: LEASE_NAME,
+                    $or: [
+                        { holderId: this.nodeId },
+                        { expiresAt: { $lte: now } }
+                    ]
+                },
+                { $set: update },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            // 租约由其他节点持有时，upsert会因唯一索引冲突失败
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 从节点修改任务后通知主节点重新调度
+     */
+    async requestSync(taskId) {
+        try {
+            await SchedulerLease.updateOne(
+                { name: LEASE_NAME },
+                { $addToSet: { pendingTaskIds: taskId.toString() } }
+            );
+        } catch (error) {
+            logger.error(`通知主节点重新调度任务 ${taskId} 失败:`, error);
+        }
+    }
+
+    /**
+     * 节假日变更后通知主节点在后台刷新调度
+     */
+    async requestHolidayRefresh() {
+        try {
+            await SchedulerLease.updateOne(
+                { name: LEASE_NAME },
+                { $set: { holidaysChangedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error('通知主节点刷新节假日调度失败:', error);
+        }
+    }
+
+    /**
+     * 主节点处理节假日变更通知，处理期间再次变更时保留新的通知
+     */
+    async consumeHolidayChange(changedAt) {
+        await SchedulerLease.updateOne(
+            { name: LEASE_NAME, holderId: this.nodeId, holidaysChangedAt: changedAt },
+            { $unset: { holidaysChangedAt: 1 } }
+        );
+        logger.info('主节点收到节假日变更通知');
+        this.enqueue('onHolidaysChanged');
+    }
+
+    /**
+     * 主节点处理从节点提交的任务变更
+     */
+    async consumePendingTasks(taskIds) {
+        await SchedulerLease.updateOne(
+            { name: LEASE_NAME, holderId: this.nodeId },
+            { $pullAll: { pendingTaskIds: taskIds } }
+        );
+        logger.info(`主节点收到 ${taskIds.length} 个待重新调度的任务`);
+        this.enqueue('onSync', taskIds);
+    }
+
+    /**
+     * 把回调放入队列，在前面的回调完成后执行
+     * 当选和同步回调执行时如果已经卸任则跳过，卸任回调总会执行
+     */
+    enqueue(name, ...args) {
+        this.callbackQueue = this.callbackQueue.then(async () => {
+            if (name !== 'onRevoked' && !this.isLeader) {
+                logger.info(`调度器节点 ${this.nodeId} 已不是主节点，跳过回调 ${name}`);
+                return;
+            }
+            const succeeded = await this.invoke(name, ...args);
+            if (name === 'onElected') {
+                if (succeeded) {
+                    this.electionFailures = 0;
+                } else {
+                    await this.abdicate();
+                }
+            }
+        });
+        return this.callbackQueue;
+    }
+
+    /**
+     * 当选后初始化失败：释放租约并停止调度，等待一段时间后重新参与选举
+     * 避免持有租约却没有任何作业，其他节点也无法接管
+     */
+    async abdicate() {
+        this.electionFailures += 1;
+        const delay = Math.min(this.heartbeatInterval * 2 ** this.electionFailures, ELECTION_RETRY_MAX);
+        this.retryElectionAt = Date.now() + delay;
+
+        this.stepDown(`调度器节点 ${this.nodeId} 初始化失败，释放租约，${Math.round(delay / 1000)} 秒后重新参与选举`);
+        try {
+            await SchedulerLease.deleteOne({ name: LEASE_NAME, holderId: this.nodeId });
+        } catch (error) {
+            // 释放失败时租约到期后其他节点同样可以接管
+            logger.error('释放调度器租约失败:', error);
+        }
+    }
+
+    /**
+     * 调用角色变化回调，回调异常不影响后续回调
+     * @returns {Promise<boolean>} 回调是否成功
+     */
+    async invoke(name, ...args) {
+        const handler = this.handlers[name];
+        if (!handler) return true;
+
+        try {
+            await handler(...args);
+            return true;
+        } catch (error) {
+            logger.error(`调度器主节点回调 ${name} 执行失败:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取租约信息（用于状态接口）
+     */
+    async getLeaseInfo() {
+        const lease = await SchedulerLease.findOne({ name: LEASE_NAME }).lean();
+        const holderActive = lease && lease.expiresAt > new Date();
+
+        return {
+            nodeId: this.nodeId,
+            isLeader: this.isLeader,
+            leaseTtl: this.leaseTtl / 1000,
+            holder: holderActive ? {
+                nodeId: lease.holderId,
+                hostname: lease.hostname,
+                pid: lease.pid,
+                acquiredAt: lease.acquiredAt,
+                renewedAt: lease.renewedAt,
+                expiresAt: lease.expiresAt
+            } : null
+        };
+    }
+}
+
+module.exports = new SchedulerLeader();
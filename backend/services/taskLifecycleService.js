@@ -0,0 +1,248 @@
+/**
+ * 任务生命周期服务
+ * 根据启用/关闭时间（activeFrom/activeUntil）和一次性规则的剩余执行日，
+ * 在待启用、运行中、已关闭、已完成之间切换任务状态，每次状态变更都记录到 statusHistory
+ */
+
+const { Task } = require('../models/mongodb');
+const scheduleRuleChecker = require('./scheduleRuleChecker');
+const holidayManager = require('./holidayManager');
+const logger = require('../utils/logger');
+
+// 查找一次性规则剩余执行日的最大天数，与调度器查找下次执行时间的范围一致
+const REMAINING_SEARCH_DAYS = 390;
+// 节假日顺延的最大天数（与 scheduleRuleChecker 一致），最后一个指定日期之后这段时间内仍可能执行
+const MAX_SHIFT_DAYS = 31;
+
+// 每日加载时由系统维护的状态，已暂停、已完成、失败的任务只能手动修改
+const AUTO_STATUSES = ['pending', 'active', 'closed'];
+
+const STATUS_LABELS = {
+    pending: '待启用',
+    active: '运行中',
+    paused: '已暂停',
+    closed: '已关闭',
+    completed: '已完成',
+    failed: '失败'
+};
+
+// 系统自动切换状态时记录的原因
+const SYSTEM_REASONS = {
+    pending: '未到启用时间',
+    active: '已到启用时间',
+    closed: '已到关闭时间',
+    completed: '一次性任务已执行完毕'
+};
+
+class TaskLifecycleService {
+    /**
+     * 状态的中文名称
+     */
+    getStatusLabel(status) {
+        return STATUS_LABELS[status] || status;
+    }
+
+    /**
+     * 日期相对任务启用期的位置（按天比较，包含首尾两天）
+     * @returns {'before'|'within'|'after'}
+     */
+    getWindowPosition(task, date) {
+        const dateStr = holidayManager.formatDate(date);
+        if (task.activeFrom && dateStr < holidayManager.formatDate(new Date(task.activeFrom))) {
+            return 'before';
+        }
+        if (task.activeUntil && dateStr > holidayManager.formatDate(new Date(task.activeUntil))) {
+            return 'after';
+        }
+        return 'within';
+    }
+
+    /**
+     * 一次性规则：指定日期，或年间隔为 0 且已确定基准年份（仅该年执行）
+     * 没有基准年份的旧规则按检查时的当前年份判断，每年都会重新匹配，不能视为一次性
+     */
+    isOneOffRule(scheduleRule) {
+        const rule = scheduleRuleChecker.normalizeRule(scheduleRule);
+        if (!rule) {
+            return false;
+        }
+        const intervalMode = rule.intervalMode;
+        return rule.ruleType === 'specific_date' ||
+            Boolean(intervalMode && intervalMode.yearInterval === 0 && intervalMode.baseYear !== undefined);
+    }
+
+    /**
+     * 为按年间隔执行的规则写入基准年份（intervalMode.baseYear），已有基准年份时不修改
+     * 基准年份取启用时间所在年份，未设置启用时间时取 fallbackDate 所在年份
+     * @returns {boolean} 是否写入，由调用方保存任务
+     */
+    anchorYearInterval(task, fallbackDate = new Date()) {
+        const intervalMode = task.scheduleRule && task.scheduleRule.intervalMode;
+        if (!intervalMode || intervalMode.yearInterval === undefined || intervalMode.yearInterval === 1 ||
+            intervalMode.baseYear !== undefined) {
+            return false;
+        }
+        const baseYear = new Date(task.activeFrom || fallbackDate).getFullYear();
+        task.scheduleRule.intervalMode = { ...intervalMode, baseYear };
+        if (typeof task.markModified === 'function') {
+            task.markModified('scheduleRule.intervalMode');
+        }
+        return true;
+    }
+
+    /**
+     * 从今天起是否还有执行日（包含今天，最后一次执行当天仍为运行中，次日才标记为已完成）
+     * 指定日期规则按最后一个日期判断，不受查找天数限制（日期可以在一年以后）
+     */
+    hasRemainingOccurrence(scheduleRule, now = new Date()) {
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        let searchDays = REMAINING_SEARCH_DAYS;
+
+        const rule = scheduleRuleChecker.normalizeRule(scheduleRule);
+        if (rule && rule.ruleType === 'specific_date') {
+            const lastDate = [...rule.specificDates].sort().pop();
+            if (!lastDate) {
+                return false;
+            }
+            if (lastDate >= holidayManager.formatDate(date)) {
+                return true;
+            }
+            // 最后一个日期已过，只检查顺延到今天以后的执行
+            const last = new Date(`${lastDate}T00:00:00`);
+            searchDays = Math.round((last - date) / 86400000) + MAX_SHIFT_DAYS;
+        }
+
+        for (let i = 0; i <= searchDays; i++) {
+            if (scheduleRuleChecker.shouldRunOnDate(scheduleRule, date)) {
+                return true;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+        return false;
+    }
+
+    /**
+     * 按启用期和规则计算任务此时应处的状态
+     * @returns {'pending'|'active'|'closed'|'completed'}
+     */
+    getScheduledStatus(task, now = new Date()) {
+        const position = this.getWindowPosition(task, now);
+        if (position === 'before') {
+            return 'pending';
+        }
+        if (position === 'after') {
+            return 'closed';
+        }
+        if (task.scheduleRule && this.isOneOffRule(task.scheduleRule) &&
+            !this.hasRemainingOccurrence(task.scheduleRule, now)) {
+            return 'completed';
+        }
+        return 'active';
+    }
+
+    /**
+     * 状态是否由系统自动维护：待启用、运行中，以及到达关闭时间后自动关闭的任务
+     * 手动关闭的任务（最后一次变更来自用户）不会被重新启用
+     */
+    isAutoManaged(task) {
+        if (!AUTO_STATUSES.includes(task.status)) {
+            return false;
+        }
+        if (task.status !== 'closed') {
+            return true;
+        }
+        const history = task.statusHistory || [];
+        const lastChange = history[history.length - 1];
+        return !lastChange || lastChange.source === 'system';
+    }
+
+    /**
+     * 修改任务状态并记录变更，由调用方保存任务
+     * @param {Object} task - 任务文档
+     * @param {string} status - 新状态
+     * @param {Object} options - source: user/system，changedBy: 操作用户ID，reason: 变更原因
+     * @returns {boolean} 状态是否发生变化
+     */
+    changeStatus(task, status, { source = 'user', changedBy = null, reason } = {}) {
+        if (task.status === status) {
+            return false;
+        }
+
+        task.statusHistory.push({
+            from: task.status,
+            to: status,
+            changedAt: new Date(),
+            changedBy: source === 'user' ? changedBy : null,
+            source,
+            reason: reason || (source === 'system' ? SYSTEM_REASONS[status] : undefined)
+        });
+        task.status = status;
+        return true;
+    }
+
+    /**
+     * 新建任务时确定初始状态：请求暂停则为已暂停，否则按启用期和规则计算
+     */
+    initializeStatus(task, requestedStatus, changedBy = null) {
+        this.anchorYearInterval(task);
+        const status = requestedStatus === 'paused' ? 'paused' : this.getScheduledStatus(task);
+        task.status = status;
+        task.statusHistory.push({
+            from: null,
+            to: status,
+            changedAt: new Date(),
+            changedBy,
+            source: 'user',
+            reason: '创建任务'
+        });
+        return status;
+    }
+
+    /**
+     * 手动启用任务：按启用期和规则进入待启用、运行中、已关闭或已完成
+     * @returns {string} 启用后的状态
+     */
+    enable(task, changedBy = null, reason = '手动启用') {
+        this.anchorYearInterval(task);
+        const status = this.getScheduledStatus(task);
+        this.changeStatus(task, status, { source: 'user', changedBy, reason });
+        return status;
+    }
+
+    /**
+     * 每日加载前刷新所有由系统维护状态的任务
+     * @returns {Promise<Array>} 状态发生变化的任务 { taskId, name, from, to }
+     */
+    async refreshStatuses(now = new Date()) {
+        const changes = [];
+        const tasks = await Task.find({ status: { $in: AUTO_STATUSES } });
+
+        for (const task of tasks) {
+            if (!this.isAutoManaged(task)) {
+                continue;
+            }
+
+            try {
+                const from = task.status;
+                // 没有基准年份的旧规则以创建时间所在年份为基准
+                const anchored = this.anchorYearInterval(task, task.createdAt || now);
+                const status = this.getScheduledStatus(task, now);
+                const changed = this.changeStatus(task, status, { source: 'system' });
+                if (changed || anchored) {
+                    await task.save();
+                }
+                if (changed) {
+                    changes.push({ taskId: task._id.toString(), name: task.name, from, to: status });
+                    logger.info(`任务状态自动变更: ${task.name} ${from} -> ${status}`);
+                }
+            } catch (error) {
+                logger.error(`刷新任务状态失败 - 任务: ${task._id}`, error);
+            }
+        }
+
+        return changes;
+    }
+}
+
+module.exports = new TaskLifecycleService();
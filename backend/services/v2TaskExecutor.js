@@ -7,6 +7,7 @@ const executionLogger = require('./executionLogger');
 const path = require('path');
 const fs = require('fs').promises;
 const excelParser = require('./excelParser');
+const scheduleRuleChecker = require('./scheduleRuleChecker');
 
 class V2TaskExecutor {
     constructor() {
@@ -236,87 +237,7 @@ class V2TaskExecutor {
      * 检查单个调度规则是否应该在指定日期执行
      */
     async checkScheduleRule(rule, date) {
-        const currentDate = new Date(date);
-        const month = currentDate.getMonth() + 1;
-        const dayOfMonth = currentDate.getDate();
-        const dayOfWeek = currentDate.getDay(); // 0=周日, 1=周一, ..., 6=周六
-
-        switch (rule.rule_type) {
-            case 'by_day':
-                // 按日执行：检查是否在指定月份和日期
-                if (rule.months && rule.months.length > 0) {
-                    if (!rule.months.includes(month)) {
-                        return false;
-                    }
-                }
-
-                if (rule.day_mode) {
-                    const dayConfig = rule.day_mode;
-                    if (dayConfig.mode === 'selected_days') {
-                        return dayConfig.selectedDays && dayConfig.selectedDays.includes(dayOfMonth);
-                    } else if (dayConfig.mode === 'odd') {
-                        return dayOfMonth % 2 === 1;
-                    } else if (dayConfig.mode === 'even') {
-                        return dayOfMonth % 2 === 0;
-                    } else if (dayConfig.mode === 'all') {
-                        return true;
-                    }
-                }
-                return true;
-
-            case 'by_week':
-                // 按周执行：检查是否在指定星期
-                if (rule.day_mode && rule.day_mode.weekdays) {
-                    return rule.day_mode.weekdays.includes(dayOfWeek);
-                }
-                return false;
-
-            case 'by_interval':
-                // 按间隔执行：检查间隔配置
-                if (rule.interval_config && rule.reference_date) {
-                    const refDate = new Date(rule.reference_date);
-                    const diffTime = currentDate.getTime() - refDate.getTime();
-                    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-
-                    const interval = rule.interval_config.interval || 1;
-                    const unit = rule.interval_config.unit || 'days';
-
-                    switch (unit) {
-                        case 'days':
-                            return diffDays >= 0 && diffDays % interval === 0;
-                        case 'weeks':
-                            return diffDays >= 0 && diffDays % (interval * 7) === 0;
-                        case 'months':
-                            const monthDiff = (currentDate.getFullYear() - refDate.getFullYear()) * 12 
-                                            + (currentDate.getMonth() - refDate.getMonth());
-                            return monthDiff >= 0 && monthDiff % interval === 0;
-                        case 'years':
-                            const yearDiff = currentDate.getFullYear() - refDate.getFullYear();
-                            return yearDiff >= 0 && yearDiff % interval === 0;
-                    }
-                }
-                return false;
-
-            case 'monthly':
-                // 月度执行：每月执行一次
-                // 默认每月的每一天都执行（简单处理）
-                return true;
-
-            case 'daily':
-                // 每日执行
-                return true;
-
-            case 'weekly':
-                // 每周执行：检查是否在指定星期
-                if (rule.day_mode && rule.day_mode.weekdays) {
-                    return rule.day_mode.weekdays.includes(dayOfWeek);
-                }
-                // 默认每天都执行
-                return true;
-
-            default:
-                return false;
-        }
+        return scheduleRuleChecker.shouldRunOnDate(rule, new Date(date));
     }
 
     /**
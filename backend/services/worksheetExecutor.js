@@ -99,12 +99,8 @@ class WorksheetExecutor {
                 return false;
             }
 
-            // 发送消息到钉钉
-            const result = await dingTalkBot.sendMessage(
-                group.webhookUrl,
-                message,
-                { secret: group.secret }
-            );
+            // 按群组的发送渠道发送消息
+            const result = await dingTalkBot.sendMessage(group, message);
 
             if (result.success) {
                 logger.info(`工作表提醒发送成功: ${taskName} - ${time}`);
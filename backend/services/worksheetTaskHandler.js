@@ -204,7 +204,7 @@ class WorksheetTaskHandler {
             // 发送到钉钉 - 修正参数传递
             const result = await dingTalkBot.sendMessage(
                 webhookInfo.webhook_url,
-                reminder.message,
+                dingTalkBot.composeMessage(reminder.messageType, reminder.messageOptions, reminder.message, reminder.mentions),
                 {
                     groupId: task.group_id,
                     reminderId: task.id,
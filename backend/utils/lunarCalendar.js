@@ -0,0 +1,207 @@
+/**
+ * 农历（阴历）与公历互转工具
+ * 基于离线农历数据表，支持 1900-2100 年，不依赖网络
+ *
+ * 数据表每年一项（十六进制）：
+ *   bit 0-3   闰月月份，0 表示当年无闰月
+ *   bit 4-15  正月到腊月是否为大月（bit 15 为正月），1 为 30 天，0 为 29 天
+ *   bit 16    闰月是否为大月
+ */
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const LUNAR_INFO = [
+    0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2, // 1900-1909
+    0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540, 0x0d6a0, 0x0ada2, 0x095b0, 0x14977, // 1910-1919
+    0x04970, 0x0a4b0, 0x0b4b5, 0x06a50, 0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970, // 1920-1929
+    0x06566, 0x0d4a0, 0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950, // 1930-1939
+    0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0b557, // 1940-1949
+    0x06ca0, 0x0b550, 0x15355, 0x04da0, 0x0a5b0, 0x14573, 0x052b0, 0x0a9a8, 0x0e950, 0x06aa0, // 1950-1959
+    0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0, // 1960-1969
+    0x096d0, 0x04dd5, 0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6, // 1970-1979
+    0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0af46, 0x0ab60, 0x09570, // 1980-1989
+    0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58, 0x05ac0, 0x0ab60, 0x096d5, 0x092e0, // 1990-1999
+    0x0c960, 0x0d954, 0x0d4a0, 0x0da50, 0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5, // 2000-2009
+    0x0a950, 0x0b4a0, 0x0baa4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x052b0, 0x0a930, // 2010-2019
+    0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260, 0x0ea65, 0x0d530, // 2020-2029
+    0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0, 0x1d0b6, 0x0d250, 0x0d520, 0x0dd45, // 2030-2039
+    0x0b5a0, 0x056d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0, // 2040-2049
+    0x14b63, 0x09370, 0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0, // 2050-2059
+    0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0, 0x0a6d0, 0x055d4, // 2060-2069
+    0x052d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50, 0x055a0, 0x0aba4, 0x0a5b0, 0x052b0, // 2070-2079
+    0x0b273, 0x06930, 0x07337, 0x06aa0, 0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160, // 2080-2089
+    0x0e968, 0x0d520, 0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252, // 2090-2099
+    0x0d520 // 2100
+];
+
+// 农历 1900 年正月初一对应公历 1900-01-31
+const BASE_DATE_UTC = Date.UTC(1900, 0, 31);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '冬', '腊'];
+const DAY_NAMES = [
+    '初一', '初二', '初三', '初四', '初五', '初六', '初七', '初八', '初九', '初十',
+    '十一', '十二', '十三', '十四', '十五', '十六', '十七', '十八', '十九', '二十',
+    '廿一', '廿二', '廿三', '廿四', '廿五', '廿六', '廿七', '廿八', '廿九', '三十'
+];
+
+function isSupportedYear(year) {
+    return year >= MIN_YEAR && year <= MAX_YEAR;
+}
+
+/**
+ * 获取农历年的闰月月份
+ * @param {number} year - 农历年
+ * @returns {number} 闰月月份（1-12），没有闰月返回 0
+ */
+function getLeapMonth(year) {
+    return LUNAR_INFO[year - MIN_YEAR] & 0xf;
+}
+
+/**
+ * 获取农历月的天数
+ * @param {number} year - 农历年
+ * @param {number} month - 农历月（1-12）
+ * @param {boolean} isLeap - 是否为闰月
+ * @returns {number} 29 或 30，闰月不存在时返回 0
+ */
+function getMonthDays(year, month, isLeap = false) {
+    const info = LUNAR_INFO[year - MIN_YEAR];
+    if (isLeap) {
+        if (getLeapMonth(year) !== month) return 0;
+        return (info & 0x10000) ? 30 : 29;
+    }
+    return (info & (0x10000 >> month)) ? 30 : 29;
+}
+
+/**
+ * 获取农历年的总天数
+ */
+function getYearDays(year) {
+    let days = 0;
+    for (let month = 1; month <= 12; month++) {
+        days += getMonthDays(year, month);
+    }
+    const leapMonth = getLeapMonth(year);
+    if (leapMonth) {
+        days += getMonthDays(year, leapMonth, true);
+    }
+    return days;
+}
+
+/**
+ * 按农历年内的顺序列出各月（闰月紧跟在对应月份之后）
+ * @returns {Array<{month: number, isLeap: boolean, days: number}>}
+ */
+function getYearMonths(year) {
+    const leapMonth = getLeapMonth(year);
+    const months = [];
+    for (let month = 1; month <= 12; month++) {
+        months.push({ month, isLeap: false, days: getMonthDays(year, month) });
+        if (month === leapMonth) {
+            months.push({ month, isLeap: true, days: getMonthDays(year, month, true) });
+        }
+    }
+    return months;
+}
+
+/**
+ * 公历转农历
+ * @param {Date} date - 公历日期（按本地日期计算，忽略时间）
+ * @returns {{year: number, month: number, day: number, isLeap: boolean, monthDays: number}|null}
+ *   超出支持范围时返回 null
+ */
+function solarToLunar(date) {
+    let offset = Math.round(
+        (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - BASE_DATE_UTC) / DAY_MS
+    );
+    if (offset < 0) return null;
+
+    let year = MIN_YEAR;
+    for (; year <= MAX_YEAR; year++) {
+        const yearDays = getYearDays(year);
+        if (offset < yearDays) break;
+        offset -= yearDays;
+    }
+    if (year > MAX_YEAR) return null;
+
+    for (const item of getYearMonths(year)) {
+        if (offset < item.days) {
+            return {
+                year,
+                month: item.month,
+                day: offset + 1,
+                isLeap: item.isLeap,
+                monthDays: item.days
+            };
+        }
+        offset -= item.days;
+    }
+    return null;
+}
+
+/**
+ * 农历转公历
+ * @param {number} year - 农历年
+ * @param {number} month - 农历月（1-12）
+ * @param {number} day - 农历日（1-30）
+ * @param {boolean} isLeap - 是否为闰月
+ * @returns {Date|null} 公历日期，日期不存在（如小月三十、当年无此闰月）时返回 null
+ */
+function lunarToSolar(year, month, day, isLeap = false) {
+    if (!isSupportedYear(year)) return null;
+
+    const monthDays = getMonthDays(year, month, isLeap);
+    if (!monthDays || day < 1 || day > monthDays) return null;
+
+    let offset = 0;
+    for (let y = MIN_YEAR; y < year; y++) {
+        offset += getYearDays(y);
+    }
+    for (const item of getYearMonths(year)) {
+        if (item.month === month && item.isLeap === isLeap) break;
+        offset += item.days;
+    }
+    offset += day - 1;
+
+    const solar = new Date(BASE_DATE_UTC + offset * DAY_MS);
+    return new Date(solar.getUTCFullYear(), solar.getUTCMonth(), solar.getUTCDate());
+}
+
+/**
+ * 农历月份名称，如 "八月"、"闰四月"、"腊月"
+ */
+function formatLunarMonth(month, isLeap = false) {
+    return `${isLeap ? '闰' : ''}${MONTH_NAMES[month - 1]}月`;
+}
+
+/**
+ * 农历日名称，如 "初一"、"十五"
+ */
+function formatLunarDay(day) {
+    return DAY_NAMES[day - 1];
+}
+
+/**
+ * 格式化农历日期，如 "闰六月初三"
+ */
+function formatLunarDate(lunar) {
+    return `${formatLunarMonth(lunar.month, lunar.isLeap)}${formatLunarDay(lunar.day)}`;
+}
+
+module.exports = {
+    MIN_YEAR,
+    MAX_YEAR,
+    MONTH_NAMES,
+    DAY_NAMES,
+    isSupportedYear,
+    getLeapMonth,
+    getMonthDays,
+    getYearDays,
+    solarToLunar,
+    lunarToSolar,
+    formatLunarMonth,
+    formatLunarDay,
+    formatLunarDate
+};
@@ -113,7 +113,16 @@ export const filesApi = {
     return api.get(`/files/${fileId}/preview-custom-reminder`)
   },
 
-  // 批量删除文件
+  // 解析节假日文件（.ics/.json/Excel）并预览导入结果
+  previewHolidayImport(formData) {
+    return api.post(`${basePath}/holidays/preview`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    })
+  },
+
+    // 批量删除文件
   batchDelete(fileIds) {
     const deletePromises = fileIds.map(fileId => api.delete(`/files/${fileId}`))
     return Promise.all(deletePromises)
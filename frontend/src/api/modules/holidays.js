@@ -0,0 +1,44 @@
+import api from '../index'
+
+export const holidaysApi = {
+  // 获取节假日列表（按年份或年月）
+  getHolidays(params = {}) {
+    return api.get('/mongo/holidays', { params })
+  },
+
+  // 获取指定月份实际生效的节假日和调休上班日
+  getCalendar(year, month) {
+    return api.get(`/mongo/holidays/calendar/${year}/${month}`)
+  },
+
+  // 获取内置的节假日安排
+  getDefaultHolidays(year) {
+    return api.get('/mongo/holidays/defaults', { params: { year } })
+  },
+
+  // 添加节假日或调休上班日
+  createHoliday(data) {
+    return api.post('/mongo/holidays', data)
+  },
+
+  // 更新节假日
+  updateHoliday(id, data) {
+    return api.put(`/mongo/holidays/${id}`, data)
+  },
+
+  // 删除节假日
+  deleteHoliday(id) {
+    return api.delete(`/mongo/holidays/${id}`)
+  },
+
+  // 批量导入节假日（replace 为 true 时替换这些年份的全部配置，years 可以是单个年份或数组）
+  importHolidays(years, holidays, replace = false) {
+    return api.post('/mongo/holidays/batch', {
+      years: Array.isArray(years) ? years : [years],
+      holidays,
+      replace
+    })
+  }
+}
+
+export default holidaysApi
@@ -4,4 +4,6 @@ export { dashboardApi } from './dashboard'
 export { filesApi } from './files'
 export { groupsApi } from './groups'
 export { settingsApi } from './settings'
-export { customRemindersApi } from './customReminders'
\ No newline at end of file
+export { customRemindersApi } from './customReminders'
+export { holidaysApi } from './holidays'
+export { messageTemplatesApi } from './messageTemplates'
\ No newline at end of file
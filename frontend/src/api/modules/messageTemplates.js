@@ -0,0 +1,40 @@
+import api from '../index'
+
+export const messageTemplatesApi = {
+  // 获取消息模板列表（自己的和共享的），params: { keyword, messageType, visibility }
+  getTemplates(params = {}) {
+    return api.get('/mongo/message-templates', { params })
+  },
+
+  // 获取模板详情（含引用该模板的任务数量）
+  getTemplate(id) {
+    return api.get(`/mongo/message-templates/${id}`)
+  },
+
+  // 创建模板
+  createTemplate(data) {
+    return api.post('/mongo/message-templates', data)
+  },
+
+  // 修改模板，内容变化时生成新版本
+  updateTemplate(id, data) {
+    return api.put(`/mongo/message-templates/${id}`, data)
+  },
+
+  // 删除模板
+  deleteTemplate(id) {
+    return api.delete(`/mongo/message-templates/${id}`)
+  },
+
+  // 获取历史版本
+  getVersions(id) {
+    return api.get(`/mongo/message-templates/${id}/versions`)
+  },
+
+  // 恢复到历史版本
+  restoreVersion(id, version) {
+    return api.post(`/mongo/message-templates/${id}/versions/${version}/restore`)
+  }
+}
+
+export default messageTemplatesApi
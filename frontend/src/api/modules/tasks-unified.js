@@ -102,7 +102,7 @@ export const deleteTask = (id) => {
 }
 
 export const toggleTaskStatus = (id) => {
-  return api.patch(`${baseURL}/${id}/toggle`, {})
+  return api.post(`${baseURL}/${id}/toggle-status`, {})
 }
 
 export const duplicateTask = (id) => {
@@ -129,6 +129,10 @@ export const getExecutionHistory = (id, params) => {
   return api.get(`${baseURL}/${id}/execution-history`, { params })
 }
 
+export const getStatusHistory = (id) => {
+  return api.get(`${baseURL}/${id}/status-history`)
+}
+
 // tasksV2API 默认导出
 const tasksV2API = {
   getTaskList,
@@ -143,6 +147,7 @@ const tasksV2API = {
   batchExecuteTasks,
   testSchedule,
   getExecutionHistory,
+  getStatusHistory,
   // 添加任务关联相关方法
   manageTaskAssociations: (taskId, data) => taskAssociationAPI.manageTaskAssociations(taskId, data)
 }
@@ -381,6 +386,107 @@ export const executionPlanAPI = {
       method: 'post',
       data: params
     })
+  },
+
+  // 获取任务接下来的 N 次执行时间
+  getTaskNextRuns: (taskId, count = 5) => {
+    return api({
+      url: `/mongo/tasks/${taskId}/next-runs`,
+      method: 'get',
+      params: { count }
+    })
+  },
+
+  // 调整某一次执行：data 为 { date, time, action: skip|reschedule|override, newDate, newTime, messageContent, reason }
+  saveOccurrenceException: (taskId, data) => {
+    return api({
+      url: `/mongo/tasks/${taskId}/occurrence-exceptions`,
+      method: 'put',
+      data
+    })
+  },
+
+  // 取消某一次执行的调整，恢复原计划
+  removeOccurrenceException: (taskId, date, time) => {
+    return api({
+      url: `/mongo/tasks/${taskId}/occurrence-exceptions/${date}/${time}`,
+      method: 'delete'
+    })
+  },
+
+  // 调度模拟：params 为 { taskId | all: true | scheduleRule, startDate, endDate }
+  simulateSchedule: (params) => {
+    return api({
+      url: '/mongo/tasks/simulate',
+      method: 'post',
+      data: params
+    })
+  }
+}
+
+// 中文规则描述解析 API
+export const ruleTextAPI = {
+  // 将"每月最后一个工作日下午3点"之类的描述解析为调度规则（不保存）
+  parseRuleText: (text, count = 10) => {
+    return api({
+      url: '/mongo/tasks/rule/parse',
+      method: 'post',
+      data: { text, count }
+    })
+  }
+}
+
+// 消息模板 API
+export const messageTemplateAPI = {
+  // 校验消息模板并预览发送效果：data 为 { template, taskId, taskName, groupId, scheduleRule, count }
+  previewTemplate: (data) => {
+    return api({
+      url: '/mongo/tasks/template/preview',
+      method: 'post',
+      data
+    })
+  }
+}
+
+// cron 表达式规则 API
+export const cronAPI = {
+  // 校验 cron 规则并预览接下来的执行时间
+  previewCron: (scheduleRule, count = 5) => {
+    return api({
+      url: '/mongo/tasks/cron/preview',
+      method: 'post',
+      data: { scheduleRule, count }
+    })
+  }
+}
+
+// iCalendar RRULE 导入导出 API
+export const rruleAPI = {
+  // 将调度规则导出为 RRULE
+  exportRRule: (scheduleRule, startDate) => {
+    return api({
+      url: '/mongo/tasks/rrule/export',
+      method: 'post',
+      data: { scheduleRule, startDate }
+    })
+  },
+
+  // 解析 RRULE 为调度规则（不保存）
+  importRRule: (rrule) => {
+    return api({
+      url: '/mongo/tasks/rrule/import',
+      method: 'post',
+      data: { rrule }
+    })
+  },
+
+  // 导出已保存任务的 RRULE
+  getTaskRRule: (taskId, params = {}) => {
+    return api({
+      url: `/mongo/tasks/${taskId}/rrule`,
+      method: 'get',
+      params
+    })
   }
 }
 
@@ -36,6 +36,12 @@ const routes = [
         component: () => import('@/views/TaskManagement.vue'),
         meta: { title: '任务管理', icon: 'AlarmClock' }
       },
+      {
+        path: '/message-templates',
+        name: 'MessageTemplates',
+        component: () => import('@/views/MessageTemplates.vue'),
+        meta: { title: '消息模板', icon: 'Tickets' }
+      },
       {
         path: '/test-schedule',
         name: 'TestSchedule',